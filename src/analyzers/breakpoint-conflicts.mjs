@@ -0,0 +1,471 @@
+/**
+ * Breakpoint Conflict Analysis
+ * Which value every selector's properties take at each viewport width, and where the media
+ * queries behind them disagree
+ *
+ * Built on extractMediaQueries() data. Every declaration of a selector - outside any @media or
+ * inside one - is placed on the width axis, and the cascade (!important, @layer, specificity,
+ * source order) picks the winner for each range of widths. That gives a "property over width"
+ * table per selector, and three kinds of problems:
+ *   - gaps: widths between two ranges where nothing (or only the unconditional value) sets the
+ *     property, e.g. at 768px between max-width: 767px and min-width: 769px
+ *   - overlaps: widths where two partially overlapping media queries set different values
+ *   - dead rules: declarations that lose at every width they apply to
+ *
+ * Selectors are compared as written: `.nav a` and `header a` are analyzed separately even when
+ * they match the same elements. Queries that also depend on something other than the viewport
+ * width (hover, prefers-*, height, @container) are listed per property as conditional and left
+ * out of the width analysis.
+ *
+ * Usage: wat breakpoint-conflicts <url> [--property <prop>] [--selector <sel>]
+ * Example: wat breakpoint-conflicts https://example.com --selector .navbar
+ */
+
+import { extractMediaQueries } from '../extractors/media-queries.mjs';
+import { calculateSpecificity, splitSelectorList } from '../utils/cascade.mjs';
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
+
+const SCREEN_MEDIA_TYPES = new Set([null, 'all', 'screen']);
+
+/**
+ * Whole-pixel widths inside an interval
+ * @returns {{from: number, to: number}|null} to is Infinity when unbounded; null when no whole pixel is inside
+ */
+function toPixelRange(interval) {
+    const from = interval?.min == null ? 0 : (interval.minInclusive ? Math.ceil(interval.min) : Math.floor(interval.min) + 1);
+    const to = interval?.max == null ? Infinity : (interval.maxInclusive ? Math.floor(interval.max) : Math.ceil(interval.max) - 1);
+    return from <= to ? { from, to } : null;
+}
+
+function formatRange({ from, to }) {
+    if (to === Infinity) return `${from}px+`;
+    if (from === to) return `${from}px`;
+    return `${from}-${to}px`;
+}
+
+/**
+ * Cascade rank of every declared layer, lowest first: sub-layers of one parent in declaration
+ * order, then the parent's own rules, which beat all of its sub-layers
+ * @param {string[]} layers - Full dotted layer paths in declaration order (extractMediaQueries() `layers`)
+ * @returns {Map<string, number>}
+ */
+function rankLayers(layers) {
+    const ranks = new Map();
+    const parentOf = (layer) => layer.includes('.') ? layer.slice(0, layer.lastIndexOf('.')) : null;
+    const visit = (parent) => {
+        layers.filter(layer => parentOf(layer) === parent).forEach(layer => {
+            visit(layer);
+            ranks.set(layer, ranks.size);
+        });
+    };
+    visit(null);
+    return ranks;
+}
+
+function compareSpecificity(a, b) {
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * Cascade order of two declarations for the same property: > 0 when `a` wins
+ * (!important, then @layer, then specificity, then source order)
+ */
+function compareDeclarations(a, b) {
+    if (a.important !== b.important) return a.important ? 1 : -1;
+    if (a.layerRank !== b.layerRank) {
+        // Unlayered beats layered, later layers beat earlier ones; reversed for !important
+        return a.important ? b.layerRank - a.layerRank : a.layerRank - b.layerRank;
+    }
+    return compareSpecificity(a.specificity, b.specificity) || a.order - b.order;
+}
+
+function whyLost(loser, winner) {
+    if (winner.important !== loser.important) return 'important';
+    if (winner.layerRank !== loser.layerRank) return 'layer';
+    if (compareSpecificity(winner.specificity, loser.specificity) !== 0) return 'specificity';
+    return 'source order';
+}
+
+/**
+ * Every declaration in the data, with the whole-pixel width ranges it applies to
+ * @returns {{declarations: Object[], conditional: Object[], neverMatching: Object[]}}
+ */
+function collectDeclarations(data) {
+    const declarations = [];
+    const conditional = [];
+    const neverMatching = [];
+    const layerRanks = rankLayers(data.layers || []);
+    const specificities = new Map();
+
+    const layerRankOf = (conditions) => {
+        const layers = conditions.filter(condition => condition.type === 'layer');
+        if (layers.length === 0) return Infinity;
+        // Data saved before layer paths were recorded: ranked by first appearance
+        const layer = layers.at(-1).path ?? layers.map(condition => condition.text).join('.');
+        if (!layerRanks.has(layer)) layerRanks.set(layer, layerRanks.size);
+        return layerRanks.get(layer);
+    };
+    const specificityOf = (selector) => {
+        if (!specificities.has(selector)) specificities.set(selector, calculateSpecificity(selector));
+        return specificities.get(selector);
+    };
+
+    const addRule = (rule, target, fields) => {
+        const layerRank = layerRankOf(rule.conditions || []);
+        splitSelectorList(rule.selector || '').forEach(selector => {
+            Object.entries(rule.properties).forEach(([property, value]) => {
+                target.push({
+                    selector,
+                    property,
+                    value,
+                    important: Boolean(rule.important?.includes(property)),
+                    specificity: specificityOf(selector),
+                    layerRank,
+                    order: rule.order ?? 0,
+                    ...fields
+                });
+            });
+        });
+    };
+
+    (data.baseRules || []).forEach(rule => addRule(rule, declarations, { condition: null, ranges: [{ from: 0, to: Infinity }] }));
+
+    data.mediaQueries.forEach(mq => {
+        if (mq.kind === 'never') {
+            mq.rules.forEach(rule => addRule(rule, neverMatching, { condition: mq.condition }));
+            return;
+        }
+
+        const insideContainer = (mq.context || []).some(condition => condition.type === 'container');
+        const screenClauses = (mq.clauses || []).filter(clause =>
+            SCREEN_MEDIA_TYPES.has(clause.mediaType) && !clause.excludedMediaTypes?.includes('screen'));
+        if (screenClauses.length === 0) return;
+
+        const widthOnly = !insideContainer && screenClauses.every(clause => clause.features.length === 0 && !clause.height);
+        const ranges = screenClauses.map(clause => toPixelRange(clause.width)).filter(Boolean);
+        if (ranges.length === 0) return;
+
+        mq.rules.forEach(rule => addRule(rule, widthOnly ? declarations : conditional, { condition: mq.condition, ranges }));
+    });
+
+    return { declarations, conditional, neverMatching };
+}
+
+/**
+ * Winners per width range for one selector/property, plus gaps, overlaps and dead declarations
+ */
+function analyzeProperty(declarations) {
+    const boundaries = new Set([0]);
+    declarations.forEach(declaration => declaration.ranges.forEach(({ from, to }) => {
+        boundaries.add(from);
+        if (to !== Infinity) boundaries.add(to + 1);
+    }));
+    const starts = [...boundaries].sort((a, b) => a - b);
+
+    const segments = starts.map((from, index) => {
+        const to = index + 1 < starts.length ? starts[index + 1] - 1 : Infinity;
+        const applicable = declarations.filter(declaration =>
+            declaration.ranges.some(range => range.from <= from && range.to >= to));
+        const winner = applicable.reduce((best, declaration) =>
+            !best || compareDeclarations(declaration, best) > 0 ? declaration : best, null);
+        return { from, to, applicable, winner };
+    });
+
+    // Adjacent segments won by the same declaration form one row
+    const rows = [];
+    segments.forEach(segment => {
+        const last = rows[rows.length - 1];
+        if (last && last.declaration === segment.winner) {
+            last.to = segment.to;
+        } else {
+            rows.push({ from: segment.from, to: segment.to, declaration: segment.winner });
+        }
+    });
+
+    // Nothing set between two ranges, or a 1-2px seam where two media queries miss each other and
+    // the unconditional value shows through (max-width: 767px / min-width: 769px)
+    const isSeam = (row, before, after) => row.declaration?.condition === null && row.to - row.from < 2 &&
+        before?.declaration?.condition && after?.declaration?.condition;
+    const gaps = rows
+        .map((row, index) => ({ row, before: rows[index - 1], after: rows[index + 1] }))
+        .filter(({ row, before, after }) => (!row.declaration && before?.declaration && after?.declaration) || isSeam(row, before, after))
+        .map(({ row, before, after }) => ({ from: row.from, to: row.to, before: before.declaration, after: after.declaration, fallback: row.declaration }));
+
+    // Two media queries fight where their ranges overlap without one containing the other
+    const overlaps = [];
+    segments.forEach(segment => {
+        const media = segment.applicable.filter(declaration => declaration.condition !== null);
+        for (let i = 0; i < media.length; i++) {
+            for (let j = i + 1; j < media.length; j++) {
+                const [a, b] = [media[i], media[j]];
+                if (a.value === b.value) continue;
+                const rangeA = a.ranges.find(range => range.from <= segment.from && range.to >= segment.to);
+                const rangeB = b.ranges.find(range => range.from <= segment.from && range.to >= segment.to);
+                const nested = (rangeA.from <= rangeB.from && rangeA.to >= rangeB.to) || (rangeB.from <= rangeA.from && rangeB.to >= rangeA.to);
+                if (nested) continue;
+                const existing = overlaps.find(overlap => overlap.pair.includes(a) && overlap.pair.includes(b));
+                if (existing) {
+                    existing.to = segment.to;
+                } else {
+                    overlaps.push({ from: segment.from, to: segment.to, pair: [a, b], winner: segment.winner });
+                }
+            }
+        }
+    });
+
+    const dead = declarations
+        .filter(declaration => !segments.some(segment => segment.winner === declaration))
+        .map(declaration => {
+            const segment = segments.find(candidate => candidate.applicable.includes(declaration));
+            return { declaration, winner: segment.winner, reason: whyLost(declaration, segment.winner) };
+        });
+
+    return { rows, gaps, overlaps, dead };
+}
+
+function describeDeclaration(declaration) {
+    return {
+        value: declaration.value,
+        condition: declaration.condition,
+        ...(declaration.important && { important: true })
+    };
+}
+
+/**
+ * Analyze extracted media query data (no browser needed)
+ * @param {Object} data - extractMediaQueries() result
+ * @returns {Object} { selectors: [{ selector, order, ranges, properties, conditional? }], gaps, overlaps, deadRules, summary }
+ */
+function findBreakpointConflicts(data) {
+    const { declarations, conditional, neverMatching } = collectDeclarations(data);
+
+    // Only selectors some width query restyles; a selector that is only set once has nothing to compare
+    const restyled = new Set(declarations.filter(declaration => declaration.condition !== null).map(declaration => declaration.selector));
+    const groups = new Map();
+    declarations.filter(declaration => restyled.has(declaration.selector)).forEach(declaration => {
+        if (!groups.has(declaration.selector)) groups.set(declaration.selector, new Map());
+        const properties = groups.get(declaration.selector);
+        if (!properties.has(declaration.property)) properties.set(declaration.property, []);
+        properties.get(declaration.property).push(declaration);
+    });
+
+    const selectors = [];
+    const gaps = [];
+    const overlaps = [];
+    const deadRules = [];
+
+    groups.forEach((properties, selector) => {
+        const entry = { selector, properties: {} };
+        const boundaries = new Set([0]);
+        // Where the selector first appears in the stylesheets, for tools that rebuild them in order
+        entry.order = Math.min(...[...properties.values()].flat().map(declaration => declaration.order));
+
+        [...properties.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([property, propertyDeclarations]) => {
+            const result = analyzeProperty(propertyDeclarations);
+
+            entry.properties[property] = result.rows.map(row => ({
+                from: row.from,
+                to: row.to === Infinity ? null : row.to,
+                ...(row.declaration ? describeDeclaration(row.declaration) : { value: null, condition: null })
+            }));
+            result.rows.forEach(row => boundaries.add(row.from));
+
+            result.gaps.forEach(gap => gaps.push({
+                selector,
+                property,
+                from: gap.from,
+                to: gap.to,
+                range: formatRange(gap),
+                before: describeDeclaration(gap.before),
+                after: describeDeclaration(gap.after),
+                ...(gap.fallback && { fallback: describeDeclaration(gap.fallback) })
+            }));
+            result.overlaps.forEach(overlap => overlaps.push({
+                selector,
+                property,
+                from: overlap.from,
+                to: overlap.to === Infinity ? null : overlap.to,
+                range: formatRange(overlap),
+                declarations: overlap.pair.map(describeDeclaration),
+                winner: describeDeclaration(overlap.winner)
+            }));
+            result.dead.forEach(({ declaration, winner, reason }) => deadRules.push({
+                selector,
+                property,
+                ...describeDeclaration(declaration),
+                reason,
+                // Same value as the winner: harmless, but can be deleted
+                redundant: declaration.value === winner.value,
+                winner: describeDeclaration(winner)
+            }));
+        });
+
+        const starts = [...boundaries].sort((a, b) => a - b);
+        entry.ranges = starts.map((from, index) => formatRange({ from, to: index + 1 < starts.length ? starts[index + 1] - 1 : Infinity }));
+
+        const conditionalDeclarations = conditional.filter(declaration => declaration.selector === selector);
+        if (conditionalDeclarations.length > 0) {
+            entry.conditional = conditionalDeclarations.map(declaration => ({ property: declaration.property, ...describeDeclaration(declaration) }));
+        }
+        selectors.push(entry);
+    });
+
+    neverMatching.forEach(declaration => deadRules.push({
+        selector: declaration.selector,
+        property: declaration.property,
+        ...describeDeclaration(declaration),
+        reason: 'never matches',
+        redundant: false,
+        winner: null
+    }));
+
+    selectors.sort((a, b) => a.selector.localeCompare(b.selector));
+
+    return {
+        selectors,
+        gaps,
+        overlaps,
+        deadRules,
+        summary: {
+            selectors: selectors.length,
+            properties: selectors.reduce((sum, entry) => sum + Object.keys(entry.properties).length, 0),
+            gaps: gaps.length,
+            overlaps: overlaps.length,
+            deadRules: deadRules.length,
+            redundantRules: deadRules.filter(rule => rule.redundant).length
+        }
+    };
+}
+
+/**
+ * Extract a page's media queries and analyze which rules win at each width
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {string} [options.property] - Only rules touching this CSS property
+ * @param {string} [options.selector] - Only rules whose selector contains this text
+ * @param {string} [options.outputDir='orig'] - Where the analysis and report are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} { url, selectors: [{ selector, ranges, properties: { [property]: [{ from, to, value, condition }] } }], gaps, overlaps, deadRules, summary }
+ */
+async function analyzeBreakpointConflicts(url, options = {}) {
+    const {
+        property = null,
+        selector = null,
+        outputDir = 'orig',
+        save = true
+    } = options;
+
+    console.log(`🔍 Analyzing breakpoint conflicts on ${url}`);
+
+    const mediaQueryData = await extractMediaQueries(url, { ...options, property, selector, save: false });
+    const result = {
+        url,
+        extractedAt: new Date().toISOString(),
+        filters: { property, selector },
+        ...findBreakpointConflicts(mediaQueryData)
+    };
+
+    console.log(`✅ Breakpoint conflict analysis complete!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Selectors: ${result.summary.selectors} (${result.summary.properties} properties)`);
+    console.log(`   • Gaps: ${result.summary.gaps}`);
+    console.log(`   • Overlapping ranges: ${result.summary.overlaps}`);
+    console.log(`   • Dead rules: ${result.summary.deadRules} (${result.summary.redundantRules} redundant)`);
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+
+        const jsonPath = path.join(outputDir, '_breakpoint-conflicts.json');
+        writeFileSync(jsonPath, JSON.stringify(result, null, 2));
+
+        const reportPath = path.join(outputDir, '_breakpoint-conflicts.md');
+        writeFileSync(reportPath, createConflictReport(result));
+
+        console.log(`📄 Full analysis: ${jsonPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+    }
+
+    return result;
+}
+
+function formatCondition(condition) {
+    return condition ? `@media ${condition}` : 'no media query';
+}
+
+function createConflictReport(result) {
+    let report = `# Breakpoint Conflict Report\n\n`;
+    report += `**URL**: ${result.url}\n`;
+    report += `**Analyzed**: ${result.extractedAt}\n`;
+    if (result.filters.property || result.filters.selector) {
+        report += `**Filters**: ${[result.filters.property && `property ${result.filters.property}`, result.filters.selector && `selector ${result.filters.selector}`].filter(Boolean).join(', ')}\n`;
+    }
+    report += `\n`;
+
+    report += `## Summary\n\n`;
+    report += `- **Selectors**: ${result.summary.selectors} (${result.summary.properties} properties)\n`;
+    report += `- **Gaps**: ${result.summary.gaps}\n`;
+    report += `- **Overlapping ranges**: ${result.summary.overlaps}\n`;
+    report += `- **Dead rules**: ${result.summary.deadRules} (${result.summary.redundantRules} with the same value as the winner)\n\n`;
+
+    if (result.gaps.length > 0) {
+        report += `## Gaps\n\n`;
+        result.gaps.forEach(gap => {
+            const what = gap.fallback ? `only the unconditional \`${gap.fallback.value}\`` : 'nothing';
+            report += `- \`${gap.selector}\` ${gap.property}: ${what} at ${gap.range} (between \`${gap.before.value}\` from ${formatCondition(gap.before.condition)} and \`${gap.after.value}\` from ${formatCondition(gap.after.condition)})\n`;
+        });
+        report += `\n`;
+    }
+
+    if (result.overlaps.length > 0) {
+        report += `## Overlapping Ranges\n\n`;
+        result.overlaps.forEach(overlap => {
+            const [a, b] = overlap.declarations;
+            report += `- \`${overlap.selector}\` ${overlap.property} at ${overlap.range}: \`${a.value}\` (${formatCondition(a.condition)}) vs \`${b.value}\` (${formatCondition(b.condition)}); \`${overlap.winner.value}\` wins\n`;
+        });
+        report += `\n`;
+    }
+
+    if (result.deadRules.length > 0) {
+        report += `## Dead Rules\n\n`;
+        report += `| Selector | Property | Value | Where | Why it never wins |\n|----------|----------|-------|-------|-------------------|\n`;
+        result.deadRules.forEach(rule => {
+            const why = rule.winner
+                ? `${rule.reason}: \`${rule.winner.value}\` from ${formatCondition(rule.winner.condition)}${rule.redundant ? ' (same value)' : ''}`
+                : rule.reason;
+            report += `| \`${rule.selector}\` | ${rule.property} | \`${rule.value}\` | ${formatCondition(rule.condition)} | ${why} |\n`;
+        });
+        report += `\n`;
+    }
+
+    report += `## Property Over Width\n\n`;
+    result.selectors.forEach(entry => {
+        report += `### \`${entry.selector}\`\n\n`;
+        report += `| Property | ${entry.ranges.join(' | ')} |\n`;
+        report += `|----------|${entry.ranges.map(() => '---').join('|')}|\n`;
+        const starts = entry.ranges.map(range => parseInt(range));
+        Object.entries(entry.properties).forEach(([property, rows]) => {
+            const cells = starts.map(start => {
+                const row = rows.find(candidate => candidate.from <= start && (candidate.to === null || candidate.to >= start));
+                return row?.value ? `\`${row.value}\`${row.important ? ' !important' : ''}` : '—';
+            });
+            report += `| ${property} | ${cells.join(' | ')} |\n`;
+        });
+        if (entry.conditional) {
+            report += `\nAlso, depending on more than the width:\n`;
+            entry.conditional.forEach(declaration => {
+                report += `- ${declaration.property}: \`${declaration.value}\` in ${formatCondition(declaration.condition)}\n`;
+            });
+        }
+        report += `\n`;
+    });
+
+    return report;
+}
+
+export { analyzeBreakpointConflicts, findBreakpointConflicts };
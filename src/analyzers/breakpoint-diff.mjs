@@ -0,0 +1,272 @@
+/**
+ * Breakpoint Diff
+ * What each breakpoint actually changes: computed styles and boxes 1px below and at the breakpoint
+ *
+ * Breakpoints come from the site's media queries (default), from a viewport sweep
+ * (discoverBreakpoints) or are given directly. A breakpoint is the first width of the new
+ * layout: `(min-width: 768px)` switches at 768px, `(max-width: 767px)` also at 768px. The page is
+ * measured at N-1 and N px and every element compared: properties that changed, elements that
+ * appeared or disappeared, and elements that moved or were resized within their parent.
+ *
+ * Usage: wat breakpoint-diff <url> [--from media-queries|discover] [--width <px>...]
+ * Example: wat breakpoint-diff https://example.com --width 768 --width 992
+ */
+
+import { createBrowserSession, settlePage } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { captureLayoutSnapshot, diffLayoutSnapshots, describeLayoutChange } from '../utils/layout-snapshot.mjs';
+import { extractMediaQueries } from '../extractors/media-queries.mjs';
+import { switchWidths } from '../utils/media-query.mjs';
+import { discoverBreakpoints } from './breakpoint-discovery.mjs';
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
+
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 1;
+
+// Computed styles compared on each side of a breakpoint (display, position, float and flex
+// direction/wrap are part of every layout snapshot already)
+const DIFF_PROPERTIES = [
+    'visibility', 'width', 'maxWidth', 'height', 'top', 'right', 'bottom', 'left', 'zIndex',
+    'marginTop', 'marginRight', 'marginBottom', 'marginLeft',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'justifyContent', 'alignItems', 'gap', 'order', 'flexBasis',
+    'gridTemplateColumns', 'gridTemplateRows', 'gridColumn', 'gridRow',
+    'fontSize', 'lineHeight', 'fontWeight', 'textAlign', 'letterSpacing',
+    'color', 'backgroundColor', 'borderTopWidth', 'borderRadius', 'opacity', 'transform'
+];
+
+/**
+ * Widths where the site's media queries switch, with the queries behind each
+ * @param {Object} mediaQueryData - extractMediaQueries() result
+ * @returns {Array<{width: number, sources: string[]}>}
+ */
+function breakpointsFromMediaQueries(mediaQueryData) {
+    const byWidth = new Map();
+    (mediaQueryData.mediaQueries || []).forEach(mediaQuery => {
+        // max-width: N still applies at N, so the layout switches at N+1; a min+max range switches at both ends
+        const widths = (mediaQuery.clauses || [])
+            .filter(clause => clause.mediaType !== 'print')
+            .flatMap(clause => switchWidths(clause.width));
+        widths.forEach(width => {
+            if (!byWidth.has(width)) byWidth.set(width, new Set());
+            byWidth.get(width).add(`@media ${mediaQuery.condition}`);
+        });
+    });
+    return [...byWidth.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([width, sources]) => ({ width, sources: [...sources] }));
+}
+
+/**
+ * Compare the page 1px below and at each breakpoint
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {string} [options.from='media-queries'] - Where breakpoints come from: 'media-queries' or 'discover' (viewport sweep)
+ * @param {number[]} [options.widths] - Breakpoints to compare instead (first width of the new layout)
+ * @param {Object} [options.discover] - discoverBreakpoints() options when from = 'discover'
+ * @param {number} [options.height=900] - Viewport height
+ * @param {string[]} [options.properties] - Computed styles to compare (camelCase; default DIFF_PROPERTIES)
+ * @param {number} [options.moveThreshold=2] - Report elements moved/resized within their parent by more than this (px)
+ * @param {number} [options.maxElements=2000] - Elements compared per width (document order)
+ * @param {string} [options.outputDir='orig'] - Where the diff and report are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} { url, breakpoints: [{ width, before, sources, changes, summary }], summary }
+ */
+async function diffBreakpoints(url, options = {}) {
+    const {
+        from = 'media-queries',
+        widths = null,
+        height = 900,
+        properties = DIFF_PROPERTIES,
+        moveThreshold = 2,
+        maxElements = 2000,
+        outputDir = 'orig',
+        save = true
+    } = options;
+
+    console.log(`🔍 Diffing breakpoints on ${url}`);
+
+    let targets;
+    if (widths) {
+        targets = [...new Set(widths)].sort((a, b) => a - b).map(width => ({ width, sources: ['requested'] }));
+    } else if (from === 'discover') {
+        const discovery = await discoverBreakpoints(url, {
+            ...options,
+            ...(typeof options.discover === 'object' ? options.discover : {}),
+            save: false
+        });
+        targets = discovery.breakpoints.map(breakpoint => ({ width: breakpoint.width, sources: [`sweep: ${breakpoint.query}`] }));
+    } else if (from === 'media-queries') {
+        const mediaQueryData = await extractMediaQueries(url, { ...options, property: null, selector: null, save: false });
+        targets = breakpointsFromMediaQueries(mediaQueryData);
+    } else {
+        throw new Error(`Unknown breakpoint source "${from}" (expected media-queries or discover)`);
+    }
+
+    // Nothing below 2px has a "1px below"
+    targets = targets.filter(target => target.width > 1);
+    console.log(`📐 Comparing ${targets.length} breakpoint(s): ${targets.map(target => `${target.width}px`).join(', ') || 'none'}`);
+
+    const capture = { height, properties, moveThreshold, maxElements };
+    const diffs = await readThroughCache(
+        { tool: 'breakpoint-diff', url, options: { widths: targets.map(target => target.width), ...capture }, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => captureAroundBreakpoints(url, targets.map(target => target.width), capture, options.session)
+    );
+
+    const breakpoints = targets.map(target => ({
+        width: target.width,
+        before: target.width - 1,
+        sources: target.sources,
+        ...diffs.byWidth[target.width]
+    }));
+
+    const result = {
+        url,
+        extractedAt: diffs.extractedAt,
+        source: widths ? 'widths' : from,
+        viewportHeight: height,
+        breakpoints,
+        summary: {
+            totalBreakpoints: breakpoints.length,
+            withChanges: breakpoints.filter(breakpoint => breakpoint.changes.length > 0).length,
+            // Media queries that change nothing at their own breakpoint (e.g. overridden everywhere)
+            withoutChanges: breakpoints.filter(breakpoint => breakpoint.changes.length === 0).map(breakpoint => breakpoint.width)
+        }
+    };
+
+    console.log(`✅ Breakpoint diff complete!`);
+    console.log(`📊 Summary:`);
+    breakpoints.forEach(breakpoint => {
+        const { summary } = breakpoint;
+        console.log(`   • ${breakpoint.width}px: ${summary.changed} changed, ${summary.appeared} appeared, ${summary.disappeared} disappeared, ${summary.moved} moved`);
+    });
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+
+        const jsonPath = path.join(outputDir, '_breakpoint-diff.json');
+        writeFileSync(jsonPath, JSON.stringify(result, null, 2));
+
+        const reportPath = path.join(outputDir, '_breakpoint-diff.md');
+        writeFileSync(reportPath, createBreakpointDiffReport(result));
+
+        console.log(`📄 Full diff: ${jsonPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+    }
+
+    return result;
+}
+
+/**
+ * Resize one page to N-1 and N for every breakpoint, snapshot the layout with computed styles
+ * and compare the two
+ * @returns {Promise<Object>} { extractedAt, byWidth: { [width]: { summary, changes } } } (cached by diffBreakpoints)
+ */
+async function captureAroundBreakpoints(url, widths, capture, sharedSession = null) {
+    const { height, properties, moveThreshold, maxElements } = capture;
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+
+    try {
+        const byWidth = {};
+        if (widths.length === 0) {
+            return { extractedAt: new Date().toISOString(), byWidth };
+        }
+
+        console.log(`📥 Loading page...`);
+        // Own page: it is resized twice per breakpoint
+        lease = await session.acquirePage(url, { viewport: { width: widths[0] - 1, height }, fresh: true });
+        const { page } = lease;
+
+        const snapshotAt = async (width) => {
+            await page.setViewport({ width, height });
+            await settlePage(page, { quietPeriod: 100 });
+            return page.evaluate(captureLayoutSnapshot, maxElements, properties);
+        };
+
+        for (const width of widths) {
+            const before = await snapshotAt(width - 1);
+            const after = await snapshotAt(width);
+            const changes = diffLayoutSnapshots(before, after, { moveThreshold });
+            byWidth[width] = { summary: summarizeDiff(changes, before, after), changes };
+            console.log(`   📸 ${width - 1}px / ${width}px: ${changes.length} element(s) changed`);
+        }
+
+        return { extractedAt: new Date().toISOString(), byWidth };
+
+    } catch (error) {
+        console.error('❌ Error during breakpoint diff:', error);
+        throw error;
+    } finally {
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
+    }
+}
+
+function summarizeDiff(changes, before, after) {
+    const summary = { changed: 0, appeared: 0, disappeared: 0, moved: 0, resized: 0, properties: {} };
+    changes.forEach(change => {
+        if (change.change === 'added') summary.appeared++;
+        else if (change.change === 'removed') summary.disappeared++;
+        else summary[change.change]++;
+        Object.keys(change.properties).forEach(name => {
+            summary.properties[name] = (summary.properties[name] || 0) + 1;
+        });
+    });
+    if (before && after) {
+        summary.documentHeight = { from: before.scrollHeight, to: after.scrollHeight };
+    }
+    return summary;
+}
+
+function createBreakpointDiffReport(result) {
+    let report = `# Breakpoint Diff Report\n\n`;
+    report += `**URL**: ${result.url}\n`;
+    report += `**Analyzed**: ${result.extractedAt}\n`;
+    report += `**Breakpoints from**: ${result.source}\n\n`;
+
+    if (result.breakpoints.length === 0) {
+        report += `No breakpoints to compare.\n`;
+        return report;
+    }
+
+    report += `## Summary\n\n`;
+    report += `| Breakpoint | Changed | Appeared | Disappeared | Moved | Resized | Document height |\n`;
+    report += `|------------|---------|----------|-------------|-------|---------|-----------------|\n`;
+    result.breakpoints.forEach(breakpoint => {
+        const { summary } = breakpoint;
+        const documentHeight = summary.documentHeight ? `${summary.documentHeight.from} → ${summary.documentHeight.to}px` : '-';
+        report += `| ${breakpoint.before} → ${breakpoint.width}px | ${summary.changed} | ${summary.appeared} | ${summary.disappeared} | ${summary.moved} | ${summary.resized} | ${documentHeight} |\n`;
+    });
+    report += `\n`;
+
+    if (result.summary.withoutChanges.length > 0) {
+        report += `**No visible effect**: ${result.summary.withoutChanges.map(width => `${width}px`).join(', ')}\n\n`;
+    }
+
+    result.breakpoints.forEach(breakpoint => {
+        if (breakpoint.changes.length === 0) return;
+        report += `## ${breakpoint.width}px\n\n`;
+        report += `Sources: ${breakpoint.sources.map(source => `\`${source}\``).join(', ')}\n\n`;
+        breakpoint.changes.slice(0, 30).forEach(change => {
+            report += `- ${describeLayoutChange(change)}\n`;
+        });
+        if (breakpoint.changes.length > 30) {
+            report += `- ...and ${breakpoint.changes.length - 30} more (see JSON)\n`;
+        }
+        report += `\n`;
+    });
+
+    return report;
+}
+
+export { diffBreakpoints, breakpointsFromMediaQueries };
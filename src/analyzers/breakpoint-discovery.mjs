@@ -0,0 +1,230 @@
+/**
+ * Natural Breakpoint Discovery
+ * Finds the widths where a page's layout actually changes, instead of testing fixed device sizes
+ *
+ * Sweeps the viewport from minWidth to maxWidth in `step` px increments, fingerprints the layout
+ * at each width (see utils/layout-snapshot.mjs) and binary-searches every change down to the
+ * exact pixel. Each breakpoint lists what changed there: elements shown or hidden, display,
+ * flex direction, grid columns, or items wrapping below one another.
+ *
+ * Usage: wat responsive <url> --discover [--step <px>] [--min-width <px>] [--max-width <px>]
+ * Example: wat responsive https://example.com --discover --step 20
+ */
+
+import { createBrowserSession, settlePage } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { captureLayoutSnapshot, fingerprintLayout, diffLayoutSnapshots, describeLayoutChange } from '../utils/layout-snapshot.mjs';
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
+
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 1;
+
+/**
+ * Sweep viewport widths and find every width where the layout changes
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {number} [options.minWidth=320] - Narrowest width tested
+ * @param {number} [options.maxWidth=1920] - Widest width tested
+ * @param {number} [options.step=40] - Sweep increment (px); changes between two steps are then located to the pixel
+ * @param {number} [options.height=900] - Viewport height during the sweep
+ * @param {number} [options.maxElements=2000] - Elements fingerprinted per width (document order)
+ * @param {string} [options.outputDir='orig'] - Where the results are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} { url, sweep, breakpoints: [{ width, query, changes, summary }], summary }
+ */
+async function discoverBreakpoints(url, options = {}) {
+    const {
+        minWidth = 320,
+        maxWidth = 1920,
+        step = 40,
+        height = 900,
+        maxElements = 2000,
+        outputDir = 'orig',
+        save = true
+    } = options;
+
+    if (!(minWidth > 0 && maxWidth > minWidth)) {
+        throw new Error(`Invalid sweep range ${minWidth}-${maxWidth}px: maxWidth must be greater than minWidth`);
+    }
+    if (!(step >= 1)) {
+        throw new Error(`Invalid sweep step ${step}: must be at least 1px`);
+    }
+
+    const sweep = { minWidth, maxWidth, step, height, maxElements };
+    console.log(`🔍 Discovering breakpoints on ${url}`);
+    console.log(`📐 Sweeping ${minWidth}-${maxWidth}px in ${step}px steps`);
+
+    const discovery = await readThroughCache(
+        { tool: 'breakpoint-discovery', url, options: sweep, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => sweepViewports(url, sweep, options.session)
+    );
+
+    discovery.summary = {
+        totalBreakpoints: discovery.breakpoints.length,
+        widths: discovery.breakpoints.map(breakpoint => breakpoint.width),
+        widthsMeasured: discovery.widthsMeasured
+    };
+
+    console.log(`✅ Breakpoint discovery complete!`);
+    console.log(`📊 Found ${discovery.breakpoints.length} breakpoints (${discovery.widthsMeasured} widths measured)`);
+    discovery.breakpoints.forEach(breakpoint => {
+        const [first] = breakpoint.changes;
+        const more = breakpoint.changes.length > 1 ? ` (+${breakpoint.changes.length - 1} more)` : '';
+        console.log(`   • ${breakpoint.width}px: ${first ? describeLayoutChange(first) : 'layout changed'}${more}`);
+    });
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+
+        const jsonPath = path.join(outputDir, '_breakpoint-discovery.json');
+        writeFileSync(jsonPath, JSON.stringify(discovery, null, 2));
+
+        const reportPath = path.join(outputDir, '_breakpoint-discovery.md');
+        writeFileSync(reportPath, createDiscoveryReport(discovery));
+
+        console.log(`📄 Full results: ${jsonPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+    }
+
+    return discovery;
+}
+
+/**
+ * Resize one page through the sweep, then bisect every interval whose fingerprint changed
+ * @returns {Promise<Object>} Breakpoints with their changes (cached by discoverBreakpoints)
+ */
+async function sweepViewports(url, sweep, sharedSession = null) {
+    const { minWidth, maxWidth, step, height, maxElements } = sweep;
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+
+    try {
+        console.log(`📥 Loading page...`);
+        // Own page: the sweep resizes it dozens of times
+        lease = await session.acquirePage(url, { viewport: { width: minWidth, height }, fresh: true });
+        const { page } = lease;
+
+        const snapshots = new Map();
+        const measure = async (width) => {
+            if (!snapshots.has(width)) {
+                await page.setViewport({ width, height });
+                await settlePage(page, { quietPeriod: 100 });
+                const snapshot = await page.evaluate(captureLayoutSnapshot, maxElements);
+                snapshots.set(width, { snapshot, fingerprint: fingerprintLayout(snapshot) });
+            }
+            return snapshots.get(width);
+        };
+
+        const widths = [];
+        for (let width = minWidth; width < maxWidth; width += step) {
+            widths.push(width);
+        }
+        widths.push(maxWidth);
+
+        const breakpoints = [];
+        let previous = widths[0];
+        await measure(previous);
+
+        for (const width of widths.slice(1)) {
+            const target = await measure(width);
+            let low = previous;
+
+            // Several changes can fall between two steps: find them one at a time, left to right
+            while ((await measure(low)).fingerprint !== target.fingerprint) {
+                let high = width;
+                while (high - low > 1) {
+                    const middle = Math.floor((low + high) / 2);
+                    if ((await measure(middle)).fingerprint === (await measure(low)).fingerprint) {
+                        low = middle;
+                    } else {
+                        high = middle;
+                    }
+                }
+
+                const changes = diffLayoutSnapshots((await measure(low)).snapshot, (await measure(high)).snapshot);
+                console.log(`   📍 ${high}px: ${changes.length} element(s) changed`);
+                breakpoints.push({
+                    width: high,
+                    // Equivalent media queries for the two sides of the change
+                    query: `(min-width: ${high}px)`,
+                    belowQuery: `(max-width: ${low}px)`,
+                    changes,
+                    summary: summarizeChanges(changes)
+                });
+                low = high;
+            }
+
+            previous = width;
+        }
+
+        return {
+            url,
+            extractedAt: new Date().toISOString(),
+            sweep,
+            widthsMeasured: snapshots.size,
+            breakpoints
+        };
+
+    } catch (error) {
+        console.error('❌ Error during breakpoint discovery:', error);
+        throw error;
+    } finally {
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
+    }
+}
+
+function summarizeChanges(changes) {
+    const summary = { appeared: 0, disappeared: 0, added: 0, removed: 0, changed: 0, properties: {} };
+    changes.forEach(change => {
+        summary[change.change]++;
+        Object.keys(change.properties).forEach(name => {
+            summary.properties[name] = (summary.properties[name] || 0) + 1;
+        });
+    });
+    return summary;
+}
+
+function createDiscoveryReport(discovery) {
+    let report = `# Breakpoint Discovery Report\n\n`;
+    report += `**URL**: ${discovery.url}\n`;
+    report += `**Analyzed**: ${discovery.extractedAt}\n`;
+    report += `**Sweep**: ${discovery.sweep.minWidth}-${discovery.sweep.maxWidth}px, ${discovery.sweep.step}px steps (${discovery.widthsMeasured} widths measured)\n\n`;
+
+    if (discovery.breakpoints.length === 0) {
+        report += `No layout changes found in this range.\n`;
+        return report;
+    }
+
+    report += `## Breakpoints\n\n`;
+    report += `| Width | Media query | Shown | Hidden | Changed |\n|-------|-------------|-------|--------|---------|\n`;
+    discovery.breakpoints.forEach(breakpoint => {
+        const { summary } = breakpoint;
+        report += `| ${breakpoint.width}px | \`${breakpoint.query}\` | ${summary.appeared + summary.added} | ${summary.disappeared + summary.removed} | ${summary.changed} |\n`;
+    });
+    report += `\n`;
+
+    discovery.breakpoints.forEach(breakpoint => {
+        report += `### ${breakpoint.width}px\n\n`;
+        breakpoint.changes.slice(0, 15).forEach(change => {
+            report += `- ${describeLayoutChange(change)}\n`;
+        });
+        if (breakpoint.changes.length > 15) {
+            report += `- ...and ${breakpoint.changes.length - 15} more (see JSON)\n`;
+        }
+        report += `\n`;
+    });
+
+    return report;
+}
+
+export { discoverBreakpoints };
@@ -0,0 +1,55 @@
+/**
+ * Complete Analysis
+ * Runs responsive, comprehensive, media query and computed style analysis in one browser session
+ *
+ * Usage: wat complete <url>
+ * Example: wat complete https://example.com
+ */
+
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { analyzeResponsiveBehavior } from './responsive.mjs';
+import { comprehensiveSiteAnalysis } from './comprehensive.mjs';
+import { extractMediaQueries } from '../extractors/media-queries.mjs';
+import { auditComputedStyles } from '../extractors/computed-styles.mjs';
+
+/**
+ * Run the full analysis suite, launching Chromium once and loading the page once per viewport
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {string} [options.outputDir='orig'] - Where the orig/ tools write their results
+ * @param {boolean} [options.save=true] - Write files (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data for every step
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {number} [options.concurrency=2] - Breakpoints loaded in parallel by the responsive step
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @param {Object} [options.archive] - createNetworkArchive() result, handed to the steps that download stylesheets
+ * @returns {Promise<{responsive: Object, comprehensive: Object, mediaQueries: Object, computedStyles: Object}>}
+ */
+async function runCompleteAnalysis(url, options = {}) {
+    const { outputDir = 'orig', save = true, force = false, concurrency = 2 } = options;
+    const { cache, cacheTtl, cacheDir, cacheMaxBytes, archive } = options;
+
+    const session = options.session ?? createBrowserSession();
+    const shared = { session, archive, outputDir, save, force, cache, cacheTtl, cacheDir, cacheMaxBytes };
+
+    try {
+        console.log(`🚀 Complete analysis of ${url}\n`);
+
+        // Sequential on purpose: the later steps reuse the page the earlier ones loaded
+        const responsive = await analyzeResponsiveBehavior(url, { ...shared, concurrency });
+        const comprehensive = await comprehensiveSiteAnalysis(url, shared);
+        const mediaQueries = await extractMediaQueries(url, { ...shared, outputDir: null });
+        const computedStyles = await auditComputedStyles(url, shared);
+
+        console.log(`\n✅ Complete analysis finished`);
+
+        return { responsive, comprehensive, mediaQueries, computedStyles };
+
+    } finally {
+        if (!options.session) {
+            await session.close();
+        }
+    }
+}
+
+export { runCompleteAnalysis };
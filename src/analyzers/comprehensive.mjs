@@ -1,43 +1,107 @@
-#!/usr/bin/env node
 /**
  * Comprehensive Site Analyzer
  * Advanced element detection, positioning, and styling analysis
  * 
- * Usage: node tools/comprehensive-site-analyzer.js <url>
- * Example: node tools/comprehensive-site-analyzer.js https://example.com
+ * Usage: wat comprehensive <url>
+ * Example: wat comprehensive https://example.com
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { inspectFrameworks, getFrameworkAdvice, describeFramework } from './frameworks.mjs';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import path from 'path';
 
-// Ensure orig directory exists
-if (!existsSync('orig')) {
-    mkdirSync('orig');
-}
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 2;
 
-async function comprehensiveSiteAnalysis(url) {
+/**
+ * Detect sections, typography, layout and form elements on a page
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (default 1440x900)
+ * @param {string} [options.outputDir='orig'] - Where the analysis, report and screenshot are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} Comprehensive analysis data with summary
+ */
+async function comprehensiveSiteAnalysis(url, options = {}) {
+    const {
+        viewport = { width: 1440, height: 900 },
+        outputDir = 'orig',
+        save = true
+    } = options;
+    
     console.log(`🔍 Comprehensive analysis of ${url}`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const screenshotPath = save ? path.join(outputDir, '_comprehensive-analysis-screenshot.png') : null;
     
-    try {
-        const page = await browser.newPage();
+    const analysisData = await readThroughCache(
+        { tool: 'comprehensive', url, viewport, options: { screenshotPath }, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectSiteAnalysis(url, viewport, screenshotPath, options.session),
+        (data) => !data.screenshot || existsSync(data.screenshot)
+    );
+    
+    // Generate summary
+    analysisData.summary = {
+        totalSections: analysisData.sections.length,
+        backgroundSections: analysisData.backgrounds.length,
+        typographyVariations: analysisData.typography.hierarchy.length,
+        uniqueFonts: analysisData.typography.uniqueFonts.length,
+        uniqueFontSizes: analysisData.typography.uniqueFontSizes.length,
+        gridElements: analysisData.layout.gridElements.length,
+        flexElements: analysisData.layout.flexElements.length,
+        positionedElements: analysisData.layout.positionedElements.length,
+        formElements: analysisData.forms.length,
+        framework: analysisData.frameworks.primary
+    };
+    
+    console.log(`✅ Comprehensive analysis complete!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Sections detected: ${analysisData.summary.totalSections}`);
+    console.log(`   • Background sections: ${analysisData.summary.backgroundSections}`);
+    console.log(`   • Typography variations: ${analysisData.summary.typographyVariations}`);
+    console.log(`   • Grid elements: ${analysisData.summary.gridElements}`);
+    console.log(`   • Flex elements: ${analysisData.summary.flexElements}`);
+    console.log(`   • Form elements: ${analysisData.summary.formElements}`);
+    console.log(`   • Framework: ${analysisData.frameworks.frameworks.map(describeFramework).join(', ') || 'none detected'}`);
+    
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
         
-        // Set viewport for analysis
-        await page.setViewport({ width: 1440, height: 900 });
+        // Save complete analysis
+        const analysisPath = path.join(outputDir, '_comprehensive-analysis.json');
+        writeFileSync(analysisPath, JSON.stringify(analysisData, null, 2));
         
-        console.log(`📥 Loading page...`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
+        // Create readable report
+        const reportPath = path.join(outputDir, '_comprehensive-report.md');
+        writeFileSync(reportPath, generateComprehensiveReport(analysisData));
         
-        // Wait for dynamic content (using modern Puppeteer API)
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        console.log(`📄 Full analysis: ${analysisPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+        console.log(`📸 Screenshot: ${analysisData.screenshot}`);
+    }
+    
+    return analysisData;
+}
+
+/**
+ * Load the page, detect sections/typography/layout/forms and optionally take the screenshot
+ * @returns {Promise<Object>} Raw analysis data (cached by comprehensiveSiteAnalysis)
+ */
+async function collectSiteAnalysis(url, viewport, screenshotPath = null, sharedSession = null) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    
+    try {
+        console.log(`📥 Loading page...`);
+        lease = await session.acquirePage(url, { viewport });
+        const { page } = lease;
         
         console.log(`🔍 Performing comprehensive analysis...`);
         
@@ -317,44 +381,16 @@ async function comprehensiveSiteAnalysis(url) {
             return results;
         });
         
-        // Take screenshot for visual documentation
-        console.log(`📸 Taking full-page screenshot...`);
-        await page.screenshot({ 
-            path: 'orig/_comprehensive-analysis-screenshot.png',
-            fullPage: true 
-        });
-        
-        // Generate summary
-        analysisData.summary = {
-            totalSections: analysisData.sections.length,
-            backgroundSections: analysisData.backgrounds.length,
-            typographyVariations: analysisData.typography.hierarchy.length,
-            uniqueFonts: analysisData.typography.uniqueFonts.length,
-            uniqueFontSizes: analysisData.typography.uniqueFontSizes.length,
-            gridElements: analysisData.layout.gridElements.length,
-            flexElements: analysisData.layout.flexElements.length,
-            positionedElements: analysisData.layout.positionedElements.length,
-            formElements: analysisData.forms.length
-        };
-        
-        // Save complete analysis
-        writeFileSync('orig/_comprehensive-analysis.json', JSON.stringify(analysisData, null, 2));
-        
-        // Create readable report
-        const report = generateComprehensiveReport(analysisData);
-        writeFileSync('orig/_comprehensive-report.md', report);
-        
-        console.log(`✅ Comprehensive analysis complete!`);
-        console.log(`📊 Summary:`);
-        console.log(`   • Sections detected: ${analysisData.summary.totalSections}`);
-        console.log(`   • Background sections: ${analysisData.summary.backgroundSections}`);
-        console.log(`   • Typography variations: ${analysisData.summary.typographyVariations}`);
-        console.log(`   • Grid elements: ${analysisData.summary.gridElements}`);
-        console.log(`   • Flex elements: ${analysisData.summary.flexElements}`);
-        console.log(`   • Form elements: ${analysisData.summary.formElements}`);
-        console.log(`📄 Full analysis: orig/_comprehensive-analysis.json`);
-        console.log(`📋 Report: orig/_comprehensive-report.md`);
-        console.log(`📸 Screenshot: orig/_comprehensive-analysis-screenshot.png`);
+        analysisData.frameworks = await inspectFrameworks(page);
+
+        if (screenshotPath) {
+            mkdirSync(path.dirname(screenshotPath), { recursive: true });
+            
+            // Take screenshot for visual documentation
+            console.log(`📸 Taking full-page screenshot...`);
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+            analysisData.screenshot = screenshotPath;
+        }
         
         return analysisData;
         
@@ -362,7 +398,10 @@ async function comprehensiveSiteAnalysis(url) {
         console.error('❌ Error during comprehensive analysis:', error);
         throw error;
     } finally {
-        await browser.close();
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
@@ -378,6 +417,21 @@ function generateComprehensiveReport(data) {
     report += `- **Grid Elements**: ${data.summary.gridElements}\n`;
     report += `- **Flex Elements**: ${data.summary.flexElements}\n`;
     report += `- **Form Elements**: ${data.summary.formElements}\n\n`;
+
+    report += `## CSS Frameworks\n\n`;
+    if (data.frameworks.frameworks.length === 0) {
+        report += `No known CSS framework detected.\n\n`;
+    }
+    data.frameworks.frameworks.forEach(framework => {
+        report += `### ${describeFramework(framework)}\n`;
+        if (framework.version) {
+            report += `- **Version from**: ${framework.versionSource}\n`;
+        }
+        framework.evidence.forEach(item => {
+            report += `- ${item}\n`;
+        });
+        report += `\n`;
+    });
     
     report += `## Section Analysis\n\n`;
     data.sections.forEach((section, index) => {
@@ -434,9 +488,10 @@ function generateComprehensiveReport(data) {
     
     report += `**Recreation Rules**:\n`;
     report += `1. Keep original class hierarchy: <div class="container-fluid px-4"> NOT <div class="main-container">\n`;
-    report += `2. Preserve framework classes: navbar, nav-item, btn, etc.\n`;
-    report += `3. Maintain utility classes: px-4, ms-auto, fw-bold, etc.\n`;
-    report += `4. Use original classes for viewport adjustments: @media (max-width: 991px) { .navbar-expand-lg { ... } }\n\n`;
+    getFrameworkAdvice(data.frameworks).forEach((advice, index) => {
+        report += `${index + 2}. ${advice}\n`;
+    });
+    report += `\n`;
     
     report += `**Key Classes Found in This Site**:\n`;
     const classRegistry = new Set();
@@ -499,25 +554,4 @@ function generateComprehensiveReport(data) {
     return report;
 }
 
-// Command line usage
-const url = process.argv[2];
-
-if (!url) {
-    console.error('❌ Usage: node comprehensive-site-analyzer.js <url>');
-    console.error('   Example: node comprehensive-site-analyzer.js https://example.com');
-    console.error('   🚨 CRITICAL: This tool captures class names for recreation - preserve them!');
-    process.exit(1);
-}
-
-// Validate URL
-try {
-    new URL(url);
-} catch (error) {
-    console.error('❌ Invalid URL provided');
-    process.exit(1);
-}
-
-comprehensiveSiteAnalysis(url).catch(error => {
-    console.error('❌ Failed to perform comprehensive analysis:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+export { comprehensiveSiteAnalysis, generateComprehensiveReport };
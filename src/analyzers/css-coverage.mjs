@@ -0,0 +1,437 @@
+/**
+ * CSS Coverage
+ * Which parts of each stylesheet the page actually uses, from Chrome's CSS rule usage tracking
+ *
+ * A recreation rarely needs all of a theme or framework stylesheet: most of a Bootstrap build
+ * never matches anything on a given page. Coverage is recorded from before navigation until the
+ * page has been shown at every viewport and every interaction script has run (open the menu,
+ * switch tabs...), so a rule counts as used if it matched at any point.
+ *
+ * Sheets are matched to the files extractRawCSS saved (`inventoryDir`, default orig/): by URL,
+ * or for inline styles by their text. Ranges are character offsets and line numbers within the
+ * sheet's own text; `fileOffset` is where that text starts in the saved file (inline styles are
+ * saved joined). Sizes (totalBytes, usedBytes, unusedBytes, range bytes) are UTF-8 bytes.
+ * Optionally writes a trimmed copy of each sheet with the unused style rules removed; at-rules
+ * left empty go too, while @font-face, @keyframes, @import and the like are always kept.
+ *
+ * Rules for states nobody triggered during recording (:hover, :focus, :checked...) count as
+ * unused, but the trimmed copy keeps them: a recreation needs them even when no interaction
+ * script hovers or focuses anything. `rules.keptForStates` counts them per sheet.
+ *
+ * Output (in outputDir, default orig/coverage):
+ *   _css-coverage.json / .md - used and unused bytes, ranges and rules per sheet
+ *   <file>.used.css          - with `trim`: the sheet with only the used rules
+ *
+ * Usage: wat coverage <url> [--viewport <WxH,...>] [--script <file>] [--trim]
+ * Example: wat coverage https://example.com --viewport 375x667,1440x900 --trim
+ */
+
+import { createBrowserSession, settlePage } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { writeFileSync, readFileSync, mkdirSync, existsSync } from 'fs';
+import { pathToFileURL } from 'url';
+import path from 'path';
+import * as csstree from 'css-tree';
+
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 1;
+
+// At-rules whose contents coverage doesn't track; they are kept whole when trimming
+const UNTRACKED_AT_RULES = /^(-\w+-)?(keyframes|font-face|font-feature-values|font-palette-values|counter-style|property|page|view-transition)$/i;
+
+// Selectors that only match after the user does something, or in a state the page may be in later
+const STATE_PSEUDO_CLASSES = /:(hover|active|focus|focus-visible|focus-within|checked|indeterminate|target|target-within|visited|open|popover-open|placeholder-shown|autofill|-webkit-autofill|valid|invalid|user-valid|user-invalid)(?![\w-])/i;
+
+// Largest unused ranges listed per sheet in the Markdown report
+const REPORT_RANGES = 10;
+
+/**
+ * Record CSS coverage for a page and report used/unused bytes per stylesheet
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {Array<{width: number, height: number, name?: string}>} [options.viewports] - Show the page at each of these in turn (default: the session's viewport)
+ * @param {Array<Function|string>} [options.interactions=[]] - async (page) => {} functions, or paths of modules whose default export is one; run in order after the viewports
+ * @param {boolean} [options.trim=false] - Write a trimmed <file>.used.css per sheet
+ * @param {string} [options.inventoryDir='orig'] - Where extractRawCSS saved the stylesheets and _style-inventory.json
+ * @param {string} [options.outputDir='orig/coverage'] - Where the report and trimmed sheets are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs); runs with interactions are never cached
+ * @returns {Promise<Object>} { url, analyzedAt, viewports, interactions, sheets, summary }
+ */
+async function analyzeCssCoverage(url, options = {}) {
+    const {
+        viewports = [],
+        interactions = [],
+        trim = false,
+        inventoryDir = 'orig',
+        outputDir = path.join('orig', 'coverage'),
+        save = true
+    } = options;
+
+    console.log(`\n🧮 Recording CSS coverage for: ${url}\n`);
+
+    const scripts = await Promise.all(interactions.map(loadInteraction));
+    const viewportKey = viewports.map(({ width, height }) => ({ width, height }));
+
+    // What a script does can't be part of the cache key, so those runs always load the page
+    const collected = await readThroughCache(
+        { tool: 'css-coverage', url, options: { viewports: viewportKey }, schemaVersion: CACHE_SCHEMA_VERSION },
+        scripts.length > 0 ? { ...options, cache: false } : options,
+        () => collectCoverage(url, viewports, scripts, options.session)
+    );
+
+    const savedFiles = loadSavedStylesheets(inventoryDir);
+    const names = new Set();
+    const sheets = collected.entries.map((entry, index) => {
+        const sheet = summarizeSheet(entry, collected.url);
+        Object.assign(sheet, matchSavedFile(entry, savedFiles, collected.url));
+        // Several inline <style> blocks share one saved file
+        sheet.name = sheet.file && !names.has(sheet.file) ? sheet.file : `sheet-${index + 1}.css`;
+        names.add(sheet.name);
+        return sheet;
+    });
+
+    const totalBytes = sheets.reduce((sum, sheet) => sum + sheet.totalBytes, 0);
+    const usedBytes = sheets.reduce((sum, sheet) => sum + sheet.usedBytes, 0);
+    const result = {
+        url,
+        analyzedAt: new Date().toISOString(),
+        viewports: viewportKey,
+        interactions: interactions.map(interaction => typeof interaction === 'string' ? interaction : (interaction.name || 'function')),
+        sheets,
+        summary: {
+            totalSheets: sheets.length,
+            matchedToSavedFiles: sheets.filter(sheet => sheet.file).length,
+            totalBytes,
+            usedBytes,
+            unusedBytes: totalBytes - usedBytes,
+            usedPercent: percent(usedBytes, totalBytes),
+            totalRules: sheets.reduce((sum, sheet) => sum + sheet.rules.total, 0),
+            usedRules: sheets.reduce((sum, sheet) => sum + sheet.rules.used, 0),
+            keptForStates: sheets.reduce((sum, sheet) => sum + sheet.rules.keptForStates, 0)
+        }
+    };
+
+    console.log(`✅ Coverage recorded for ${sheets.length} stylesheet(s)`);
+    console.log(`📊 ${result.summary.usedPercent}% used: ${formatBytes(usedBytes)} of ${formatBytes(totalBytes)} (${result.summary.usedRules}/${result.summary.totalRules} rules)`);
+    if (savedFiles.length === 0) {
+        console.log(`💡 Run "wat static-css ${url}" first to map coverage onto the saved files in ${inventoryDir}/`);
+    }
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+
+        if (trim) {
+            sheets.forEach((sheet, index) => {
+                const { text, ranges } = collected.entries[index];
+                sheet.trimmedFile = `${sheet.name.replace(/\.css$/, '')}.used.css`;
+                writeFileSync(path.join(outputDir, sheet.trimmedFile), trimStylesheet(text, ranges).css);
+            });
+            console.log(`✂️  Trimmed stylesheets written to ${outputDir}/`);
+            if (result.summary.keptForStates > 0) {
+                console.log(`   Kept ${result.summary.keptForStates} unused rule(s) for :hover, :focus and other states`);
+            }
+        }
+
+        const jsonPath = path.join(outputDir, '_css-coverage.json');
+        writeFileSync(jsonPath, JSON.stringify(result, null, 2));
+        console.log(`📄 Results saved to ${jsonPath}`);
+
+        const markdownPath = path.join(outputDir, '_css-coverage.md');
+        writeFileSync(markdownPath, generateMarkdownReport(result));
+        console.log(`📋 Report saved to ${markdownPath}`);
+    }
+
+    return result;
+}
+
+/**
+ * An interaction as a function: functions pass through, module paths are imported
+ * @param {Function|string} interaction
+ * @returns {Promise<Function>}
+ */
+async function loadInteraction(interaction) {
+    if (typeof interaction === 'function') return interaction;
+
+    const module = await import(pathToFileURL(path.resolve(interaction)).href);
+    if (typeof module.default !== 'function') {
+        throw new Error(`Interaction script ${interaction} must export a default async (page) => {} function`);
+    }
+    return module.default;
+}
+
+async function collectCoverage(url, viewports, scripts, sharedSession = null) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+
+    try {
+        // Own page: coverage has to start before navigation, and scripts may change the page
+        lease = await session.acquirePage(url, {
+            viewport: viewports[0] && { width: viewports[0].width, height: viewports[0].height },
+            beforeNavigate: (page) => page.coverage.startCSSCoverage({ resetOnNavigation: false })
+        });
+        const { page } = lease;
+
+        for (const viewport of viewports.slice(1)) {
+            console.log(`📐 Viewport ${viewport.width}x${viewport.height}`);
+            await page.setViewport({ width: viewport.width, height: viewport.height });
+            await settlePage(page);
+        }
+
+        for (let i = 0; i < scripts.length; i++) {
+            console.log(`🖱️  Running interaction ${i + 1}/${scripts.length}`);
+            await scripts[i](page);
+            await settlePage(page);
+        }
+
+        const coverage = await page.coverage.stopCSSCoverage();
+        return {
+            url: page.url(),
+            entries: coverage.map(({ url: sheetUrl, text, ranges }) => ({ url: sheetUrl, text, ranges }))
+        };
+    } finally {
+        lease?.release();
+        if (!sharedSession) await session.close();
+    }
+}
+
+/**
+ * Saved stylesheets from an extractRawCSS run, with their text
+ * @param {string} inventoryDir
+ * @returns {Array<{url: string, filename: string, content: string}>}
+ */
+function loadSavedStylesheets(inventoryDir) {
+    const inventoryPath = path.join(inventoryDir, '_style-inventory.json');
+    if (!existsSync(inventoryPath)) return [];
+
+    const inventory = JSON.parse(readFileSync(inventoryPath, 'utf8'));
+    return inventory.cssFiles
+        .filter(file => existsSync(path.join(inventoryDir, file.filename)))
+        .map(file => ({ url: file.url, filename: file.filename, content: readFileSync(path.join(inventoryDir, file.filename), 'utf8') }));
+}
+
+/**
+ * The saved file a coverage entry corresponds to
+ * @returns {{file: string|null, fileOffset: number|null}} fileOffset: where the sheet's text starts in the file
+ *   (inline styles are saved joined together), null when the file's text differs
+ */
+function matchSavedFile(entry, savedFiles, pageUrl) {
+    // Inline <style> sheets are reported under the page URL
+    if (entry.url !== pageUrl) {
+        const byUrl = savedFiles.find(file => file.url === entry.url);
+        if (byUrl) {
+            return { file: byUrl.filename, fileOffset: byUrl.content === entry.text ? 0 : null };
+        }
+    }
+
+    if (!entry.text.trim()) return { file: null, fileOffset: null };
+    for (const file of savedFiles) {
+        const offset = file.content.indexOf(entry.text);
+        if (offset !== -1) return { file: file.filename, fileOffset: offset };
+    }
+    return { file: null, fileOffset: null };
+}
+
+/**
+ * Byte counts, ranges and rule counts for one coverage entry
+ * @param {{url: string, text: string, ranges: Array<{start: number, end: number}>}} entry
+ * @param {string} pageUrl
+ * @returns {Object}
+ */
+function summarizeSheet(entry, pageUrl) {
+    const { text, ranges } = entry;
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineAt = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    };
+    const bytesOf = (start, end) => Buffer.byteLength(text.slice(start, end));
+    const withLines = ({ start, end }) => ({ start, end, bytes: bytesOf(start, end), startLine: lineAt(start), endLine: lineAt(Math.max(start, end - 1)) });
+
+    const usedRanges = mergeRanges(ranges);
+    const unusedRanges = [];
+    let position = 0;
+    for (const range of usedRanges) {
+        if (range.start > position) unusedRanges.push({ start: position, end: range.start });
+        position = range.end;
+    }
+    if (position < text.length) unusedRanges.push({ start: position, end: text.length });
+
+    const totalBytes = Buffer.byteLength(text);
+    const usedBytes = usedRanges.reduce((sum, range) => sum + bytesOf(range.start, range.end), 0);
+    const { rules } = trimStylesheet(text, usedRanges);
+
+    return {
+        url: entry.url,
+        inline: entry.url === pageUrl,
+        totalBytes,
+        usedBytes,
+        unusedBytes: totalBytes - usedBytes,
+        usedPercent: percent(usedBytes, totalBytes),
+        rules,
+        usedRanges: usedRanges.map(withLines),
+        // Whitespace between used rules isn't worth reporting
+        unusedRanges: unusedRanges.filter(range => text.slice(range.start, range.end).trim()).map(withLines)
+    };
+}
+
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const { start, end } of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+        } else {
+            merged.push({ start, end });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Remove the style rules no used range touches; at-rules left empty are removed with them.
+ * Unused rules whose selector has a state pseudo-class (:hover, :focus, :checked...) are kept.
+ * The rest of the text (formatting, comments, untracked at-rules) is kept as it was.
+ * @param {string} text - Stylesheet source the ranges refer to
+ * @param {Array<{start: number, end: number}>} usedRanges - Character ranges of used rules (page.coverage format)
+ * @returns {{css: string, rules: {total: number, used: number, keptForStates: number}}}
+ */
+function trimStylesheet(text, usedRanges) {
+    const ranges = mergeRanges(usedRanges);
+    const isUsed = (loc) => ranges.some(range => range.start < loc.end.offset && range.end > loc.start.offset);
+    const removals = [];
+    const rules = { total: 0, used: 0, keptForStates: 0 };
+
+    const ast = csstree.parse(text, {
+        positions: true,
+        parseRulePrelude: false,
+        parseValue: false,
+        parseAtrulePrelude: false,
+        onParseError: () => {}
+    });
+
+    // Returns how many nodes of the block are kept
+    const prune = (children) => {
+        let kept = 0;
+        children.forEach(node => {
+            if (!node.loc) return;
+            if (node.type === 'Rule') {
+                rules.total++;
+                if (isUsed(node.loc)) {
+                    rules.used++;
+                    kept++;
+                } else if (STATE_PSEUDO_CLASSES.test(node.prelude.value ?? '')) {
+                    rules.keptForStates++;
+                    kept++;
+                } else {
+                    removals.push(node.loc);
+                }
+            } else if (node.type === 'Atrule' && node.block && !UNTRACKED_AT_RULES.test(node.name)) {
+                const removalsBefore = removals.length;
+                if (prune(node.block.children) > 0) {
+                    kept++;
+                } else {
+                    // Replace whatever was collected inside with the whole at-rule
+                    removals.length = removalsBefore;
+                    removals.push(node.loc);
+                }
+            } else if (node.type !== 'Raw' || node.value.trim()) {
+                kept++;
+            }
+        });
+        return kept;
+    };
+    prune(ast.children);
+
+    let css = '';
+    let position = 0;
+    for (const loc of removals) {
+        // A rule alone on its lines goes with its indentation and line break, so no blank lines pile up
+        const lineStart = text.lastIndexOf('\n', loc.start.offset - 1) + 1;
+        const rest = /^[ \t]*(\r?\n|$)/.exec(text.slice(loc.end.offset));
+        const alone = rest && !text.slice(lineStart, loc.start.offset).trim();
+        css += text.slice(position, alone ? Math.max(lineStart, position) : loc.start.offset);
+        position = loc.end.offset + (alone ? rest[0].length : 0);
+    }
+    css += text.slice(position);
+
+    return { css, rules };
+}
+
+function percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function generateMarkdownReport(result) {
+    const { summary } = result;
+    let markdown = `# CSS Coverage\n\n`;
+    markdown += `**URL**: ${result.url}\n`;
+    markdown += `**Analyzed**: ${result.analyzedAt}\n`;
+    if (result.viewports.length > 0) {
+        markdown += `**Viewports**: ${result.viewports.map(({ width, height }) => `${width}x${height}`).join(', ')}\n`;
+    }
+    if (result.interactions.length > 0) {
+        markdown += `**Interactions**: ${result.interactions.join(', ')}\n`;
+    }
+    markdown += `\n`;
+
+    markdown += `## Summary\n\n`;
+    markdown += `- **Used**: ${summary.usedPercent}% (${formatBytes(summary.usedBytes)} of ${formatBytes(summary.totalBytes)})\n`;
+    markdown += `- **Unused**: ${formatBytes(summary.unusedBytes)}\n`;
+    markdown += `- **Rules used**: ${summary.usedRules} of ${summary.totalRules}\n`;
+    if (summary.keptForStates > 0) {
+        markdown += `- **Kept when trimming**: ${summary.keptForStates} unused rules for :hover, :focus and other states nobody triggered\n`;
+    }
+    markdown += `- **Sheets**: ${summary.totalSheets} (${summary.matchedToSavedFiles} matched to saved files)\n\n`;
+
+    markdown += `## Sheets\n\n`;
+    const trimmed = result.sheets.some(sheet => sheet.trimmedFile);
+    markdown += `| File | Source | Size | Used | Unused | Rules used |${trimmed ? ' Trimmed |' : ''}\n`;
+    markdown += `|------|--------|------|------|--------|------------|${trimmed ? '---------|' : ''}\n`;
+    [...result.sheets].sort((a, b) => b.unusedBytes - a.unusedBytes).forEach(sheet => {
+        markdown += `| ${sheet.file ?? '-'} | ${sheet.inline ? 'inline' : sheet.url} | ${formatBytes(sheet.totalBytes)} | ${sheet.usedPercent}% | ${formatBytes(sheet.unusedBytes)} | ${sheet.rules.used}/${sheet.rules.total} |`;
+        markdown += trimmed ? ` ${sheet.trimmedFile ?? '-'} |\n` : `\n`;
+    });
+    markdown += `\n`;
+
+    const withRanges = result.sheets.filter(sheet => sheet.unusedRanges.length > 0);
+    if (withRanges.length > 0) {
+        markdown += `## Largest Unused Ranges\n\n`;
+        markdown += `Line numbers are within each sheet's own text${result.sheets.some(sheet => sheet.fileOffset > 0) ? ' (for inline styles, the <style> block rather than the joined file)' : ''}.\n\n`;
+        withRanges.forEach(sheet => {
+            markdown += `### ${sheet.name}\n\n`;
+            [...sheet.unusedRanges]
+                .sort((a, b) => b.bytes - a.bytes)
+                .slice(0, REPORT_RANGES)
+                .forEach(range => {
+                    const lines = range.startLine === range.endLine ? `line ${range.startLine}` : `lines ${range.startLine}-${range.endLine}`;
+                    markdown += `- ${lines}: ${formatBytes(range.bytes)}\n`;
+                });
+            markdown += `\n`;
+        });
+    }
+
+    return markdown;
+}
+
+export { analyzeCssCoverage, trimStylesheet };
@@ -0,0 +1,357 @@
+/**
+ * Element Comparison
+ * Property-level differences between the elements a selector matches on two sites
+ *
+ * Runs analyzeSpecificElements() on both URLs and pairs the elements up: by their unique selector
+ * (id, or tag + classes) first, then by text, then by ARIA role, each time in document order
+ * (`matchBy` picks a single strategy instead). For every pair the computed styles and the box are
+ * compared: lengths within `tolerance` px and colors within `colorTolerance` (CIE76 ΔE) count as
+ * equal, everything else is compared as text. Differences read like "font-size 18px vs 16px".
+ *
+ * The recreated site is never read from the cache: it is expected to change between runs.
+ *
+ * Usage: wat compare-elements <original> <recreated> --selector <sel> [--match auto|selector|text|role] [--tolerance <px>]
+ * Example: wat compare-elements https://example.com http://localhost:3000 --selector ".navbar a" --tolerance 1
+ */
+
+import { analyzeSpecificElements } from './elements.mjs';
+import { parseColor, toLab, deltaE } from '../utils/css-values.mjs';
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
+
+const MATCH_STRATEGIES = ['selector', 'text', 'role'];
+
+// Shorthands whose longhands are compared already; skipped unless asked for by name
+const SKIPPED_PROPERTIES = new Set(['margin', 'padding', 'border', 'borderTop', 'borderRight', 'borderBottom', 'borderLeft']);
+
+const COLOR_TOKEN = /^(#[0-9a-f]{3,8}|(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(.*\))$/i;
+const NUMBER_TOKEN = /^(-?\d*\.?\d+(?:e-?\d+)?)([a-z%]*)$/i;
+
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, 200);
+}
+
+const MATCH_KEYS = {
+    selector: (element) => element.uniqueSelector,
+    text: (element) => normalizeText(element.textContent) || null,
+    role: (element) => element.role || null
+};
+
+function toKebabCase(property) {
+    return property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Numbers, color functions and keywords of a computed value; separators are dropped
+function tokenize(value) {
+    return String(value).match(/[a-z-]+\((?:[^()]|\([^()]*\))*\)|#[0-9a-f]+|[^\s,/()]+/gi) || [];
+}
+
+/**
+ * Compare two computed values
+ * @returns {{equal: boolean, delta?: number}} delta (recreated - original) for single px values
+ */
+function compareValues(original, recreated, { tolerance, colorTolerance }) {
+    if (original === recreated) return { equal: true };
+    const a = tokenize(original);
+    const b = tokenize(recreated);
+    if (a.length !== b.length) return { equal: false };
+
+    let delta;
+    const equal = a.every((token, index) => {
+        const other = b[index];
+        if (token === other) return true;
+
+        const numberA = NUMBER_TOKEN.exec(token);
+        const numberB = NUMBER_TOKEN.exec(other);
+        if (numberA && numberB) {
+            if (numberA[2] !== numberB[2]) return false;
+            const difference = parseFloat(numberB[1]) - parseFloat(numberA[1]);
+            if (numberA[2] === 'px' && a.length === 1) delta = Math.round(difference * 100) / 100;
+            // Only pixel values get the tolerance; unitless values (opacity, font-weight, z-index) must match
+            return Math.abs(difference) <= (numberA[2] === 'px' ? tolerance : 0.001);
+        }
+
+        if (COLOR_TOKEN.test(token) && COLOR_TOKEN.test(other)) {
+            const colorA = parseColor(token);
+            const colorB = parseColor(other);
+            if (!colorA || !colorB) return false;
+            return Math.abs(colorA.alpha - colorB.alpha) <= 0.01 && deltaE(toLab(colorA), toLab(colorB)) <= colorTolerance;
+        }
+
+        return token.toLowerCase() === other.toLowerCase();
+    });
+
+    return { equal, ...(delta !== undefined && !equal && { delta }) };
+}
+
+/**
+ * Pair elements of the two pages, strategy by strategy, in document order
+ * @returns {{pairs: Object[], onlyInOriginal: Object[], onlyInRecreated: Object[]}}
+ */
+function pairElements(originalElements, recreatedElements, strategies) {
+    const pairs = [];
+    const unmatchedOriginal = new Set(originalElements);
+    const unmatchedRecreated = new Set(recreatedElements);
+
+    strategies.forEach(strategy => {
+        const keyOf = MATCH_KEYS[strategy];
+        const candidates = new Map();
+        unmatchedRecreated.forEach(element => {
+            const key = keyOf(element);
+            if (key === null) return;
+            if (!candidates.has(key)) candidates.set(key, []);
+            candidates.get(key).push(element);
+        });
+
+        [...unmatchedOriginal].forEach(element => {
+            const key = keyOf(element);
+            const match = key === null ? undefined : candidates.get(key)?.shift();
+            if (!match) return;
+            pairs.push({ original: element, recreated: match, matchedBy: strategy });
+            unmatchedOriginal.delete(element);
+            unmatchedRecreated.delete(match);
+        });
+    });
+
+    pairs.sort((a, b) => a.original.index - b.original.index);
+    return { pairs, onlyInOriginal: [...unmatchedOriginal], onlyInRecreated: [...unmatchedRecreated] };
+}
+
+function describeElement(element) {
+    const text = element.textContent.replace(/\s+/g, ' ').trim();
+    return {
+        index: element.index,
+        uniqueSelector: element.uniqueSelector,
+        role: element.role ?? null,
+        text: text.length > 60 ? `${text.slice(0, 57)}...` : text
+    };
+}
+
+/**
+ * Compare two analyzeSpecificElements() results (no browser needed)
+ * @param {Object} originalData - analyzeSpecificElements() result for the original site
+ * @param {Object} recreatedData - analyzeSpecificElements() result for the recreated site
+ * @param {Object} [options]
+ * @param {string} [options.matchBy='auto'] - 'auto' (selector, then text, then role), 'selector', 'text' or 'role'
+ * @param {number} [options.tolerance=0.5] - Pixel values this close count as equal
+ * @param {number} [options.colorTolerance=1] - Colors closer than this CIE76 ΔE count as equal
+ * @param {string[]} [options.properties] - Only compare these computed styles (camelCase, as in computedStyles);
+ *   shorthands such as margin are only compared when listed here
+ * @param {boolean} [options.compareBox=true] - Also compare position and size of the element's box
+ * @returns {Object} { pairs: [{ original, recreated, matchedBy, differences }], onlyInOriginal, onlyInRecreated, summary }
+ */
+function diffElementAnalyses(originalData, recreatedData, options = {}) {
+    const {
+        matchBy = 'auto',
+        tolerance = 0.5,
+        colorTolerance = 1,
+        properties = null,
+        compareBox = true
+    } = options;
+
+    if (matchBy !== 'auto' && !MATCH_STRATEGIES.includes(matchBy)) {
+        throw new Error(`Unknown match strategy "${matchBy}" (expected auto, ${MATCH_STRATEGIES.join(', ')})`);
+    }
+    const strategies = matchBy === 'auto' ? MATCH_STRATEGIES : [matchBy];
+    const { pairs, onlyInOriginal, onlyInRecreated } = pairElements(originalData.matchingElements, recreatedData.matchingElements, strategies);
+
+    const byProperty = {};
+    const comparedPairs = pairs.map(({ original, recreated, matchedBy }) => {
+        const differences = [];
+        const record = (property, originalValue, recreatedValue, comparison) => {
+            differences.push({
+                property,
+                original: originalValue,
+                recreated: recreatedValue,
+                ...(comparison.delta !== undefined && { delta: comparison.delta }),
+                description: `${property} ${originalValue} vs ${recreatedValue}`
+            });
+            byProperty[property] = (byProperty[property] || 0) + 1;
+        };
+
+        Object.keys(original.computedStyles)
+            .filter(name => properties ? properties.includes(name) : !SKIPPED_PROPERTIES.has(name))
+            .forEach(name => {
+                const originalValue = original.computedStyles[name] ?? '';
+                const recreatedValue = recreated.computedStyles?.[name] ?? '';
+                const comparison = compareValues(originalValue, recreatedValue, { tolerance, colorTolerance });
+                if (!comparison.equal) record(toKebabCase(name), originalValue, recreatedValue, comparison);
+            });
+
+        if (compareBox) {
+            ['x', 'y', 'width', 'height'].forEach(name => {
+                const originalValue = `${original.boundingBox[name]}px`;
+                const recreatedValue = `${recreated.boundingBox[name]}px`;
+                const comparison = compareValues(originalValue, recreatedValue, { tolerance, colorTolerance });
+                if (!comparison.equal) record(`box ${name}`, originalValue, recreatedValue, comparison);
+            });
+        }
+
+        return { original: describeElement(original), recreated: describeElement(recreated), matchedBy, differences };
+    });
+
+    const withDifferences = comparedPairs.filter(pair => pair.differences.length > 0);
+    return {
+        pairs: comparedPairs,
+        onlyInOriginal: onlyInOriginal.map(describeElement),
+        onlyInRecreated: onlyInRecreated.map(describeElement),
+        summary: {
+            originalElements: originalData.matchingElements.length,
+            recreatedElements: recreatedData.matchingElements.length,
+            matched: comparedPairs.length,
+            identical: comparedPairs.length - withDifferences.length,
+            withDifferences: withDifferences.length,
+            onlyInOriginal: onlyInOriginal.length,
+            onlyInRecreated: onlyInRecreated.length,
+            differences: withDifferences.reduce((sum, pair) => sum + pair.differences.length, 0),
+            byProperty: Object.fromEntries(Object.entries(byProperty).sort(([, a], [, b]) => b - a))
+        }
+    };
+}
+
+/**
+ * Analyze the elements a selector matches on two sites and list their style differences
+ * @param {string} originalUrl - The site being recreated
+ * @param {string} recreatedUrl - The recreation, e.g. http://localhost:3000
+ * @param {Object} [options]
+ * @param {string} [options.selector='*'] - Elements to compare
+ * @param {string} [options.recreatedSelector] - Selector on the recreated site, when it differs (default: selector)
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size for both sites (default 1920x1080)
+ * @param {string} [options.matchBy='auto'] - How elements are paired: auto, selector, text or role
+ * @param {number} [options.tolerance=0.5] - Pixel values this close count as equal
+ * @param {number} [options.colorTolerance=1] - Colors closer than this CIE76 ΔE count as equal
+ * @param {string[]} [options.properties] - Only compare these computed styles (camelCase)
+ * @param {boolean} [options.compareBox=true] - Also compare position and size of the element's box
+ * @param {string} [options.outputDir='orig/compare'] - Where the comparison and report are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data for the original site
+ * @param {boolean} [options.cache=true] - Use the analysis cache for the original site (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} { original, recreated, selector, pairs, onlyInOriginal, onlyInRecreated, summary }
+ */
+async function compareElements(originalUrl, recreatedUrl, options = {}) {
+    const {
+        selector = '*',
+        recreatedSelector = null,
+        outputDir = path.join('orig', 'compare'),
+        save = true
+    } = options;
+
+    console.log(`🔍 Comparing "${selector}" on ${originalUrl} and ${recreatedUrl}`);
+
+    // Only the element data is needed; the analyses are not written next to the comparison
+    const originalData = await analyzeSpecificElements(originalUrl, { ...options, selector, save: false });
+    const recreatedData = await analyzeSpecificElements(recreatedUrl, { ...options, selector: recreatedSelector ?? selector, save: false, cache: false });
+
+    const error = originalData.error ?? recreatedData.error;
+    if (error) {
+        throw new Error(`Could not analyze "${selector}": ${error}`);
+    }
+
+    const result = {
+        original: originalUrl,
+        recreated: recreatedUrl,
+        selector,
+        recreatedSelector: recreatedSelector ?? selector,
+        viewport: originalData.viewport,
+        comparedAt: new Date().toISOString(),
+        matchBy: options.matchBy ?? 'auto',
+        tolerance: options.tolerance ?? 0.5,
+        colorTolerance: options.colorTolerance ?? 1,
+        ...diffElementAnalyses(originalData, recreatedData, options)
+    };
+
+    const { summary } = result;
+    console.log(`✅ Element comparison complete!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Elements: ${summary.originalElements} original, ${summary.recreatedElements} recreated, ${summary.matched} matched`);
+    console.log(`   • Identical: ${summary.identical}, with differences: ${summary.withDifferences} (${summary.differences} properties)`);
+    if (summary.onlyInOriginal > 0 || summary.onlyInRecreated > 0) {
+        console.log(`   • Unmatched: ${summary.onlyInOriginal} only in original, ${summary.onlyInRecreated} only in recreated`);
+    }
+    Object.entries(summary.byProperty).slice(0, 5).forEach(([property, count]) => {
+        console.log(`   • ${property}: differs on ${count} element(s)`);
+    });
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+
+        const sanitizedSelector = selector.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_');
+        const jsonPath = path.join(outputDir, `_element-compare-${sanitizedSelector}.json`);
+        writeFileSync(jsonPath, JSON.stringify(result, null, 2));
+
+        const reportPath = path.join(outputDir, `_element-compare-${sanitizedSelector}.md`);
+        writeFileSync(reportPath, createElementCompareReport(result));
+
+        console.log(`📄 Full comparison: ${jsonPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+    }
+
+    return result;
+}
+
+function formatElement(element) {
+    return `\`${element.uniqueSelector}\`${element.text ? ` "${element.text}"` : ''}`;
+}
+
+function createElementCompareReport(result) {
+    const { summary } = result;
+    let report = `# Element Comparison Report\n\n`;
+    report += `**Original**: ${result.original}\n`;
+    report += `**Recreated**: ${result.recreated}\n`;
+    report += `**Selector**: \`${result.selector}\`${result.recreatedSelector !== result.selector ? ` (recreated: \`${result.recreatedSelector}\`)` : ''}\n`;
+    report += `**Viewport**: ${result.viewport.width}x${result.viewport.height}\n`;
+    report += `**Compared**: ${result.comparedAt}\n`;
+    report += `**Tolerance**: ${result.tolerance}px, colors ΔE ${result.colorTolerance}\n\n`;
+
+    report += `## Summary\n\n`;
+    report += `- **Elements**: ${summary.originalElements} original, ${summary.recreatedElements} recreated\n`;
+    report += `- **Matched**: ${summary.matched} (${summary.identical} identical, ${summary.withDifferences} with differences)\n`;
+    report += `- **Only in original**: ${summary.onlyInOriginal}\n`;
+    report += `- **Only in recreated**: ${summary.onlyInRecreated}\n\n`;
+
+    const byProperty = Object.entries(summary.byProperty);
+    if (byProperty.length > 0) {
+        report += `## Most Common Differences\n\n`;
+        report += `| Property | Elements |\n`;
+        report += `|----------|----------|\n`;
+        byProperty.slice(0, 20).forEach(([property, count]) => {
+            report += `| ${property} | ${count} |\n`;
+        });
+        report += `\n`;
+    }
+
+    const different = result.pairs.filter(pair => pair.differences.length > 0);
+    if (different.length > 0) {
+        report += `## Differences\n\n`;
+        different.slice(0, 50).forEach(pair => {
+            report += `### ${formatElement(pair.original)}\n\n`;
+            report += `Matched by ${pair.matchedBy}${pair.recreated.uniqueSelector !== pair.original.uniqueSelector ? ` to ${formatElement(pair.recreated)}` : ''}\n\n`;
+            pair.differences.forEach(difference => {
+                report += `- ${difference.property} \`${difference.original}\` vs \`${difference.recreated}\`${difference.delta !== undefined ? ` (${difference.delta > 0 ? '+' : ''}${difference.delta}px)` : ''}\n`;
+            });
+            report += `\n`;
+        });
+        if (different.length > 50) {
+            report += `...and ${different.length - 50} more (see JSON)\n\n`;
+        }
+    }
+
+    [['Only in Original', result.onlyInOriginal], ['Only in Recreated', result.onlyInRecreated]].forEach(([title, elements]) => {
+        if (elements.length === 0) return;
+        report += `## ${title}\n\n`;
+        elements.slice(0, 30).forEach(element => {
+            report += `- ${formatElement(element)}${element.role ? ` (${element.role})` : ''}\n`;
+        });
+        if (elements.length > 30) {
+            report += `- ...and ${elements.length - 30} more\n`;
+        }
+        report += `\n`;
+    });
+
+    return report;
+}
+
+export { compareElements, diffElementAnalyses };
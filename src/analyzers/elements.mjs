@@ -1,43 +1,125 @@
-#!/usr/bin/env node
 /**
  * Element-Specific Analyzer
  * Deep analysis of specific components and elements
  * 
- * Usage: node tools/analyze-specific-elements.mjs <url> [selector]
- * Example: node tools/analyze-specific-elements.mjs https://example.com ".navbar"
+ * Usage: wat elements <url> [--selector <sel>]
+ * Example: wat elements https://example.com --selector ".navbar"
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession, settlePage } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { createCascadeInspector } from '../utils/cascade.mjs';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
 
-// Ensure orig directory exists
-if (!existsSync('orig')) {
-    mkdirSync('orig');
-}
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 2;
 
-async function analyzeSpecificElements(url, selector = '*') {
+/**
+ * Deep computed-style analysis of the elements matching a selector
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {string} [options.selector='*'] - Elements to analyze
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (default 1920x1080)
+ * @param {string} [options.outputDir='orig'] - Where the analysis is written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.cascade=false] - Add each element's matched rules in cascade order (matchingElements[].cascade)
+ * @param {string[]} [options.cascadeProperties] - Only trace these properties and their longhands (default: all)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} Matching elements, style inventory and summary
+ */
+async function analyzeSpecificElements(url, options = {}) {
+    // Selector used to be the second positional argument
+    if (typeof options === 'string') {
+        options = { selector: options };
+    }
+    
+    const {
+        selector = '*',
+        viewport = { width: 1920, height: 1080 },
+        outputDir = 'orig',
+        save = true,
+        cascade = false,
+        cascadeProperties = null
+    } = options;
+    
     console.log(`🔍 Analyzing specific elements on ${url}`);
     console.log(`🎯 Selector: ${selector}`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const cascadeOptions = cascade ? { cascadeProperties } : null;
+    const analysisData = await readThroughCache(
+        { tool: 'elements', url, viewport, options: { selector, ...(cascadeOptions && { cascade: cascadeOptions }) }, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectElementAnalysis(url, selector, viewport, cascadeOptions, options.session)
+    );
     
-    try {
-        const page = await browser.newPage();
+    // Add summary
+    analysisData.summary = {
+        totalMatchingElements: analysisData.matchingElements.length,
+        uniqueColors: analysisData.styleInventory.colors.length,
+        uniqueBackgroundColors: analysisData.styleInventory.backgroundColors.length,
+        uniqueFonts: analysisData.styleInventory.fonts.length,
+        uniqueFontSizes: analysisData.styleInventory.fontSizes.length,
+        uniqueDimensions: analysisData.styleInventory.dimensions.length,
+        uniqueSpacings: analysisData.styleInventory.spacings.length,
         
-        // Set viewport for consistent results
-        await page.setViewport({ width: 1920, height: 1080 });
+        // Element type distribution
+        elementTypes: getElementTypeDistribution(analysisData.matchingElements),
         
-        console.log(`📥 Loading page...`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
+        // Common patterns
+        commonFontSizes: getTopValues(analysisData.styleInventory.fontSizes, 5),
+        commonColors: getTopValues(analysisData.styleInventory.colors, 5),
+        commonBackgroundColors: getTopValues(analysisData.styleInventory.backgroundColors, 5)
+    };
+    
+    console.log(`✅ Element analysis complete!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Matching elements: ${analysisData.summary.totalMatchingElements}`);
+    console.log(`   • Unique colors: ${analysisData.summary.uniqueColors}`);
+    console.log(`   • Unique fonts: ${analysisData.summary.uniqueFonts}`);
+    console.log(`   • Font sizes: ${analysisData.summary.uniqueFontSizes}`);
+    if (cascade) {
+        const rules = analysisData.matchingElements.reduce((sum, element) => sum + (element.cascade?.rules.length ?? 0), 0);
+        console.log(`   • Matched rules traced: ${rules}`);
+    }
+    
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+        
+        // Generate filename based on selector
+        const sanitizedSelector = selector.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_');
+        const outputPath = path.join(outputDir, `_element-analysis-${sanitizedSelector}.json`);
+        const latestPath = path.join(outputDir, '_element-analysis-latest.json');
+        
+        // Save analysis
+        writeFileSync(outputPath, JSON.stringify(analysisData, null, 2));
         
-        // Wait for dynamic content
-        await page.waitForTimeout(2000);
+        // Also save as latest for easy reference
+        writeFileSync(latestPath, JSON.stringify(analysisData, null, 2));
+        
+        console.log(`📄 Results saved to ${outputPath}`);
+        console.log(`📄 Latest analysis: ${latestPath}`);
+    }
+    
+    return analysisData;
+}
+
+/**
+ * Load the page, scroll through lazy content and read styles of the matching elements
+ * @returns {Promise<Object>} Raw element data (cached by analyzeSpecificElements)
+ */
+async function collectElementAnalysis(url, selector, viewport, cascadeOptions = null, sharedSession = null) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    
+    try {
+        console.log(`📥 Loading page...`);
+        lease = await session.acquirePage(url, { viewport });
+        const { page } = lease;
         
         // Scroll to reveal lazy-loaded content
         await page.evaluate(() => {
@@ -59,7 +141,7 @@ async function analyzeSpecificElements(url, selector = '*') {
         
         // Scroll back to top
         await page.evaluate(() => window.scrollTo(0, 0));
-        await page.waitForTimeout(1000);
+        await settlePage(page);
         
         console.log(`🔍 Analyzing elements matching: ${selector}`);
         
@@ -88,6 +170,23 @@ async function analyzeSpecificElements(url, selector = '*') {
             try {
                 const elements = document.querySelectorAll(sel);
                 console.log(`Found ${elements.length} matching elements`);
+
+                // Implicit ARIA roles of common elements, so pages can be matched up by role
+                const IMPLICIT_ROLES = {
+                    button: 'button', nav: 'navigation', header: 'banner', footer: 'contentinfo', main: 'main',
+                    aside: 'complementary', form: 'form', img: 'img', ul: 'list', ol: 'list', li: 'listitem',
+                    table: 'table', select: 'combobox', textarea: 'textbox', dialog: 'dialog', section: 'region',
+                    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading'
+                };
+                const INPUT_ROLES = { button: 'button', submit: 'button', reset: 'button', checkbox: 'checkbox', radio: 'radio', range: 'slider', search: 'searchbox' };
+                const getRole = (el) => {
+                    const explicit = el.getAttribute('role');
+                    if (explicit) return explicit.trim().split(/\s+/)[0];
+                    const tag = el.tagName.toLowerCase();
+                    if (tag === 'a') return el.hasAttribute('href') ? 'link' : null;
+                    if (tag === 'input') return INPUT_ROLES[el.type] || 'textbox';
+                    return IMPLICIT_ROLES[tag] || null;
+                };
                 
                 elements.forEach((element, index) => {
                     const computed = window.getComputedStyle(element);
@@ -109,6 +208,8 @@ async function analyzeSpecificElements(url, selector = '*') {
                         tagName: element.tagName.toLowerCase(),
                         className: element.className || '',
                         id: element.id || '',
+                        role: getRole(element),
+                        ariaLabel: element.getAttribute('aria-label') || '',
                         textContent: element.textContent?.trim() || '',
                         innerHTML: element.innerHTML.length > 200 ? 
                                   element.innerHTML.substring(0, 200) + '...' : 
@@ -259,43 +360,19 @@ async function analyzeSpecificElements(url, selector = '*') {
             return results;
         }, selector);
         
-        // Add summary
-        analysisData.summary = {
-            totalMatchingElements: analysisData.matchingElements.length,
-            uniqueColors: analysisData.styleInventory.colors.length,
-            uniqueBackgroundColors: analysisData.styleInventory.backgroundColors.length,
-            uniqueFonts: analysisData.styleInventory.fonts.length,
-            uniqueFontSizes: analysisData.styleInventory.fontSizes.length,
-            uniqueDimensions: analysisData.styleInventory.dimensions.length,
-            uniqueSpacings: analysisData.styleInventory.spacings.length,
-            
-            // Element type distribution
-            elementTypes: getElementTypeDistribution(analysisData.matchingElements),
-            
-            // Common patterns
-            commonFontSizes: getTopValues(analysisData.styleInventory.fontSizes, 5),
-            commonColors: getTopValues(analysisData.styleInventory.colors, 5),
-            commonBackgroundColors: getTopValues(analysisData.styleInventory.backgroundColors, 5)
-        };
-        
-        // Generate filename based on selector
-        const sanitizedSelector = selector.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_');
-        const filename = `_element-analysis-${sanitizedSelector}.json`;
-        
-        // Save analysis
-        writeFileSync(`orig/${filename}`, JSON.stringify(analysisData, null, 2));
-        
-        // Also save as latest for easy reference
-        writeFileSync('orig/_element-analysis-latest.json', JSON.stringify(analysisData, null, 2));
-        
-        console.log(`✅ Element analysis complete!`);
-        console.log(`📊 Summary:`);
-        console.log(`   • Matching elements: ${analysisData.summary.totalMatchingElements}`);
-        console.log(`   • Unique colors: ${analysisData.summary.uniqueColors}`);
-        console.log(`   • Unique fonts: ${analysisData.summary.uniqueFonts}`);
-        console.log(`   • Font sizes: ${analysisData.summary.uniqueFontSizes}`);
-        console.log(`📄 Results saved to orig/${filename}`);
-        console.log(`📄 Latest analysis: orig/_element-analysis-latest.json`);
+        if (cascadeOptions && !analysisData.error) {
+            console.log(`🧬 Tracing the cascade...`);
+            const inspector = await createCascadeInspector(page);
+            try {
+                // Same document order as the in-page querySelectorAll
+                const traced = await inspector.inspectSelector(selector, { properties: cascadeOptions.cascadeProperties });
+                analysisData.matchingElements.forEach((element, index) => {
+                    element.cascade = traced[index]?.cascade ?? null;
+                });
+            } finally {
+                await inspector.dispose();
+            }
+        }
         
         return analysisData;
         
@@ -303,7 +380,10 @@ async function analyzeSpecificElements(url, selector = '*') {
         console.error('❌ Error during element analysis:', error);
         throw error;
     } finally {
-        await browser.close();
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
@@ -333,27 +413,4 @@ function getTopValues(array, limit = 5) {
         .map(([value, count]) => ({ value, count }));
 }
 
-// Command line usage
-const url = process.argv[2];
-const selector = process.argv[3] || '*';
-
-if (!url) {
-    console.error('❌ Usage: node analyze-specific-elements.mjs <url> [selector]');
-    console.error('   Example: node analyze-specific-elements.mjs https://example.com');
-    console.error('   Example: node analyze-specific-elements.mjs https://example.com ".navbar"');
-    console.error('   Example: node analyze-specific-elements.mjs https://example.com "h1, h2, h3"');
-    process.exit(1);
-}
-
-// Validate URL
-try {
-    new URL(url);
-} catch (error) {
-    console.error('❌ Invalid URL provided');
-    process.exit(1);
-}
-
-analyzeSpecificElements(url, selector).catch(error => {
-    console.error('❌ Failed to analyze elements:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+export { analyzeSpecificElements };
@@ -0,0 +1,449 @@
+/**
+ * CSS Framework Detection
+ * Which CSS frameworks a site is built with (Bootstrap, Tailwind, Foundation, Bulma, MUI),
+ * their probable version and how sure we are
+ *
+ * Signals, strongest first: license banners in stylesheet source, the framework's global JS
+ * object, stylesheet/script URLs, its CSS custom property prefix, characteristic class names,
+ * and the site's breakpoints matching the framework's breakpoint set.
+ *
+ * Usage: wat frameworks <url>
+ * Example: wat frameworks https://getbootstrap.com
+ */
+
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { getStyleSheetSources } from '../utils/stylesheets.mjs';
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
+
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 1;
+
+const TAILWIND_COLORS = 'slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose';
+
+const FRAMEWORKS = [
+    {
+        name: 'Bootstrap',
+        classPattern: /^(col-(xs|sm|md|lg|xl|xxl)(-\d+|-auto)?|navbar-expand(-(sm|md|lg|xl|xxl))?|navbar-toggler|btn-(primary|secondary|success|danger|warning|info|light|dark|link|outline-\w+)|d-(sm|md|lg|xl|xxl)-\w+|offset-(sm|md|lg|xl|xxl)-\d+|form-control|form-group|card-body|dropdown-menu|[mp][tbsexylr]?-(sm|md|lg|xl|xxl)-\d)$/,
+        urlPattern: /bootstrap(?!-icons)(?:[@/-]v?(\d+(?:\.\d+){0,2}))?/i,
+        bannerPattern: /Bootstrap\s+v?(\d+\.\d+\.\d+)/i,
+        customPropertyPrefix: '--bs-',
+        breakpoints: (version) => version?.startsWith('3')
+            ? { sm: 768, md: 992, lg: 1200 }
+            : { sm: 576, md: 768, lg: 992, xl: 1200, ...(version?.startsWith('4') ? {} : { xxl: 1400 }) },
+        inferVersion: ({ classes, customProperties, breakpoints }) => {
+            if (customProperties.some(name => name.startsWith('--bs-'))) return '5.x';
+            if (classes.some(name => /^(ms|me|ps|pe)-(\d|auto)$/.test(name))) return '5.x';
+            if (breakpoints.some(width => Math.abs(width - 1400) <= 1)) return '5.x';
+            if (classes.some(name => /^(col-xs-\d+|hidden-(xs|sm|md|lg)|pull-(left|right)|btn-default|panel-\w+)$/.test(name))) return '3.x';
+            if (classes.some(name => /^(ml|mr|pl|pr)-(\d|auto)$/.test(name))) return '4.x';
+            return null;
+        },
+        advice: (detection) => {
+            const major = detection.version?.[0];
+            return [
+                'Preserve the grid classes (container, row, col-*) and their breakpoint infixes (col-md-6, d-lg-none)',
+                major === '3'
+                    ? 'Bootstrap 3 is desktop-down for visibility (hidden-xs, visible-md); breakpoints are 768/992/1200'
+                    : `Use the framework's own breakpoints for viewport adjustments: @media (max-width: 991.98px) { .navbar-expand-lg { ... } }`,
+                major === '4'
+                    ? 'Spacing utilities use ml-/mr- (left/right); Bootstrap 5 renamed them to ms-/me-'
+                    : 'Keep utility classes (px-4, ms-auto, fw-bold) instead of re-creating them as custom CSS',
+                'Load the same major version; class names differ between 3, 4 and 5'
+            ];
+        }
+    },
+    {
+        name: 'Tailwind CSS',
+        classPattern: new RegExp(`^((sm|md|lg|xl|2xl|hover|focus|dark|group-hover):\\S+|(bg|text|border|from|via|to|ring|fill|stroke|divide|outline)-(${TAILWIND_COLORS})-(50|[1-9]00|950)(\\/\\d+)?|(w|h|min-w|max-w|min-h|max-h|p[xytrbl]?|m[xytrbl]?|gap|top|left|right|bottom|inset|text|bg)-\\[[^\\]]+\\]|text-(xs|sm|base|lg|[2-9]?xl)|font-(thin|extralight|light|normal|medium|semibold|extrabold|black)|leading-(none|tight|snug|normal|relaxed|loose|\\d+)|tracking-(tighter|tight|normal|wide|wider|widest)|space-[xy]-\\d+|inset-\\d+|max-w-(xs|sm|md|lg|[2-7]?xl|prose|screen-\\w+))$`),
+        urlPattern: /(cdn\.tailwindcss\.com|tailwindcss(?:@v?(\d+(?:\.\d+){0,2}))?|@tailwindcss\/browser)/i,
+        bannerPattern: /tailwindcss\s+v?(\d+\.\d+\.\d+)/i,
+        customPropertyPrefix: '--tw-',
+        breakpoints: () => ({ sm: 640, md: 768, lg: 1024, xl: 1280, '2xl': 1536 }),
+        inferVersion: ({ customProperties, urls }) => {
+            if (urls.some(url => /@tailwindcss\/browser/.test(url))) return '4.x';
+            if (urls.some(url => /cdn\.tailwindcss\.com/.test(url))) return '3.x';
+            // v4 exposes its theme as plain custom properties (--spacing, --color-*)
+            if (customProperties.includes('--spacing') && customProperties.some(name => name.startsWith('--color-'))) return '4.x';
+            if (customProperties.some(name => name.startsWith('--tw-'))) return '2.x-3.x';
+            return null;
+        },
+        advice: () => [
+            'Classes are mobile-first utilities: md:flex applies from 768px up, unprefixed classes at every width',
+            'Rebuild with Tailwind and the same breakpoints (sm 640, md 768, lg 1024, xl 1280, 2xl 1536) instead of hand-written media queries',
+            'Copy class lists verbatim; the compiled CSS only contains the utilities the markup uses',
+            'Arbitrary values (w-[327px]) and theme colors come from the site\'s config; check tokens before assuming defaults'
+        ]
+    },
+    {
+        name: 'Foundation',
+        classPattern: /^(grid-x|grid-y|grid-container|grid-margin-x|grid-padding-x|cell|(small|medium|large|xlarge)-(\d+|auto|offset-\d+|up-\d+)|top-bar(-left|-right)?|callout|button-group|off-canvas(-wrapper|-content)?|dropdown-pane|reveal|orbit|(hide|show)-for-(small|medium|large)(-only)?)$/,
+        urlPattern: /foundation(?:-sites)?(?:[@/-]v?(\d+(?:\.\d+){0,2}))?(?:\.min)?\.(css|js)/i,
+        bannerPattern: /Foundation(?: for Sites)?\s+v?(\d+\.\d+\.\d+)/i,
+        customPropertyPrefix: null,
+        breakpoints: () => ({ medium: 640, large: 1024, xlarge: 1200, xxlarge: 1440 }),
+        inferVersion: ({ classes }) => {
+            if (classes.includes('grid-x') || classes.includes('cell')) return '6.x';
+            return null;
+        },
+        advice: () => [
+            'Preserve the XY grid (grid-x, cell, small-12 medium-6) or float grid (row, columns) classes as-is',
+            'Breakpoints are mobile-first in em: medium 40em (640px), large 64em (1024px), xlarge 75em (1200px)',
+            'Visibility helpers (hide-for-small-only, show-for-large) replace custom media queries'
+        ]
+    },
+    {
+        name: 'Bulma',
+        classPattern: /^(columns|column|is-(\d{1,2}|half|one-third|two-thirds|one-quarter|three-quarters|full|narrow|primary|link|info|success|warning|danger|centered|multiline|vcentered|mobile|tablet|desktop|widescreen|fullhd|size-\d|hidden-\w+)|has-text-\w+|has-background-\w+|navbar-burger|navbar-brand|navbar-menu|hero-body|level-(left|right|item)|tile|is-ancestor|is-parent|is-child)$/,
+        urlPattern: /bulma(?:[@/-]v?(\d+(?:\.\d+){0,2}))?/i,
+        bannerPattern: /bulma\.io\s+v?(\d+\.\d+\.\d+)/i,
+        customPropertyPrefix: '--bulma-',
+        breakpoints: () => ({ tablet: 769, desktop: 1024, widescreen: 1216, fullhd: 1408 }),
+        inferVersion: ({ customProperties }) => {
+            if (customProperties.some(name => name.startsWith('--bulma-'))) return '1.x';
+            return '0.x';
+        },
+        advice: () => [
+            'Keep columns/column and the is-* modifiers (is-half, is-4-desktop); they carry the layout',
+            'Breakpoints: tablet 769px, desktop 1024px, widescreen 1216px, fullhd 1408px; columns stack below tablet',
+            'Bulma has no JavaScript: the navbar burger toggle is site code, check it with `wat mobile-menu`'
+        ]
+    },
+    {
+        name: 'MUI',
+        classPattern: /^Mui[A-Z][A-Za-z]*(-[A-Za-z]+)*$/,
+        urlPattern: /@mui\/material(?:@v?(\d+(?:\.\d+){0,2}))?/i,
+        bannerPattern: /@mui\/material\s+v?(\d+\.\d+\.\d+)/i,
+        customPropertyPrefix: '--mui-',
+        breakpoints: () => ({ sm: 600, md: 900, lg: 1200, xl: 1536 }),
+        inferVersion: ({ allClasses }) => {
+            // v5+ styles with emotion (css-1a2b3c), v4 with JSS (makeStyles-root-12, jss34)
+            if (allClasses.some(name => /^css-[a-z0-9]{4,}(-\w+)?$/.test(name))) return '5.x+';
+            if (allClasses.some(name => /^(makeStyles-|jss\d+$)/.test(name))) return '4.x';
+            return null;
+        },
+        advice: () => [
+            'css-xxxx class names are generated per build; do not copy them. Match components (MuiButton, MuiCard) instead',
+            'Rebuild with MUI components and a theme with the same breakpoints (sm 600, md 900, lg 1200, xl 1536)',
+            'Typography, spacing and palette come from the theme; extract them with `wat tokens`'
+        ]
+    }
+];
+
+const GENERIC_ADVICE = [
+    'Preserve component classes (navbar, nav-item, btn) and utility classes (px-4, fw-bold) as-is',
+    'Use the site\'s own breakpoints (see `wat media-queries`) for viewport adjustments'
+];
+
+/**
+ * Runs in the page: class names in use, root custom properties, resource URLs, global JS
+ * objects and the px breakpoints of readable stylesheets
+ */
+function collectFrameworkSignals() {
+    const classCounts = {};
+    document.querySelectorAll('[class]').forEach(element => {
+        for (const name of element.classList) {
+            classCounts[name] = (classCounts[name] || 0) + 1;
+        }
+    });
+
+    const customProperties = new Set();
+    for (const target of [document.documentElement, document.body].filter(Boolean)) {
+        const style = window.getComputedStyle(target);
+        for (let i = 0; i < style.length; i++) {
+            if (style[i].startsWith('--')) customProperties.add(style[i]);
+        }
+    }
+
+    const urls = Array.from(document.querySelectorAll('link[href], script[src]'))
+        .map(element => element.href || element.src)
+        .filter(Boolean);
+
+    const read = (getter) => {
+        try {
+            return getter() ?? null;
+        } catch (error) {
+            return null;
+        }
+    };
+    const globals = {
+        Bootstrap: read(() => window.bootstrap && (window.bootstrap.Tooltip?.VERSION || window.bootstrap.Modal?.VERSION || 'present'))
+            ?? read(() => window.jQuery?.fn?.tooltip?.Constructor?.VERSION || window.jQuery?.fn?.modal?.Constructor?.VERSION),
+        Foundation: read(() => window.Foundation && (window.Foundation.version || 'present')),
+        'Tailwind CSS': read(() => window.tailwind && 'present')
+    };
+
+    const breakpoints = new Set();
+    const visit = (rules) => {
+        for (const rule of rules) {
+            if (rule.media) {
+                for (const match of rule.media.mediaText.matchAll(/(?:min|max)-width:\s*([\d.]+)(px|em|rem)/g)) {
+                    breakpoints.add(Number(match[1]) * (match[2] === 'px' ? 1 : 16));
+                }
+            }
+            if (rule.cssRules) visit(rule.cssRules);
+        }
+    };
+    for (const sheet of document.styleSheets) {
+        try {
+            visit(sheet.cssRules);
+        } catch (error) {
+            // Cross-origin sheet: its breakpoints come from the media query extractor when available
+        }
+    }
+
+    return {
+        classCounts,
+        customProperties: [...customProperties],
+        urls,
+        globals,
+        breakpoints: [...breakpoints].sort((a, b) => a - b)
+    };
+}
+
+// A site breakpoint matches a framework's min-width N when it is N (min-width) or just below it (max-width)
+function matchesBreakpoint(width, frameworkWidth) {
+    return width > frameworkWidth - 1.01 && width <= frameworkWidth;
+}
+
+/**
+ * Score every framework against the collected signals
+ * @param {Object} signals - collectFrameworkSignals() result plus `banners` ({href, text} per sheet)
+ * @returns {Object} { frameworks: [...], primary }
+ */
+function scoreFrameworks(signals) {
+    const allClasses = Object.keys(signals.classCounts);
+    const frameworks = [];
+
+    for (const framework of FRAMEWORKS) {
+        let score = 0;
+        let version = null;
+        let versionSource = null;
+        const evidence = [];
+        const setVersion = (value, source) => {
+            if (value && !version) {
+                version = value;
+                versionSource = source;
+            }
+        };
+
+        const banner = signals.banners
+            .map(sheet => ({ sheet, match: sheet.text.match(framework.bannerPattern) }))
+            .find(({ match }) => match);
+        if (banner) {
+            score += 5;
+            evidence.push(`Stylesheet banner: "${banner.match[0]}" (${banner.sheet.href || 'inline <style>'})`);
+            setVersion(banner.match[1], 'banner');
+        }
+
+        const global = signals.globals[framework.name];
+        if (global) {
+            score += 4;
+            evidence.push(`Global JS object${global === 'present' ? '' : ` (version ${global})`}`);
+            if (global !== 'present') setVersion(global, 'javascript');
+        }
+
+        const url = signals.urls.map(href => ({ href, match: href.match(framework.urlPattern) })).find(({ match }) => match);
+        if (url) {
+            score += 3;
+            evidence.push(`Resource URL: ${url.href}`);
+            const urlVersion = url.match.slice(1).find(group => /^\d/.test(group || ''));
+            setVersion(urlVersion, 'url');
+        }
+
+        if (framework.customPropertyPrefix) {
+            const count = signals.customProperties.filter(name => name.startsWith(framework.customPropertyPrefix)).length;
+            if (count > 0) {
+                score += 3;
+                evidence.push(`${count} ${framework.customPropertyPrefix}* custom properties`);
+            }
+        }
+
+        const classes = allClasses.filter(name => framework.classPattern.test(name));
+        const uses = classes.reduce((sum, name) => sum + signals.classCounts[name], 0);
+        if (classes.length > 0) {
+            score += classes.length >= 10 ? 3 : classes.length >= 3 ? 2 : 1;
+            evidence.push(`${classes.length} characteristic class names used ${uses} times (${classes.slice(0, 6).join(', ')})`);
+        }
+
+        // Breakpoints alone prove nothing (768px is everywhere), so they only add to other signals
+        if (score === 0) continue;
+
+        setVersion(framework.inferVersion({
+            classes,
+            allClasses,
+            customProperties: signals.customProperties,
+            urls: signals.urls,
+            breakpoints: signals.breakpoints
+        }), 'inferred');
+
+        const frameworkBreakpoints = framework.breakpoints(version);
+        const matchedBreakpoints = Object.entries(frameworkBreakpoints)
+            .filter(([, width]) => signals.breakpoints.some(siteWidth => matchesBreakpoint(siteWidth, width)))
+            .map(([name, width]) => ({ name, width }));
+        if (matchedBreakpoints.length >= 3) {
+            score += 2;
+            evidence.push(`Breakpoints match ${matchedBreakpoints.map(({ name, width }) => `${name} ${width}px`).join(', ')}`);
+        }
+
+        frameworks.push({
+            name: framework.name,
+            version,
+            versionSource,
+            confidence: score >= 6 ? 'high' : score >= 3 ? 'medium' : 'low',
+            score,
+            evidence,
+            breakpoints: frameworkBreakpoints,
+            matchedBreakpoints
+        });
+    }
+
+    frameworks.sort((a, b) => b.score - a.score);
+    const [top] = frameworks;
+
+    return {
+        frameworks,
+        primary: top && top.confidence !== 'low' ? top.name : null
+    };
+}
+
+/**
+ * Detect frameworks on an already loaded page (used by the comprehensive and media query tools)
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {number[]} [options.breakpoints] - Site breakpoints in px, e.g. from extractMediaQueries (default: read from same-origin sheets)
+ * @returns {Promise<Object>} { frameworks: [{ name, version, versionSource, confidence, score, evidence, breakpoints, matchedBreakpoints }], primary }
+ */
+async function inspectFrameworks(page, options = {}) {
+    const signals = await page.evaluate(collectFrameworkSignals);
+    // Banners sit in the first comment of a sheet
+    signals.banners = await getStyleSheetSources(page, { maxLength: 600 }).catch(() => []);
+    if (options.breakpoints?.length) {
+        signals.breakpoints = [...new Set([...signals.breakpoints, ...options.breakpoints])].sort((a, b) => a - b);
+    }
+    return scoreFrameworks(signals);
+}
+
+/**
+ * Recreation advice for the detected framework (generic advice when none was detected)
+ * @param {Object} detection - inspectFrameworks() result
+ * @returns {string[]}
+ */
+function getFrameworkAdvice(detection) {
+    const primary = detection?.frameworks.find(framework => framework.name === detection.primary);
+    if (!primary) return GENERIC_ADVICE;
+    return FRAMEWORKS.find(framework => framework.name === primary.name).advice(primary);
+}
+
+/**
+ * The detected framework's name for a breakpoint width (e.g. 992 -> "lg" for Bootstrap)
+ * @param {Object} detection - inspectFrameworks() result
+ * @param {number} width - min-width or max-width value in px
+ * @returns {string|null}
+ */
+function nameBreakpoint(detection, width) {
+    const primary = detection?.frameworks.find(framework => framework.name === detection.primary);
+    if (!primary) return null;
+    const match = Object.entries(primary.breakpoints).find(([, frameworkWidth]) =>
+        matchesBreakpoint(width, frameworkWidth) || matchesBreakpoint(width + 1, frameworkWidth));
+    return match ? match[0] : null;
+}
+
+/**
+ * A framework's breakpoint set by name, e.g. "bootstrap", "tailwind" or "bootstrap@3"
+ * @param {string} name - Framework name, optionally with @<major version>
+ * @returns {{name: string, version: string|null, breakpoints: Object<string, number>}|null} breakpoints are min-widths in px; null for unknown names
+ */
+function getFrameworkBreakpoints(name) {
+    const [requested, major = null] = name.toLowerCase().split('@');
+    const slug = (text) => text.toLowerCase().replace(/[^a-z]/g, '');
+    const framework = slug(requested) && FRAMEWORKS.find(candidate => slug(candidate.name).startsWith(slug(requested)));
+    if (!framework) return null;
+    const version = major ? `${major.replace(/\.x$/, '')}.x` : null;
+    return { name: framework.name, version, breakpoints: framework.breakpoints(version) };
+}
+
+function describeFramework(framework) {
+    const version = framework.version ? ` ${framework.version}` : '';
+    return `${framework.name}${version} (${framework.confidence} confidence)`;
+}
+
+/**
+ * Detect the CSS frameworks a page uses
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (default 1440x900)
+ * @param {string} [options.outputDir='orig'] - Where the results are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} { url, frameworks, primary, advice }
+ */
+async function detectFrameworks(url, options = {}) {
+    const {
+        viewport = { width: 1440, height: 900 },
+        outputDir = 'orig',
+        save = true
+    } = options;
+
+    console.log(`🔍 Detecting CSS frameworks on ${url}`);
+
+    const detection = await readThroughCache(
+        { tool: 'frameworks', url, viewport, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectFrameworks(url, viewport, options.session)
+    );
+    detection.advice = getFrameworkAdvice(detection);
+
+    console.log(`✅ Framework detection complete!`);
+    if (detection.frameworks.length === 0) {
+        console.log(`📊 No known CSS framework detected`);
+    }
+    detection.frameworks.forEach(framework => {
+        console.log(`   • ${describeFramework(framework)}`);
+        framework.evidence.forEach(item => console.log(`     - ${item}`));
+    });
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+        const outputPath = path.join(outputDir, '_frameworks.json');
+        writeFileSync(outputPath, JSON.stringify(detection, null, 2));
+        console.log(`📄 Results saved to ${outputPath}`);
+    }
+
+    return detection;
+}
+
+/**
+ * Load the page and collect framework signals
+ * @returns {Promise<Object>} Detection result (cached by detectFrameworks)
+ */
+async function collectFrameworks(url, viewport, sharedSession = null) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+
+    try {
+        console.log(`📥 Loading page...`);
+        lease = await session.acquirePage(url, { viewport });
+        const detection = await inspectFrameworks(lease.page);
+        return {
+            url,
+            extractedAt: new Date().toISOString(),
+            ...detection
+        };
+    } catch (error) {
+        console.error('❌ Error during framework detection:', error);
+        throw error;
+    } finally {
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
+    }
+}
+
+export { detectFrameworks, inspectFrameworks, scoreFrameworks, getFrameworkAdvice, getFrameworkBreakpoints, nameBreakpoint, describeFramework };
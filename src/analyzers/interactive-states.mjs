@@ -1,19 +1,22 @@
-#!/usr/bin/env node
 /**
  * Interactive Element State Analyzer
  * Analyzes elements that change on interaction (hover, focus, click, toggle)
  * 
- * Usage: node src/analyzers/interactive-states.mjs <url> [selectors]
- * Example: node src/analyzers/interactive-states.mjs https://example.com "button, .btn, a"
+ * Usage: wat interactive <url> [--selector <sel>]...
+ * Example: wat interactive https://example.com --selector button --selector .btn
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { collectStyleSheets, formatStyleSheetReport } from '../utils/stylesheets.mjs';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import path from 'path';
 
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 2;
+
 // Ensure output directories exist
-const ensureDirectories = () => {
-    const dirs = ['analysis', 'analysis/interactive-states', 'analysis/screenshots'];
+const ensureDirectories = (dirs) => {
     dirs.forEach(dir => {
         if (!existsSync(dir)) {
             mkdirSync(dir, { recursive: true });
@@ -21,26 +24,81 @@ const ensureDirectories = () => {
     });
 };
 
-async function analyzeInteractiveStates(url, customSelectors = null) {
+/**
+ * Analyze default, hover, focus, active and toggle states of interactive elements
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {string|string[]} [options.selectors] - Elements to analyze (comma-separated string or array)
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (default 1440x900)
+ * @param {string} [options.outputDir='analysis/interactive-states'] - Where the JSON and report are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @param {Object} [options.archive] - createNetworkArchive() result: record or replay the stylesheet downloads
+ * @returns {Promise<Object>} Interactive state analysis data
+ */
+async function analyzeInteractiveStates(url, options = {}) {
+    // Selectors used to be the second positional argument
+    if (typeof options === 'string') {
+        options = { selectors: options };
+    }
+    
+    const {
+        selectors: customSelectors = null,
+        viewport = { width: 1440, height: 900 },
+        outputDir = 'analysis/interactive-states',
+        save = true
+    } = options ?? {};
+    
+    if (save) {
+        ensureDirectories([outputDir]);
+    }
+    
     console.log(`🖱️  Analyzing interactive element states for ${url}`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const finalResults = await readThroughCache(
+        { tool: 'interactive-states', url, viewport, options: { selectors: customSelectors }, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectInteractiveStates(url, customSelectors, viewport, options.session, options.archive?.fetch)
+    );
     
-    try {
-        const page = await browser.newPage();
+    if (save) {
+        // Save results
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+        const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
+        const outputPath = path.join(outputDir, `${timestamp}-${urlSlug}-interactive-states.json`);
         
-        await page.setViewport({ width: 1440, height: 900 });
+        console.log(`💾 Saving analysis to ${outputPath}`);
+        writeFileSync(outputPath, JSON.stringify(finalResults, null, 2));
         
-        console.log(`📥 Loading page...`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
+        // Generate human-readable report
+        const report = generateReport(finalResults);
+        const reportPath = path.join(outputDir, `${timestamp}-${urlSlug}-interactive-states.md`);
+        writeFileSync(reportPath, report);
         
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        console.log(`📄 JSON: ${outputPath}`);
+        console.log(`📄 Report: ${reportPath}`);
+    }
+    
+    console.log(`✅ Analysis complete!`);
+    
+    return finalResults;
+}
+
+/**
+ * Load the page and record default, hover, focus, active and toggle states
+ * @returns {Promise<Object>} State data (cached by analyzeInteractiveStates)
+ */
+async function collectInteractiveStates(url, customSelectors, viewport, sharedSession = null, fetchResource) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    let sheets = null;
+    
+    try {
+        console.log(`📥 Loading page...`);
+        lease = await session.acquirePage(url, { viewport });
+        const { page } = lease;
         
         // Define default interactive element patterns
         const defaultSelectors = [
@@ -58,7 +116,11 @@ async function analyzeInteractiveStates(url, customSelectors = null) {
             '[data-toggle]'
         ];
         
-        const selectors = customSelectors ? customSelectors.split(',').map(s => s.trim()) : defaultSelectors;
+        const selectors = !customSelectors
+            ? defaultSelectors
+            : Array.isArray(customSelectors)
+                ? customSelectors
+                : customSelectors.split(',').map(s => s.trim());
         
         console.log(`🔍 Analyzing interactive states for: ${selectors.join(', ')}`);
         
@@ -161,15 +223,16 @@ async function analyzeInteractiveStates(url, customSelectors = null) {
         
         console.log(`📊 Found ${defaultStates.elements.length} interactive elements`);
         
+        // State rules come from every stylesheet, including cross-origin (CDN) ones
+        const collected = await collectStyleSheets(page, { fetchResource });
+        sheets = collected.sheets;
+        
         // Analyze hover states (by injecting :hover styles)
         console.log(`🎨 Analyzing hover states...`);
-        const hoverStates = await page.evaluate(() => {
+        const hoverStates = await page.evaluate((styleSheets) => {
             const results = [];
             
-            // Get all stylesheets
-            const styleSheets = Array.from(document.styleSheets);
-            
-            styleSheets.forEach(sheet => {
+            styleSheets.forEach(({ sheet }) => {
                 try {
                     const rules = Array.from(sheet.cssRules || sheet.rules || []);
                     
@@ -193,21 +256,19 @@ async function analyzeInteractiveStates(url, customSelectors = null) {
                         }
                     });
                 } catch (e) {
-                    // CORS or other stylesheet access error
+                    // Unreadable sheets are listed in the stylesheet report
                 }
             });
             
             return results;
-        });
+        }, sheets);
         
         // Analyze focus states
         console.log(`🎯 Analyzing focus states...`);
-        const focusStates = await page.evaluate(() => {
+        const focusStates = await page.evaluate((styleSheets) => {
             const results = [];
             
-            const styleSheets = Array.from(document.styleSheets);
-            
-            styleSheets.forEach(sheet => {
+            styleSheets.forEach(({ sheet }) => {
                 try {
                     const rules = Array.from(sheet.cssRules || sheet.rules || []);
                     
@@ -230,21 +291,19 @@ async function analyzeInteractiveStates(url, customSelectors = null) {
                         }
                     });
                 } catch (e) {
-                    // CORS error
+                    // Unreadable sheets are listed in the stylesheet report
                 }
             });
             
             return results;
-        });
+        }, sheets);
         
         // Analyze active/pressed states
         console.log(`👆 Analyzing active/pressed states...`);
-        const activeStates = await page.evaluate(() => {
+        const activeStates = await page.evaluate((styleSheets) => {
             const results = [];
             
-            const styleSheets = Array.from(document.styleSheets);
-            
-            styleSheets.forEach(sheet => {
+            styleSheets.forEach(({ sheet }) => {
                 try {
                     const rules = Array.from(sheet.cssRules || sheet.rules || []);
                     
@@ -267,12 +326,12 @@ async function analyzeInteractiveStates(url, customSelectors = null) {
                         }
                     });
                 } catch (e) {
-                    // CORS error
+                    // Unreadable sheets are listed in the stylesheet report
                 }
             });
             
             return results;
-        });
+        }, sheets);
         
         // Try to interact with toggle elements (accordions, dropdowns, tabs)
         console.log(`🔄 Analyzing toggle states...`);
@@ -409,30 +468,18 @@ async function analyzeInteractiveStates(url, customSelectors = null) {
                 active: activeStates,
                 toggle: toggleElements
             },
-            transitions: transitionAnalysis
+            transitions: transitionAnalysis,
+            stylesheets: collected.report
         };
         
-        // Save results
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-        const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
-        const outputPath = `analysis/interactive-states/${timestamp}-${urlSlug}-interactive-states.json`;
-        
-        console.log(`💾 Saving analysis to ${outputPath}`);
-        writeFileSync(outputPath, JSON.stringify(finalResults, null, 2));
-        
-        // Generate human-readable report
-        const report = generateReport(finalResults);
-        const reportPath = `analysis/interactive-states/${timestamp}-${urlSlug}-interactive-states.md`;
-        writeFileSync(reportPath, report);
-        
-        console.log(`✅ Analysis complete!`);
-        console.log(`📄 JSON: ${outputPath}`);
-        console.log(`📄 Report: ${reportPath}`);
-        
         return finalResults;
         
     } finally {
-        await browser.close();
+        await sheets?.dispose().catch(() => {});
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
@@ -451,6 +498,8 @@ function generateReport(data) {
     report += `- **Elements with Transitions:** ${data.summary.transitionsDetected}\n`;
     report += `- **Elements with Animations:** ${data.summary.animationsDetected}\n\n`;
     
+    report += formatStyleSheetReport(data.stylesheets);
+    
     // Hover states
     report += `## Hover States\n\n`;
     if (data.interactiveStates.hover.length > 0) {
@@ -592,26 +641,4 @@ function generateReport(data) {
     return report;
 }
 
-// CLI execution
-if (process.argv[1] === new URL(import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1')) {
-    const url = process.argv[2];
-    const customSelectors = process.argv[3];
-    
-    if (!url) {
-        console.error('Usage: node interactive-states.mjs <url> [selectors]');
-        console.error('Example: node interactive-states.mjs https://example.com');
-        console.error('Example: node interactive-states.mjs https://example.com "button, .btn, a"');
-        process.exit(1);
-    }
-    
-    ensureDirectories();
-    
-    analyzeInteractiveStates(url, customSelectors)
-        .then(() => process.exit(0))
-        .catch(err => {
-            console.error('Error:', err);
-            process.exit(1);
-        });
-}
-
 export { analyzeInteractiveStates };
@@ -1,19 +1,21 @@
-#!/usr/bin/env node
 /**
  * Mobile Menu/Modal Analyzer
  * Analyzes hamburger menus, modal dialogs, and mobile navigation patterns at specific breakpoints
  * 
- * Usage: node src/analyzers/mobile-menu.mjs <url> [breakpoint]
- * Example: node src/analyzers/mobile-menu.mjs https://example.com 767
+ * Usage: wat mobile-menu <url> [--breakpoint <px>]
+ * Example: wat mobile-menu https://example.com --breakpoint 767
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession, settlePage } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import path from 'path';
 
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 1;
+
 // Ensure output directories exist
-const ensureDirectories = () => {
-    const dirs = ['analysis', 'analysis/mobile-menu', 'analysis/screenshots'];
+const ensureDirectories = (dirs) => {
     dirs.forEach(dir => {
         if (!existsSync(dir)) {
             mkdirSync(dir, { recursive: true });
@@ -21,27 +23,90 @@ const ensureDirectories = () => {
     });
 };
 
-async function analyzeMobileMenu(url, breakpoint = 767) {
+/**
+ * Analyze hamburger menus, mobile navigation and modals at a mobile breakpoint
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {number} [options.breakpoint=767] - Mobile viewport width
+ * @param {{width: number, height: number}} [options.viewport] - Mobile viewport (default breakpoint x 900)
+ * @param {string} [options.outputDir='analysis/mobile-menu'] - Where the JSON and report are written
+ * @param {string} [options.screenshotDir] - Where screenshots go (default analysis/screenshots, or outputDir when set)
+ * @param {boolean} [options.save=true] - Write files and screenshots (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} Mobile menu analysis data
+ */
+async function analyzeMobileMenu(url, options = {}) {
+    // Breakpoint used to be the second positional argument
+    if (typeof options === 'number') {
+        options = { breakpoint: options };
+    }
+    
+    const {
+        viewport = { width: options.breakpoint ?? 767, height: 900 },
+        outputDir = 'analysis/mobile-menu',
+        screenshotDir = options.outputDir ?? 'analysis/screenshots',
+        save = true
+    } = options;
+    const breakpoint = viewport.width;
+    
+    if (save) {
+        ensureDirectories([outputDir, screenshotDir]);
+    }
+    
     console.log(`📱 Analyzing mobile menu patterns for ${url} at ${breakpoint}px`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const finalResults = await readThroughCache(
+        {
+            tool: 'mobile-menu',
+            url,
+            viewport,
+            options: { screenshotDir: save ? screenshotDir : null },
+            schemaVersion: CACHE_SCHEMA_VERSION
+        },
+        options,
+        () => collectMobileMenuData(url, viewport, save ? screenshotDir : null, options.session),
+        (data) => !data.screenshots.beforeClick || existsSync(data.screenshots.beforeClick)
+    );
     
-    try {
-        const page = await browser.newPage();
+    if (save) {
+        // Save results
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+        const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
+        const outputPath = path.join(outputDir, `${timestamp}-${urlSlug}-mobile-menu.json`);
+        console.log(`💾 Saving analysis to ${outputPath}`);
+        writeFileSync(outputPath, JSON.stringify(finalResults, null, 2));
         
-        // Start with desktop view to detect navigation swap
-        await page.setViewport({ width: 1440, height: 900 });
+        // Generate human-readable report
+        const report = generateReport(finalResults);
+        const reportPath = path.join(outputDir, `${timestamp}-${urlSlug}-mobile-menu.md`);
+        writeFileSync(reportPath, report);
         
+        console.log(`📄 JSON: ${outputPath}`);
+        console.log(`📄 Report: ${reportPath}`);
+    }
+    
+    console.log(`✅ Analysis complete!`);
+    
+    return finalResults;
+}
+
+/**
+ * Inspect navigation at desktop width, then at the mobile viewport, then open the menu
+ * @param {string|null} screenshotDir - Where to save before/after screenshots (null = none)
+ * @returns {Promise<Object>} Menu data (cached by analyzeMobileMenu)
+ */
+async function collectMobileMenuData(url, viewport, screenshotDir, sharedSession = null) {
+    const breakpoint = viewport.width;
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    
+    try {
+        // Own page: the hamburger gets clicked, so the shared page must not be touched
         console.log(`📥 Loading page at desktop width...`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        lease = await session.acquirePage(url, { viewport: { width: 1440, height: 900 }, fresh: true });
+        const { page } = lease;
         
         // Detect desktop navigation visibility
         const desktopNav = await page.evaluate(() => {
@@ -68,8 +133,8 @@ async function analyzeMobileMenu(url, breakpoint = 767) {
         
         // Switch to mobile view
         console.log(`📱 Switching to mobile view (${breakpoint}px)...`);
-        await page.setViewport({ width: breakpoint, height: 900 });
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await page.setViewport(viewport);
+        await settlePage(page);
         
         // Analyze mobile menu patterns
         const mobileMenuAnalysis = await page.evaluate((bp) => {
@@ -336,10 +401,13 @@ async function analyzeMobileMenu(url, breakpoint = 767) {
         // Take screenshot before clicking
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
         const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
-        const screenshotPathBefore = `analysis/screenshots/${timestamp}-${urlSlug}-mobile-before.png`;
+        const screenshotPathBefore = screenshotDir ? path.join(screenshotDir, `${timestamp}-${urlSlug}-mobile-before.png`) : null;
+        const screenshotPathAfter = screenshotDir ? path.join(screenshotDir, `${timestamp}-${urlSlug}-mobile-after.png`) : null;
         
-        console.log(`📸 Taking screenshot before interaction...`);
-        await page.screenshot({ path: screenshotPathBefore, fullPage: true });
+        if (screenshotDir) {
+            console.log(`📸 Taking screenshot before interaction...`);
+            await page.screenshot({ path: screenshotPathBefore, fullPage: true });
+        }
         
         // Try to click hamburger menu and capture modal state
         let modalOpenState = null;
@@ -355,7 +423,7 @@ async function analyzeMobileMenu(url, breakpoint = 767) {
                 await page.click(hamburgerSelector);
                 
                 // Wait for modal to appear
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                await settlePage(page);
                 
                 // Capture modal open state
                 modalOpenState = await page.evaluate(() => {
@@ -432,9 +500,10 @@ async function analyzeMobileMenu(url, breakpoint = 767) {
                 });
                 
                 // Take screenshot with modal open
-                const screenshotPathAfter = `analysis/screenshots/${timestamp}-${urlSlug}-mobile-after.png`;
-                console.log(`📸 Taking screenshot with modal open...`);
-                await page.screenshot({ path: screenshotPathAfter, fullPage: true });
+                if (screenshotDir) {
+                    console.log(`📸 Taking screenshot with modal open...`);
+                    await page.screenshot({ path: screenshotPathAfter, fullPage: true });
+                }
                 
             } catch (error) {
                 console.warn(`⚠️  Could not click hamburger menu: ${error.message}`);
@@ -448,28 +517,17 @@ async function analyzeMobileMenu(url, breakpoint = 767) {
             modalOpenState,
             screenshots: {
                 beforeClick: screenshotPathBefore,
-                afterClick: modalOpenState ? `analysis/screenshots/${timestamp}-${urlSlug}-mobile-after.png` : null
+                afterClick: modalOpenState ? screenshotPathAfter : null
             }
         };
         
-        // Save results
-        const outputPath = `analysis/mobile-menu/${timestamp}-${urlSlug}-mobile-menu.json`;
-        console.log(`💾 Saving analysis to ${outputPath}`);
-        writeFileSync(outputPath, JSON.stringify(finalResults, null, 2));
-        
-        // Generate human-readable report
-        const report = generateReport(finalResults);
-        const reportPath = `analysis/mobile-menu/${timestamp}-${urlSlug}-mobile-menu.md`;
-        writeFileSync(reportPath, report);
-        
-        console.log(`✅ Analysis complete!`);
-        console.log(`📄 JSON: ${outputPath}`);
-        console.log(`📄 Report: ${reportPath}`);
-        
         return finalResults;
         
     } finally {
-        await browser.close();
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
@@ -599,25 +657,4 @@ function generateReport(data) {
     return report;
 }
 
-// CLI execution
-if (process.argv[1] === new URL(import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1')) {
-    const url = process.argv[2];
-    const breakpoint = parseInt(process.argv[3]) || 767;
-    
-    if (!url) {
-        console.error('Usage: node mobile-menu.mjs <url> [breakpoint]');
-        console.error('Example: node mobile-menu.mjs https://example.com 767');
-        process.exit(1);
-    }
-    
-    ensureDirectories();
-    
-    analyzeMobileMenu(url, breakpoint)
-        .then(() => process.exit(0))
-        .catch(err => {
-            console.error('Error:', err);
-            process.exit(1);
-        });
-}
-
 export { analyzeMobileMenu };
@@ -1,19 +1,21 @@
-#!/usr/bin/env node
 /**
  * Relative Positioning Calculator
  * Calculates exact pixel positions, gaps between elements, negative margins, and overlaps within containers
  * 
- * Usage: node src/analyzers/relative-positioning.mjs <url> <container-selector>
- * Example: node src/analyzers/relative-positioning.mjs https://example.com ".hero-section"
+ * Usage: wat positioning <url> --selector <container>
+ * Example: wat positioning https://example.com --selector ".hero-section"
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import path from 'path';
 
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 1;
+
 // Ensure output directories exist
-const ensureDirectories = () => {
-    const dirs = ['analysis', 'analysis/relative-positioning', 'analysis/screenshots'];
+const ensureDirectories = (dirs) => {
     dirs.forEach(dir => {
         if (!existsSync(dir)) {
             mkdirSync(dir, { recursive: true });
@@ -21,27 +23,96 @@ const ensureDirectories = () => {
     });
 };
 
-async function analyzeRelativePositioning(url, containerSelector, viewport = { width: 1440, height: 900 }) {
+/**
+ * Calculate positions, gaps, overlaps and negative margins inside a container
+ * @param {string} url - Page to analyze
+ * @param {Object} options
+ * @param {string} options.containerSelector - Container to measure
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (default 1440x900)
+ * @param {string} [options.outputDir='analysis/relative-positioning'] - Where the JSON and report are written
+ * @param {string} [options.screenshotDir] - Where the screenshot goes (default analysis/screenshots, or outputDir when set)
+ * @param {boolean} [options.save=true] - Write files and screenshot (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} Positioning data
+ */
+async function analyzeRelativePositioning(url, options = {}) {
+    // Container selector and viewport used to be positional arguments
+    if (typeof options === 'string') {
+        options = { containerSelector: options, viewport: arguments[2] };
+    }
+    
+    const {
+        containerSelector,
+        viewport = { width: 1440, height: 900 },
+        outputDir = 'analysis/relative-positioning',
+        screenshotDir = options.outputDir ?? 'analysis/screenshots',
+        save = true
+    } = options;
+    
+    if (!containerSelector) {
+        throw new Error('containerSelector is required');
+    }
+    
+    if (save) {
+        ensureDirectories([outputDir, screenshotDir]);
+    }
+    
     console.log(`📐 Analyzing relative positioning for ${url}`);
     console.log(`📦 Container: ${containerSelector}`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const positioningData = await readThroughCache(
+        {
+            tool: 'relative-positioning',
+            url,
+            viewport,
+            options: { containerSelector, screenshotDir: save ? screenshotDir : null },
+            schemaVersion: CACHE_SCHEMA_VERSION
+        },
+        options,
+        () => collectPositioningData(url, containerSelector, viewport, save ? screenshotDir : null, options.session),
+        (data) => !data.screenshot || existsSync(data.screenshot)
+    );
     
-    try {
-        const page = await browser.newPage();
+    if (save) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+        const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
         
-        await page.setViewport(viewport);
+        // Save results
+        const outputPath = path.join(outputDir, `${timestamp}-${urlSlug}-positioning.json`);
+        console.log(`💾 Saving analysis to ${outputPath}`);
+        writeFileSync(outputPath, JSON.stringify(positioningData, null, 2));
         
-        console.log(`📥 Loading page...`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
+        // Generate human-readable report
+        const report = generateReport(positioningData, outputDir);
+        const reportPath = path.join(outputDir, `${timestamp}-${urlSlug}-positioning.md`);
+        writeFileSync(reportPath, report);
         
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        console.log(`📄 JSON: ${outputPath}`);
+        console.log(`📄 Report: ${reportPath}`);
+        console.log(`📸 Screenshot: ${positioningData.screenshot}`);
+    }
+    
+    console.log(`✅ Analysis complete!`);
+    
+    return positioningData;
+}
+
+/**
+ * Measure the container's children and optionally screenshot them outlined
+ * @param {string|null} screenshotDir - Where to save the screenshot (null = none)
+ * @returns {Promise<Object>} Positioning data (cached by analyzeRelativePositioning)
+ */
+async function collectPositioningData(url, containerSelector, viewport, screenshotDir, sharedSession = null) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    
+    try {
+        // The screenshot outlines elements, so saving needs a page of its own
+        console.log(`📥 Loading page...`);
+        lease = await session.acquirePage(url, { viewport, fresh: Boolean(screenshotDir) });
+        const { page } = lease;
         
         console.log(`🔍 Analyzing positioning within container...`);
         
@@ -288,56 +359,46 @@ async function analyzeRelativePositioning(url, containerSelector, viewport = { w
             return results;
         }, containerSelector);
         
-        // Take screenshot with container highlighted
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-        const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
-        const screenshotPath = `analysis/screenshots/${timestamp}-${urlSlug}-positioning.png`;
-        
-        // Highlight the container
-        await page.evaluate((selector) => {
-            const container = document.querySelector(selector);
-            if (container) {
-                container.style.outline = '3px solid red';
-                
-                // Highlight children
-                const children = container.querySelectorAll('*');
-                children.forEach((child, index) => {
-                    const style = window.getComputedStyle(child);
-                    if (style.display !== 'none' && style.visibility !== 'hidden') {
-                        child.style.outline = '1px solid blue';
-                    }
-                });
-            }
-        }, containerSelector);
-        
-        console.log(`📸 Taking screenshot...`);
-        await page.screenshot({ path: screenshotPath, fullPage: false });
-        
-        positioningData.screenshot = screenshotPath;
-        
-        // Save results
-        const outputPath = `analysis/relative-positioning/${timestamp}-${urlSlug}-positioning.json`;
-        console.log(`💾 Saving analysis to ${outputPath}`);
-        writeFileSync(outputPath, JSON.stringify(positioningData, null, 2));
-        
-        // Generate human-readable report
-        const report = generateReport(positioningData);
-        const reportPath = `analysis/relative-positioning/${timestamp}-${urlSlug}-positioning.md`;
-        writeFileSync(reportPath, report);
-        
-        console.log(`✅ Analysis complete!`);
-        console.log(`📄 JSON: ${outputPath}`);
-        console.log(`📄 Report: ${reportPath}`);
-        console.log(`📸 Screenshot: ${screenshotPath}`);
+        if (screenshotDir) {
+            // Take screenshot with container highlighted
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+            const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
+            const screenshotPath = path.join(screenshotDir, `${timestamp}-${urlSlug}-positioning.png`);
+            
+            // Highlight the container
+            await page.evaluate((selector) => {
+                const container = document.querySelector(selector);
+                if (container) {
+                    container.style.outline = '3px solid red';
+                    
+                    // Highlight children
+                    const children = container.querySelectorAll('*');
+                    children.forEach((child, index) => {
+                        const style = window.getComputedStyle(child);
+                        if (style.display !== 'none' && style.visibility !== 'hidden') {
+                            child.style.outline = '1px solid blue';
+                        }
+                    });
+                }
+            }, containerSelector);
+            
+            console.log(`📸 Taking screenshot...`);
+            await page.screenshot({ path: screenshotPath, fullPage: false });
+            
+            positioningData.screenshot = screenshotPath;
+        }
         
         return positioningData;
         
     } finally {
-        await browser.close();
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
-function generateReport(data) {
+function generateReport(data, reportDir = 'analysis/relative-positioning') {
     let report = `# Relative Positioning Analysis Report\n\n`;
     report += `**URL:** ${data.url}\n`;
     report += `**Analyzed:** ${new Date(data.extractedAt).toLocaleString()}\n`;
@@ -494,32 +555,14 @@ function generateReport(data) {
         report += `*No center-aligned elements detected*\n\n`;
     }
     
-    report += `## Screenshot\n\n`;
-    report += `![Positioning Analysis](../../${data.screenshot})\n\n`;
-    report += `*Container outlined in red, children in blue*\n`;
-    
-    return report;
-}
-
-// CLI execution
-if (process.argv[1] === new URL(import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1')) {
-    const url = process.argv[2];
-    const containerSelector = process.argv[3];
-    
-    if (!url || !containerSelector) {
-        console.error('Usage: node relative-positioning.mjs <url> <container-selector>');
-        console.error('Example: node relative-positioning.mjs https://example.com ".hero-section"');
-        process.exit(1);
+    if (data.screenshot) {
+        const screenshotLink = path.relative(reportDir, data.screenshot).split(path.sep).join('/');
+        report += `## Screenshot\n\n`;
+        report += `![Positioning Analysis](${screenshotLink})\n\n`;
+        report += `*Container outlined in red, children in blue*\n`;
     }
     
-    ensureDirectories();
-    
-    analyzeRelativePositioning(url, containerSelector)
-        .then(() => process.exit(0))
-        .catch(err => {
-            console.error('Error:', err);
-            process.exit(1);
-        });
+    return report;
 }
 
 export { analyzeRelativePositioning };
@@ -1,19 +1,27 @@
-#!/usr/bin/env node
 /**
  * Multi-Breakpoint Responsive Analysis Tool
  * Analyzes responsive behavior patterns across multiple viewport sizes
  * 
- * Usage: node tools/analyze-responsive.mjs <url>
- * Example: node tools/analyze-responsive.mjs https://example.com
+ * Usage: wat responsive <url> [--discover]
+ * Example: wat responsive https://example.com
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession, mapWithConcurrency } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { discoverBreakpoints } from './breakpoint-discovery.mjs';
+import { captureLayoutSnapshot, describeLayoutChange } from '../utils/layout-snapshot.mjs';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
 
-// Ensure orig directory exists
-if (!existsSync('orig')) {
-    mkdirSync('orig');
-}
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 2;
+
+// Elements recorded per breakpoint for cross-viewport tracking (document order)
+const MAX_TRACKED_ELEMENTS = 1500;
+// Element timelines kept in the results (elements that change first)
+const MAX_TIMELINES = 300;
+// Containers worth a timeline even when they are not flex or grid
+const CONTAINER_TAGS = new Set(['div', 'section', 'main', 'article', 'header', 'footer', 'nav', 'aside', 'ul', 'ol', 'form']);
 
 // Standard breakpoints for analysis
 const BREAKPOINTS = [
@@ -26,14 +34,94 @@ const BREAKPOINTS = [
     { name: 'desktop-lg', width: 1920, height: 1080 } // Large desktop
 ];
 
-async function analyzeResponsiveBehavior(url) {
+/**
+ * Analyze layout behavior across a set of viewport sizes
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {Array<{name: string, width: number, height: number}>} [options.breakpoints=BREAKPOINTS] - Viewports to test
+ * @param {boolean|Object} [options.discover=false] - Test the site's own breakpoints, found by a viewport sweep,
+ *   instead of `breakpoints`; an object is passed to discoverBreakpoints() (minWidth, maxWidth, step, height)
+ * @param {number} [options.concurrency=2] - Breakpoints loaded in parallel
+ * @param {string} [options.outputDir='orig'] - Where the analysis and report are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} Per-breakpoint data, responsive patterns and summary
+ */
+async function analyzeResponsiveBehavior(url, options = {}) {
+    const {
+        concurrency = 2,
+        outputDir = 'orig',
+        save = true,
+        discover = false
+    } = options;
+    let { breakpoints = BREAKPOINTS } = options;
+    
+    let discovery = null;
+    if (discover) {
+        discovery = await discoverBreakpoints(url, {
+            ...options,
+            ...(typeof discover === 'object' ? discover : {}),
+            save: false
+        });
+        // The narrowest width, then one viewport at each discovered breakpoint
+        const { minWidth, height } = discovery.sweep;
+        breakpoints = [minWidth, ...discovery.summary.widths].map(width => ({ name: `${width}px`, width, height }));
+    }
+    
     console.log(`🔍 Analyzing responsive behavior for ${url}`);
-    console.log(`📱 Testing ${BREAKPOINTS.length} breakpoints`);
+    console.log(`📱 Testing ${breakpoints.length} breakpoints`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const analysisData = await readThroughCache(
+        { tool: 'responsive', url, options: { breakpoints }, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectBreakpointData(url, breakpoints, concurrency, options.session)
+    );
+    
+    if (discovery) {
+        analysisData.discoveredBreakpoints = discovery.breakpoints;
+    }
+    
+    // Analyze responsive patterns
+    analyzeResponsivePatterns(analysisData);
+    
+    // Generate summary
+    generateResponsiveSummary(analysisData);
+    
+    console.log(`✅ Responsive analysis complete!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Breakpoints analyzed: ${analysisData.breakpoints.length}`);
+    console.log(`   • Height changes: ${analysisData.responsivePatterns.heightChanges.length}`);
+    console.log(`   • Layout transformations: ${analysisData.responsivePatterns.layoutTransformations.length}`);
+    console.log(`   • Elements tracked: ${analysisData.responsivePatterns.elementTimelines.length} (${analysisData.responsivePatterns.elementTransitions.length} layout changes)`);
+    
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+        
+        // Save complete analysis
+        const analysisPath = path.join(outputDir, '_responsive-analysis.json');
+        writeFileSync(analysisPath, JSON.stringify(analysisData, null, 2));
+        
+        // Create simplified report
+        const reportPath = path.join(outputDir, '_responsive-report.md');
+        writeFileSync(reportPath, createResponsiveReport(analysisData));
+        
+        console.log(`📄 Full analysis: ${analysisPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+    }
+    
+    return analysisData;
+}
+
+/**
+ * Load the page once per breakpoint and measure layout at each size
+ * @returns {Promise<Object>} Per-breakpoint data (cached by analyzeResponsiveBehavior)
+ */
+async function collectBreakpointData(url, breakpoints, concurrency, sharedSession = null) {
+    const session = sharedSession ?? createBrowserSession();
     
     try {
         const analysisData = {
@@ -49,27 +137,21 @@ async function analyzeResponsiveBehavior(url) {
             summary: {}
         };
         
-        for (let i = 0; i < BREAKPOINTS.length; i++) {
-            const breakpoint = BREAKPOINTS[i];
+        // Launch up front so a browser failure aborts the run instead of failing every breakpoint
+        await session.getBrowser();
+        
+        // Each breakpoint gets its own fresh page so the layout is a true first load at that size
+        const breakpointResults = await mapWithConcurrency(breakpoints, concurrency, async (breakpoint) => {
             console.log(`📐 Analyzing ${breakpoint.name} (${breakpoint.width}x${breakpoint.height})`);
             
-            const page = await browser.newPage();
+            let lease = null;
             
             try {
-                // Set viewport
-                await page.setViewport({ 
-                    width: breakpoint.width, 
-                    height: breakpoint.height 
+                lease = await session.acquirePage(url, {
+                    viewport: { width: breakpoint.width, height: breakpoint.height },
+                    fresh: true
                 });
-                
-                // Navigate to page
-                await page.goto(url, { 
-                    waitUntil: 'networkidle2',
-                    timeout: 30000 
-                });
-                
-                // Wait for dynamic content and layout settling
-                await page.waitForTimeout(3000);
+                const { page } = lease;
                 
                 // Extract responsive data
                 const breakpointData = await page.evaluate((bpName, bpWidth, bpHeight) => {
@@ -167,38 +249,27 @@ async function analyzeResponsiveBehavior(url) {
                     return data;
                 }, breakpoint.name, breakpoint.width, breakpoint.height);
                 
-                analysisData.breakpoints.push(breakpointData);
+                // Keyed by DOM path, so the same element can be followed from one viewport to the next
+                const snapshot = await page.evaluate(captureLayoutSnapshot, MAX_TRACKED_ELEMENTS, ['gridTemplateColumns']);
+                breakpointData.elements = Object.fromEntries(Object.entries(snapshot.elements)
+                    .map(([elementPath, { label, box, state, styles }]) => [elementPath, {
+                        label,
+                        box,
+                        ...state,
+                        ...(state.display.includes('grid') && { gridTemplateColumns: styles.gridTemplateColumns })
+                    }]));
                 
-                // Add delay between breakpoints
-                await page.waitForTimeout(1000);
+                return breakpointData;
                 
             } catch (error) {
                 console.error(`❌ Error analyzing ${breakpoint.name}:`, error.message);
+                return null;
             } finally {
-                await page.close();
+                lease?.release();
             }
-        }
-        
-        // Analyze responsive patterns
-        analyzeResponsivePatterns(analysisData);
-        
-        // Generate summary
-        generateResponsiveSummary(analysisData);
-        
-        // Save complete analysis
-        writeFileSync('orig/_responsive-analysis.json', JSON.stringify(analysisData, null, 2));
-        
-        // Create simplified report
-        const report = createResponsiveReport(analysisData);
-        writeFileSync('orig/_responsive-report.md', report);
+        });
         
-        console.log(`✅ Responsive analysis complete!`);
-        console.log(`📊 Summary:`);
-        console.log(`   • Breakpoints analyzed: ${analysisData.breakpoints.length}`);
-        console.log(`   • Height changes: ${analysisData.responsivePatterns.heightChanges.length}`);
-        console.log(`   • Layout transformations: ${analysisData.responsivePatterns.layoutTransformations.length}`);
-        console.log(`📄 Full analysis: orig/_responsive-analysis.json`);
-        console.log(`📋 Report: orig/_responsive-report.md`);
+        analysisData.breakpoints = breakpointResults.filter(Boolean);
         
         return analysisData;
         
@@ -206,7 +277,9 @@ async function analyzeResponsiveBehavior(url) {
         console.error('❌ Error during responsive analysis:', error);
         throw error;
     } finally {
-        await browser.close();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
@@ -238,6 +311,8 @@ function analyzeResponsivePatterns(data) {
         data.responsivePatterns.heightChanges.push(heightChange);
     }
     
+    trackElementsAcrossBreakpoints(data);
+    
     // Analyze layout transformations
     breakpoints.forEach(bp => {
         const gridCount = bp.layoutAnalysis.gridElements.length;
@@ -256,6 +331,98 @@ function analyzeResponsivePatterns(data) {
     });
 }
 
+/**
+ * Follow each layout element across the breakpoints (narrowest first): a timeline of its display,
+ * flex direction, grid columns, width and position, plus every switch between two viewports
+ */
+function trackElementsAcrossBreakpoints(data) {
+    const ordered = [...data.breakpoints].sort((a, b) => a.viewport.width - b.viewport.width);
+    const paths = new Set(ordered.flatMap(bp => Object.keys(bp.elements || {})));
+    const timelines = [];
+    const transitions = [];
+    
+    paths.forEach(elementPath => {
+        const entries = ordered.map(bp => ({ bp, element: bp.elements?.[elementPath] }));
+        const present = entries.filter(({ element }) => element);
+        const { label } = present[0].element;
+        const tag = label.split(/[.#]/)[0];
+        
+        // Flex and grid containers, and large block containers, at any of the viewports
+        const isLayoutElement = present.some(({ element }) => element.visible && (
+            /flex|grid/.test(element.display) ||
+            (CONTAINER_TAGS.has(tag) && (element.box.width >= 100 || element.box.height >= 100))
+        ));
+        if (!isLayoutElement) return;
+        
+        const timeline = entries.map(({ bp, element }) => element ? {
+            breakpoint: bp.breakpoint,
+            viewportWidth: bp.viewport.width,
+            visible: element.visible,
+            display: element.display,
+            position: element.position,
+            ...(element.flexDirection && { flexDirection: element.flexDirection }),
+            ...(element.gridColumns !== undefined && { gridColumns: element.gridColumns, gridTemplateColumns: element.gridTemplateColumns }),
+            width: element.box.width,
+            x: element.box.x,
+            y: element.box.y
+        } : { breakpoint: bp.breakpoint, viewportWidth: bp.viewport.width, present: false });
+        
+        const elementTransitions = [];
+        for (let i = 1; i < timeline.length; i++) {
+            const before = timeline[i - 1];
+            const after = timeline[i];
+            if (before.present === false || after.present === false) continue;
+            
+            const between = `between ${before.viewportWidth}px and ${after.viewportWidth}px`;
+            const record = (property, description) => elementTransitions.push({
+                element: elementPath,
+                label,
+                property,
+                from: { breakpoint: before.breakpoint, viewportWidth: before.viewportWidth, value: before[property] ?? null },
+                to: { breakpoint: after.breakpoint, viewportWidth: after.viewportWidth, value: after[property] ?? null },
+                description: `${label}: ${description} ${between}`
+            });
+            
+            if (before.visible !== after.visible) {
+                record('visible', after.visible ? 'becomes visible' : 'is hidden');
+                continue;
+            }
+            if (!after.visible) continue;
+            if (before.display !== after.display) {
+                record('display', `display ${before.display} → ${after.display}`);
+            }
+            if (before.gridColumns !== undefined && after.gridColumns !== undefined && before.gridColumns !== after.gridColumns) {
+                const columns = (count) => `${count} column${count === 1 ? '' : 's'}`;
+                record('gridColumns', `grid of ${columns(before.gridColumns)} becomes ${columns(after.gridColumns)}`);
+            }
+            if (before.flexDirection && after.flexDirection && before.flexDirection !== after.flexDirection) {
+                record('flexDirection', `flex-direction ${before.flexDirection} → ${after.flexDirection}`);
+            }
+            if (before.position !== after.position) {
+                record('position', `position ${before.position} → ${after.position}`);
+            }
+        }
+        
+        transitions.push(...elementTransitions);
+        timelines.push({ element: elementPath, label, changes: elementTransitions.length, timeline });
+    });
+    
+    // Elements that change first; otherwise document order
+    data.responsivePatterns.elementTimelines = timelines
+        .map((timeline, index) => ({ timeline, index }))
+        .sort((a, b) => Math.sign(b.timeline.changes) - Math.sign(a.timeline.changes) || a.index - b.index)
+        .slice(0, MAX_TIMELINES)
+        .map(({ timeline }) => timeline);
+    // Narrowest switch first; elements in document order within the same pair of viewports
+    data.responsivePatterns.elementTransitions = transitions
+        .map((transition, index) => ({ transition, index }))
+        .sort((a, b) => a.transition.to.viewportWidth - b.transition.to.viewportWidth || a.index - b.index)
+        .map(({ transition }) => transition);
+    
+    // Raw per-breakpoint element maps are only needed to build the timelines
+    data.breakpoints.forEach(bp => delete bp.elements);
+}
+
 function generateResponsiveSummary(data) {
     const breakpoints = data.breakpoints;
     
@@ -264,8 +431,9 @@ function generateResponsiveSummary(data) {
         return;
     }
     
-    const mobile = breakpoints.find(bp => bp.breakpoint === 'mobile');
-    const desktop = breakpoints.find(bp => bp.breakpoint === 'desktop');
+    // Custom and discovered breakpoints have no mobile/desktop names: compare narrowest and widest
+    const mobile = breakpoints.find(bp => bp.breakpoint === 'mobile') ?? breakpoints[0];
+    const desktop = breakpoints.find(bp => bp.breakpoint === 'desktop') ?? breakpoints[breakpoints.length - 1];
     
     if (mobile && desktop) {
         const heightCompression = ((desktop.documentDimensions.scrollHeight / mobile.documentDimensions.scrollHeight) * 100).toFixed(1);
@@ -313,6 +481,23 @@ function createResponsiveReport(data) {
     report += `- **Breakpoints Analyzed**: ${data.summary.totalBreakpoints}\n`;
     report += `- **Significant Changes**: ${data.summary.significantChanges?.length || 0}\n\n`;
     
+    if (data.discoveredBreakpoints) {
+        report += `## Discovered Breakpoints\n\n`;
+        if (data.discoveredBreakpoints.length === 0) {
+            report += `No layout changes found in the sweep.\n\n`;
+        }
+        data.discoveredBreakpoints.forEach(breakpoint => {
+            report += `**${breakpoint.width}px** (\`${breakpoint.query}\`)\n`;
+            breakpoint.changes.slice(0, 5).forEach(change => {
+                report += `- ${describeLayoutChange(change)}\n`;
+            });
+            if (breakpoint.changes.length > 5) {
+                report += `- ...and ${breakpoint.changes.length - 5} more\n`;
+            }
+            report += `\n`;
+        });
+    }
+    
     report += `## Breakpoint Analysis\n\n`;
     data.breakpoints.forEach(bp => {
         report += `### ${bp.breakpoint.toUpperCase()} (${bp.viewport.width}x${bp.viewport.height})\n`;
@@ -323,6 +508,18 @@ function createResponsiveReport(data) {
         report += `- Container Elements: ${bp.layoutAnalysis.containerElements.length}\n\n`;
     });
     
+    const transitions = data.responsivePatterns.elementTransitions || [];
+    if (transitions.length > 0) {
+        report += `## Layout Changes by Element\n\n`;
+        transitions.slice(0, 40).forEach(transition => {
+            report += `- ${transition.description}\n`;
+        });
+        if (transitions.length > 40) {
+            report += `- ...and ${transitions.length - 40} more (see elementTransitions in the JSON)\n`;
+        }
+        report += `\n`;
+    }
+    
     report += `## Height Changes Between Breakpoints\n\n`;
     data.responsivePatterns.heightChanges.forEach(change => {
         report += `**${change.from} → ${change.to}**\n`;
@@ -339,24 +536,4 @@ function createResponsiveReport(data) {
     return report;
 }
 
-// Command line usage
-const url = process.argv[2];
-
-if (!url) {
-    console.error('❌ Usage: node analyze-responsive.mjs <url>');
-    console.error('   Example: node analyze-responsive.mjs https://example.com');
-    process.exit(1);
-}
-
-// Validate URL
-try {
-    new URL(url);
-} catch (error) {
-    console.error('❌ Invalid URL provided');
-    process.exit(1);
-}
-
-analyzeResponsiveBehavior(url).catch(error => {
-    console.error('❌ Failed to analyze responsive behavior:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+export { analyzeResponsiveBehavior, BREAKPOINTS };
@@ -0,0 +1,394 @@
+/**
+ * Visual Comparison
+ * Screenshots the original and the recreated site at the same viewports and diffs them pixel by pixel
+ *
+ * Built for the last step of "analyze, rebuild, compare": the recreated site is usually a local
+ * dev server. Animations and transitions are jumped to their end state and `mask` selectors are
+ * hidden on both sides, so only real differences count. Pixels are compared by perceived color
+ * difference (YIQ, as pixelmatch does); `pixelThreshold` is how different two pixels must be to
+ * count, `threshold` the mismatch percentage a viewport may have and still pass. Where one page is
+ * taller than the other, the extra height counts as mismatched.
+ *
+ * Decoding and diffing run in a blank browser page (canvas), so no image library is needed.
+ * Results are never cached: the recreated site is expected to change between runs.
+ *
+ * Output (in outputDir, default orig/compare):
+ *   <viewport>-original.png, <viewport>-recreated.png - the screenshots
+ *   <viewport>-heatmap.png  - the original faded to grey, differing pixels from yellow (slight) to red
+ *   _visual-compare.json / .md - mismatch per viewport, pass/fail and the regions that differ most
+ *
+ * Usage: wat compare <original> <recreated> [--threshold <percent>] [--viewport <WxH,...>]
+ * Example: wat compare https://example.com http://localhost:3000 --threshold 2
+ */
+
+import { createBrowserSession, settlePage } from '../utils/browser-session.mjs';
+import { BREAKPOINTS } from './responsive.mjs';
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
+
+const DEFAULT_VIEWPORTS = BREAKPOINTS.filter(breakpoint => ['mobile', 'tablet', 'desktop'].includes(breakpoint.name));
+
+// End every animation and transition at once, and hide the text caret, so both sides are captured in the same state
+const FREEZE_CSS = `*, *::before, *::after {
+    animation-duration: 0s !important;
+    animation-delay: 0s !important;
+    animation-iteration-count: 1 !important;
+    transition: none !important;
+    caret-color: transparent !important;
+    scroll-behavior: auto !important;
+}`;
+
+// Side of the square cells mismatches are grouped into for the region list
+const CELL_SIZE = 32;
+
+/**
+ * Load, freeze and screenshot one page
+ * @returns {Promise<{data: string, width: number, height: number, documentHeight: number}>} data is base64 PNG
+ */
+async function captureScreenshot(session, url, viewport, { fullPage, maxHeight, mask }) {
+    // Own page: styles are injected and elements hidden
+    const lease = await session.acquirePage(url, { viewport: { width: viewport.width, height: viewport.height }, fresh: true });
+    try {
+        const { page } = lease;
+        await page.addStyleTag({ content: FREEZE_CSS });
+        if (mask.length > 0) {
+            await page.evaluate((selectors) => {
+                selectors.forEach(selector => document.querySelectorAll(selector).forEach(element => {
+                    element.style.setProperty('visibility', 'hidden', 'important');
+                }));
+            }, mask);
+        }
+
+        if (fullPage) {
+            // Scroll through once so lazy-loaded images and scroll-triggered content are in
+            await page.evaluate(async (limit) => {
+                for (let y = 0; y < Math.min(document.documentElement.scrollHeight, limit); y += window.innerHeight) {
+                    window.scrollTo(0, y);
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                }
+                window.scrollTo(0, 0);
+            }, maxHeight);
+        }
+        await settlePage(page);
+
+        // Measured after the scroll-through, which can grow the page, so it matches the screenshot
+        const documentHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+        const height = fullPage ? Math.min(documentHeight, maxHeight) : viewport.height;
+        const data = await page.screenshot({
+            type: 'png',
+            encoding: 'base64',
+            clip: { x: 0, y: 0, width: viewport.width, height },
+            captureBeyondViewport: fullPage
+        });
+        return { data, width: viewport.width, height, documentHeight };
+    } finally {
+        lease.release();
+    }
+}
+
+/**
+ * Diff two PNG screenshots (runs in the page)
+ * @param {string} originalData - base64 PNG
+ * @param {string} recreatedData - base64 PNG
+ * @param {number} pixelThreshold - 0..1, how different two pixels must be to count
+ * @param {number} cellSize - Region grid size in px
+ * @returns {Promise<Object>} { width, height, mismatchedPixels, heatmap (base64 PNG), regions }
+ */
+async function diffScreenshots(originalData, recreatedData, pixelThreshold, cellSize) {
+    const load = (data) => new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not decode screenshot'));
+        image.src = `data:image/png;base64,${data}`;
+    });
+    const [original, recreated] = await Promise.all([load(originalData), load(recreatedData)]);
+    const width = Math.max(original.width, recreated.width);
+    const height = Math.max(original.height, recreated.height);
+
+    const readPixels = (image) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, width, height).data;
+    };
+    const a = readPixels(original);
+    const b = readPixels(recreated);
+
+    // Perceived color difference in YIQ space (Kotsarenko & Ramos), colors blended onto white
+    const MAX_DELTA = 35215;
+    const limit = MAX_DELTA * pixelThreshold * pixelThreshold;
+    const blend = (value, alpha) => 255 + (value - 255) * alpha;
+    const toYIQ = (data, index) => {
+        const alpha = data[index + 3] / 255;
+        const r = blend(data[index], alpha);
+        const g = blend(data[index + 1], alpha);
+        const bl = blend(data[index + 2], alpha);
+        return [
+            r * 0.29889531 + g * 0.58662247 + bl * 0.11448223,
+            r * 0.59597799 - g * 0.27417610 - bl * 0.32180189,
+            r * 0.21147017 - g * 0.52261711 + bl * 0.31114694
+        ];
+    };
+
+    const heatmapCanvas = document.createElement('canvas');
+    heatmapCanvas.width = width;
+    heatmapCanvas.height = height;
+    const heatmapContext = heatmapCanvas.getContext('2d');
+    const heatmap = heatmapContext.createImageData(width, height);
+    const out = heatmap.data;
+
+    const columns = Math.ceil(width / cellSize);
+    const cells = new Uint32Array(columns * Math.ceil(height / cellSize));
+    let mismatchedPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            const [y1, i1, q1] = toYIQ(a, index);
+            // Beyond the shorter screenshot every pixel differs
+            const outside = x >= original.width || y >= original.height || x >= recreated.width || y >= recreated.height;
+            let delta = MAX_DELTA;
+            if (!outside) {
+                const [y2, i2, q2] = toYIQ(b, index);
+                delta = 0.5053 * (y1 - y2) ** 2 + 0.299 * (i1 - i2) ** 2 + 0.1957 * (q1 - q2) ** 2;
+            }
+
+            if (delta > limit) {
+                mismatchedPixels++;
+                cells[Math.floor(y / cellSize) * columns + Math.floor(x / cellSize)]++;
+                // Yellow for slight differences, red for strong ones
+                const intensity = Math.min(1, Math.sqrt(delta / MAX_DELTA));
+                out[index] = 255;
+                out[index + 1] = Math.round(220 * (1 - intensity));
+                out[index + 2] = 0;
+            } else {
+                const grey = Math.round(255 + (y1 - 255) * 0.1);
+                out[index] = grey;
+                out[index + 1] = grey;
+                out[index + 2] = grey;
+            }
+            out[index + 3] = 255;
+        }
+    }
+    heatmapContext.putImageData(heatmap, 0, 0);
+
+    // Neighbouring cells with mismatches form a region
+    const seen = new Uint8Array(cells.length);
+    const regions = [];
+    for (let start = 0; start < cells.length; start++) {
+        if (!cells[start] || seen[start]) continue;
+        const region = { left: Infinity, top: Infinity, right: 0, bottom: 0, mismatchedPixels: 0 };
+        const stack = [start];
+        seen[start] = 1;
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            const column = cell % columns;
+            const row = Math.floor(cell / columns);
+            region.left = Math.min(region.left, column * cellSize);
+            region.top = Math.min(region.top, row * cellSize);
+            region.right = Math.max(region.right, Math.min((column + 1) * cellSize, width));
+            region.bottom = Math.max(region.bottom, Math.min((row + 1) * cellSize, height));
+            region.mismatchedPixels += cells[cell];
+            [[column - 1, row], [column + 1, row], [column, row - 1], [column, row + 1]].forEach(([c, r]) => {
+                const next = r * columns + c;
+                if (c < 0 || c >= columns || r < 0 || next >= cells.length || seen[next] || !cells[next]) return;
+                seen[next] = 1;
+                stack.push(next);
+            });
+        }
+        regions.push({
+            x: region.left,
+            y: region.top,
+            width: region.right - region.left,
+            height: region.bottom - region.top,
+            mismatchedPixels: region.mismatchedPixels
+        });
+    }
+    regions.sort((first, second) => second.mismatchedPixels - first.mismatchedPixels);
+
+    return {
+        width,
+        height,
+        mismatchedPixels,
+        heatmap: heatmapCanvas.toDataURL('image/png').split(',')[1],
+        regions: regions.slice(0, 20)
+    };
+}
+
+/**
+ * Screenshot two sites at the same viewports and compare them
+ * @param {string} originalUrl - The site being recreated
+ * @param {string} recreatedUrl - The recreation, e.g. http://localhost:3000
+ * @param {Object} [options]
+ * @param {Array<{name?: string, width: number, height: number}>} [options.viewports] - Viewports to compare (default mobile 375, tablet 768, desktop 1440)
+ * @param {number} [options.threshold=1] - Mismatch percentage a viewport may have and still pass
+ * @param {number} [options.pixelThreshold=0.1] - Color difference (0-1) below which two pixels count as equal
+ * @param {boolean} [options.fullPage=true] - Compare the whole page (false = the first screen only)
+ * @param {number} [options.maxHeight=10000] - Full-page screenshots are cut off at this height (px)
+ * @param {string[]} [options.mask=[]] - Selectors hidden on both sites before the screenshot (carousels, dates, ads)
+ * @param {string} [options.outputDir='orig/compare'] - Where screenshots, heatmaps and the report are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} { original, recreated, viewports: [{ name, mismatchPercentage, passed, regions, ... }], passed, summary }
+ */
+async function compareSites(originalUrl, recreatedUrl, options = {}) {
+    const {
+        viewports = DEFAULT_VIEWPORTS,
+        threshold = 1,
+        pixelThreshold = 0.1,
+        fullPage = true,
+        maxHeight = 10000,
+        mask = [],
+        outputDir = path.join('orig', 'compare'),
+        save = true
+    } = options;
+
+    console.log(`🔍 Comparing ${originalUrl} with ${recreatedUrl}`);
+    console.log(`📐 Viewports: ${viewports.map(viewport => `${viewport.width}x${viewport.height}`).join(', ')} (${fullPage ? 'full page' : 'first screen'})`);
+
+    if (save && !existsSync(outputDir)) {
+        mkdirSync(outputDir, { recursive: true });
+    }
+
+    const session = options.session ?? createBrowserSession();
+    let diffPage = null;
+    const results = [];
+
+    try {
+        for (const viewport of viewports) {
+            const name = viewport.name ?? `${viewport.width}x${viewport.height}`;
+            console.log(`📸 ${name}: capturing both sites...`);
+            const capture = { fullPage, maxHeight, mask };
+            const original = await captureScreenshot(session, originalUrl, viewport, capture);
+            const recreated = await captureScreenshot(session, recreatedUrl, viewport, capture);
+
+            if (!diffPage) {
+                diffPage = await (await session.getBrowser()).newPage();
+            }
+            const diff = await diffPage.evaluate(diffScreenshots, original.data, recreated.data, pixelThreshold, CELL_SIZE);
+
+            const totalPixels = diff.width * diff.height;
+            const mismatchPercentage = totalPixels > 0 ? Math.round(diff.mismatchedPixels / totalPixels * 100000) / 1000 : 0;
+            const files = { original: null, recreated: null, heatmap: null };
+            if (save) {
+                files.original = path.join(outputDir, `${name}-original.png`);
+                files.recreated = path.join(outputDir, `${name}-recreated.png`);
+                files.heatmap = path.join(outputDir, `${name}-heatmap.png`);
+                writeFileSync(files.original, Buffer.from(original.data, 'base64'));
+                writeFileSync(files.recreated, Buffer.from(recreated.data, 'base64'));
+                writeFileSync(files.heatmap, Buffer.from(diff.heatmap, 'base64'));
+            }
+
+            const result = {
+                name,
+                width: viewport.width,
+                height: viewport.height,
+                original: { height: original.height, documentHeight: original.documentHeight, screenshot: files.original },
+                recreated: { height: recreated.height, documentHeight: recreated.documentHeight, screenshot: files.recreated },
+                heatmap: files.heatmap,
+                comparedHeight: diff.height,
+                totalPixels,
+                mismatchedPixels: diff.mismatchedPixels,
+                mismatchPercentage,
+                passed: mismatchPercentage <= threshold,
+                regions: diff.regions
+            };
+            results.push(result);
+            console.log(`   ${result.passed ? '✅' : '❌'} ${mismatchPercentage}% of pixels differ (threshold ${threshold}%)`);
+        }
+    } catch (error) {
+        console.error('❌ Error during visual comparison:', error);
+        throw error;
+    } finally {
+        await diffPage?.close().catch(() => {});
+        if (!options.session) {
+            await session.close();
+        }
+    }
+
+    const failed = results.filter(result => !result.passed);
+    const comparison = {
+        original: originalUrl,
+        recreated: recreatedUrl,
+        comparedAt: new Date().toISOString(),
+        threshold,
+        pixelThreshold,
+        fullPage,
+        mask,
+        viewports: results,
+        passed: failed.length === 0,
+        summary: {
+            viewports: results.length,
+            failed: failed.map(result => result.name),
+            worst: results.reduce((worst, result) => !worst || result.mismatchPercentage > worst.mismatchPercentage ? result : worst, null)?.name ?? null,
+            averageMismatch: results.length > 0
+                ? Math.round(results.reduce((sum, result) => sum + result.mismatchPercentage, 0) / results.length * 1000) / 1000
+                : 0
+        }
+    };
+
+    console.log(`${comparison.passed ? '✅ Visual comparison passed' : `❌ Visual comparison failed at ${failed.map(result => result.name).join(', ')}`}`);
+
+    if (save) {
+        const jsonPath = path.join(outputDir, '_visual-compare.json');
+        writeFileSync(jsonPath, JSON.stringify(comparison, null, 2));
+
+        const reportPath = path.join(outputDir, '_visual-compare.md');
+        writeFileSync(reportPath, createCompareReport(comparison, outputDir));
+
+        console.log(`📄 Full results: ${jsonPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+    }
+
+    return comparison;
+}
+
+function createCompareReport(comparison, outputDir) {
+    const relative = (file) => file ? path.relative(outputDir, file).split(path.sep).join('/') : null;
+
+    let report = `# Visual Comparison Report\n\n`;
+    report += `**Original**: ${comparison.original}\n`;
+    report += `**Recreated**: ${comparison.recreated}\n`;
+    report += `**Compared**: ${comparison.comparedAt}\n`;
+    report += `**Result**: ${comparison.passed ? '✅ Passed' : '❌ Failed'} (threshold ${comparison.threshold}% of pixels, pixel sensitivity ${comparison.pixelThreshold})\n`;
+    if (comparison.mask.length > 0) {
+        report += `**Masked**: ${comparison.mask.map(selector => `\`${selector}\``).join(', ')}\n`;
+    }
+    report += `\n`;
+
+    report += `## Summary\n\n`;
+    report += `| Viewport | Mismatch | Result | Page height (original / recreated) |\n`;
+    report += `|----------|----------|--------|------------------------------------|\n`;
+    comparison.viewports.forEach(result => {
+        report += `| ${result.name} (${result.width}x${result.height}) | ${result.mismatchPercentage}% | ${result.passed ? '✅' : '❌'} | ${result.original.documentHeight} / ${result.recreated.documentHeight}px |\n`;
+    });
+    report += `\n`;
+
+    comparison.viewports.forEach(result => {
+        report += `## ${result.name}\n\n`;
+        const heightDifference = Math.abs(result.original.documentHeight - result.recreated.documentHeight);
+        if (result.original.height !== result.recreated.height) {
+            report += `Page heights differ by ${heightDifference}px; everything below the shorter page counts as mismatched.\n\n`;
+        } else if (heightDifference > 0) {
+            report += `Page heights differ by ${heightDifference}px, below the compared area (${result.original.height}px).\n\n`;
+        }
+        if (result.heatmap) {
+            report += `![${result.name} heatmap](${relative(result.heatmap)})\n\n`;
+        }
+        if (result.regions.length > 0) {
+            report += `Regions that differ most:\n\n`;
+            result.regions.slice(0, 10).forEach(region => {
+                report += `- ${region.width}×${region.height}px at (${region.x}, ${region.y}): ${region.mismatchedPixels} pixels\n`;
+            });
+            report += `\n`;
+        } else {
+            report += `No differences.\n\n`;
+        }
+    });
+
+    return report;
+}
+
+export { compareSites, DEFAULT_VIEWPORTS };
@@ -0,0 +1,228 @@
+/**
+ * CLI Argument Parsing
+ * Shared flag definitions and parsing for every `wat` subcommand
+ */
+
+import { parseArgs } from 'util';
+import { EXIT_CODES, cliError, usageError } from './exit-codes.mjs';
+import { parseDuration } from '../utils/cache.mjs';
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+// Flags with the same meaning on every subcommand that supports them
+const COMMON_OPTIONS = {
+    viewport: {
+        type: 'string',
+        value: '<WxH>',
+        description: 'Viewport size, e.g. 1440x900'
+    },
+    out: {
+        type: 'string',
+        value: '<dir>',
+        description: 'Directory to write results to'
+    },
+    force: {
+        type: 'boolean',
+        description: 'Ignore cached results and fetch fresh data'
+    },
+    'cache-ttl': {
+        type: 'string',
+        value: '<duration>',
+        description: 'Reuse cached results younger than this, e.g. 30m, 12h, 7d (default 24h)'
+    },
+    'no-cache': {
+        type: 'boolean',
+        description: 'Do not read or write the analysis cache'
+    },
+    record: {
+        type: 'string',
+        value: '<file.har>',
+        description: 'Save every network response of the run to a HAR archive'
+    },
+    replay: {
+        type: 'string',
+        value: '<file.har>',
+        description: 'Serve responses from a HAR archive instead of the network'
+    },
+    format: {
+        type: 'string',
+        value: '<text|json>',
+        description: 'Output format: text (default) or json (result on stdout, logs on stderr)'
+    },
+    quiet: {
+        type: 'boolean',
+        short: 'q',
+        description: 'Only print errors (and the result with --format json)'
+    },
+    help: {
+        type: 'boolean',
+        short: 'h',
+        description: 'Show help for this command'
+    }
+};
+
+// Available on every subcommand regardless of what it declares
+const ALWAYS_ON = ['format', 'quiet', 'help'];
+
+/**
+ * Parse a viewport string like "1440x900"
+ * @param {string} value
+ * @returns {{width: number, height: number}}
+ */
+function parseViewport(value) {
+    const match = /^(\d+)\s*[x×]\s*(\d+)$/i.exec(String(value).trim());
+    if (!match) {
+        throw usageError(`Invalid viewport "${value}" (expected WIDTHxHEIGHT, e.g. 1440x900)`);
+    }
+    const width = parseInt(match[1], 10);
+    const height = parseInt(match[2], 10);
+    if (width < 1 || height < 1) {
+        throw usageError(`Invalid viewport "${value}" (width and height must be positive)`);
+    }
+    return { width, height };
+}
+
+/**
+ * Parse a positive integer flag value
+ * @param {string} value
+ * @param {string} flag - Flag name for the error message
+ * @returns {number}
+ */
+function parsePositiveInt(value, flag) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw usageError(`--${flag} must be a positive integer (got "${value}")`);
+    }
+    return number;
+}
+
+/**
+ * Parse a --cache-ttl value such as "30m", "12h" or "7d"
+ * @param {string} value
+ * @returns {number} Milliseconds
+ */
+function parseCacheTtl(value) {
+    const ttl = parseDuration(value);
+    if (ttl === null) {
+        throw usageError(`Invalid --cache-ttl "${value}" (expected a duration such as 30m, 12h or 7d)`);
+    }
+    return ttl;
+}
+
+/**
+ * Validate a URL argument
+ * @param {string} url
+ * @returns {string}
+ */
+function validateUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:', 'file:'].includes(parsed.protocol)) {
+            throw new Error(`unsupported protocol ${parsed.protocol}`);
+        }
+    } catch (error) {
+        throw cliError(`Invalid URL: ${url}`, EXIT_CODES.INVALID_URL);
+    }
+    return url;
+}
+
+/**
+ * All flag definitions a command accepts (common + command-specific)
+ * @param {Object} command - Command definition from commands.mjs
+ * @returns {Object} parseArgs options keyed by flag name
+ */
+function getCommandOptions(command) {
+    const options = {};
+    for (const name of [...(command.flags || []), ...ALWAYS_ON]) {
+        options[name] = COMMON_OPTIONS[name];
+    }
+    return { ...(command.options || {}), ...options };
+}
+
+/**
+ * Parse argv for a subcommand
+ * @param {Object} command - Command definition from commands.mjs
+ * @param {string[]} argv - Arguments after the subcommand name
+ * @returns {{positionals: string[], flags: Object}}
+ */
+function parseCommandArgs(command, argv) {
+    const definitions = getCommandOptions(command);
+    const parseOptions = {};
+    for (const [name, def] of Object.entries(definitions)) {
+        parseOptions[name] = { type: def.type };
+        if (def.short) parseOptions[name].short = def.short;
+        if (def.multiple) parseOptions[name].multiple = true;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: parseOptions, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+
+    const flags = { ...parsed.values };
+    if (flags.help) {
+        return { positionals: parsed.positionals, flags };
+    }
+
+    flags.format = flags.format ?? 'text';
+    if (!OUTPUT_FORMATS.includes(flags.format)) {
+        throw usageError(`Unknown --format "${flags.format}" (expected ${OUTPUT_FORMATS.join(' or ')})`);
+    }
+
+    const args = command.args || [];
+    const required = args.filter(arg => !arg.endsWith('?'));
+    if (parsed.positionals.length < required.length) {
+        throw usageError(`Missing required argument <${required[parsed.positionals.length]}>`);
+    }
+    if (parsed.positionals.length > args.length) {
+        throw usageError(`Unexpected argument "${parsed.positionals[args.length]}"`);
+    }
+
+    return { positionals: parsed.positionals, flags };
+}
+
+/**
+ * Render --help text for a subcommand
+ * @param {Object} command - Command definition from commands.mjs
+ * @returns {string}
+ */
+function formatCommandHelp(command) {
+    const definitions = getCommandOptions(command);
+    const usageArgs = (command.args || [])
+        .map(arg => arg.endsWith('?') ? `[${arg.slice(0, -1)}]` : `<${arg}>`)
+        .join(' ');
+
+    const rows = Object.entries(definitions).map(([name, def]) => {
+        const flag = `${def.short ? `-${def.short}, ` : '    '}--${name}${def.value ? ` ${def.value}` : ''}`;
+        return [flag, def.description + (def.multiple ? ' (repeatable)' : '')];
+    });
+    const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+
+    let help = `${command.summary}\n\n`;
+    help += `Usage: wat ${command.name} ${usageArgs} [options]\n\n`;
+    if (command.description) {
+        help += `${command.description}\n\n`;
+    }
+    help += 'Options:\n';
+    help += rows.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`).join('\n');
+    help += '\n';
+    if (command.examples?.length) {
+        help += '\nExamples:\n';
+        help += command.examples.map(example => `  wat ${command.name} ${example}`).join('\n');
+        help += '\n';
+    }
+    return help;
+}
+
+export {
+    COMMON_OPTIONS,
+    OUTPUT_FORMATS,
+    parseViewport,
+    parsePositiveInt,
+    parseCacheTtl,
+    validateUrl,
+    parseCommandArgs,
+    formatCommandHelp
+};
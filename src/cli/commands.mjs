@@ -0,0 +1,645 @@
+/**
+ * CLI Command Definitions
+ * Maps each `wat` subcommand to its flags and the library function it runs
+ *
+ * Each command declares:
+ *   name, summary, args       - shown in --help (`url?` marks an optional positional)
+ *   flags                     - which common flags it supports (see COMMON_OPTIONS in args.mjs)
+ *   options                   - command-specific flags
+ *   run(url, flags)           - calls the tool and resolves to its result
+ *                               (`url?` commands get null when no URL is given; commands
+ *                               without a URL argument get their positionals instead)
+ *   printText(result)         - optional extra output in text mode
+ *   exitCode(result)          - optional non-zero exit code for a result that is a failure
+ */
+
+import { readFileSync } from 'fs';
+import { extractRawCSS } from '../extractors/static-css.mjs';
+import { auditComputedStyles } from '../extractors/computed-styles.mjs';
+import { extractMediaQueries, displayResults } from '../extractors/media-queries.mjs';
+import { analyzeFontFiles } from '../extractors/font-files.mjs';
+import { analyzeResponsiveBehavior } from '../analyzers/responsive.mjs';
+import { diffBreakpoints } from '../analyzers/breakpoint-diff.mjs';
+import { analyzeBreakpointConflicts } from '../analyzers/breakpoint-conflicts.mjs';
+import { detectFrameworks } from '../analyzers/frameworks.mjs';
+import { comprehensiveSiteAnalysis } from '../analyzers/comprehensive.mjs';
+import { analyzeSpecificElements } from '../analyzers/elements.mjs';
+import { analyzeMobileMenu } from '../analyzers/mobile-menu.mjs';
+import { analyzeInteractiveStates } from '../analyzers/interactive-states.mjs';
+import { analyzeRelativePositioning } from '../analyzers/relative-positioning.mjs';
+import { runCompleteAnalysis } from '../analyzers/complete.mjs';
+import { analyzeCssCoverage } from '../analyzers/css-coverage.mjs';
+import { compareSites } from '../analyzers/visual-compare.mjs';
+import { compareElements } from '../analyzers/element-compare.mjs';
+import { exportDesignTokens, loadInventories } from '../exporters/design-tokens.mjs';
+import { generateResponsiveCss, isBreakpointSpec, isMediaQueryData } from '../exporters/responsive-css.mjs';
+import { listCacheEntries, inspectCacheEntry, purgeCache } from '../utils/cache.mjs';
+import { parseViewport, parsePositiveInt, parseCacheTtl, validateUrl } from './args.mjs';
+import { EXIT_CODES, cliError, usageError } from './exit-codes.mjs';
+
+// Every tool reads through the analysis cache and can record/replay its traffic,
+// so every URL command takes these
+const CACHE_FLAGS = ['force', 'cache-ttl', 'no-cache'];
+const ARCHIVE_FLAGS = ['record', 'replay'];
+
+// Cache settings from --force, --cache-ttl and --no-cache, plus the
+// session/archive wat.mjs creates for --record and --replay
+function runOptions(flags) {
+    const options = {};
+    if (flags.force) options.force = true;
+    if (flags['cache-ttl']) options.cacheTtl = parseCacheTtl(flags['cache-ttl']);
+    if (flags['no-cache']) options.cache = false;
+    if (flags.archive) {
+        // Recording needs real page loads, and replayed results must not mix with live ones
+        options.cache = false;
+        options.archive = flags.archive;
+        options.session = flags.session;
+    }
+    return options;
+}
+
+// Options shared by commands whose tool accepts viewport/outputDir
+function baseOptions(flags) {
+    const options = runOptions(flags);
+    if (flags.viewport) options.viewport = parseViewport(flags.viewport);
+    if (flags.out) options.outputDir = flags.out;
+    return options;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printCacheEntries(entries) {
+    if (entries.length === 0) {
+        console.log('Cache is empty');
+        return;
+    }
+    for (const entry of entries) {
+        const status = entry.expired ? 'expired' : 'fresh';
+        const viewport = entry.viewport ? ` @ ${entry.viewport.width}x${entry.viewport.height}` : '';
+        console.log(`${entry.key.slice(0, 12)}  ${entry.tool.padEnd(20)} ${status.padEnd(8)} ${formatBytes(entry.size).padStart(9)}  ${entry.createdAt}  ${entry.url}${viewport}`);
+    }
+    const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    console.log(`\n${entries.length} entries, ${formatBytes(total)}`);
+}
+
+function runCacheCommand([action, key], flags) {
+    const options = { tool: flags.tool ?? null };
+    if (flags.dir) options.cacheDir = flags.dir;
+
+    switch (action) {
+        case 'list':
+            return { action, entries: listCacheEntries(options) };
+        case 'inspect': {
+            if (!key) {
+                throw usageError('wat cache inspect needs a cache key (or the start of one)');
+            }
+            const entry = inspectCacheEntry(key, options);
+            if (!entry) {
+                throw cliError(`No cache entry matches "${key}"`, EXIT_CODES.NOT_FOUND);
+            }
+            return { action, ...entry };
+        }
+        case 'purge':
+            return { action, ...purgeCache({ ...options, key: key ?? null, expiredOnly: Boolean(flags.expired) }) };
+        default:
+            throw usageError(`Unknown cache action "${action}" (expected list, inspect or purge)`);
+    }
+}
+
+const COMMANDS = [
+    {
+        name: 'static-css',
+        summary: 'Download every stylesheet and build color/font inventories',
+        args: ['url'],
+        flags: ['out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            browser: { type: 'boolean', description: 'Load the page in Chrome and take every sheet it applied: script-injected, CSS-in-JS, adoptedStyleSheets, shadow DOM' }
+        },
+        examples: ['https://example.com', 'https://example.com --out orig', 'https://app.example.com --browser'],
+        run: (url, flags) => extractRawCSS(url, { ...baseOptions(flags), browser: Boolean(flags.browser) })
+    },
+    {
+        name: 'coverage',
+        summary: 'Which bytes and rules of each stylesheet the page uses, with optional trimmed copies',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            script: { type: 'string', multiple: true, value: '<file>', description: 'Run this module\'s default export, async (page) => {}, before coverage stops (open menus, tabs...)' },
+            trim: { type: 'boolean', description: 'Write <file>.used.css with only the used rules of each sheet' },
+            inventory: { type: 'string', value: '<dir>', description: 'Where static-css saved the stylesheets to map coverage onto (default orig)' }
+        },
+        description: '--viewport takes a comma-separated list; the page is shown at each in turn and a rule counts as used if it matched at any of them.\nRuns with --script are never cached. Writes _css-coverage.json/.md to <out> (default orig/coverage).',
+        examples: [
+            'https://example.com',
+            'https://example.com --viewport 375x667,768x1024,1440x900 --trim',
+            'https://example.com --script ./open-menu.mjs --inventory orig'
+        ],
+        run: (url, flags) => {
+            const options = {
+                ...runOptions(flags),
+                interactions: flags.script ?? [],
+                trim: Boolean(flags.trim)
+            };
+            if (flags.out) options.outputDir = flags.out;
+            if (flags.inventory) options.inventoryDir = flags.inventory;
+            if (flags.viewport) {
+                options.viewports = flags.viewport.split(',').map(value => parseViewport(value));
+            }
+            return analyzeCssCoverage(url, options);
+        }
+    },
+    {
+        name: 'computed',
+        summary: 'Audit the styles browsers actually apply (Puppeteer)',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            cascade: { type: 'string', value: '<sel>', description: 'Trace the matched rules behind the styles of elements matching <sel> ("*" for all)' },
+            'cascade-property': { type: 'string', multiple: true, value: '<prop>', description: 'Properties to trace, shorthands include longhands (default: the audited ones)' }
+        },
+        examples: [
+            'https://example.com',
+            'https://example.com --viewport 375x667',
+            'https://example.com --cascade .hero --cascade-property margin'
+        ],
+        run: (url, flags) => auditComputedStyles(url, {
+            ...baseOptions(flags),
+            cascade: flags.cascade === '*' ? true : (flags.cascade ?? false),
+            ...(flags['cascade-property']?.length && { cascadeProperties: flags['cascade-property'] })
+        })
+    },
+    {
+        name: 'media-queries',
+        summary: 'Extract media query breakpoints and the rules inside them',
+        args: ['url'],
+        flags: ['out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            property: { type: 'string', value: '<prop>', description: 'Only rules that set this CSS property (e.g. margin-left)' },
+            selector: { type: 'string', value: '<sel>', description: 'Only rules whose selector contains this text (e.g. .hero-section)' }
+        },
+        examples: [
+            'https://example.com',
+            'https://example.com --property margin-left',
+            'https://example.com --selector .hero-section --force'
+        ],
+        run: (url, flags) => extractMediaQueries(url, {
+            ...runOptions(flags),
+            property: flags.property ?? null,
+            selector: flags.selector ?? null,
+            outputDir: flags.out ?? null
+        }),
+        printText: (result) => {
+            displayResults(result);
+            console.log('✅ Media query extraction complete!\n');
+            console.log('💡 TIP: Use --property or --selector to filter specific CSS changes');
+            console.log('💡 TIP: Use breakpoint-conflicts to see which rule wins at each width');
+            console.log('💡 TIP: Use --force to bypass cache and fetch fresh data\n');
+        }
+    },
+    {
+        name: 'fonts',
+        summary: 'Detect @font-face declarations, font files and fallback fonts, optionally download the files',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            download: { type: 'boolean', description: 'Download the font files to <out>/downloads' }
+        },
+        examples: ['https://example.com', 'https://example.com --download'],
+        run: (url, flags) => analyzeFontFiles(url, { ...baseOptions(flags), download: Boolean(flags.download) })
+    },
+    {
+        name: 'responsive',
+        summary: 'Compare layout across standard breakpoints (375px to 1920px)',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            concurrency: { type: 'string', value: '<n>', description: 'Breakpoints loaded in parallel (default 2)' },
+            discover: { type: 'boolean', description: 'Find the site\'s own breakpoints with a viewport sweep and test those' },
+            step: { type: 'string', value: '<px>', description: 'Sweep increment for --discover (default 40)' },
+            'min-width': { type: 'string', value: '<px>', description: 'Narrowest width swept by --discover (default 320)' },
+            'max-width': { type: 'string', value: '<px>', description: 'Widest width swept by --discover (default 1920)' }
+        },
+        description: '--viewport takes a comma-separated list here and replaces the default breakpoint set.\n--discover sweeps the viewport and locates every layout change to the pixel; also writes the changes at each width to the report.',
+        examples: [
+            'https://example.com',
+            'https://example.com --viewport 375x667,768x1024,1440x900',
+            'https://example.com --concurrency 4',
+            'https://example.com --discover --step 20 --max-width 1440'
+        ],
+        run: (url, flags) => {
+            const options = runOptions(flags);
+            if (flags.out) options.outputDir = flags.out;
+            if (flags.concurrency) {
+                options.concurrency = parsePositiveInt(flags.concurrency, 'concurrency');
+            }
+            if (!flags.discover && (flags.step || flags['min-width'] || flags['max-width'])) {
+                throw usageError('--step, --min-width and --max-width only apply with --discover');
+            }
+            if (flags.discover) {
+                if (flags.viewport) {
+                    throw usageError('Use either --discover or --viewport, not both');
+                }
+                const sweep = {};
+                if (flags.step) sweep.step = parsePositiveInt(flags.step, 'step');
+                if (flags['min-width']) sweep.minWidth = parsePositiveInt(flags['min-width'], 'min-width');
+                if (flags['max-width']) sweep.maxWidth = parsePositiveInt(flags['max-width'], 'max-width');
+                if ((sweep.minWidth ?? 320) >= (sweep.maxWidth ?? 1920)) {
+                    throw usageError('--min-width must be less than --max-width');
+                }
+                options.discover = sweep;
+            }
+            if (flags.viewport) {
+                options.breakpoints = flags.viewport.split(',').map(value => {
+                    const { width, height } = parseViewport(value);
+                    return { name: `${width}x${height}`, width, height };
+                });
+            }
+            return analyzeResponsiveBehavior(url, options);
+        }
+    },
+    {
+        name: 'breakpoint-diff',
+        summary: 'What each breakpoint changes: styles, shown/hidden and moved elements at N-1 vs N px',
+        args: ['url'],
+        flags: ['out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            from: { type: 'string', value: '<source>', description: 'Breakpoints from media-queries (default) or discover (viewport sweep)' },
+            width: { type: 'string', multiple: true, value: '<px>', description: 'Compare at this breakpoint instead (first width of the new layout)' }
+        },
+        description: 'A breakpoint is the first width of the new layout: (min-width: 768px) and (max-width: 767px) both switch at 768px.',
+        examples: [
+            'https://example.com',
+            'https://example.com --from discover',
+            'https://example.com --width 768 --width 992'
+        ],
+        run: (url, flags) => {
+            if (flags.from && !['media-queries', 'discover'].includes(flags.from)) {
+                throw usageError(`--from must be media-queries or discover (got "${flags.from}")`);
+            }
+            if (flags.from && flags.width?.length) {
+                throw usageError('Use either --from or --width, not both');
+            }
+            const options = runOptions(flags);
+            if (flags.out) options.outputDir = flags.out;
+            if (flags.from) options.from = flags.from;
+            if (flags.width?.length) {
+                options.widths = flags.width.map(value => parsePositiveInt(value, 'width'));
+            }
+            return diffBreakpoints(url, options);
+        }
+    },
+    {
+        name: 'breakpoint-conflicts',
+        summary: 'Which value each selector\'s properties take at every width: gaps, overlapping ranges, dead rules',
+        args: ['url'],
+        flags: ['out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            property: { type: 'string', value: '<prop>', description: 'Only rules that set this CSS property (e.g. margin-left)' },
+            selector: { type: 'string', value: '<sel>', description: 'Only rules whose selector contains this text (e.g. .navbar)' }
+        },
+        description: 'Writes a property-over-width table per selector. Selectors are compared as written, not by the elements they match.',
+        examples: [
+            'https://example.com',
+            'https://example.com --selector .navbar --property display'
+        ],
+        run: (url, flags) => analyzeBreakpointConflicts(url, {
+            ...runOptions(flags),
+            property: flags.property ?? null,
+            selector: flags.selector ?? null,
+            outputDir: flags.out ?? 'orig'
+        })
+    },
+    {
+        name: 'frameworks',
+        summary: 'Detect CSS frameworks (Bootstrap, Tailwind, Foundation, Bulma, MUI) with version and confidence',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        description: 'Evidence: stylesheet banners, global JS objects, resource URLs, CSS custom property prefixes, class names and breakpoint sets.',
+        examples: ['https://getbootstrap.com'],
+        run: (url, flags) => detectFrameworks(url, baseOptions(flags))
+    },
+    {
+        name: 'comprehensive',
+        summary: 'Full-page element detection, positioning, class names and screenshot',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        examples: ['https://example.com'],
+        run: (url, flags) => comprehensiveSiteAnalysis(url, baseOptions(flags))
+    },
+    {
+        name: 'elements',
+        summary: 'Deep style analysis of the elements matching a selector',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            selector: { type: 'string', value: '<sel>', description: 'Elements to analyze (default: all)' },
+            cascade: { type: 'boolean', description: 'Add the matched rules in cascade order: selector, file:line, specificity, overridden' },
+            'cascade-property': { type: 'string', multiple: true, value: '<prop>', description: 'Only trace these properties, shorthands include longhands (default: all)' }
+        },
+        examples: [
+            'https://example.com --selector .navbar',
+            'https://example.com --selector "h1, h2, h3"',
+            'https://example.com --selector .hero --cascade --cascade-property margin-left'
+        ],
+        run: (url, flags) => analyzeSpecificElements(url, {
+            ...baseOptions(flags),
+            selector: flags.selector ?? '*',
+            cascade: Boolean(flags.cascade),
+            cascadeProperties: flags['cascade-property']?.length ? flags['cascade-property'] : null
+        })
+    },
+    {
+        name: 'mobile-menu',
+        summary: 'Hamburger menus, mobile navigation and modals at a mobile breakpoint',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            breakpoint: { type: 'string', value: '<px>', description: 'Mobile viewport width (default 767, height 900)' }
+        },
+        examples: ['https://example.com', 'https://example.com --breakpoint 991', 'https://example.com --viewport 390x844'],
+        run: (url, flags) => {
+            if (flags.breakpoint && flags.viewport) {
+                throw usageError('Use either --breakpoint or --viewport, not both');
+            }
+            const options = baseOptions(flags);
+            if (flags.breakpoint) {
+                options.viewport = { width: parsePositiveInt(flags.breakpoint, 'breakpoint'), height: 900 };
+            }
+            return analyzeMobileMenu(url, options);
+        }
+    },
+    {
+        name: 'interactive',
+        summary: 'Hover, focus, active and toggle states plus transitions',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            selector: { type: 'string', multiple: true, value: '<sel>', description: 'Elements to analyze (default: buttons, links, inputs, cards)' }
+        },
+        examples: ['https://example.com', 'https://example.com --selector button --selector .btn'],
+        run: (url, flags) => analyzeInteractiveStates(url, {
+            ...baseOptions(flags),
+            selectors: flags.selector?.length ? flags.selector : null
+        })
+    },
+    {
+        name: 'positioning',
+        summary: 'Exact positions, gaps, overlaps and negative margins inside a container',
+        args: ['url'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            selector: { type: 'string', value: '<sel>', description: 'Container to measure (required)' }
+        },
+        examples: ['https://example.com --selector .hero-section'],
+        run: (url, flags) => {
+            if (!flags.selector) {
+                throw usageError('--selector <container> is required');
+            }
+            return analyzeRelativePositioning(url, { ...baseOptions(flags), containerSelector: flags.selector });
+        },
+        exitCode: (result) => result.container ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND
+    },
+    {
+        name: 'complete',
+        summary: 'Responsive, comprehensive, media query and computed style analysis in one browser session',
+        args: ['url'],
+        flags: ['out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            concurrency: { type: 'string', value: '<n>', description: 'Breakpoints loaded in parallel by the responsive step (default 2)' }
+        },
+        examples: ['https://example.com', 'https://example.com --out orig --concurrency 3'],
+        run: (url, flags) => runCompleteAnalysis(url, {
+            ...runOptions(flags),
+            ...(flags.out ? { outputDir: flags.out } : {}),
+            ...(flags.concurrency ? { concurrency: parsePositiveInt(flags.concurrency, 'concurrency') } : {})
+        })
+    },
+    {
+        name: 'compare',
+        summary: 'Screenshot the original and the recreated site and diff them pixel by pixel',
+        args: ['original', 'recreated'],
+        flags: ['viewport', 'out'],
+        options: {
+            threshold: { type: 'string', value: '<percent>', description: 'Mismatch percentage a viewport may have and still pass (default 1)' },
+            'pixel-threshold': { type: 'string', value: '<0-1>', description: 'Color difference below which two pixels count as equal (default 0.1)' },
+            mask: { type: 'string', multiple: true, value: '<sel>', description: 'Hide these elements on both sites first (carousels, dates, ads)' },
+            'viewport-only': { type: 'boolean', description: 'Compare the first screen only instead of the full page' },
+            'max-height': { type: 'string', value: '<px>', description: 'Cut full-page screenshots off at this height (default 10000)' }
+        },
+        description: '--viewport takes a comma-separated list (default 375x667,768x1024,1440x900).\nExits with code 8 when any viewport is above the threshold, so it can gate CI. Never cached.\nWrites screenshots, heatmaps and _visual-compare.json/.md to <out> (default orig/compare).',
+        examples: [
+            'https://example.com http://localhost:3000',
+            'https://example.com http://localhost:3000 --threshold 2.5 --viewport 375x667,1440x900',
+            'https://example.com http://localhost:3000 --mask .carousel --mask "#cookie-banner" --viewport-only'
+        ],
+        run: ([original, recreated], flags) => {
+            const options = { fullPage: !flags['viewport-only'], mask: flags.mask ?? [] };
+            if (flags.out) options.outputDir = flags.out;
+            if (flags.viewport) {
+                options.viewports = flags.viewport.split(',').map(value => {
+                    const { width, height } = parseViewport(value);
+                    return { name: `${width}x${height}`, width, height };
+                });
+            }
+            if (flags.threshold !== undefined) {
+                const threshold = Number(flags.threshold);
+                if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+                    throw usageError(`--threshold must be a percentage between 0 and 100 (got "${flags.threshold}")`);
+                }
+                options.threshold = threshold;
+            }
+            if (flags['pixel-threshold'] !== undefined) {
+                const pixelThreshold = Number(flags['pixel-threshold']);
+                if (!Number.isFinite(pixelThreshold) || pixelThreshold < 0 || pixelThreshold > 1) {
+                    throw usageError(`--pixel-threshold must be between 0 and 1 (got "${flags['pixel-threshold']}")`);
+                }
+                options.pixelThreshold = pixelThreshold;
+            }
+            if (flags['max-height']) {
+                options.maxHeight = parsePositiveInt(flags['max-height'], 'max-height');
+            }
+            return compareSites(validateUrl(original), validateUrl(recreated), options);
+        },
+        exitCode: (result) => result.passed ? EXIT_CODES.OK : EXIT_CODES.VISUAL_MISMATCH
+    },
+    {
+        name: 'compare-elements',
+        summary: 'Compare the styles of the elements a selector matches on two sites, property by property',
+        args: ['original', 'recreated'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS],
+        options: {
+            selector: { type: 'string', value: '<sel>', description: 'Elements to compare (required)' },
+            'recreated-selector': { type: 'string', value: '<sel>', description: 'Selector on the recreated site, when it differs' },
+            match: { type: 'string', value: '<by>', description: 'Pair elements by auto (default: selector, then text, then role), selector, text or role' },
+            tolerance: { type: 'string', value: '<px>', description: 'Pixel values this close count as equal (default 0.5)' },
+            'color-tolerance': { type: 'string', value: '<n>', description: 'Colors closer than this CIE ΔE count as equal (default 1)' },
+            property: { type: 'string', multiple: true, value: '<prop>', description: 'Only compare this computed style (e.g. font-size)' },
+            'no-box': { type: 'boolean', description: 'Do not compare element position and size' }
+        },
+        description: 'Both sites are analyzed like `wat elements`. Cache flags apply to the original only; the recreated site is always loaded fresh.\nWrites _element-compare-<selector>.json/.md to <out> (default orig/compare).',
+        examples: [
+            'https://example.com http://localhost:3000 --selector ".navbar a"',
+            'https://example.com http://localhost:3000 --selector h2 --match text --tolerance 1',
+            'https://example.com http://localhost:3000 --selector .card --property font-size --property padding-left'
+        ],
+        run: ([original, recreated], flags) => {
+            if (!flags.selector) {
+                throw usageError('--selector <sel> is required');
+            }
+            if (flags.match && !['auto', 'selector', 'text', 'role'].includes(flags.match)) {
+                throw usageError(`--match must be auto, selector, text or role (got "${flags.match}")`);
+            }
+            const options = baseOptions(flags);
+            options.selector = flags.selector;
+            if (flags['recreated-selector']) options.recreatedSelector = flags['recreated-selector'];
+            if (flags.match) options.matchBy = flags.match;
+            if (flags['no-box']) options.compareBox = false;
+            if (flags.property?.length) {
+                options.properties = flags.property.map(name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()));
+            }
+            [['tolerance', 'tolerance'], ['color-tolerance', 'colorTolerance']].forEach(([flag, option]) => {
+                if (flags[flag] === undefined) return;
+                const value = Number(flags[flag]);
+                if (!Number.isFinite(value) || value < 0) {
+                    throw usageError(`--${flag} must be a non-negative number (got "${flags[flag]}")`);
+                }
+                options[option] = value;
+            });
+            return compareElements(validateUrl(original), validateUrl(recreated), options);
+        },
+        exitCode: (result) => result.summary.originalElements > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND
+    },
+    {
+        name: 'tokens',
+        summary: 'Cluster color, type, spacing, radius and shadow values into design tokens (DTCG, CSS, Tailwind)',
+        args: ['url?'],
+        flags: ['viewport', 'out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            from: { type: 'string', value: '<dir>', description: 'Read saved static-css/computed inventories from here (default orig)' },
+            'color-distance': { type: 'string', value: '<n>', description: 'Merge colors closer than this CIE ΔE (default 3)' },
+            'min-count': { type: 'string', value: '<n>', description: 'Drop sizes, spacing, radii and shadows used fewer times (default 2)' }
+        },
+        description: 'Without a URL, uses the inventories `wat static-css` and `wat computed` saved. With a URL, runs both first.\nWrites tokens.json (W3C Design Tokens), tokens.css, tailwind.theme.js and tokens.md to <out> (default orig/tokens).',
+        examples: ['--from orig', '--from orig/mobile --out tokens', 'https://example.com --color-distance 5'],
+        run: (url, flags) => {
+            const options = baseOptions(flags);
+            if (flags['min-count']) {
+                options.minCount = parsePositiveInt(flags['min-count'], 'min-count');
+            }
+            if (flags['color-distance']) {
+                const distance = Number(flags['color-distance']);
+                if (!Number.isFinite(distance) || distance < 0) {
+                    throw usageError(`--color-distance must be a non-negative number (got "${flags['color-distance']}")`);
+                }
+                options.colorThreshold = distance;
+            }
+            if (!url) {
+                options.inputDir = flags.from ?? 'orig';
+                const inventories = loadInventories(options.inputDir);
+                if (!inventories.staticInventory && !inventories.computedStyles) {
+                    throw usageError(`No inventories in ${options.inputDir}/ - run \`wat static-css\` and \`wat computed\` first, or pass a URL`);
+                }
+                Object.assign(options, inventories);
+            }
+            return exportDesignTokens(url, options);
+        },
+        printText: (result) => {
+            if (result.summary.skippedColors.length > 0) {
+                console.log(`💡 ${result.summary.skippedColors.length} color(s) have no fixed sRGB value (oklch(), color-mix(), currentcolor...) and are listed in tokens.md only`);
+            }
+        }
+    },
+    {
+        name: 'responsive-css',
+        summary: 'Rewrite the site\'s width media queries as a mobile-first or desktop-first stylesheet',
+        args: ['url?'],
+        flags: ['out', ...CACHE_FLAGS, ...ARCHIVE_FLAGS],
+        options: {
+            from: { type: 'string', value: '<file>', description: 'Read media query data saved by `wat media-queries` instead of a URL' },
+            strategy: { type: 'string', value: '<s>', description: 'mobile-first (min-width, default) or desktop-first (max-width)' },
+            breakpoints: { type: 'string', value: '<set>', description: 'framework (detected, default), site, a framework name (bootstrap, tailwind@3...) or a list (576,768,992)' },
+            property: { type: 'string', value: '<prop>', description: 'Only rules that set this CSS property (e.g. margin-left)' },
+            selector: { type: 'string', value: '<sel>', description: 'Only rules whose selector contains this text (e.g. .navbar)' }
+        },
+        description: 'Keeps the site\'s selectors and class names as written. Writes responsive.css and _responsive-css.md to <out> (default orig).',
+        examples: [
+            'https://example.com',
+            'https://example.com --breakpoints bootstrap --strategy desktop-first',
+            'https://example.com --selector .navbar --breakpoints sm:640,md:768,lg:1024',
+            '--from analysis/media-queries/2025-01-01/example-com-media-queries.json'
+        ],
+        run: (url, flags) => {
+            if (flags.strategy && !['mobile-first', 'desktop-first'].includes(flags.strategy)) {
+                throw usageError(`--strategy must be mobile-first or desktop-first (got "${flags.strategy}")`);
+            }
+            if (!url && !flags.from) {
+                throw usageError('Pass a URL, or --from <file> with data saved by `wat media-queries`');
+            }
+            if (flags.breakpoints && !isBreakpointSpec(flags.breakpoints)) {
+                throw usageError(`Unknown breakpoint set "${flags.breakpoints}" (expected framework, site, a framework name or a list like 576,768,992)`);
+            }
+            // Read here so a missing or broken file is a usage error, not a crash
+            let mediaQueryData = null;
+            if (!url) {
+                try {
+                    mediaQueryData = JSON.parse(readFileSync(flags.from, 'utf8'));
+                } catch (error) {
+                    throw usageError(`Can't read media query data from ${flags.from} (${error.code === 'ENOENT' ? 'no such file' : error.message}) - run \`wat media-queries\` first`);
+                }
+                if (!isMediaQueryData(mediaQueryData)) {
+                    throw usageError(`${flags.from} is not a media-queries result (expected a mediaQueries list with rules) - run \`wat media-queries\` first`);
+                }
+            }
+            return generateResponsiveCss(url, {
+                ...runOptions(flags),
+                from: flags.from ?? null,
+                strategy: flags.strategy ?? 'mobile-first',
+                breakpoints: flags.breakpoints ?? 'framework',
+                property: flags.property ?? null,
+                selector: flags.selector ?? null,
+                outputDir: flags.out ?? 'orig',
+                mediaQueryData
+            });
+        }
+    },
+    {
+        name: 'cache',
+        summary: 'List, inspect or purge cached analysis results (.cache/)',
+        args: ['action', 'key?'],
+        options: {
+            tool: { type: 'string', value: '<name>', description: 'Only entries from this tool (e.g. media-queries)' },
+            expired: { type: 'boolean', description: 'purge: only remove expired entries' },
+            dir: { type: 'string', value: '<dir>', description: 'Cache directory (default ./.cache)' }
+        },
+        description: 'Actions: list, inspect <key>, purge [key]. Keys can be shortened to any unique prefix.',
+        examples: ['list', 'list --tool responsive', 'inspect 3f2a9c', 'purge --expired', 'purge --tool media-queries'],
+        run: (positionals, flags) => runCacheCommand(positionals, flags),
+        printText: (result) => {
+            if (result.action === 'list') {
+                printCacheEntries(result.entries);
+            } else if (result.action === 'inspect') {
+                const { entry, action, ...meta } = result;
+                console.log(JSON.stringify(meta, null, 2));
+                console.log(`\nData keys: ${Object.keys(entry?.data ?? {}).join(', ')}`);
+                console.log('💡 TIP: Use --format json to print the cached data');
+            } else {
+                console.log(`🧹 Removed ${result.removed} entries (${formatBytes(result.freedBytes)})`);
+            }
+        }
+    }
+];
+
+/**
+ * Look up a command by name
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+function findCommand(name) {
+    return COMMANDS.find(command => command.name === name);
+}
+
+export { COMMANDS, findCommand };
@@ -0,0 +1,80 @@
+/**
+ * Exit Codes
+ * One process exit code per failure class so scripts and CI can tell failures apart
+ */
+
+const EXIT_CODES = {
+    OK: 0,
+    UNEXPECTED: 1,      // Bug or unclassified failure
+    USAGE: 2,           // Unknown command, bad flag, missing argument
+    INVALID_URL: 3,     // URL could not be parsed
+    PAGE_LOAD: 4,       // Navigation timeout, DNS/connection failure, HTTP fetch error
+    BROWSER_LAUNCH: 5,  // Chrome could not be found or started
+    OUTPUT: 6,          // Results could not be written to disk
+    NOT_FOUND: 7,       // Requested element/selector is not on the page
+    VISUAL_MISMATCH: 8  // `wat compare` found more differences than the threshold allows
+};
+
+const EXIT_CODE_DESCRIPTIONS = {
+    [EXIT_CODES.OK]: 'Success',
+    [EXIT_CODES.UNEXPECTED]: 'Unexpected error',
+    [EXIT_CODES.USAGE]: 'Invalid command line usage',
+    [EXIT_CODES.INVALID_URL]: 'Invalid URL',
+    [EXIT_CODES.PAGE_LOAD]: 'Page or resource failed to load',
+    [EXIT_CODES.BROWSER_LAUNCH]: 'Browser failed to launch',
+    [EXIT_CODES.OUTPUT]: 'Could not write output',
+    [EXIT_CODES.NOT_FOUND]: 'Target element not found',
+    [EXIT_CODES.VISUAL_MISMATCH]: 'Visual comparison above the mismatch threshold'
+};
+
+const OUTPUT_ERROR_CODES = new Set(['EACCES', 'EPERM', 'ENOSPC', 'EROFS', 'EISDIR', 'ENOTDIR', 'EEXIST', 'EMFILE']);
+
+/**
+ * Create an error that maps to a specific exit code
+ * @param {string} message
+ * @param {number} exitCode - One of EXIT_CODES
+ * @returns {Error}
+ */
+function cliError(message, exitCode) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function usageError(message) {
+    return cliError(message, EXIT_CODES.USAGE);
+}
+
+/**
+ * Map a thrown error to an exit code
+ * @param {Error} error
+ * @returns {number} One of EXIT_CODES
+ */
+function classifyError(error) {
+    if (!error) return EXIT_CODES.UNEXPECTED;
+    if (typeof error.exitCode === 'number') return error.exitCode;
+
+    const message = error.message || '';
+
+    if (error.code === 'ERR_INVALID_URL' || /^Invalid URL/.test(message)) {
+        return EXIT_CODES.INVALID_URL;
+    }
+
+    // Puppeteer launch failures (missing Chrome, sandbox problems, crashed process)
+    if (/Failed to launch the browser process|Could not find (Chrome|Chromium|expected browser)|Browser was not found/i.test(message)) {
+        return EXIT_CODES.BROWSER_LAUNCH;
+    }
+
+    // Navigation timeouts, net::ERR_* from Chrome, node-fetch network failures
+    if (error.name === 'TimeoutError' || error.name === 'FetchError' || /net::ERR_|Navigation timeout|ERR_NAME_NOT_RESOLVED/.test(message)) {
+        return EXIT_CODES.PAGE_LOAD;
+    }
+
+    if (OUTPUT_ERROR_CODES.has(error.code) && ['open', 'mkdir', 'write', 'copyfile', 'rename'].includes(error.syscall)) {
+        return EXIT_CODES.OUTPUT;
+    }
+
+    return EXIT_CODES.UNEXPECTED;
+}
+
+export { EXIT_CODES, EXIT_CODE_DESCRIPTIONS, cliError, usageError, classifyError };
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * wat - Web Analysis Toolkit CLI
+ * Single entry point for every extractor and analyzer
+ *
+ * Usage: wat <command> <url> [options]
+ * Example: wat media-queries https://example.com --property margin-left
+ *          wat mobile-menu https://example.com --breakpoint 991 --format json
+ *          wat cache list
+ */
+
+import { readFileSync, realpathSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { COMMANDS, findCommand } from './commands.mjs';
+import { COMMON_OPTIONS, parseCommandArgs, formatCommandHelp, validateUrl } from './args.mjs';
+import { EXIT_CODES, EXIT_CODE_DESCRIPTIONS, usageError, classifyError } from './exit-codes.mjs';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { createNetworkArchive } from '../utils/network-archive.mjs';
+
+function getVersion() {
+    const pkg = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+    return pkg.version;
+}
+
+function formatGeneralHelp() {
+    const nameWidth = Math.max(...COMMANDS.map(command => command.name.length)) + 2;
+
+    let help = 'wat - Web Analysis Toolkit\n\n';
+    help += 'Usage: wat <command> <url> [options]\n';
+    help += '       wat tokens [url] [options]\n';
+    help += '       wat compare|compare-elements <original> <recreated> [options]\n';
+    help += '       wat cache <list|inspect|purge> [key] [options]\n\n';
+    help += 'Commands:\n';
+    help += COMMANDS.map(command => `  ${command.name.padEnd(nameWidth)}${command.summary}`).join('\n');
+    help += '\n\nCommon options (where the command supports them):\n';
+    help += Object.entries(COMMON_OPTIONS)
+        .map(([name, def]) => `  --${`${name}${def.value ? ` ${def.value}` : ''}`.padEnd(22)}${def.description}`)
+        .join('\n');
+    help += '\n\nExit codes:\n';
+    help += Object.entries(EXIT_CODE_DESCRIPTIONS)
+        .map(([code, description]) => `  ${code}  ${description}`)
+        .join('\n');
+    help += '\n\nRun `wat <command> --help` for command-specific options.\n';
+    return help;
+}
+
+/**
+ * Route console output for --quiet and --format json
+ * JSON mode keeps stdout clean for the result, so progress logs move to stderr.
+ * @returns {Function} Restores the original console methods
+ */
+function configureConsole({ format, quiet }) {
+    const original = { log: console.log, info: console.info, warn: console.warn };
+
+    if (quiet) {
+        console.log = () => {};
+        console.info = () => {};
+        console.warn = () => {};
+    } else if (format === 'json') {
+        console.log = (...args) => console.error(...args);
+        console.info = (...args) => console.error(...args);
+    }
+
+    return () => Object.assign(console, original);
+}
+
+/**
+ * Archive for --record/--replay, or null
+ * @returns {Object|null}
+ */
+function openArchive(flags) {
+    if (flags.record && flags.replay) {
+        throw usageError('Use either --record or --replay, not both');
+    }
+    if (flags.replay && !existsSync(flags.replay)) {
+        throw usageError(`Archive not found: ${flags.replay}`);
+    }
+    if (!flags.record && !flags.replay) {
+        return null;
+    }
+    return createNetworkArchive({ record: flags.record, replay: flags.replay });
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after `wat`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const [name, ...rest] = argv;
+
+    if (!name || name === '--help' || name === '-h') {
+        process.stdout.write(formatGeneralHelp());
+        return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    if (name === '--version' || name === '-v') {
+        console.log(getVersion());
+        return EXIT_CODES.OK;
+    }
+
+    if (name === 'help') {
+        const command = rest[0] && findCommand(rest[0]);
+        if (rest[0] && !command) {
+            throw usageError(`Unknown command "${rest[0]}"`);
+        }
+        process.stdout.write(command ? formatCommandHelp(command) : formatGeneralHelp());
+        return EXIT_CODES.OK;
+    }
+
+    const command = findCommand(name);
+    if (!command) {
+        throw usageError(`Unknown command "${name}"`);
+    }
+
+    const { positionals, flags } = parseCommandArgs(command, rest);
+    if (flags.help) {
+        process.stdout.write(formatCommandHelp(command));
+        return EXIT_CODES.OK;
+    }
+
+    // URL commands get the validated URL (null when optional and missing), the rest (e.g. `cache`) their positionals
+    const [firstArg] = command.args ?? [];
+    let target = positionals;
+    if (firstArg === 'url' || firstArg === 'url?') {
+        target = positionals[0] ? validateUrl(positionals[0]) : null;
+    }
+    const restoreConsole = configureConsole(flags);
+
+    // One session for the whole run so every page load goes through the archive
+    let archive = null;
+    let session = null;
+
+    try {
+        archive = openArchive(flags);
+        session = archive ? createBrowserSession({ archive }) : null;
+
+        const result = await command.run(target, archive ? { ...flags, archive, session } : flags);
+
+        if (flags.format === 'json') {
+            process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        } else if (!flags.quiet && command.printText) {
+            command.printText(result);
+        }
+
+        return command.exitCode ? command.exitCode(result) : EXIT_CODES.OK;
+    } finally {
+        // Save what was recorded even when the run failed part-way
+        await archive?.save();
+        await session?.close();
+        restoreConsole();
+    }
+}
+
+// Resolve symlinks so this also runs when invoked through npm's `wat` bin link
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const argv = process.argv.slice(2);
+
+    main(argv)
+        .then(code => {
+            // Let stdout drain instead of calling process.exit()
+            process.exitCode = code;
+        })
+        .catch(error => {
+            const code = classifyError(error);
+            console.error(`❌ ${error.message}`);
+            if (code === EXIT_CODES.USAGE) {
+                const command = findCommand(argv[0]);
+                console.error(command ? `   Run \`wat ${command.name} --help\` for usage.` : '   Run `wat --help` for a list of commands.');
+            } else if (code === EXIT_CODES.UNEXPECTED && process.env.DEBUG) {
+                console.error(error.stack);
+            }
+            process.exitCode = code;
+        });
+}
+
+export { main };
@@ -0,0 +1,635 @@
+/**
+ * Design Token Exporter
+ * Clusters the static CSS and computed style inventories into named design tokens
+ *
+ * Colors that are visually indistinguishable are merged into one palette entry; font sizes
+ * become a type scale around the body size; margins and paddings become a spacing scale on
+ * the site's base unit; border radii and box shadows become small named sets.
+ *
+ * Output (in outputDir, default orig/tokens):
+ *   tokens.json        - W3C Design Tokens (DTCG) format, readable by Style Dictionary
+ *   tokens.css         - the same tokens as CSS custom properties on :root
+ *   tailwind.theme.js  - a Tailwind `theme.extend` object
+ *   tokens.md          - every token with its usage count and the raw values merged into it
+ *
+ * Usage: wat tokens [url] [--from <dir>] [--out <dir>]
+ * Example: wat tokens --from orig
+ *          wat tokens https://example.com
+ */
+
+import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { extractRawCSS } from '../extractors/static-css.mjs';
+import { auditComputedStyles } from '../extractors/computed-styles.mjs';
+import { parseColor, toHex, toLab, deltaE, splitCommaList, parseFontFamilyList, isGenericFamily } from '../utils/css-values.mjs';
+
+// Namespace for our metadata inside $extensions (reverse domain notation, per the DTCG spec)
+const EXTENSION_KEY = 'com.web-analysis-toolkit';
+
+const SIZE_NAMES_BELOW = ['sm', 'xs', '2xs', '3xs'];
+const SIZE_NAMES_ABOVE = ['lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', '8xl', '9xl'];
+const SCALE_NAMES = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl'];
+
+const WEIGHT_NAMES = {
+    100: 'thin', 200: 'extralight', 300: 'light', 400: 'regular', 500: 'medium',
+    600: 'semibold', 700: 'bold', 800: 'extrabold', 900: 'black'
+};
+
+// Common modular type scale ratios, for describing the detected scale
+const TYPE_SCALE_RATIOS = [
+    ['Minor Second', 1.067], ['Major Second', 1.125], ['Minor Third', 1.2], ['Major Third', 1.25],
+    ['Perfect Fourth', 1.333], ['Augmented Fourth', 1.414], ['Perfect Fifth', 1.5], ['Golden Ratio', 1.618]
+];
+
+function addCount(map, key, count = 1) {
+    if (key === null || key === undefined || key === '') return;
+    map.set(key, (map.get(key) || 0) + count);
+}
+
+function parsePx(value) {
+    const match = /^(-?\d*\.?\d+)px$/.exec(String(value).trim());
+    return match ? parseFloat(match[1]) : null;
+}
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'font';
+}
+
+/**
+ * Read the inventories `wat static-css` and `wat computed` saved
+ * @param {string} [inputDir='orig']
+ * @returns {{staticInventory: Object|null, computedStyles: Object|null}}
+ */
+function loadInventories(inputDir = 'orig') {
+    const read = (file) => {
+        const filePath = path.join(inputDir, file);
+        return existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : null;
+    };
+
+    return {
+        staticInventory: read('_style-inventory.json'),
+        // The full inventory has per-element spacing, radii and shadows; the quick one only the value lists
+        computedStyles: read('_computed-style-inventory.json') ?? read('_computed-styles-quick.json')
+    };
+}
+
+/**
+ * Count every raw value the inventories contain, by token category
+ * @returns {Object} Maps of raw value -> usage count, plus whether the counts are real usage counts
+ */
+function collectSamples(staticInventory, computedStyles) {
+    const samples = {
+        colors: new Map(),
+        fontFamilies: new Map(),
+        fontSizes: new Map(),
+        fontWeights: new Map(),
+        spacing: new Map(),
+        radii: new Map(),
+        shadows: new Map(),
+        weighted: false
+    };
+    const primaryStacks = new Map();
+
+    const addFamilyStack = (stack, count = 1) => {
+        const families = parseFontFamilyList(stack);
+        if (families.length === 0) return;
+        const primary = families[0];
+        addCount(samples.fontFamilies, primary.toLowerCase(), count);
+        // Keep the longest stack seen for this family as its fallback list
+        const known = primaryStacks.get(primary.toLowerCase());
+        if (!known || families.length > known.length) {
+            primaryStacks.set(primary.toLowerCase(), families);
+        }
+    };
+
+    const elements = computedStyles?.elements ?? [];
+    if (elements.length > 0) {
+        samples.weighted = true;
+        for (const { styles } of elements) {
+            addCount(samples.colors, styles.color);
+            addCount(samples.colors, styles.backgroundColor);
+            // A border without width still reports a color (currentColor); don't count it
+            if (styles.border && !styles.border.startsWith('0px')) {
+                (styles.borderColor?.match(/rgba?\([^)]*\)/g) || []).forEach(color => addCount(samples.colors, color));
+            }
+            addFamilyStack(styles.fontFamily || '');
+            addCount(samples.fontSizes, parsePx(styles.fontSize));
+            addCount(samples.fontWeights, styles.fontWeight);
+
+            for (const value of `${styles.margin || ''} ${styles.padding || ''}`.split(/\s+/)) {
+                const px = parsePx(value);
+                if (px) addCount(samples.spacing, Math.abs(Math.round(px)));
+            }
+
+            // Elliptical radii ("8px / 4px") are rare; use the horizontal radii
+            for (const value of (styles.borderRadius || '').split('/')[0].split(/\s+/)) {
+                if (value === '50%') {
+                    addCount(samples.radii, 'full');
+                    continue;
+                }
+                const px = parsePx(value);
+                if (px) addCount(samples.radii, px >= 500 ? 'full' : roundTo(px, 0.5));
+            }
+
+            if (styles.boxShadow && styles.boxShadow !== 'none') {
+                addCount(samples.shadows, styles.boxShadow);
+            }
+        }
+    } else if (computedStyles?.inventory) {
+        const { inventory } = computedStyles;
+        [...inventory.colors, ...inventory.backgroundColors, ...inventory.borderColors].forEach(color => addCount(samples.colors, color));
+        inventory.fonts.forEach(stack => addFamilyStack(stack));
+        inventory.fontSizes.forEach(size => addCount(samples.fontSizes, parsePx(size)));
+        inventory.fontWeights.forEach(weight => addCount(samples.fontWeights, weight));
+    }
+
+    if (staticInventory?.colorOccurrences) {
+        samples.weighted = true;
+        staticInventory.colorOccurrences.forEach(({ value }) => addCount(samples.colors, value));
+        // Occurrences are one per family; rebuild each declaration's stack
+        const declarations = new Map();
+        staticInventory.fontOccurrences.forEach(({ value, file, line, column }) => {
+            const key = `${file}:${line}:${column}`;
+            declarations.set(key, [...(declarations.get(key) ?? []), value]);
+        });
+        declarations.forEach(families => addFamilyStack(families.map(family => JSON.stringify(family)).join(', ')));
+    } else if (staticInventory) {
+        staticInventory.colors.forEach(color => addCount(samples.colors, color));
+        staticInventory.fonts.forEach(font => addFamilyStack(font));
+    }
+
+    samples.fontStacks = primaryStacks;
+    return samples;
+}
+
+function hue({ r, g, b }) {
+    const max = Math.max(r, g, b);
+    const d = max - Math.min(r, g, b);
+    if (d === 0) return 0;
+    let h;
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return (h * 60 + 360) % 360;
+}
+
+function colorFamily(rgb, lab) {
+    if (Math.hypot(lab.a, lab.b) < 10) {
+        if (lab.l >= 99) return 'white';
+        if (lab.l <= 1) return 'black';
+        return 'neutral';
+    }
+    const h = hue(rgb);
+    if (h < 15 || h >= 335) return 'red';
+    if (h < 40) return 'orange';
+    if (h < 65) return 'yellow';
+    if (h < 165) return 'green';
+    if (h < 190) return 'teal';
+    if (h < 250) return 'blue';
+    if (h < 290) return 'purple';
+    return 'pink';
+}
+
+/**
+ * Merge colors that are closer than `threshold` (CIE76 ΔE) into palette entries
+ * @returns {{palette: Object[], skipped: string[]}}
+ */
+function clusterColors(samples, threshold) {
+    const skipped = [];
+    const parsed = [];
+    for (const [value, count] of samples) {
+        const rgb = parseColor(value);
+        if (!rgb) {
+            skipped.push(value);
+        } else if (rgb.alpha > 0) {
+            parsed.push({ value, count, rgb, lab: toLab(rgb) });
+        }
+    }
+
+    // Most used colors first, so each cluster is represented by its most common member
+    parsed.sort((a, b) => b.count - a.count);
+    const clusters = [];
+    for (const sample of parsed) {
+        const cluster = clusters.find(candidate =>
+            Math.abs(candidate.rgb.alpha - sample.rgb.alpha) < 0.05 && deltaE(candidate.lab, sample.lab) <= threshold);
+        if (cluster) {
+            cluster.count += sample.count;
+            cluster.sources.push(sample.value);
+        } else {
+            clusters.push({ ...sample, hex: toHex(sample.rgb), sources: [sample.value] });
+        }
+    }
+
+    // Name by hue family and a 50-950 lightness step, Tailwind style
+    const taken = new Set();
+    const palette = clusters.map(cluster => {
+        const family = colorFamily(cluster.rgb, cluster.lab);
+        const alpha = cluster.rgb.alpha < 1 ? `-a${Math.round(cluster.rgb.alpha * 100)}` : '';
+        let base;
+        if (family === 'white' || family === 'black') {
+            base = `${family}${alpha}`;
+        } else {
+            const step = Math.min(950, Math.max(50, Math.round((100 - cluster.lab.l) / 10) * 100));
+            base = `${family}.${step}${alpha}`;
+        }
+
+        let name = base;
+        for (let i = 2; taken.has(name); i++) {
+            name = `${base}-${i}`;
+        }
+        taken.add(name);
+        return { path: ['color', ...name.split('.')], hex: cluster.hex, count: cluster.count, sources: cluster.sources };
+    });
+
+    palette.sort((a, b) => a.path.join('.').localeCompare(b.path.join('.'), 'en', { numeric: true }));
+    return { palette, skipped };
+}
+
+function dropRare(samples, minCount) {
+    return [...samples].filter(([, count]) => count >= minCount);
+}
+
+/**
+ * Type scale named around the body size (base), plus the ratio between steps
+ */
+function buildTypeScale(samples, minCount) {
+    let sizes = dropRare(samples, minCount);
+    if (sizes.length === 0) sizes = [...samples];
+    if (sizes.length === 0) return { tokens: [], base: null, ratio: null };
+
+    // Merge sub-pixel differences; each step keeps its most used exact size
+    const merged = new Map();
+    sizes.forEach(([size, count]) => {
+        const key = roundTo(size, 0.5);
+        const step = merged.get(key);
+        if (!step) {
+            merged.set(key, { size, count, top: count });
+        } else {
+            step.count += count;
+            if (count > step.top) Object.assign(step, { size, top: count });
+        }
+    });
+    const sorted = [...merged.values()].map(({ size, count }) => [size, count]).sort(([a], [b]) => a - b);
+
+    const bodyCandidates = sorted.filter(([size]) => size >= 12 && size <= 20);
+    const [base] = (bodyCandidates.length > 0 ? bodyCandidates : sorted).reduce((best, entry) => entry[1] > best[1] ? entry : best);
+    const baseIndex = sorted.findIndex(([size]) => size === base);
+
+    const tokens = sorted.map(([size, count], index) => {
+        const offset = index - baseIndex;
+        let name = 'base';
+        if (offset < 0) name = SIZE_NAMES_BELOW[-offset - 1] ?? `${-offset - 1}xs`;
+        if (offset > 0) name = SIZE_NAMES_ABOVE[offset - 1] ?? `${offset - 1}xl`;
+        return { path: ['font', 'size', name], value: `${size}px`, px: size, count };
+    });
+
+    // Geometric mean of the step ratios above the base
+    const above = sorted.slice(baseIndex).map(([size]) => size);
+    let ratio = null;
+    if (above.length > 1) {
+        ratio = Math.round((above[above.length - 1] / above[0]) ** (1 / (above.length - 1)) * 1000) / 1000;
+    }
+    const closest = ratio ? TYPE_SCALE_RATIOS.reduce((best, entry) => Math.abs(entry[1] - ratio) < Math.abs(best[1] - ratio) ? entry : best) : null;
+
+    return { tokens, base, ratio, closestRatio: closest ? { name: closest[0], ratio: closest[1] } : null };
+}
+
+function buildFontWeights(samples) {
+    return [...samples]
+        .map(([weight, count]) => ({ weight: weight === 'normal' ? 400 : weight === 'bold' ? 700 : Number(weight), count }))
+        .filter(({ weight }) => Number.isFinite(weight))
+        .sort((a, b) => a.weight - b.weight)
+        .map(({ weight, count }) => ({ path: ['font', 'weight', WEIGHT_NAMES[weight] ?? String(weight)], value: weight, count }));
+}
+
+function buildFontFamilies(samples, stacks) {
+    return [...samples]
+        .sort((a, b) => b[1] - a[1])
+        .map(([primary, count]) => {
+            const stack = stacks.get(primary);
+            return {
+                path: ['font', 'family', isGenericFamily(primary) ? primary : slugify(stack[0])],
+                value: stack,
+                count
+            };
+        });
+}
+
+/**
+ * Spacing scale from margins and paddings; named in multiples of the base unit when the site has one
+ */
+function buildSpacingScale(samples, minCount) {
+    const values = dropRare(samples, minCount).sort(([a], [b]) => a - b);
+    const total = values.reduce((sum, [, count]) => sum + count, 0);
+
+    // Largest unit that at least 80% of spacing usage is a multiple of
+    const base = [8, 4, 2].find(unit =>
+        total > 0 && values.filter(([px]) => px % unit === 0).reduce((sum, [, count]) => sum + count, 0) / total >= 0.8) ?? null;
+
+    const tokens = values.map(([px, count], index) => {
+        const name = base ? String(Math.round(px / base * 100) / 100).replace('.', '_') : String(index + 1);
+        return { path: ['space', name], value: `${px}px`, px, count };
+    });
+
+    return { tokens, base };
+}
+
+function namedScale(entries) {
+    // Short scales are sm/md/lg; longer ones start at xs
+    const names = entries.length <= 3 ? SCALE_NAMES.slice(1) : SCALE_NAMES;
+    return entries.map((entry, index) => names[index] ?? `${index - names.length + 6}xl`);
+}
+
+function buildRadii(samples, minCount) {
+    const values = dropRare(samples, minCount);
+    const lengths = values.filter(([value]) => value !== 'full').sort(([a], [b]) => a - b);
+    const names = namedScale(lengths);
+    const tokens = lengths.map(([px, count], index) => ({ path: ['radius', names[index]], value: `${px}px`, count }));
+    const full = values.find(([value]) => value === 'full');
+    if (full) {
+        tokens.push({ path: ['radius', 'full'], value: '9999px', count: full[1] });
+    }
+    return tokens;
+}
+
+/**
+ * One box-shadow layer as a DTCG shadow value
+ * @returns {Object|null}
+ */
+function parseShadowLayer(layer) {
+    const colorMatch = /(rgba?|hsla?)\([^)]*\)|#[0-9a-f]{3,8}\b/i.exec(layer);
+    const rest = (colorMatch ? layer.replace(colorMatch[0], ' ') : layer).trim();
+    const tokens = rest.split(/\s+/).filter(Boolean);
+    const inset = tokens.includes('inset');
+    const lengths = tokens.filter(token => token !== 'inset');
+    const namedColor = lengths.find(token => parseColor(token));
+    const color = parseColor(colorMatch ? colorMatch[0] : namedColor || 'black');
+    const [offsetX, offsetY, blur = '0px', spread = '0px'] = lengths.filter(token => token !== namedColor);
+    if (!color || !offsetX || !offsetY) return null;
+
+    return { color: toHex(color), offsetX, offsetY, blur, spread, ...(inset ? { inset: true } : {}) };
+}
+
+function buildShadows(samples, minCount) {
+    const shadows = dropRare(samples, minCount)
+        .map(([css, count]) => {
+            const layers = splitCommaList(css).map(parseShadowLayer);
+            if (layers.some(layer => !layer)) return null;
+            const size = Math.max(...layers.map(layer => parsePx(layer.blur) ?? 0));
+            return { css, layers, count, size };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.size - b.size);
+
+    const names = namedScale(shadows);
+    return shadows.map((shadow, index) => ({
+        path: ['shadow', names[index]],
+        value: shadow.layers.length === 1 ? shadow.layers[0] : shadow.layers,
+        css: shadow.css,
+        count: shadow.count
+    }));
+}
+
+/**
+ * Flat token list -> nested DTCG document
+ */
+function toDtcg(tokens, metadata) {
+    const document = {
+        $description: `Design tokens extracted from ${metadata.url || metadata.inputDir} on ${metadata.generatedAt}`
+    };
+    for (const token of tokens) {
+        let group = document;
+        token.path.slice(0, -1).forEach(segment => {
+            group[segment] = group[segment] ?? {};
+            group = group[segment];
+        });
+        group[token.path[token.path.length - 1]] = {
+            $type: token.type,
+            $value: token.value,
+            $extensions: {
+                [EXTENSION_KEY]: {
+                    count: token.count,
+                    ...(token.sources ? { sources: token.sources } : {})
+                }
+            }
+        };
+    }
+    return document;
+}
+
+function cssValue(token) {
+    if (token.type === 'fontFamily') {
+        return token.value.map(family => isGenericFamily(family) || /^[\w-]+$/.test(family) ? family : `"${family}"`).join(', ');
+    }
+    if (token.type === 'shadow') {
+        return token.css;
+    }
+    return String(token.value);
+}
+
+function toCss(tokens, metadata) {
+    let css = `/* Design tokens extracted from ${metadata.url || metadata.inputDir} */\n`;
+    css += `/* Generated by web-analysis-toolkit on ${metadata.generatedAt} */\n\n`;
+    css += `:root {\n`;
+    let group = null;
+    for (const token of tokens) {
+        if (token.path[0] !== group) {
+            if (group !== null) css += `\n`;
+            group = token.path[0];
+        }
+        css += `    --${token.path.join('-')}: ${cssValue(token)};\n`;
+    }
+    css += `}\n`;
+    return css;
+}
+
+// Token group -> Tailwind theme key
+const TAILWIND_KEYS = {
+    'color': 'colors',
+    'font.family': 'fontFamily',
+    'font.size': 'fontSize',
+    'font.weight': 'fontWeight',
+    'space': 'spacing',
+    'radius': 'borderRadius',
+    'shadow': 'boxShadow'
+};
+
+function toTailwindTheme(tokens) {
+    const theme = {};
+    for (const token of tokens) {
+        const prefix = token.path[0] === 'font' ? token.path.slice(0, 2) : token.path.slice(0, 1);
+        const themeKey = TAILWIND_KEYS[prefix.join('.')];
+        // Tailwind writes fractional spacing keys with a dot (space-1.5)
+        const keys = token.path.slice(prefix.length).map(key => token.path[0] === 'space' ? key.replace('_', '.') : key);
+        let group = theme[themeKey] = theme[themeKey] ?? {};
+        keys.slice(0, -1).forEach(key => {
+            group[key] = group[key] ?? {};
+            group = group[key];
+        });
+        group[keys[keys.length - 1]] = token.type === 'fontFamily' ? token.value
+            : token.type === 'fontWeight' ? String(token.value)
+            : cssValue(token);
+    }
+    return theme;
+}
+
+function formatMarkdown(result) {
+    const { summary } = result;
+    let markdown = `# Design Tokens\n\n`;
+    markdown += `**Source:** ${result.url || result.inputDir}\n`;
+    markdown += `**Generated:** ${result.generatedAt}\n\n`;
+
+    markdown += `## Summary\n\n`;
+    markdown += `| Category | Tokens |\n|----------|--------|\n`;
+    markdown += `| Colors | ${summary.colors} |\n`;
+    markdown += `| Font families | ${summary.fontFamilies} |\n`;
+    markdown += `| Font sizes | ${summary.fontSizes} |\n`;
+    markdown += `| Font weights | ${summary.fontWeights} |\n`;
+    markdown += `| Spacing | ${summary.spacing} |\n`;
+    markdown += `| Radii | ${summary.radii} |\n`;
+    markdown += `| Shadows | ${summary.shadows} |\n\n`;
+
+    if (summary.typeScale.base) {
+        markdown += `**Type scale:** base ${summary.typeScale.base}px`;
+        if (summary.typeScale.ratio) {
+            markdown += `, ratio ${summary.typeScale.ratio} (closest: ${summary.typeScale.closestRatio.name}, ${summary.typeScale.closestRatio.ratio})`;
+        }
+        markdown += `\n`;
+    }
+    markdown += `**Spacing base unit:** ${summary.spacingBase ? `${summary.spacingBase}px` : 'none detected'}\n\n`;
+
+    markdown += `## Tokens\n\n`;
+    markdown += `| Token | Value | Uses | Merged values |\n|-------|-------|------|---------------|\n`;
+    result.tokenList.forEach(token => {
+        const sources = token.sources && token.sources.length > 1 ? token.sources.join(', ') : '';
+        markdown += `| \`${token.path.join('.')}\` | \`${cssValue(token)}\` | ${token.count} | ${sources} |\n`;
+    });
+
+    if (summary.skippedColors.length > 0) {
+        markdown += `\n**Colors without a fixed sRGB value (not in the palette):** ${summary.skippedColors.map(color => `\`${color}\``).join(', ')}\n`;
+    }
+
+    return markdown;
+}
+
+/**
+ * Cluster inventories into design tokens and write them as DTCG JSON, CSS and a Tailwind theme
+ * @param {string|null} url - Page to analyze (runs static-css and computed first), or null to use saved inventories
+ * @param {Object} [options]
+ * @param {string} [options.inputDir='orig'] - Where saved inventories are read from when no url is given
+ * @param {Object} [options.staticInventory] - extractRawCSS() result to use instead of reading inputDir
+ * @param {Object} [options.computedStyles] - auditComputedStyles() result to use instead of reading inputDir
+ * @param {number} [options.colorThreshold=3] - Merge colors closer than this CIE76 ΔE
+ * @param {number} [options.minCount=2] - Drop font sizes, spacing, radii and shadows used fewer times than this
+ * @param {string} [options.outputDir='orig/tokens'] - Where the token files are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {Object} [options.session] - Shared session from createBrowserSession(), used when url is given
+ * @returns {Promise<Object>} { tokens (DTCG), css, tailwind, tokenList, summary }
+ */
+async function exportDesignTokens(url = null, options = {}) {
+    const {
+        inputDir = 'orig',
+        colorThreshold = 3,
+        minCount = 2,
+        outputDir = path.join('orig', 'tokens'),
+        save = true
+    } = options;
+    let { staticInventory = null, computedStyles = null } = options;
+
+    if (url) {
+        console.log(`🎨 Building design tokens for ${url}`);
+        // Inventories are only inputs here; don't write them next to the tokens
+        staticInventory = staticInventory ?? await extractRawCSS(url, { ...options, save: false });
+        computedStyles = computedStyles ?? await auditComputedStyles(url, { ...options, save: false });
+    } else if (!staticInventory && !computedStyles) {
+        console.log(`🎨 Building design tokens from inventories in ${inputDir}/`);
+        ({ staticInventory, computedStyles } = loadInventories(inputDir));
+    }
+
+    if (!staticInventory && !computedStyles) {
+        throw new Error(`No inventories found in ${inputDir}/ - run static-css and computed first, or pass a URL`);
+    }
+    if (!computedStyles?.elements) {
+        console.warn('⚠️  No per-element computed styles: spacing, radius and shadow tokens need _computed-style-inventory.json');
+    }
+
+    const samples = collectSamples(staticInventory, computedStyles);
+    // Without usage counts every value appears once, so nothing can be called rare
+    const threshold = samples.weighted ? minCount : 1;
+
+    const { palette, skipped } = clusterColors(samples.colors, colorThreshold);
+    const typeScale = buildTypeScale(samples.fontSizes, threshold);
+    const spacing = buildSpacingScale(samples.spacing, threshold);
+
+    const tokenList = [
+        ...palette.map(color => ({ path: color.path, type: 'color', value: color.hex, count: color.count, sources: color.sources })),
+        ...buildFontFamilies(samples.fontFamilies, samples.fontStacks).map(token => ({ ...token, type: 'fontFamily' })),
+        ...typeScale.tokens.map(token => ({ path: token.path, type: 'dimension', value: token.value, count: token.count })),
+        ...buildFontWeights(samples.fontWeights).map(token => ({ ...token, type: 'fontWeight' })),
+        ...spacing.tokens.map(token => ({ path: token.path, type: 'dimension', value: token.value, count: token.count })),
+        ...buildRadii(samples.radii, threshold).map(token => ({ ...token, type: 'dimension' })),
+        ...buildShadows(samples.shadows, threshold).map(token => ({ ...token, type: 'shadow' }))
+    ];
+
+    const countOf = (group) => tokenList.filter(token => token.path.slice(0, group.length).join('.') === group.join('.')).length;
+    const result = {
+        url,
+        inputDir: url ? null : inputDir,
+        generatedAt: new Date().toISOString(),
+        sources: {
+            staticCss: Boolean(staticInventory),
+            computedStyles: Boolean(computedStyles),
+            perElementStyles: Boolean(computedStyles?.elements)
+        },
+        summary: {
+            colors: countOf(['color']),
+            fontFamilies: countOf(['font', 'family']),
+            fontSizes: countOf(['font', 'size']),
+            fontWeights: countOf(['font', 'weight']),
+            spacing: countOf(['space']),
+            radii: countOf(['radius']),
+            shadows: countOf(['shadow']),
+            mergedColors: samples.colors.size - skipped.length - palette.length,
+            skippedColors: skipped,
+            typeScale: { base: typeScale.base, ratio: typeScale.ratio, closestRatio: typeScale.closestRatio ?? null },
+            spacingBase: spacing.base
+        },
+        tokenList
+    };
+    result.tokens = toDtcg(tokenList, result);
+    result.css = toCss(tokenList, result);
+    result.tailwind = toTailwindTheme(tokenList);
+
+    console.log(`✅ Design tokens ready!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Colors: ${result.summary.colors} (${samples.colors.size} raw values)`);
+    console.log(`   • Type scale: ${result.summary.fontSizes} sizes${typeScale.ratio ? `, ratio ${typeScale.ratio}` : ''}`);
+    console.log(`   • Spacing: ${result.summary.spacing} steps${spacing.base ? ` on a ${spacing.base}px grid` : ''}`);
+    console.log(`   • Radii: ${result.summary.radii}, shadows: ${result.summary.shadows}`);
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+
+        writeFileSync(path.join(outputDir, 'tokens.json'), JSON.stringify(result.tokens, null, 2));
+        writeFileSync(path.join(outputDir, 'tokens.css'), result.css);
+        writeFileSync(
+            path.join(outputDir, 'tailwind.theme.js'),
+            `// Tailwind theme extension generated by web-analysis-toolkit\n` +
+            `// Usage (tailwind.config.js): theme: { extend: require('./tailwind.theme.js') }\n` +
+            `module.exports = ${JSON.stringify(result.tailwind, null, 4)};\n`
+        );
+        writeFileSync(path.join(outputDir, 'tokens.md'), formatMarkdown(result));
+
+        console.log(`📄 Tokens saved to ${outputDir}/ (tokens.json, tokens.css, tailwind.theme.js, tokens.md)`);
+    }
+
+    return result;
+}
+
+export { exportDesignTokens, loadInventories };
@@ -0,0 +1,454 @@
+/**
+ * Responsive CSS Generator
+ * Rewrites a site's width media queries as one clean stylesheet on a chosen breakpoint set
+ *
+ * Built on the breakpoint conflict analysis: for every selector and property the value that wins
+ * at each width is known, so overridden, repeated and dead declarations drop out. Those values
+ * are sampled per tier of the chosen breakpoints (the detected framework's set, the site's own,
+ * another framework's or a list of widths) and written mobile-first (base styles for the
+ * smallest screens + min-width queries) or desktop-first (base styles for the largest screens +
+ * max-width queries). A property is only repeated at a breakpoint where its value changes, and
+ * selectors with identical declarations in the same block share one rule.
+ *
+ * Selectors are written exactly as the site has them, so the original class names carry over to
+ * the rebuild (see "Class Name Preservation" in docs/guides/caching.md). Only selectors that width
+ * media queries restyle are included. When a site breakpoint falls inside a tier, the value that
+ * covers most of the tier is kept and the others are listed in the report; so are declarations
+ * in queries that also depend on hover, prefers-*, height or @container, which are not converted.
+ *
+ * Output (in outputDir, default orig):
+ *   responsive.css       - the stylesheet
+ *   _responsive-css.md   - breakpoint set, approximations and unconverted declarations
+ *
+ * Usage: wat responsive-css [url] [--from <file>] [--strategy mobile-first|desktop-first] [--breakpoints <set>]
+ * Example: wat responsive-css https://example.com --breakpoints bootstrap --selector .navbar
+ *          wat responsive-css --from analysis/media-queries/2025-01-01/example-com-media-queries.json
+ */
+
+import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { extractMediaQueries, applyFilters } from '../extractors/media-queries.mjs';
+import { findBreakpointConflicts } from '../analyzers/breakpoint-conflicts.mjs';
+import { breakpointsFromMediaQueries } from '../analyzers/breakpoint-diff.mjs';
+import { getFrameworkBreakpoints } from '../analyzers/frameworks.mjs';
+
+const STRATEGIES = ['mobile-first', 'desktop-first'];
+
+// The open-ended top tier is weighed up to this width when picking its value
+const MAX_WEIGHED_WIDTH = 1920;
+
+/**
+ * Resolve the breakpoint set to generate for
+ * @param {string|number[]|null} spec - 'framework' (detected, default), 'site', a framework name
+ *   ('bootstrap', 'tailwind@3'...), a comma-separated list ('576,768,992' or 'sm:576,md:768') or an array of px
+ * @param {Object} data - extractMediaQueries() result
+ * @returns {{source: string, label: string, widths: Array<{name: string|null, width: number}>}}
+ */
+function resolveBreakpointSet(spec, data) {
+    const fromObject = (breakpoints) => Object.entries(breakpoints).map(([name, width]) => ({ name, width }));
+
+    if (!spec || spec === 'framework') {
+        const detection = data.frameworks;
+        const primary = detection?.frameworks.find(framework => framework.name === detection.primary);
+        if (primary) {
+            return {
+                source: 'framework',
+                label: `${primary.name}${primary.version ? ` ${primary.version}` : ''}`,
+                widths: fromObject(primary.breakpoints)
+            };
+        }
+        if (spec === 'framework') {
+            console.warn('⚠️  No CSS framework detected, using the site\'s own breakpoints');
+        }
+        spec = 'site';
+    }
+
+    if (spec === 'site') {
+        return {
+            source: 'site',
+            label: 'the site\'s own breakpoints',
+            widths: breakpointsFromMediaQueries(data).map(({ width }) => ({ name: null, width }))
+        };
+    }
+
+    if (Array.isArray(spec)) {
+        return { source: 'list', label: 'custom breakpoints', widths: spec.map(width => ({ name: null, width })) };
+    }
+
+    const framework = getFrameworkBreakpoints(spec);
+    if (framework) {
+        return {
+            source: 'framework',
+            label: `${framework.name}${framework.version ? ` ${framework.version}` : ''}`,
+            widths: fromObject(framework.breakpoints)
+        };
+    }
+
+    const widths = parseBreakpointList(spec);
+    if (!widths) {
+        throw new Error(`Unknown breakpoint set "${spec}" (expected framework, site, a framework name or a list like 576,768,992)`);
+    }
+    return { source: 'list', label: 'custom breakpoints', widths };
+}
+
+// '576,768' or 'sm:576,md:768' -> [{name, width}]; null when a width is not a positive number
+function parseBreakpointList(spec) {
+    const widths = spec.split(',').map(item => {
+        const [name, width] = item.includes(':') ? item.split(':') : [null, item];
+        return { name: name?.trim() || null, width: Number(width) };
+    });
+    return widths.some(({ width }) => !Number.isFinite(width) || width <= 0) ? null : widths;
+}
+
+/**
+ * Can resolveBreakpointSet() use this spec? Checked before any page is loaded
+ * @param {string} spec - Value of --breakpoints
+ * @returns {boolean}
+ */
+function isBreakpointSpec(spec) {
+    return spec === 'framework' || spec === 'site' || Boolean(getFrameworkBreakpoints(spec)) || parseBreakpointList(spec) !== null;
+}
+
+/**
+ * Does this look like data saved by `wat media-queries`? Checked before --from data is used
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True when `mediaQueries` is a list of entries that each have a `rules` list
+ */
+function isMediaQueryData(data) {
+    return Array.isArray(data?.mediaQueries) && data.mediaQueries.every(mq => Array.isArray(mq?.rules));
+}
+
+/**
+ * The value (with its !important flag) covering most of a tier, and the values left out
+ * @param {Array<{from: number, to: number|null, value: string|null, important?: boolean}>} rows - Property over width
+ * @param {{from: number, to: number}} tier
+ */
+function sampleTier(rows, tier) {
+    const end = tier.to === Infinity ? Math.max(tier.from, MAX_WEIGHED_WIDTH) : tier.to;
+    const coverage = new Map();
+    rows.forEach(row => {
+        const rowTo = row.to ?? Infinity;
+        const from = Math.max(row.from, tier.from);
+        if (Math.min(rowTo, end) < from) return;
+        const value = row.value === null ? null : `${row.value}${row.important ? ' !important' : ''}`;
+        if (!coverage.has(value)) coverage.set(value, { value, width: 0, ranges: [] });
+        const entry = coverage.get(value);
+        entry.width += Math.min(rowTo, end) - from + 1;
+        entry.ranges.push({ from, to: Math.min(rowTo, tier.to) });
+    });
+    // Stable sort: on a tie the value at the narrow end of the tier wins
+    const [kept, ...dropped] = [...coverage.values()].sort((a, b) => b.width - a.width);
+    return { value: kept?.value ?? null, dropped: dropped.filter(entry => entry.value !== null) };
+}
+
+/**
+ * Where each run of equal tier values goes: base styles, or a media query bounded by min and/or max
+ * @param {Array<string|null>} values - One value per tier, narrowest tier first
+ * @returns {Array<{min: number|null, max: number|null, value: string}>} min/max are breakpoint widths
+ */
+function placeValues(values, tiers, strategy) {
+    const placements = [];
+    let start = 0;
+    values.forEach((value, index) => {
+        if (index + 1 < values.length && values[index + 1] === value) return;
+        if (value !== null) {
+            // Open-ended towards the side the strategy builds from; bounded where nothing takes over
+            const min = start > 0 && (strategy === 'mobile-first' || values[start - 1] === null) ? tiers[start].from : null;
+            const max = index < tiers.length - 1 && (strategy === 'desktop-first' || values[index + 1] === null) ? tiers[index + 1].from : null;
+            placements.push({ min, max, value });
+        }
+        start = index + 1;
+    });
+    return placements;
+}
+
+function formatPx(value) {
+    return `${parseFloat(value.toFixed(2))}px`;
+}
+
+function formatRange({ from, to }) {
+    if (to === Infinity || to === null) return `${from}px+`;
+    if (from === to) return `${from}px`;
+    return `${from}-${to}px`;
+}
+
+// A max-width a hundredth below the next breakpoint, so fractional viewport widths (zoom, high-DPI)
+// don't fall between two tiers
+function queryText({ min, max }) {
+    return [
+        min !== null && `(min-width: ${formatPx(min)})`,
+        max !== null && `(max-width: ${formatPx(max - 0.02)})`
+    ].filter(Boolean).join(' and ');
+}
+
+/**
+ * Build the stylesheet from extracted media query data (no browser needed)
+ * @param {Object} data - extractMediaQueries() result (filters already applied)
+ * @param {Object} [options]
+ * @param {string} [options.strategy='mobile-first'] - 'mobile-first' (min-width) or 'desktop-first' (max-width)
+ * @param {string|number[]} [options.breakpoints='framework'] - Breakpoint set, see resolveBreakpointSet()
+ * @param {string} [options.property] - Only write properties matching this name (e.g. margin matches margin-left)
+ * @param {string} [options.url] - Shown in the stylesheet header
+ * @returns {Object} { css, strategy, breakpoints, approximations, unconverted, summary }
+ */
+function buildResponsiveCss(data, options = {}) {
+    const { strategy = 'mobile-first', breakpoints = 'framework', property = null, url = null } = options;
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown strategy "${strategy}" (expected ${STRATEGIES.join(' or ')})`);
+    }
+
+    const breakpointSet = resolveBreakpointSet(breakpoints, data);
+    const widths = [...new Map(breakpointSet.widths.filter(({ width }) => width > 0).map(entry => [entry.width, entry])).values()]
+        .sort((a, b) => a.width - b.width);
+    breakpointSet.widths = widths;
+    const starts = [0, ...widths.map(({ width }) => width)];
+    const tiers = starts.map((from, index) => ({ from, to: index + 1 < starts.length ? starts[index + 1] - 1 : Infinity }));
+    const nameOf = (width) => widths.find(entry => entry.width === width)?.name ?? null;
+
+    const matchesProperty = (name) => !property || name.includes(property) || property.includes(name);
+    const conflicts = findBreakpointConflicts(data);
+    const blocks = new Map();
+    const approximations = [];
+    const unconverted = [];
+
+    [...conflicts.selectors].sort((a, b) => a.order - b.order).forEach(entry => {
+        Object.entries(entry.properties).filter(([name]) => matchesProperty(name)).forEach(([name, rows]) => {
+            const samples = tiers.map(tier => sampleTier(rows, tier));
+            samples.forEach((sample, index) => {
+                if (sample.dropped.length === 0) return;
+                approximations.push({
+                    selector: entry.selector,
+                    property: name,
+                    tier: formatRange(tiers[index]),
+                    kept: sample.value,
+                    dropped: sample.dropped.map(({ value, ranges }) => ({ value, ranges: ranges.map(formatRange) }))
+                });
+            });
+
+            placeValues(samples.map(sample => sample.value), tiers, strategy).forEach(placement => {
+                const key = `${placement.min ?? ''}-${placement.max ?? ''}`;
+                if (!blocks.has(key)) blocks.set(key, { min: placement.min, max: placement.max, rules: new Map() });
+                const rules = blocks.get(key).rules;
+                if (!rules.has(entry.selector)) rules.set(entry.selector, []);
+                rules.get(entry.selector).push(`${name}: ${placement.value};`);
+            });
+        });
+
+        (entry.conditional || []).filter(declaration => matchesProperty(declaration.property)).forEach(declaration => {
+            unconverted.push({ selector: entry.selector, ...declaration });
+        });
+    });
+
+    // Base styles first, then the queries in the order they have to cascade
+    const sortKey = strategy === 'mobile-first'
+        ? (block) => [block.min ?? 0, -(block.max ?? Infinity)]
+        : (block) => [-(block.max ?? Infinity), block.min ?? 0];
+    const ordered = [...blocks.values()].sort((a, b) => {
+        const base = Number(a.min !== null || a.max !== null) - Number(b.min !== null || b.max !== null);
+        const [a1, a2] = sortKey(a);
+        const [b1, b2] = sortKey(b);
+        return base || a1 - b1 || a2 - b2;
+    });
+
+    let css = `/* Responsive styles extracted from ${url || 'saved media query data'} */\n`;
+    css += `/* ${strategy === 'mobile-first' ? 'Mobile-first (min-width)' : 'Desktop-first (max-width)'} on ${breakpointSet.label}: ${widths.map(({ name, width }) => `${name ? `${name} ` : ''}${width}px`).join(', ') || 'none'} */\n`;
+    css += `/* Generated by web-analysis-toolkit on ${new Date().toISOString()} */\n`;
+
+    let declarations = 0;
+    ordered.forEach(block => {
+        const isBase = block.min === null && block.max === null;
+        const indent = isBase ? '' : '    ';
+
+        // Selectors with identical declarations share one rule, at the first selector's position
+        const merged = new Map();
+        block.rules.forEach((lines, selector) => {
+            const body = lines.join('\n');
+            if (!merged.has(body)) merged.set(body, []);
+            merged.get(body).push(selector);
+            declarations += lines.length;
+        });
+
+        css += `\n`;
+        if (!isBase) {
+            const describe = (width) => nameOf(width) ? `${nameOf(width)} (${width}px)` : `${width}px`;
+            const label = block.min !== null && block.max !== null ? `${describe(block.min)} up to ${describe(block.max)}`
+                : block.min !== null ? `${describe(block.min)} and up` : `below ${describe(block.max)}`;
+            css += `/* ${label} */\n@media ${queryText(block)} {\n`;
+        }
+        [...merged.entries()].forEach(([body, selectors], index) => {
+            if (index > 0) css += `\n`;
+            css += `${indent}${selectors.join(`,\n${indent}`)} {\n`;
+            css += body.split('\n').map(line => `${indent}    ${line}\n`).join('');
+            css += `${indent}}\n`;
+        });
+        if (!isBase) css += `}\n`;
+    });
+
+    if (unconverted.length > 0) {
+        css += `\n/* ${unconverted.length} declaration(s) in hover, preference, height or @container queries are not included: see _responsive-css.md */\n`;
+    }
+
+    const sourceDeclarations = [...(data.baseRules || []), ...data.mediaQueries.flatMap(mq => mq.rules)]
+        .reduce((sum, rule) => sum + Object.keys(rule.properties).filter(matchesProperty).length, 0);
+
+    return {
+        css,
+        strategy,
+        breakpoints: breakpointSet,
+        approximations,
+        unconverted,
+        summary: {
+            selectors: new Set(ordered.flatMap(block => [...block.rules.keys()])).size,
+            mediaQueries: ordered.filter(block => block.min !== null || block.max !== null).length,
+            sourceDeclarations,
+            declarations,
+            approximations: approximations.length,
+            unconverted: unconverted.length
+        }
+    };
+}
+
+/**
+ * Generate a mobile-first or desktop-first stylesheet from a page's media queries
+ * @param {string|null} url - Page to extract from, or null to read saved media query data (options.from)
+ * @param {Object} [options]
+ * @param {string} [options.from] - JSON file saved by `wat media-queries`, used when no url is given
+ * @param {Object} [options.mediaQueryData] - extractMediaQueries() result to use instead
+ * @param {string} [options.strategy='mobile-first'] - 'mobile-first' or 'desktop-first'
+ * @param {string|number[]} [options.breakpoints='framework'] - 'framework' (detected, else the site's), 'site',
+ *   a framework name ('bootstrap', 'tailwind', 'bootstrap@4'...) or a list ('576,768,992' or 'sm:576,md:768')
+ * @param {string} [options.property] - Only rules and properties matching this CSS property
+ * @param {string} [options.selector] - Only rules whose selector contains this text
+ * @param {string} [options.outputDir='orig'] - Where the stylesheet and report are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession(), used when url is given
+ * @returns {Promise<Object>} { url, generatedAt, css, strategy, breakpoints, approximations, unconverted, summary }
+ */
+async function generateResponsiveCss(url = null, options = {}) {
+    const {
+        from = null,
+        property = null,
+        selector = null,
+        outputDir = 'orig',
+        save = true
+    } = options;
+    let { mediaQueryData = null } = options;
+
+    if (url) {
+        console.log(`🧩 Generating responsive CSS for ${url}`);
+        mediaQueryData = mediaQueryData ?? await extractMediaQueries(url, { ...options, property, selector, save: false });
+    } else {
+        if (!mediaQueryData) {
+            if (!from || !existsSync(from)) {
+                throw new Error(`No media query data${from ? ` at ${from}` : ''} - run media-queries first and pass --from <file>, or pass a URL`);
+            }
+            mediaQueryData = JSON.parse(readFileSync(from, 'utf8'));
+        }
+        if (!isMediaQueryData(mediaQueryData)) {
+            throw new Error(`${from ?? 'Media query data'} is not a media-queries result - run media-queries first and pass --from <file>`);
+        }
+        console.log(`🧩 Generating responsive CSS from ${from ?? 'media query data'}`);
+        mediaQueryData = applyFilters(mediaQueryData, { property, selector });
+    }
+    if (!mediaQueryData.baseRules) {
+        console.warn('⚠️  Media query data has no base rules (saved by an older version): base styles will be missing, re-run media-queries');
+    }
+
+    const result = {
+        url,
+        from: url ? null : from,
+        generatedAt: new Date().toISOString(),
+        filters: { property, selector },
+        ...buildResponsiveCss(mediaQueryData, { ...options, url: url ?? from })
+    };
+
+    console.log(`✅ Responsive CSS ready!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • ${result.strategy} on ${result.breakpoints.label}: ${result.breakpoints.widths.map(({ width }) => `${width}px`).join(', ') || 'none'}`);
+    console.log(`   • Selectors: ${result.summary.selectors} in ${result.summary.mediaQueries} media queries + base styles`);
+    console.log(`   • Declarations: ${result.summary.sourceDeclarations} in the site's CSS → ${result.summary.declarations} written`);
+    if (result.summary.approximations > 0) {
+        console.log(`   • Approximations: ${result.summary.approximations} (site breakpoints that fall inside a tier)`);
+    }
+    if (result.summary.unconverted > 0) {
+        console.log(`   • Not converted: ${result.summary.unconverted} (hover, preference, height or @container queries)`);
+    }
+
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+
+        const cssPath = path.join(outputDir, 'responsive.css');
+        writeFileSync(cssPath, result.css);
+
+        const reportPath = path.join(outputDir, '_responsive-css.md');
+        writeFileSync(reportPath, createResponsiveCssReport(result));
+
+        console.log(`📄 Stylesheet: ${cssPath}`);
+        console.log(`📋 Report: ${reportPath}`);
+    }
+
+    return result;
+}
+
+function createResponsiveCssReport(result) {
+    let report = `# Responsive CSS Report\n\n`;
+    report += `**Source**: ${result.url || result.from}\n`;
+    report += `**Generated**: ${result.generatedAt}\n`;
+    report += `**Strategy**: ${result.strategy}\n`;
+    if (result.filters.property || result.filters.selector) {
+        report += `**Filters**: ${[result.filters.property && `property ${result.filters.property}`, result.filters.selector && `selector ${result.filters.selector}`].filter(Boolean).join(', ')}\n`;
+    }
+    report += `\n`;
+
+    report += `## Breakpoints\n\n`;
+    report += `Using ${result.breakpoints.label}.\n\n`;
+    report += `| Name | Min width | Query |\n`;
+    report += `|------|-----------|-------|\n`;
+    result.breakpoints.widths.forEach(({ name, width }) => {
+        const query = result.strategy === 'mobile-first' ? queryText({ min: width, max: null }) : `below: ${queryText({ min: null, max: width })}`;
+        report += `| ${name ?? '-'} | ${width}px | \`${query}\` |\n`;
+    });
+    report += `\n`;
+
+    report += `## Summary\n\n`;
+    report += `- **Selectors**: ${result.summary.selectors}\n`;
+    report += `- **Media queries**: ${result.summary.mediaQueries}\n`;
+    report += `- **Declarations**: ${result.summary.sourceDeclarations} in the site's CSS, ${result.summary.declarations} written\n`;
+    report += `- **Approximations**: ${result.summary.approximations}\n`;
+    report += `- **Not converted**: ${result.summary.unconverted}\n\n`;
+
+    if (result.approximations.length > 0) {
+        report += `## Approximations\n\n`;
+        report += `The site changes these values inside a tier of the chosen breakpoints. The value covering most of the tier was kept.\n\n`;
+        report += `| Selector | Property | Tier | Kept | Dropped |\n`;
+        report += `|----------|----------|------|------|---------|\n`;
+        result.approximations.slice(0, 100).forEach(approximation => {
+            const dropped = approximation.dropped.map(({ value, ranges }) => `\`${value}\` (${ranges.join(', ')})`).join(', ');
+            report += `| \`${approximation.selector}\` | ${approximation.property} | ${approximation.tier} | \`${approximation.kept ?? 'not set'}\` | ${dropped} |\n`;
+        });
+        if (result.approximations.length > 100) {
+            report += `\n...and ${result.approximations.length - 100} more (see the returned data)\n`;
+        }
+        report += `\n`;
+    }
+
+    if (result.unconverted.length > 0) {
+        report += `## Not Converted\n\n`;
+        report += `These declarations depend on more than the viewport width. Add them by hand where the rebuild needs them.\n\n`;
+        result.unconverted.slice(0, 100).forEach(declaration => {
+            report += `- \`@media ${declaration.condition}\` → \`${declaration.selector} { ${declaration.property}: ${declaration.value}${declaration.important ? ' !important' : ''}; }\`\n`;
+        });
+        if (result.unconverted.length > 100) {
+            report += `- ...and ${result.unconverted.length - 100} more\n`;
+        }
+        report += `\n`;
+    }
+
+    return report;
+}
+
+export { generateResponsiveCss, buildResponsiveCss, resolveBreakpointSet, isBreakpointSpec, isMediaQueryData };
@@ -1,46 +1,170 @@
-#!/usr/bin/env node
 /**
  * Computed Styles Analyzer
  * Gets actual computed styles applied to elements (not just raw CSS)
  * 
- * Usage: node tools/audit-computed.mjs <url>
- * Example: node tools/audit-computed.mjs https://example.com
+ * Usage: wat computed <url> [--viewport <WxH>]
+ * Example: wat computed https://example.com
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { createCascadeInspector } from '../utils/cascade.mjs';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import path from 'path';
 
-// Ensure orig directory exists
-if (!existsSync('orig')) {
-    mkdirSync('orig');
-}
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 2;
+
+// Properties traced by default with options.cascade (a shorthand also selects its longhands)
+const CASCADE_PROPERTIES = [
+    'color', 'font-size', 'font-family', 'font-weight', 'line-height', 'text-align',
+    'background-color', 'background-image', 'display', 'position', 'width', 'height',
+    'margin', 'padding', 'border', 'border-radius', 'box-shadow', 'opacity', 'z-index'
+];
 
-async function auditComputedStyles(url) {
+/**
+ * Audit the computed styles of every visible element on a page
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (default 1920x1080)
+ * @param {string} [options.outputDir='orig'] - Where the inventories are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {boolean|string} [options.cascade=false] - Add each element's matched rules in cascade order
+ *   (elements[].cascade); true traces every element, a selector string only the matching ones
+ * @param {string[]} [options.cascadeProperties] - Properties to trace (default: the ones this tool records)
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} Computed style data with inventory and summary
+ */
+async function auditComputedStyles(url, options = {}) {
+    const {
+        viewport = { width: 1920, height: 1080 },
+        outputDir = 'orig',
+        save = true,
+        cascade = false,
+        cascadeProperties = CASCADE_PROPERTIES
+    } = options;
+    
     console.log(`🔍 Analyzing computed styles on ${url}`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const cascadeOptions = cascade ? { cascade, cascadeProperties } : null;
+    const computedStylesData = await readThroughCache(
+        { tool: 'computed-styles', url, viewport, options: cascadeOptions ?? {}, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectComputedStyles(url, viewport, cascadeOptions, options.session)
+    );
     
-    try {
-        const page = await browser.newPage();
+    const { usage } = computedStylesData;
+    
+    // Add summary statistics
+    computedStylesData.summary = {
+        totalElements: computedStylesData.elements.length,
+        uniqueColors: computedStylesData.inventory.colors.length,
+        uniqueFonts: computedStylesData.inventory.fonts.length,
+        uniqueFontSizes: computedStylesData.inventory.fontSizes.length,
+        uniqueFontWeights: computedStylesData.inventory.fontWeights.length,
+        uniqueBackgroundColors: computedStylesData.inventory.backgroundColors.length,
+        uniqueBorderColors: computedStylesData.inventory.borderColors.length,
         
-        // Set viewport for consistent results
-        await page.setViewport({ width: 1920, height: 1080 });
+        // Most common values, by number of elements using them
+        mostCommonFontSizes: getMostCommon(usage.overall.fontSizes, 10),
+        mostCommonFontWeights: getMostCommon(usage.overall.fontWeights, 5),
+        mostCommonColors: getMostCommon(usage.overall.colors, 10),
+        mostCommonFonts: getMostCommon(usage.overall.fonts, 5),
+        mostCommonBackgroundColors: getMostCommon(usage.overall.backgroundColors, 10),
+        mostCommonBorderColors: getMostCommon(usage.overall.borderColors, 5),
         
-        console.log(`📥 Loading page...`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
+        // Typical styles per element type, most frequent tags first
+        byElementType: Object.fromEntries(
+            Object.entries(usage.byTag)
+                .sort(([, a], [, b]) => b.count - a.count)
+                .map(([tag, tagUsage]) => [tag, {
+                    count: tagUsage.count,
+                    fontSizes: getMostCommon(tagUsage.fontSizes, 3),
+                    fontWeights: getMostCommon(tagUsage.fontWeights, 3),
+                    colors: getMostCommon(tagUsage.colors, 3),
+                    fonts: getMostCommon(tagUsage.fonts, 3),
+                    backgroundColors: getMostCommon(tagUsage.backgroundColors, 3)
+                }])
+        ),
         
-        // Wait a bit more for dynamic content
-        await page.waitForTimeout(2000);
+        backgroundCoverage: getBackgroundCoverage(computedStylesData.backgroundArea)
+    };
+    
+    console.log(`✅ Computed styles analysis complete!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Elements analyzed: ${computedStylesData.summary.totalElements}`);
+    console.log(`   • Unique colors: ${computedStylesData.summary.uniqueColors}`);
+    console.log(`   • Unique fonts: ${computedStylesData.summary.uniqueFonts}`);
+    console.log(`   • Font sizes: ${computedStylesData.summary.uniqueFontSizes}`);
+    const [topSize] = computedStylesData.summary.mostCommonFontSizes;
+    if (topSize) {
+        console.log(`   • Most used font size: ${topSize.value} (${topSize.count} elements)`);
+    }
+    const [topBackground] = computedStylesData.summary.backgroundCoverage;
+    if (topBackground) {
+        console.log(`   • Dominant background: ${topBackground.value} (${Math.round(topBackground.share * 100)}% of the page)`);
+    }
+    if (cascade) {
+        const traced = computedStylesData.elements.filter(element => element.cascade).length;
+        console.log(`   • Cascade traced: ${traced} elements`);
+    }
+    
+    if (save) {
+        if (!existsSync(outputDir)) {
+            mkdirSync(outputDir, { recursive: true });
+        }
+        
+        // Save complete data
+        const fullPath = path.join(outputDir, '_computed-style-inventory.json');
+        writeFileSync(fullPath, JSON.stringify(computedStylesData, null, 2));
+        
+        // Create simplified inventory for quick reference
+        const quickInventory = {
+            url: computedStylesData.url,
+            extractedAt: computedStylesData.extractedAt,
+            summary: computedStylesData.summary,
+            inventory: computedStylesData.inventory
+        };
+        
+        const quickPath = path.join(outputDir, '_computed-styles-quick.json');
+        writeFileSync(quickPath, JSON.stringify(quickInventory, null, 2));
+        
+        console.log(`📄 Full results: ${fullPath}`);
+        console.log(`📄 Quick reference: ${quickPath}`);
+    }
+    
+    return computedStylesData;
+}
+
+/**
+ * Load the page and read computed styles of every visible element
+ * @returns {Promise<Object>} Raw computed style data (cached by auditComputedStyles)
+ */
+async function collectComputedStyles(url, viewport, cascadeOptions = null, sharedSession = null) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    
+    try {
+        console.log(`📥 Loading page...`);
+        lease = await session.acquirePage(url, { viewport });
+        const { page } = lease;
         
         console.log(`🔍 Extracting computed styles...`);
         
-        const computedStylesData = await page.evaluate(() => {
+        // Runs in the page. `trace` (true or a selector) picks the elements whose cascade is traced:
+        // they are returned by reference and marked with their position in that list (traceIndex)
+        const collectStyles = (trace) => {
+            const newCounters = () => ({
+                colors: {},
+                fonts: {},
+                fontSizes: {},
+                fontWeights: {},
+                backgroundColors: {},
+                borderColors: {}
+            });
+            
             const results = {
                 url: window.location.href,
                 extractedAt: new Date().toISOString(),
@@ -56,11 +180,44 @@ async function auditComputedStyles(url) {
                     fontWeights: new Set(),
                     backgroundColors: new Set(),
                     borderColors: new Set()
+                },
+                // value -> number of elements, overall and per tag name
+                usage: {
+                    overall: newCounters(),
+                    byTag: {}
+                },
+                backgroundArea: {
+                    pageArea: 0,
+                    byColor: {}
                 }
             };
             
+            const record = (tag, key, value) => {
+                results.inventory[key].add(value);
+                results.usage.overall[key][value] = (results.usage.overall[key][value] || 0) + 1;
+                results.usage.byTag[tag][key][value] = (results.usage.byTag[tag][key][value] || 0) + 1;
+            };
+            
+            const pageWidth = Math.max(document.documentElement.scrollWidth, window.innerWidth);
+            const pageHeight = Math.max(document.documentElement.scrollHeight, window.innerHeight);
+            results.backgroundArea.pageArea = pageWidth * pageHeight;
+            
+            // Element box in page coordinates, clipped to the page
+            const pageBox = (element) => {
+                const rect = element.getBoundingClientRect();
+                const left = Math.max(0, rect.left + window.scrollX);
+                const top = Math.max(0, rect.top + window.scrollY);
+                const right = Math.min(pageWidth, rect.right + window.scrollX);
+                const bottom = Math.min(pageHeight, rect.bottom + window.scrollY);
+                return { left, top, right, bottom };
+            };
+            const boxArea = (box) => Math.max(0, box.right - box.left) * Math.max(0, box.bottom - box.top);
+            const painted = new Map();
+            
             // Get all visible elements
             const allElements = document.querySelectorAll('*');
+            const traceMatches = typeof trace === 'string' ? new Set(document.querySelectorAll(trace)) : null;
+            const traced = [];
             const visibleElements = Array.from(allElements).filter(el => {
                 const style = window.getComputedStyle(el);
                 return style.display !== 'none' && 
@@ -118,29 +275,61 @@ async function auditComputedStyles(url) {
                     }
                 };
                 
+                const tag = elementData.tagName;
+                results.usage.byTag[tag] = results.usage.byTag[tag] || { count: 0, ...newCounters() };
+                results.usage.byTag[tag].count++;
+                
                 // Add to inventory
                 if (computed.color && computed.color !== 'rgba(0, 0, 0, 0)') {
-                    results.inventory.colors.add(computed.color);
+                    record(tag, 'colors', computed.color);
                 }
                 if (computed.backgroundColor && computed.backgroundColor !== 'rgba(0, 0, 0, 0)') {
-                    results.inventory.backgroundColors.add(computed.backgroundColor);
+                    record(tag, 'backgroundColors', computed.backgroundColor);
+                    const box = pageBox(element);
+                    painted.set(element, { color: computed.backgroundColor, box, area: boxArea(box) });
                 }
                 if (computed.borderColor && computed.borderColor !== 'rgba(0, 0, 0, 0)') {
-                    results.inventory.borderColors.add(computed.borderColor);
+                    record(tag, 'borderColors', computed.borderColor);
                 }
                 if (computed.fontFamily) {
-                    results.inventory.fonts.add(computed.fontFamily);
+                    record(tag, 'fonts', computed.fontFamily);
                 }
                 if (computed.fontSize) {
-                    results.inventory.fontSizes.add(computed.fontSize);
+                    record(tag, 'fontSizes', computed.fontSize);
                 }
                 if (computed.fontWeight) {
-                    results.inventory.fontWeights.add(computed.fontWeight);
+                    record(tag, 'fontWeights', computed.fontWeight);
+                }
+                
+                if (trace && (!traceMatches || traceMatches.has(element))) {
+                    elementData.traceIndex = traced.length;
+                    traced.push(element);
                 }
                 
                 results.elements.push(elementData);
             });
             
+            // A background only shows where no descendant paints its own over it:
+            // subtract each painted element from its nearest painted ancestor
+            painted.forEach((paint, element) => {
+                let ancestor = element.parentElement;
+                while (ancestor && !painted.has(ancestor)) {
+                    ancestor = ancestor.parentElement;
+                }
+                if (!ancestor) return;
+                const outer = painted.get(ancestor);
+                const overlap = boxArea({
+                    left: Math.max(outer.box.left, paint.box.left),
+                    top: Math.max(outer.box.top, paint.box.top),
+                    right: Math.min(outer.box.right, paint.box.right),
+                    bottom: Math.min(outer.box.bottom, paint.box.bottom)
+                });
+                outer.area = Math.max(0, outer.area - overlap);
+            });
+            painted.forEach(({ color, area }) => {
+                results.backgroundArea.byColor[color] = (results.backgroundArea.byColor[color] || 0) + Math.round(area);
+            });
+            
             // Convert Sets to Arrays for JSON serialization
             results.inventory.colors = Array.from(results.inventory.colors).sort();
             results.inventory.fonts = Array.from(results.inventory.fonts).sort();
@@ -149,46 +338,13 @@ async function auditComputedStyles(url) {
             results.inventory.backgroundColors = Array.from(results.inventory.backgroundColors).sort();
             results.inventory.borderColors = Array.from(results.inventory.borderColors).sort();
             
-            return results;
-        });
-        
-        // Add summary statistics
-        computedStylesData.summary = {
-            totalElements: computedStylesData.elements.length,
-            uniqueColors: computedStylesData.inventory.colors.length,
-            uniqueFonts: computedStylesData.inventory.fonts.length,
-            uniqueFontSizes: computedStylesData.inventory.fontSizes.length,
-            uniqueFontWeights: computedStylesData.inventory.fontWeights.length,
-            uniqueBackgroundColors: computedStylesData.inventory.backgroundColors.length,
-            uniqueBorderColors: computedStylesData.inventory.borderColors.length,
-            
-            // Most common values
-            mostCommonFontSizes: getMostCommon(computedStylesData.inventory.fontSizes.slice(0, 10)),
-            mostCommonFontWeights: getMostCommon(computedStylesData.inventory.fontWeights.slice(0, 5)),
-            mostCommonColors: getMostCommon(computedStylesData.inventory.colors.slice(0, 10))
-        };
-        
-        // Save complete data
-        writeFileSync('orig/_computed-style-inventory.json', JSON.stringify(computedStylesData, null, 2));
-        
-        // Create simplified inventory for quick reference
-        const quickInventory = {
-            url: computedStylesData.url,
-            extractedAt: computedStylesData.extractedAt,
-            summary: computedStylesData.summary,
-            inventory: computedStylesData.inventory
+            return { elements: traced, data: results };
         };
         
-        writeFileSync('orig/_computed-styles-quick.json', JSON.stringify(quickInventory, null, 2));
-        
-        console.log(`✅ Computed styles analysis complete!`);
-        console.log(`📊 Summary:`);
-        console.log(`   • Elements analyzed: ${computedStylesData.summary.totalElements}`);
-        console.log(`   • Unique colors: ${computedStylesData.summary.uniqueColors}`);
-        console.log(`   • Unique fonts: ${computedStylesData.summary.uniqueFonts}`);
-        console.log(`   • Font sizes: ${computedStylesData.summary.uniqueFontSizes}`);
-        console.log(`📄 Full results: orig/_computed-style-inventory.json`);
-        console.log(`📄 Quick reference: orig/_computed-styles-quick.json`);
+        if (cascadeOptions) {
+            return await traceCascade(page, collectStyles, cascadeOptions);
+        }
+        const { data: computedStylesData } = await page.evaluate(collectStyles, false);
         
         return computedStylesData;
         
@@ -196,42 +352,75 @@ async function auditComputedStyles(url) {
         console.error('❌ Error during computed styles analysis:', error);
         throw error;
     } finally {
-        await browser.close();
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
-function getMostCommon(array) {
-    if (!array || array.length === 0) return [];
-    
-    const frequency = {};
-    array.forEach(item => {
-        frequency[item] = (frequency[item] || 0) + 1;
-    });
+/**
+ * Collect the styles on the cascade inspector's session and attach the matched rules in cascade
+ * order to the selected elements (elements[].cascade). Each element is resolved by reference,
+ * so nodes added or removed meanwhile (ads, carousels) can't shift a cascade onto another element
+ * @returns {Promise<Object>} Raw computed style data
+ */
+async function traceCascade(page, collectStyles, { cascade, cascadeProperties }) {
+    const inspector = await createCascadeInspector(page);
     
-    return Object.entries(frequency)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 5)
-        .map(([item, count]) => ({ value: item, count }));
+    try {
+        const { data, nodeIds } = await inspector.evaluateNodes(collectStyles, cascade);
+        const targets = data.elements.filter(element => element.traceIndex !== undefined);
+        
+        console.log(`🧬 Tracing the cascade for ${targets.length} elements...`);
+        const cascades = await inspector.inspectNodes(
+            targets.map(element => nodeIds[element.traceIndex]),
+            { properties: cascadeProperties }
+        );
+        targets.forEach((element, index) => {
+            element.cascade = cascades[index];
+            delete element.traceIndex;
+        });
+        return data;
+    } finally {
+        await inspector.dispose();
+    }
 }
 
-// Command line usage
-const url = process.argv[2];
-
-if (!url) {
-    console.error('❌ Usage: node audit-computed.mjs <url>');
-    console.error('   Example: node audit-computed.mjs https://example.com');
-    process.exit(1);
+/**
+ * Values ranked by how many elements use them
+ * @param {Object} counts - value -> count
+ * @param {number} [limit=5]
+ * @returns {Array<{value: string, count: number, share: number}>} share = fraction of counted elements
+ */
+function getMostCommon(counts, limit = 5) {
+    if (!counts) return [];
+    
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    
+    return Object.entries(counts)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, limit)
+        .map(([value, count]) => ({ value, count, share: Math.round(count / total * 1000) / 1000 }));
 }
 
-// Validate URL
-try {
-    new URL(url);
-} catch (error) {
-    console.error('❌ Invalid URL provided');
-    process.exit(1);
+/**
+ * Background colors ranked by the share of the page they paint (approximate: overlapping
+ * siblings and transforms are not resolved)
+ * @param {{pageArea: number, byColor: Object}} backgroundArea
+ * @returns {Array<{value: string, area: number, share: number}>}
+ */
+function getBackgroundCoverage(backgroundArea) {
+    if (!backgroundArea?.pageArea) return [];
+    
+    return Object.entries(backgroundArea.byColor)
+        .filter(([, area]) => area > 0)
+        .sort(([, a], [, b]) => b - a)
+        .map(([value, area]) => ({
+            value,
+            area,
+            share: Math.round(Math.min(1, area / backgroundArea.pageArea) * 1000) / 1000
+        }));
 }
 
-auditComputedStyles(url).catch(error => {
-    console.error('❌ Failed to analyze computed styles:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+export { auditComputedStyles };
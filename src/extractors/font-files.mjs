@@ -1,22 +1,32 @@
-#!/usr/bin/env node
 /**
  * Font File Analyzer
  * Detects and downloads actual font files used (WOFF2, TTF, etc.) with their weight/style mappings
+ *
+ * Downloaded files are parsed (utils/font-parser.mjs): family and full name, vendor, license
+ * strings and embedding permissions, glyph and Unicode coverage, and variable-font axes, so a
+ * face can be checked for reuse before it ships in a rebuild.
+ *
+ * The text of each visible element is also checked against the font the browser actually drew it
+ * with (utils/rendered-fonts.mjs), flagging web fonts that failed and characters a face lacks.
  * 
- * Usage: node src/extractors/font-files.mjs <url> [--download]
- * Example: node src/extractors/font-files.mjs https://example.com --download
+ * Usage: wat fonts <url> [--download]
+ * Example: wat fonts https://example.com --download
  */
 
-import puppeteer from 'puppeteer';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
-import { createWriteStream } from 'fs';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { collectStyleSheets, formatStyleSheetReport } from '../utils/stylesheets.mjs';
+import { downloadFontFiles } from '../utils/font-download.mjs';
+import { parseFontFile } from '../utils/font-parser.mjs';
+import { detectRenderedFonts } from '../utils/rendered-fonts.mjs';
+import { writeFileSync, readFileSync, mkdirSync, existsSync } from 'fs';
 import path from 'path';
-import https from 'https';
-import http from 'http';
+
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 4;
 
 // Ensure output directories exist
-const ensureDirectories = () => {
-    const dirs = ['analysis', 'analysis/font-files', 'analysis/font-files/downloads'];
+const ensureDirectories = (dirs) => {
     dirs.forEach(dir => {
         if (!existsSync(dir)) {
             mkdirSync(dir, { recursive: true });
@@ -24,69 +34,151 @@ const ensureDirectories = () => {
     });
 };
 
-async function downloadFile(url, filepath) {
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-        
-        const file = createWriteStream(filepath);
-        protocol.get(url, (response) => {
-            if (response.statusCode === 200) {
-                response.pipe(file);
-                file.on('finish', () => {
-                    file.close();
-                    resolve(filepath);
-                });
-            } else {
-                reject(new Error(`Failed to download: ${response.statusCode}`));
-            }
-        }).on('error', (err) => {
-            reject(err);
-        });
-    });
-}
-
-async function analyzeFontFiles(url, shouldDownload = false) {
+/**
+ * Detect @font-face declarations, font requests, computed fonts and the fonts that rendered each text element on a page
+ * @param {string} url - Page to analyze
+ * @param {Object} [options]
+ * @param {boolean} [options.download=false] - Download the font files to <outputDir>/downloads, with a manifest.json mapping them to their @font-face rules, and parse them (downloads[].font)
+ * @param {{width: number, height: number}} [options.viewport] - Viewport size (default 1440x900)
+ * @param {string} [options.outputDir='analysis/font-files'] - Where the JSON, report, CSS and downloads are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {Object} [options.archive] - createNetworkArchive() result: record or replay the font and stylesheet downloads
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @returns {Promise<Object>} Font analysis data (renderedFonts: per-element platform fonts and fallbacks, see utils/rendered-fonts.mjs)
+ */
+async function analyzeFontFiles(url, options = {}) {
+    // Download flag used to be the second positional argument
+    if (typeof options === 'boolean') {
+        options = { download: options };
+    }
+    
+    const {
+        download = false,
+        viewport = { width: 1440, height: 900 },
+        outputDir = 'analysis/font-files',
+        save = true,
+        archive = null
+    } = options;
+    const shouldDownload = download && save;
+    const downloadDir = path.join(outputDir, 'downloads');
+    
     console.log(`🔤 Analyzing font files for ${url}`);
     
-    const browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    if (save) {
+        ensureDirectories(shouldDownload ? [outputDir, downloadDir] : [outputDir]);
+    }
+    
+    const fontAnalysis = await readThroughCache(
+        { tool: 'font-files', url, viewport, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectFontData(url, viewport, options.session, archive?.fetch)
+    );
+    
+    // Group font faces by family
+    const fontFamilyMap = {};
+    fontAnalysis.fontFaces.forEach(ff => {
+        const family = ff.fontFamily || 'Unknown';
+        if (!fontFamilyMap[family]) {
+            fontFamilyMap[family] = [];
+        }
+        fontFamilyMap[family].push(ff);
     });
     
-    try {
-        const page = await browser.newPage();
-        
-        // Capture network requests for font files
-        const fontRequests = [];
+    fontAnalysis.fontFamilyMap = fontFamilyMap;
+    
+    // Generate import statements
+    const importStatements = generateImportStatements(fontAnalysis.fontFaces);
+    fontAnalysis.importStatements = importStatements;
+    
+    // Download font files if requested
+    if (shouldDownload) {
+        console.log(`📥 Downloading font files...`);
+        const { files, failed, duplicates, manifestPath } = await downloadFontFiles(fontAnalysis.fontFaces, {
+            pageUrl: url,
+            outputDir: downloadDir,
+            ...(archive && { fetchResource: archive.fetch })
+        });
         
-        page.on('response', async (response) => {
-            const url = response.url();
-            const contentType = response.headers()['content-type'] || '';
-            
-            // Detect font file requests
-            if (contentType.includes('font') || 
-                url.match(/\.(woff2?|ttf|otf|eot)(\?.*)?$/i)) {
-                fontRequests.push({
-                    url,
-                    contentType,
-                    status: response.status()
-                });
+        // What each file actually contains: names, license, coverage, variable axes
+        files.forEach(file => {
+            try {
+                file.font = parseFontFile(readFileSync(file.path));
+            } catch (error) {
+                file.fontError = error.message;
             }
         });
         
-        await page.setViewport({ width: 1440, height: 900 });
+        fontAnalysis.downloads = files;
+        fontAnalysis.downloadFailures = failed;
+        fontAnalysis.downloadManifest = manifestPath;
+        console.log(`✅ Downloaded ${files.length} font files${duplicates > 0 ? ` (${duplicates} duplicate source(s) skipped)` : ''}${failed.length > 0 ? `, ${failed.length} failed` : ''}`);
+    }
+    
+    if (save) {
+        // Save results
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+        const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
+        const outputPath = path.join(outputDir, `${timestamp}-${urlSlug}-fonts.json`);
+        
+        console.log(`💾 Saving analysis to ${outputPath}`);
+        writeFileSync(outputPath, JSON.stringify(fontAnalysis, null, 2));
+        
+        // Generate human-readable report
+        const report = generateReport(fontAnalysis);
+        const reportPath = path.join(outputDir, `${timestamp}-${urlSlug}-fonts.md`);
+        writeFileSync(reportPath, report);
+        
+        // Generate CSS file with @font-face declarations
+        const cssPath = path.join(outputDir, `${timestamp}-${urlSlug}-fonts.css`);
+        const css = generateCssFile(fontAnalysis);
+        writeFileSync(cssPath, css);
         
+        console.log(`📄 JSON: ${outputPath}`);
+        console.log(`📄 Report: ${reportPath}`);
+        console.log(`📄 CSS: ${cssPath}`);
+    }
+    
+    console.log(`✅ Analysis complete!`);
+    
+    return fontAnalysis;
+}
+
+/**
+ * Load the page and read @font-face rules, computed fonts and font network requests
+ * @returns {Promise<Object>} Font data (cached by analyzeFontFiles)
+ */
+async function collectFontData(url, viewport, sharedSession = null, fetchResource) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    let sheets = null;
+    
+    try {
         console.log(`📥 Loading page and capturing font requests...`);
-        await page.goto(url, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
+        lease = await session.acquirePage(url, { viewport });
+        const { page, responses } = lease;
         
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        // Font file requests from the session's response log for this page
+        const fontRequests = responses
+            .filter(response => {
+                const contentType = response.headers['content-type'] || '';
+                return contentType.includes('font') || 
+                    response.url.match(/\.(woff2?|ttf|otf|eot)(\?.*)?$/i);
+            })
+            .map(response => ({
+                url: response.url,
+                contentType: response.headers['content-type'] || '',
+                status: response.status
+            }));
         
         console.log(`🔍 Analyzing @font-face declarations...`);
         
-        const fontAnalysis = await page.evaluate(() => {
+        // Web fonts are usually declared in CDN stylesheets (Google Fonts, Typekit)
+        const collected = await collectStyleSheets(page, { fetchResource });
+        sheets = collected.sheets;
+        
+        const fontAnalysis = await page.evaluate((styleSheets) => {
             const results = {
                 url: window.location.href,
                 extractedAt: new Date().toISOString(),
@@ -99,16 +191,24 @@ async function analyzeFontFiles(url, shouldDownload = false) {
             };
             
             // Extract @font-face rules from stylesheets
-            const styleSheets = Array.from(document.styleSheets);
-            
-            styleSheets.forEach((sheet, sheetIndex) => {
+            styleSheets.forEach(({ sheet, href: sheetHref }, sheetIndex) => {
                 try {
-                    const rules = Array.from(sheet.cssRules || sheet.rules || []);
+                    // Rules at any depth, so @font-face inside @supports, @media or @layer is found
+                    // too; ruleIndex is the top-level rule of the sheet that holds each one
+                    const rules = [];
+                    const flatten = (list, topIndex) => {
+                        Array.from(list).forEach((rule, index) => {
+                            rules.push({ rule, ruleIndex: topIndex ?? index });
+                            if (rule.cssRules) flatten(rule.cssRules, topIndex ?? index);
+                        });
+                    };
+                    flatten(sheet.cssRules || sheet.rules || [], null);
                     
-                    rules.forEach((rule, ruleIndex) => {
+                    rules.forEach(({ rule, ruleIndex }) => {
                         if (rule instanceof CSSFontFaceRule) {
                             const fontFace = {
                                 sheetIndex,
+                                sheetHref,
                                 ruleIndex,
                                 fontFamily: null,
                                 fontWeight: null,
@@ -149,7 +249,10 @@ async function analyzeFontFiles(url, shouldDownload = false) {
                                 const urlMatches = src.matchAll(/url\(['"]?([^'"()]+)['"]?\)(?:\s+format\(['"]?([^'"()]+)['"]?\))?/g);
                                 
                                 for (const match of urlMatches) {
-                                    const url = match[1];
+                                    // Relative to the stylesheet, which for CDN sheets is not the page
+                                    const url = match[1].startsWith('data:')
+                                        ? match[1]
+                                        : new URL(match[1], sheetHref || document.baseURI).href;
                                     const format = match[2] || 'unknown';
                                     
                                     // Determine file extension
@@ -183,7 +286,7 @@ async function analyzeFontFiles(url, shouldDownload = false) {
                         }
                     });
                 } catch (e) {
-                    // CORS error or other stylesheet access issue
+                    // Unreadable sheets are listed in the stylesheet report
                 }
             });
             
@@ -229,100 +332,31 @@ async function analyzeFontFiles(url, shouldDownload = false) {
             results.computedFonts.uniqueWeights = Array.from(results.computedFonts.uniqueWeights);
             
             return results;
-        });
+        }, sheets);
         
         // Add network-captured font requests
         fontAnalysis.networkRequests = fontRequests;
+        fontAnalysis.stylesheets = collected.report;
         
-        // Group font faces by family
-        const fontFamilyMap = {};
-        fontAnalysis.fontFaces.forEach(ff => {
-            const family = ff.fontFamily || 'Unknown';
-            if (!fontFamilyMap[family]) {
-                fontFamilyMap[family] = [];
-            }
-            fontFamilyMap[family].push(ff);
-        });
-        
-        fontAnalysis.fontFamilyMap = fontFamilyMap;
-        
-        // Generate import statements
-        const importStatements = generateImportStatements(fontAnalysis.fontFaces);
-        fontAnalysis.importStatements = importStatements;
-        
-        // Download font files if requested
-        if (shouldDownload) {
-            console.log(`📥 Downloading font files...`);
-            const downloads = [];
-            
-            for (const fontFace of fontAnalysis.fontFaces) {
-                for (const src of fontFace.src) {
-                    if (!src.isDataUri && src.url) {
-                        try {
-                            // Convert relative URLs to absolute
-                            let absoluteUrl = src.url;
-                            if (!src.url.startsWith('http')) {
-                                const baseUrl = new URL(url);
-                                absoluteUrl = new URL(src.url, baseUrl.origin).href;
-                            }
-                            
-                            // Generate filename
-                            const familyName = fontFace.fontFamily?.replace(/[^a-z0-9]/gi, '') || 'Unknown';
-                            const weight = fontFace.fontWeight || 'normal';
-                            const style = fontFace.fontStyle || 'normal';
-                            const extension = src.extension;
-                            const filename = `${familyName}-${weight}-${style}.${extension}`;
-                            const filepath = `analysis/font-files/downloads/${filename}`;
-                            
-                            console.log(`  Downloading ${filename}...`);
-                            await downloadFile(absoluteUrl, filepath);
-                            
-                            downloads.push({
-                                fontFamily: fontFace.fontFamily,
-                                fontWeight: fontFace.fontWeight,
-                                fontStyle: fontFace.fontStyle,
-                                url: absoluteUrl,
-                                localPath: filepath,
-                                filename
-                            });
-                        } catch (err) {
-                            console.warn(`  ⚠️  Failed to download ${src.url}: ${err.message}`);
-                        }
-                    }
-                }
-            }
-            
-            fontAnalysis.downloads = downloads;
-            console.log(`✅ Downloaded ${downloads.length} font files`);
+        console.log(`🔍 Checking which fonts rendered the text...`);
+        const webFamilies = [...new Set(fontAnalysis.fontFaces.map(ff => ff.fontFamily).filter(Boolean))];
+        try {
+            fontAnalysis.renderedFonts = await detectRenderedFonts(page, { webFamilies });
+            const { inspected, fallback, missingGlyphs } = fontAnalysis.renderedFonts.summary;
+            console.log(`${fallback + missingGlyphs > 0 ? '⚠️ ' : '✅'} ${inspected} text elements: ${fallback} fell back to another font, ${missingGlyphs} with missing glyphs`);
+        } catch (error) {
+            console.warn(`⚠️  Could not read rendered fonts: ${error.message}`);
+            fontAnalysis.renderedFonts = { error: error.message };
         }
         
-        // Save results
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-        const urlSlug = url.replace(/https?:\/\//, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
-        const outputPath = `analysis/font-files/${timestamp}-${urlSlug}-fonts.json`;
-        
-        console.log(`💾 Saving analysis to ${outputPath}`);
-        writeFileSync(outputPath, JSON.stringify(fontAnalysis, null, 2));
-        
-        // Generate human-readable report
-        const report = generateReport(fontAnalysis);
-        const reportPath = `analysis/font-files/${timestamp}-${urlSlug}-fonts.md`;
-        writeFileSync(reportPath, report);
-        
-        // Generate CSS file with @font-face declarations
-        const cssPath = `analysis/font-files/${timestamp}-${urlSlug}-fonts.css`;
-        const css = generateCssFile(fontAnalysis);
-        writeFileSync(cssPath, css);
-        
-        console.log(`✅ Analysis complete!`);
-        console.log(`📄 JSON: ${outputPath}`);
-        console.log(`📄 Report: ${reportPath}`);
-        console.log(`📄 CSS: ${cssPath}`);
-        
         return fontAnalysis;
         
     } finally {
-        await browser.close();
+        await sheets?.dispose().catch(() => {});
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
@@ -409,6 +443,124 @@ function generateCssFile(analysis) {
     return css;
 }
 
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+const REUSE_LABELS = {
+    'open-license': '✅ Open license',
+    'restricted-embedding': '⛔ Restricted embedding (fsType)',
+    'check-license': '⚠️ Check the license'
+};
+
+/**
+ * Markdown section with what each downloaded file contains
+ * @param {Object[]} downloads - downloads entries with a parsed `font`
+ * @returns {string}
+ */
+function formatFontDetails(downloads) {
+    let report = `## Font File Details\n\n`;
+    report += `| File | Name | Version | Variable | Glyphs | Code points | License |\n`;
+    report += `|------|------|---------|----------|--------|-------------|---------|\n`;
+    downloads.forEach(({ file, font }) => {
+        const axes = font.variable ? font.variable.axes.map(axis => `${axis.tag} ${axis.min}-${axis.max}`).join(', ') : 'no';
+        report += `| ${file} | ${font.fullName ?? font.family ?? '-'} | ${font.version ?? '-'} | ${axes} | ${font.glyphCount ?? '-'} | ${font.unicode.codePoints} | ${REUSE_LABELS[font.license.reuse]}${font.license.knownLicense ? ` (${font.license.knownLicense})` : ''} |\n`;
+    });
+    report += `\n`;
+    report += `License status is read from the font's own name table and metadata; it is a hint, not legal advice.\n\n`;
+    
+    downloads.forEach(({ file, font }) => {
+        report += `### ${file}\n\n`;
+        report += `- **Family:** ${font.family ?? '-'}${font.subfamily ? ` (${font.subfamily})` : ''}\n`;
+        if (font.vendor.name || font.vendor.id) {
+            report += `- **Vendor:** ${[font.vendor.name, font.vendor.id && `\`${font.vendor.id}\``].filter(Boolean).join(' ')}${font.vendor.url ? ` - ${font.vendor.url}` : ''}\n`;
+        }
+        if (font.license.text || font.license.url) {
+            report += `- **License:** ${font.license.text ? truncate(font.license.text.replace(/\s+/g, ' '), 200) : ''}${font.license.url ? ` (${font.license.url})` : ''}\n`;
+        }
+        if (font.license.embedding) {
+            const { permission, noSubsetting, bitmapOnly } = font.license.embedding;
+            report += `- **Embedding:** ${permission}${noSubsetting ? ', no subsetting' : ''}${bitmapOnly ? ', bitmap only' : ''}\n`;
+        }
+        if (font.variable) {
+            report += `- **Axes:** ${font.variable.axes.map(axis => `\`${axis.tag}\` ${axis.min}-${axis.max} (default ${axis.default})`).join(', ')}\n`;
+            if (font.variable.instances.length > 0) {
+                report += `- **Named instances:** ${font.variable.instances.map(instance => instance.name).filter(Boolean).join(', ')}\n`;
+            }
+        }
+        if (font.unicode.blocks.length > 0) {
+            report += `- **Coverage:** ${font.unicode.blocks.map(block => `${block.name} ${block.percent}%`).join(', ')}\n`;
+        }
+        report += `\n`;
+    });
+    
+    return report;
+}
+
+const FALLBACK_REASONS = {
+    'web-font-failed': 'web font failed to load',
+    'web-font-not-loaded': 'web font not loaded',
+    'web-font-not-used': 'web font loaded but not used',
+    'not-installed': 'font not installed'
+};
+
+const MAX_REPORTED_ELEMENTS = 50;
+
+/**
+ * Markdown section with the platform fonts that drew the page's text and the elements that fell back
+ * @param {Object} renderedFonts - detectRenderedFonts() result (or { error })
+ * @returns {string}
+ */
+function formatRenderedFonts(renderedFonts) {
+    let report = `## Rendered Fonts\n\n`;
+    if (renderedFonts.error) {
+        report += `*Could not read rendered fonts: ${renderedFonts.error}*\n\n`;
+        return report;
+    }
+    
+    const { elements, faces, webFonts, summary } = renderedFonts;
+    report += `${summary.inspected} elements with text inspected${summary.truncated ? ` (first ${summary.inspected} of ${summary.textElements})` : ''}: `;
+    report += `${summary.primary} rendered with their first font, ${summary.generic} with a generic family, `;
+    report += `${summary.fallback} fell back, ${summary.missingGlyphs} had missing glyphs.\n\n`;
+    
+    if (faces.length > 0) {
+        report += `| Platform font | Web font | Glyphs | Elements |\n`;
+        report += `|---------------|----------|--------|----------|\n`;
+        faces.forEach(face => {
+            report += `| ${face.familyName}${face.postScriptName ? ` (\`${face.postScriptName}\`)` : ''} | ${face.isCustomFont ? 'yes' : 'no'} | ${face.glyphCount} | ${face.elements} |\n`;
+        });
+        report += `\n`;
+    }
+    
+    const notLoaded = webFonts.filter(font => font.status !== 'loaded');
+    if (notLoaded.length > 0) {
+        report += `**Web fonts not loaded:** ${notLoaded.map(font => `${font.family} (${font.status})`).join(', ')}\n\n`;
+    }
+    
+    const flagged = elements.filter(element => element.status === 'fallback' || element.status === 'missing-glyphs');
+    if (flagged.length === 0) {
+        report += `✅ No fallbacks: every element rendered with the first font of its stack (or a generic family)\n\n`;
+        return report;
+    }
+    
+    report += `### ⚠️ Fallbacks (${flagged.length})\n\n`;
+    report += `| Element | Text | Requested | Rendered with | Problem |\n`;
+    report += `|---------|------|-----------|---------------|---------|\n`;
+    flagged.slice(0, MAX_REPORTED_ELEMENTS).forEach(element => {
+        const rendered = element.fonts.map(font => `${font.familyName} (${font.glyphCount})`).join(', ');
+        const problem = element.status === 'fallback'
+            ? FALLBACK_REASONS[element.reason]
+            : `missing glyphs, drawn with ${element.fallbackFonts.map(font => font.familyName).join(', ')}`;
+        report += `| \`${element.element}\` | ${truncate(element.text, 40).replace(/\|/g, '\\|')} | ${element.fontFamily.replace(/\|/g, '\\|')} | ${rendered} | ${problem} |\n`;
+    });
+    if (flagged.length > MAX_REPORTED_ELEMENTS) {
+        report += `\n*... ${flagged.length - MAX_REPORTED_ELEMENTS} more in the JSON (renderedFonts.elements)*\n`;
+    }
+    report += `\n`;
+    
+    return report;
+}
+
 function generateReport(data) {
     let report = `# Font Files Analysis Report\n\n`;
     report += `**URL:** ${data.url}\n`;
@@ -422,8 +574,14 @@ function generateReport(data) {
     if (data.downloads) {
         report += `- **Downloaded Font Files:** ${data.downloads.length}\n`;
     }
+    if (data.renderedFonts?.summary) {
+        const { inspected, fallback, missingGlyphs } = data.renderedFonts.summary;
+        report += `- **Text Elements Inspected:** ${inspected} (${fallback} fallback, ${missingGlyphs} missing glyphs)\n`;
+    }
     report += `\n`;
     
+    report += formatStyleSheetReport(data.stylesheets);
+    
     // Font families
     report += `## Font Families Detected\n\n`;
     data.computedFonts.uniqueFamilies.forEach(family => {
@@ -475,13 +633,35 @@ function generateReport(data) {
     // Downloads
     if (data.downloads && data.downloads.length > 0) {
         report += `## Downloaded Font Files\n\n`;
+        report += `Manifest: \`${data.downloadManifest}\`\n\n`;
         data.downloads.forEach((dl, index) => {
-            report += `${index + 1}. **${dl.fontFamily}** (${dl.fontWeight}, ${dl.fontStyle})\n`;
-            report += `   - **Local Path:** \`${dl.localPath}\`\n`;
-            report += `   - **Filename:** \`${dl.filename}\`\n\n`;
+            const [rule] = dl.rules;
+            report += `${index + 1}. **${rule.fontFamily}** (${rule.fontWeight}, ${rule.fontStyle}${rule.unicodeRange ? `, ${rule.unicodeRange}` : ''})\n`;
+            report += `   - **File:** \`${dl.file}\` (${dl.format}, ${(dl.bytes / 1024).toFixed(1)} KB)\n`;
+            dl.rules.forEach(source => {
+                report += `   - **From:** \`${source.finalUrl ?? source.url}\`${source.formatMismatch ? ` (declared ${source.declaredFormat})` : ''}\n`;
+            });
+            report += `\n`;
         });
     }
     
+    const inspected = (data.downloads || []).filter(dl => dl.font);
+    if (inspected.length > 0) {
+        report += formatFontDetails(inspected);
+    }
+    
+    if (data.downloadFailures && data.downloadFailures.length > 0) {
+        report += `## Failed Downloads\n\n`;
+        data.downloadFailures.forEach(failure => {
+            report += `- **${failure.fontFamily}** (${failure.fontWeight}, ${failure.fontStyle}): \`${failure.url}\` - ${failure.error}\n`;
+        });
+        report += `\n`;
+    }
+    
+    if (data.renderedFonts) {
+        report += formatRenderedFonts(data.renderedFonts);
+    }
+    
     // Computed fonts usage
     report += `## Font Usage Examples\n\n`;
     const grouped = {};
@@ -532,26 +712,4 @@ function generateReport(data) {
     return report;
 }
 
-// CLI execution
-if (process.argv[1] === new URL(import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1')) {
-    const url = process.argv[2];
-    const shouldDownload = process.argv.includes('--download');
-    
-    if (!url) {
-        console.error('Usage: node font-files.mjs <url> [--download]');
-        console.error('Example: node font-files.mjs https://example.com');
-        console.error('Example: node font-files.mjs https://example.com --download');
-        process.exit(1);
-    }
-    
-    ensureDirectories();
-    
-    analyzeFontFiles(url, shouldDownload)
-        .then(() => process.exit(0))
-        .catch(err => {
-            console.error('Error:', err);
-            process.exit(1);
-        });
-}
-
 export { analyzeFontFiles };
@@ -1,5 +1,3 @@
-#!/usr/bin/env node
-
 /**
  * Media Query Extractor
  * 
@@ -7,200 +5,278 @@
  * Shows exactly when CSS properties change at specific viewport widths.
  * 
  * Usage:
- *   node src/extractors/media-queries.mjs <url> [options]
+ *   wat media-queries <url> [options]
  * 
  * Options:
  *   --property <prop>    Filter by specific CSS property (e.g., margin-left, width)
  *   --selector <sel>     Filter by specific CSS selector (e.g., .hero-section)
- *   --output <file>      Save results to JSON file (default: analysis/media-queries/)
+ *   --out <dir>          Directory for the JSON results (default: analysis/media-queries/<date>/)
  *   --force              Force fresh fetch (ignore cache)
  * 
  * Examples:
- *   node src/extractors/media-queries.mjs https://example.com
- *   node src/extractors/media-queries.mjs https://example.com --property margin-left
- *   node src/extractors/media-queries.mjs https://example.com --selector .hero-section
+ *   wat media-queries https://example.com
+ *   wat media-queries https://example.com --property margin-left
+ *   wat media-queries https://example.com --selector .hero-section
  */
 
-import puppeteer from 'puppeteer';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { readThroughCache } from '../utils/cache.mjs';
+import { collectStyleSheets } from '../utils/stylesheets.mjs';
+import { splitSelectorList } from '../utils/cascade.mjs';
+import { parseMediaQuery, parseContainerQuery, formatInterval } from '../utils/media-query.mjs';
+import { inspectFrameworks, getFrameworkAdvice, nameBreakpoint, describeFramework } from '../analyzers/frameworks.mjs';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import crypto from 'crypto';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const url = args[0];
-const propertyFilter = args.includes('--property') ? args[args.indexOf('--property') + 1] : null;
-const selectorFilter = args.includes('--selector') ? args[args.indexOf('--selector') + 1] : null;
-const outputFile = args.includes('--output') ? args[args.indexOf('--output') + 1] : null;
-const forceRefresh = args.includes('--force');
-
-if (!url) {
-    console.error('❌ Error: URL is required');
-    console.log('\nUsage: node src/extractors/media-queries.mjs <url> [options]');
-    console.log('\nOptions:');
-    console.log('  --property <prop>    Filter by CSS property (e.g., margin-left)');
-    console.log('  --selector <sel>     Filter by CSS selector (e.g., .hero-section)');
-    console.log('  --output <file>      Save to JSON file');
-    console.log('  --force              Force fresh fetch (ignore cache)');
-    process.exit(1);
-}
-
-// Cache configuration
-const CACHE_DIR = path.join(__dirname, '..', '..', '.cache', 'media-queries');
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-
-function getCacheKey(url) {
-    return crypto.createHash('md5').update(url).digest('hex');
-}
-
-function getCachePath(url) {
-    const cacheKey = getCacheKey(url);
-    return path.join(CACHE_DIR, `${cacheKey}.json`);
-}
-
-function loadFromCache(url) {
-    if (forceRefresh) {
-        console.log('⚡ Force refresh enabled - skipping cache');
-        return null;
-    }
-
-    const cachePath = getCachePath(url);
-    if (!fs.existsSync(cachePath)) {
-        return null;
-    }
 
-    const stats = fs.statSync(cachePath);
-    const age = Date.now() - stats.mtime.getTime();
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 8;
 
-    if (age > CACHE_DURATION) {
-        console.log('⏰ Cache expired - fetching fresh data');
-        return null;
+/**
+ * Extract media query breakpoints and rules (cached for 24 hours)
+ * @param {string} url - Page to extract from
+ * @param {Object} [options]
+ * @param {string} [options.property] - Only keep rules touching this CSS property
+ * @param {string} [options.selector] - Only keep rules whose selector contains this text
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @param {string} [options.output] - JSON output file (overrides outputDir)
+ * @param {string} [options.outputDir] - Directory for the JSON output (default: analysis/media-queries/<date>/)
+ * @param {boolean} [options.save=true] - Write the JSON output (false = return data only)
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (default: launch a browser for this call)
+ * @param {Object} [options.archive] - createNetworkArchive() result: record or replay the stylesheet downloads
+ * @returns {Promise<Object>} Media query data, filtered when property/selector are given
+ */
+async function extractMediaQueries(url, options = {}) {
+    const {
+        property = null,
+        selector = null,
+        output = null,
+        outputDir = null,
+        save = true
+    } = options;
+
+    // Filters are applied after caching, so one entry serves every filter combination
+    const data = await readThroughCache(
+        { tool: 'media-queries', url, schemaVersion: CACHE_SCHEMA_VERSION },
+        options,
+        () => collectMediaQueries(url, options.session, options.archive?.fetch)
+    );
+
+    const filteredData = applyFilters(data, { property, selector });
+
+    if (save) {
+        filteredData.outputPath = saveResults(filteredData, url, output, outputDir);
     }
 
-    console.log(`✅ Loading from cache (${Math.round(age / 1000 / 60)} minutes old)`);
-    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-}
-
-function saveToCache(url, data) {
-    const cachePath = getCachePath(url);
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2));
-    console.log(`💾 Cached results for future use`);
+    return filteredData;
 }
 
-async function extractMediaQueries(url) {
+async function collectMediaQueries(url, sharedSession = null, fetchResource) {
     console.log(`\n🔍 Extracting media queries from: ${url}\n`);
 
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    let sheets = null;
 
     try {
-        const page = await browser.newPage();
-        await page.goto(url, { waitUntil: 'networkidle0', timeout: 60000 });
+        lease = await session.acquirePage(url);
+        const { page } = lease;
 
         console.log('📊 Analyzing stylesheets...');
 
-        const mediaQueryData = await page.evaluate(() => {
+        // Includes cross-origin (CDN) sheets, which document.styleSheets can't read
+        const collected = await collectStyleSheets(page, { fetchResource });
+        sheets = collected.sheets;
+
+        const mediaQueryData = await page.evaluate((sheets) => {
             const results = {
-                breakpoints: new Map(),
                 mediaQueries: [],
+                containerQueries: [],
+                baseRules: [],
+                containers: [],
+                layers: [],
                 summary: {
                     totalMediaQueries: 0,
-                    uniqueBreakpoints: new Set(),
-                    mostCommonBreakpoints: []
+                    totalContainerQueries: 0
                 }
             };
 
-            // Iterate through all stylesheets
-            for (const sheet of document.styleSheets) {
-                try {
-                    // Skip external stylesheets from different origins
-                    if (sheet.href && !sheet.href.startsWith(window.location.origin)) {
-                        continue;
-                    }
+            const isRule = (rule, name) => typeof window[name] === 'function' && rule instanceof window[name];
 
-                    const rules = sheet.cssRules || sheet.rules;
-                    if (!rules) continue;
+            // The grouping at-rule a rule stands for, as one link of a condition chain
+            const conditionOf = (rule) => {
+                if (isRule(rule, 'CSSMediaRule')) return { type: 'media', text: rule.media.mediaText };
+                if (isRule(rule, 'CSSSupportsRule')) return { type: 'supports', text: rule.conditionText };
+                if (isRule(rule, 'CSSContainerRule')) {
+                    const query = rule.containerQuery ?? rule.conditionText;
+                    return { type: 'container', name: rule.containerName || null, text: rule.containerName ? `${rule.containerName} ${query}` : query };
+                }
+                if (isRule(rule, 'CSSLayerBlockRule')) return { type: 'layer', text: rule.name || '(anonymous)' };
+                if (isRule(rule, 'CSSScopeRule')) return { type: 'scope', text: [rule.start && `(${rule.start})`, rule.end && `to (${rule.end})`].filter(Boolean).join(' ') };
+                if (isRule(rule, 'CSSStartingStyleRule')) return { type: 'starting-style', text: '' };
+                return null;
+            };
 
-                    for (const rule of rules) {
-                        // Check if it's a media rule
-                        if (rule.type === CSSRule.MEDIA_RULE) {
-                            const mediaText = rule.media.mediaText;
-                            const cssText = rule.cssText;
-
-                            results.summary.totalMediaQueries++;
-
-                            // Parse the media query
-                            const mediaQuery = {
-                                condition: mediaText,
-                                rules: [],
-                                breakpoint: null,
-                                type: null // min-width, max-width, etc.
-                            };
-
-                            // Extract breakpoint value
-                            const minWidthMatch = mediaText.match(/min-width:\s*(\d+)px/);
-                            const maxWidthMatch = mediaText.match(/max-width:\s*(\d+)px/);
-
-                            if (minWidthMatch) {
-                                mediaQuery.breakpoint = parseInt(minWidthMatch[1]);
-                                mediaQuery.type = 'min-width';
-                                results.summary.uniqueBreakpoints.add(mediaQuery.breakpoint);
-                            } else if (maxWidthMatch) {
-                                mediaQuery.breakpoint = parseInt(maxWidthMatch[1]);
-                                mediaQuery.type = 'max-width';
-                                results.summary.uniqueBreakpoints.add(mediaQuery.breakpoint);
-                            }
+            const propertiesOf = (style) => {
+                const properties = {};
+                const important = [];
+                for (let i = 0; i < style.length; i++) {
+                    const prop = style[i];
+                    properties[prop] = style.getPropertyValue(prop);
+                    if (style.getPropertyPriority(prop) === 'important') important.push(prop);
+                }
+                return { properties, ...(important.length > 0 && { important }) };
+            };
 
-                            // Extract individual CSS rules within the media query
-                            for (const innerRule of rule.cssRules) {
-                                if (innerRule.type === CSSRule.STYLE_RULE) {
-                                    const selector = innerRule.selectorText;
-                                    const style = innerRule.style;
-
-                                    const properties = {};
-                                    for (let i = 0; i < style.length; i++) {
-                                        const prop = style[i];
-                                        properties[prop] = style.getPropertyValue(prop);
-                                    }
-
-                                    mediaQuery.rules.push({
-                                        selector: selector,
-                                        properties: properties
-                                    });
-                                }
-                            }
+            // Source order of every style rule, across sheets, for the cascade
+            let order = 0;
 
-                            results.mediaQueries.push(mediaQuery);
+            // Cascade layers by full dotted path, in the order they are first declared by an
+            // @layer statement or block (parents before their sub-layers). Each anonymous
+            // @layer block is a layer of its own, so it gets a numbered path
+            let anonymousLayers = 0;
+            const layerPath = (chain, name) => {
+                const parent = chain.filter(condition => condition.type === 'layer').at(-1)?.path;
+                return parent ? `${parent}.${name}` : name;
+            };
+            const declareLayer = (path) => {
+                const parts = path.split('.');
+                parts.forEach((part, index) => {
+                    const prefix = parts.slice(0, index + 1).join('.');
+                    if (!results.layers.includes(prefix)) results.layers.push(prefix);
+                });
+            };
+
+            // Selectors of nested style rules (CSS nesting) are resolved against their parent
+            const resolveSelector = (selector, parent) => {
+                if (!parent) return selector;
+                if (selector.includes('&')) return selector.replace(/&/g, `:is(${parent})`);
+                return selector.split(',').map(part => `${parent} ${part.trim()}`).join(', ');
+            };
 
-                            // Group by breakpoint
-                            if (mediaQuery.breakpoint) {
-                                const key = `${mediaQuery.type}-${mediaQuery.breakpoint}`;
-                                if (!results.breakpoints.has(key)) {
-                                    results.breakpoints.set(key, []);
-                                }
-                                results.breakpoints.get(key).push(mediaQuery);
+            // Walk every grouping rule at any depth. Style rules go to the innermost enclosing
+            // @media and @container entries, with the full chain of conditions above them.
+            const walk = (rules, chain, parentSelector, mediaQuery, containerQuery) => {
+                for (const rule of rules) {
+                    const isStyle = rule.type === CSSRule.STYLE_RULE;
+                    // Declarations directly inside an @media nested in a style rule
+                    const isNestedDeclarations = isRule(rule, 'CSSNestedDeclarations');
+
+                    if (isStyle || isNestedDeclarations) {
+                        const selector = isStyle ? resolveSelector(rule.selectorText, parentSelector) : parentSelector;
+                        if (rule.style.length > 0) {
+                            const entry = { selector, ...propertiesOf(rule.style), conditions: chain, order: order++ };
+                            if (mediaQuery || containerQuery) {
+                                mediaQuery?.rules.push(entry);
+                                containerQuery?.rules.push(entry);
+                            } else {
+                                results.baseRules.push(entry);
                             }
                         }
+                        if (isStyle && rule.cssRules?.length) {
+                            walk(rule.cssRules, chain, selector, mediaQuery, containerQuery);
+                        }
+                        continue;
+                    }
+
+                    // @layer a, b; only fixes the order
+                    if (isRule(rule, 'CSSLayerStatementRule')) {
+                        Array.from(rule.nameList).forEach(name => declareLayer(layerPath(chain, name)));
+                        continue;
+                    }
+
+                    const condition = conditionOf(rule);
+                    if (!condition) {
+                        // Unknown grouping rules still get their children walked
+                        if (rule.cssRules) walk(rule.cssRules, chain, parentSelector, mediaQuery, containerQuery);
+                        continue;
+                    }
+
+                    if (condition.type === 'layer') {
+                        condition.path = layerPath(chain, rule.name || `(anonymous ${++anonymousLayers})`);
+                        declareLayer(condition.path);
+                    }
+
+                    const inner = [...chain, condition];
+                    let innerMediaQuery = mediaQuery;
+                    let innerContainerQuery = containerQuery;
+
+                    if (condition.type === 'media') {
+                        results.summary.totalMediaQueries++;
+                        // Conditions are parsed in Node (utils/media-query.mjs)
+                        innerMediaQuery = {
+                            condition: condition.text,
+                            context: chain,
+                            rules: []
+                        };
+                        results.mediaQueries.push(innerMediaQuery);
+                    } else if (condition.type === 'container') {
+                        results.summary.totalContainerQueries++;
+                        innerContainerQuery = {
+                            name: condition.name,
+                            condition: rule.containerQuery ?? rule.conditionText,
+                            context: chain,
+                            rules: []
+                        };
+                        results.containerQueries.push(innerContainerQuery);
+                    }
+
+                    walk(rule.cssRules, inner, parentSelector, innerMediaQuery, innerContainerQuery);
+                }
+            };
+
+            // Iterate through all stylesheets
+            for (const { sheet } of sheets) {
+                try {
+                    const rules = sheet.cssRules || sheet.rules;
+                    if (!rules) continue;
+                    // <link media="print"> or @import ... (min-width: 768px): the whole sheet sits in that @media
+                    const media = sheet.media?.mediaText;
+                    if (media && media.toLowerCase() !== 'all') {
+                        const condition = { type: 'media', text: media };
+                        const sheetQuery = { condition: media, context: [], rules: [] };
+                        results.summary.totalMediaQueries++;
+                        results.mediaQueries.push(sheetQuery);
+                        walk(rules, [condition], null, sheetQuery, null);
+                    } else {
+                        walk(rules, [], null, null, null);
                     }
                 } catch (err) {
-                    // Skip stylesheets we can't access (CORS)
-                    console.warn('Could not access stylesheet:', err.message);
+                    console.warn('Could not read stylesheet rules:', err.message);
                 }
             }
 
-            // Convert Sets and Maps to arrays for JSON serialization
-            results.summary.uniqueBreakpoints = Array.from(results.summary.uniqueBreakpoints).sort((a, b) => a - b);
-            results.breakpoints = Object.fromEntries(results.breakpoints);
+            // Elements that are query containers, with their current size
+            for (const element of document.querySelectorAll('body *')) {
+                const style = window.getComputedStyle(element);
+                if (!style.containerType || style.containerType === 'normal') continue;
+                const rect = element.getBoundingClientRect();
+                const classes = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+                results.containers.push({
+                    element: `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}${classes.length ? `.${classes.slice(0, 2).join('.')}` : ''}`,
+                    name: style.containerName && style.containerName !== 'none' ? style.containerName : null,
+                    type: style.containerType,
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                });
+                if (results.containers.length >= 200) break;
+            }
 
             return results;
-        });
+        }, sheets);
+
+        // Rules outside any @media/@container are only kept for selectors that media queries
+        // restyle: they are the value those queries override. Lists are matched selector by
+        // selector, so `h1, h2 {}` is kept when a query restyles `h1`
+        const restyled = new Set(mediaQueryData.mediaQueries.flatMap(mq => mq.rules.flatMap(rule => splitSelectorList(rule.selector))));
+        mediaQueryData.baseRules = mediaQueryData.baseRules.filter(rule =>
+            splitSelectorList(rule.selector).some(selector => restyled.has(selector)));
+
+        summarizeMediaQueries(mediaQueryData);
+
+        mediaQueryData.stylesheets = collected.report;
+        // Breakpoints from every sheet, cross-origin ones included, so the framework's set is recognised
+        mediaQueryData.frameworks = await inspectFrameworks(page, { breakpoints: mediaQueryData.summary.uniqueBreakpoints });
 
         console.log(`✅ Found ${mediaQueryData.summary.totalMediaQueries} media queries`);
         console.log(`✅ Identified ${mediaQueryData.summary.uniqueBreakpoints.length} unique breakpoints\n`);
@@ -212,10 +288,98 @@ async function extractMediaQueries(url) {
         return mediaQueryData;
 
     } finally {
-        await browser.close();
+        await sheets?.dispose().catch(() => {});
+        lease?.release();
+        if (!sharedSession) {
+            await session.close();
+        }
     }
 }
 
+/**
+ * Parse every condition (utils/media-query.mjs) and build the breakpoint summary
+ *
+ * Each media query gets `width`/`height` intervals in px, its `features` and `kind`, plus
+ * `type`/`breakpoint` for width queries: 'min-width' (breakpoint = lower bound), 'max-width'
+ * (upper bound) or 'min-max-width' (lower bound; the upper bound is in `width.max`).
+ */
+function summarizeMediaQueries(data) {
+    const breakpoints = new Map();
+    const uniqueBreakpoints = new Set();
+    const heightBreakpoints = new Set();
+    const featureQueries = {};
+    const queryKinds = {};
+
+    data.mediaQueries.forEach(mediaQuery => {
+        // A nested @media only applies where every enclosing @media does too
+        const enclosing = (mediaQuery.context || []).filter(condition => condition.type === 'media').map(condition => condition.text);
+        const parsed = parseMediaQuery(enclosing.length ? [...enclosing, mediaQuery.condition] : mediaQuery.condition);
+        const { width } = parsed;
+        const type = !width ? null
+            : width.min !== null && width.max !== null ? 'min-max-width'
+            : width.min !== null ? 'min-width'
+            : width.max !== null ? 'max-width'
+            : null;
+
+        Object.assign(mediaQuery, {
+            breakpoint: type ? (width.min ?? width.max) : null,
+            type,
+            kind: parsed.kind,
+            width: parsed.width,
+            height: parsed.height,
+            features: parsed.features,
+            categories: parsed.categories,
+            clauses: parsed.clauses,
+            ...(!parsed.valid && { invalid: true })
+        });
+
+        parsed.clauses.forEach(clause => {
+            [clause.width?.min, clause.width?.max].forEach(value => value > 0 && uniqueBreakpoints.add(value));
+            [clause.height?.min, clause.height?.max].forEach(value => value > 0 && heightBreakpoints.add(value));
+        });
+        parsed.categories
+            .filter(category => category !== 'width' && category !== 'height')
+            .forEach(category => {
+                featureQueries[category] = (featureQueries[category] || 0) + 1;
+            });
+        queryKinds[parsed.kind] = (queryKinds[parsed.kind] || 0) + 1;
+
+        // Group by breakpoint
+        if (type) {
+            const key = `${type}-${mediaQuery.breakpoint}`;
+            if (!breakpoints.has(key)) {
+                breakpoints.set(key, []);
+            }
+            breakpoints.get(key).push(mediaQuery);
+        }
+    });
+
+    const containerNames = new Set();
+    const containerBreakpoints = new Set();
+    (data.containerQueries || []).forEach(containerQuery => {
+        const parsed = parseContainerQuery(containerQuery.name ? `${containerQuery.name} ${containerQuery.condition}` : containerQuery.condition);
+        Object.assign(containerQuery, {
+            width: parsed.width,
+            height: parsed.height,
+            features: parsed.features,
+            kind: parsed.kind
+        });
+        if (containerQuery.name) containerNames.add(containerQuery.name);
+        parsed.clauses.forEach(clause => {
+            [clause.width?.min, clause.width?.max].forEach(value => value > 0 && containerBreakpoints.add(value));
+        });
+    });
+
+    data.breakpoints = Object.fromEntries(breakpoints);
+    data.summary.uniqueBreakpoints = [...uniqueBreakpoints].sort((a, b) => a - b);
+    data.summary.heightBreakpoints = [...heightBreakpoints].sort((a, b) => a - b);
+    data.summary.featureQueries = featureQueries;
+    data.summary.queryKinds = queryKinds;
+    data.summary.containerNames = [...containerNames].sort();
+    data.summary.containerBreakpoints = [...containerBreakpoints].sort((a, b) => a - b);
+    return data;
+}
+
 function calculateComplexity(data) {
     /**
      * Complexity Score (0-100) based on:
@@ -289,12 +453,12 @@ function calculateComplexity(data) {
     // 3. Nested/Combined Queries Score (0-20 points)
     let nestedOrCombinedCount = 0;
     data.mediaQueries.forEach(mq => {
-        // Check for combined conditions (e.g., "screen and (min-width: 768px) and (max-width: 1024px)")
-        if (mq.condition.includes(' and ') && mq.condition.split(' and ').length > 2) {
+        // Combined conditions (e.g., "(min-width: 768px) and (max-width: 1024px)", or comma-separated lists)
+        if (mq.type === 'min-max-width' || mq.clauses.length > 1) {
             nestedOrCombinedCount++;
         }
-        // Check for orientation, resolution, aspect-ratio, etc.
-        if (mq.condition.match(/(orientation|resolution|aspect-ratio|hover|pointer)/)) {
+        // Orientation, resolution, hover/pointer, prefers-*, etc.
+        if (mq.features.length > 0) {
             nestedOrCombinedCount++;
         }
     });
@@ -310,11 +474,11 @@ function calculateComplexity(data) {
     // 4. Overlap/Conflict Score (0-15 points)
     // Detect overlapping breakpoints (e.g., max-width: 768px and min-width: 768px)
     const minWidths = data.mediaQueries
-        .filter(mq => mq.type === 'min-width' && mq.breakpoint)
-        .map(mq => mq.breakpoint);
+        .filter(mq => mq.width?.min > 0)
+        .map(mq => mq.width.min);
     const maxWidths = data.mediaQueries
-        .filter(mq => mq.type === 'max-width' && mq.breakpoint)
-        .map(mq => mq.breakpoint);
+        .filter(mq => mq.width?.max !== null && mq.width?.max !== undefined)
+        .map(mq => mq.width.max);
     
     let overlapCount = 0;
     minWidths.forEach(min => {
@@ -379,7 +543,7 @@ function calculateComplexity(data) {
     return analysis;
 }
 
-function applyFilters(data) {
+function applyFilters(data, { property: propertyFilter = null, selector: selectorFilter = null } = {}) {
     if (!propertyFilter && !selectorFilter) {
         return data;
     }
@@ -388,32 +552,39 @@ function applyFilters(data) {
     if (propertyFilter) console.log(`   Property: ${propertyFilter}`);
     if (selectorFilter) console.log(`   Selector: ${selectorFilter}`);
 
-    const filtered = {
-        ...data,
-        mediaQueries: data.mediaQueries.map(mq => {
-            const filteredRules = mq.rules.filter(rule => {
-                let matchesProperty = !propertyFilter;
-                let matchesSelector = !selectorFilter;
-
-                if (propertyFilter) {
-                    matchesProperty = Object.keys(rule.properties).some(prop => 
-                        prop.includes(propertyFilter) || propertyFilter.includes(prop)
-                    );
-                }
+    const matchesRule = (rule) => {
+        let matchesProperty = !propertyFilter;
+        let matchesSelector = !selectorFilter;
 
-                if (selectorFilter) {
-                    matchesSelector = rule.selector.includes(selectorFilter);
-                }
+        if (propertyFilter) {
+            matchesProperty = Object.keys(rule.properties).some(prop => 
+                prop.includes(propertyFilter) || propertyFilter.includes(prop)
+            );
+        }
 
-                return matchesProperty && matchesSelector;
-            });
+        if (selectorFilter) {
+            matchesSelector = rule.selector.includes(selectorFilter);
+        }
 
-            return {
-                ...mq,
-                rules: filteredRules,
-                matchCount: filteredRules.length
-            };
-        }).filter(mq => mq.rules.length > 0)
+        return matchesProperty && matchesSelector;
+    };
+
+    // Same filter for @media and @container entries
+    const filterQueries = (queries) => queries.map(mq => {
+        const filteredRules = mq.rules.filter(matchesRule);
+
+        return {
+            ...mq,
+            rules: filteredRules,
+            matchCount: filteredRules.length
+        };
+    }).filter(mq => mq.rules.length > 0);
+
+    const filtered = {
+        ...data,
+        mediaQueries: filterQueries(data.mediaQueries),
+        containerQueries: filterQueries(data.containerQueries || []),
+        baseRules: (data.baseRules || []).filter(matchesRule)
     };
 
     console.log(`✅ Filtered to ${filtered.mediaQueries.length} relevant media queries\n`);
@@ -427,7 +598,25 @@ function displayResults(data) {
 
     console.log('📊 SUMMARY:');
     console.log(`   Total Media Queries: ${data.summary.totalMediaQueries}`);
-    console.log(`   Unique Breakpoints: ${data.summary.uniqueBreakpoints.join(', ')}px\n`);
+    console.log(`   Unique Breakpoints: ${data.summary.uniqueBreakpoints.join(', ')}px`);
+    if (data.summary.heightBreakpoints.length > 0) {
+        console.log(`   Height Breakpoints: ${data.summary.heightBreakpoints.join(', ')}px`);
+    }
+    Object.entries(data.summary.featureQueries).forEach(([category, count]) => {
+        console.log(`   Feature Queries (${category}): ${count}`);
+    });
+    console.log('');
+
+    if (data.stylesheets) {
+        console.log('🌐 STYLESHEETS:');
+        Object.entries(data.stylesheets.byOrigin).forEach(([origin, count]) => {
+            console.log(`   ${origin}: ${count}`);
+        });
+        data.stylesheets.unreadable.forEach(sheet => {
+            console.log(`   ⚠️  Could not read ${sheet.href} (${sheet.error})`);
+        });
+        console.log('');
+    }
 
     // Display complexity analysis
     if (data.complexity) {
@@ -452,13 +641,28 @@ function displayResults(data) {
         }
     }
 
+    if (data.frameworks) {
+        console.log('🧱 FRAMEWORK:');
+        if (data.frameworks.frameworks.length === 0) {
+            console.log('   No known CSS framework detected');
+        }
+        data.frameworks.frameworks.forEach(framework => {
+            console.log(`   ${describeFramework(framework)}`);
+        });
+        console.log('');
+        getFrameworkAdvice(data.frameworks).forEach(advice => {
+            console.log(`   - ${advice}`);
+        });
+        console.log('');
+    }
+
     console.log('📐 BREAKPOINT BREAKDOWN:\n');
 
-    // Group and display by breakpoint
+    // Group and display by width range
     const breakpointGroups = {};
     data.mediaQueries.forEach(mq => {
-        if (mq.breakpoint) {
-            const key = `${mq.type} ${mq.breakpoint}px`;
+        if (mq.breakpoint !== null && mq.breakpoint !== undefined) {
+            const key = formatInterval(mq.width);
             if (!breakpointGroups[key]) {
                 breakpointGroups[key] = [];
             }
@@ -466,20 +670,24 @@ function displayResults(data) {
         }
     });
 
-    // Sort breakpoints
+    // Sort by lower bound, then upper bound (max-only ranges first)
     const sortedBreakpoints = Object.keys(breakpointGroups).sort((a, b) => {
-        const aVal = parseInt(a.match(/\d+/)[0]);
-        const bVal = parseInt(b.match(/\d+/)[0]);
-        return aVal - bVal;
+        const [aWidth, bWidth] = [breakpointGroups[a][0].width, breakpointGroups[b][0].width];
+        return (aWidth.min ?? 0) - (bWidth.min ?? 0) || (aWidth.max ?? Infinity) - (bWidth.max ?? Infinity);
     });
 
     sortedBreakpoints.forEach(breakpoint => {
         const queries = breakpointGroups[breakpoint];
-        console.log(`\n🔹 @media (${breakpoint}):`);
+        const tier = nameBreakpoint(data.frameworks, queries[0].breakpoint);
+        console.log(`\n🔹 @media (${breakpoint}):${tier ? ` ${data.frameworks.primary} "${tier}"` : ''}`);
         console.log(`   ${queries.length} rule(s)\n`);
 
         queries.forEach(mq => {
             mq.rules.forEach(rule => {
+                const within = (rule.conditions || []).filter(condition => condition.type !== 'media');
+                if (within.length > 0) {
+                    console.log(`   /* in ${within.map(condition => `@${condition.type} ${condition.text}`.trim()).join(' > ')} */`);
+                }
                 console.log(`   ${rule.selector} {`);
                 Object.entries(rule.properties).forEach(([prop, value]) => {
                     console.log(`      ${prop}: ${value};`);
@@ -489,20 +697,43 @@ function displayResults(data) {
         });
     });
 
-    // Display unbreakpointed media queries (e.g., print, orientation)
-    const otherQueries = data.mediaQueries.filter(mq => !mq.breakpoint);
+    // Feature queries (prefers-*, hover/pointer, orientation...) and height-only queries
+    const otherQueries = data.mediaQueries.filter(mq => mq.breakpoint === null);
     if (otherQueries.length > 0) {
         console.log('\n🔹 OTHER MEDIA QUERIES:\n');
         otherQueries.forEach(mq => {
-            console.log(`   @media ${mq.condition}`);
+            const categories = mq.categories.filter(category => category !== 'width');
+            console.log(`   @media ${mq.condition}${categories.length ? ` [${categories.join(', ')}]` : ''}`);
             console.log(`   ${mq.rules.length} rule(s)\n`);
         });
     }
 
+    if (data.containerQueries?.length > 0 || data.containers?.length > 0) {
+        console.log('\n📦 CONTAINER QUERIES:\n');
+        console.log(`   Total: ${data.summary.totalContainerQueries}`);
+        if (data.summary.containerNames.length > 0) {
+            console.log(`   Names: ${data.summary.containerNames.join(', ')}`);
+        }
+        if (data.summary.containerBreakpoints.length > 0) {
+            console.log(`   Container Breakpoints: ${data.summary.containerBreakpoints.join(', ')}px`);
+        }
+        console.log('');
+
+        data.containers.forEach(container => {
+            console.log(`   ${container.element}: ${container.name ?? '(unnamed)'} ${container.type}, currently ${container.width}×${container.height}px`);
+        });
+        if (data.containers.length > 0) console.log('');
+
+        data.containerQueries.forEach(cq => {
+            console.log(`   @container ${cq.name ? `${cq.name} ` : ''}${cq.condition} (${formatInterval(cq.width)})`);
+            console.log(`   ${cq.rules.length} rule(s)\n`);
+        });
+    }
+
     console.log('\n═══════════════════════════════════════════════════════════════\n');
 }
 
-function saveResults(data, url) {
+function saveResults(data, url, outputFile = null, outputDir = null) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
     const domain = new URL(url).hostname.replace(/[^a-z0-9]/gi, '-');
     
@@ -510,7 +741,7 @@ function saveResults(data, url) {
     if (outputFile) {
         filename = outputFile;
     } else {
-        const baseDir = path.join(process.cwd(), 'analysis', 'media-queries', timestamp);
+        const baseDir = outputDir || path.join(process.cwd(), 'analysis', 'media-queries', timestamp);
         fs.mkdirSync(baseDir, { recursive: true });
         filename = path.join(baseDir, `${domain}-media-queries.json`);
     }
@@ -520,33 +751,4 @@ function saveResults(data, url) {
     return filename;
 }
 
-// Main execution
-(async () => {
-    try {
-        // Check cache first
-        let data = loadFromCache(url);
-
-        if (!data) {
-            // Fresh extraction
-            data = await extractMediaQueries(url);
-            saveToCache(url, data);
-        }
-
-        // Apply filters
-        const filteredData = applyFilters(data);
-
-        // Display results
-        displayResults(filteredData);
-
-        // Save results
-        const savedPath = saveResults(filteredData, url);
-
-        console.log('✅ Media query extraction complete!\n');
-        console.log('💡 TIP: Use --property or --selector to filter specific CSS changes');
-        console.log('💡 TIP: Use --force to bypass cache and fetch fresh data\n');
-
-    } catch (error) {
-        console.error('\n❌ Error extracting media queries:', error.message);
-        process.exit(1);
-    }
-})();
+export { extractMediaQueries, calculateComplexity, applyFilters, displayResults };
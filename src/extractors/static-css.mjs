@@ -1,10 +1,13 @@
-#!/usr/bin/env node
 /**
  * Raw CSS Extraction Tool
  * Extracts all CSS files and creates comprehensive color/font inventories
  * 
- * Usage: node tools/scrape-styles.mjs <url>
- * Example: node tools/scrape-styles.mjs https://example.com
+ * Usage: wat static-css <url> [--browser]
+ * Example: wat static-css https://example.com
+ *
+ * By default the HTML is fetched and parsed without running it. --browser loads the page in
+ * Chrome instead and collects what it actually applied: sheets injected by JavaScript,
+ * CSS-in-JS <style> tags, adoptedStyleSheets and shadow-root styles.
  */
 
 import fetch from 'node-fetch';
@@ -12,116 +15,140 @@ import { JSDOM } from 'jsdom';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import { URL } from 'url';
 import path from 'path';
+import * as csstree from 'css-tree';
+import { readThroughCache } from '../utils/cache.mjs';
+import { createBrowserSession } from '../utils/browser-session.mjs';
+import { collectAppliedStyleSheets, findImportRules } from '../utils/stylesheets.mjs';
+import {
+    isHexColor,
+    isNamedColor,
+    isColorFunction,
+    mayContainNamedColors,
+    colorCategory,
+    parseFontFamilyList,
+    fontShorthandFamilies
+} from '../utils/css-values.mjs';
 
-// Ensure orig directory exists
-if (!existsSync('orig')) {
-    mkdirSync('orig');
-}
+// Bump when the shape of collected data changes so old cache entries are ignored
+const CACHE_SCHEMA_VERSION = 3;
 
-async function extractRawCSS(targetUrl) {
-    console.log(`🔍 Extracting CSS from ${targetUrl}`);
+/**
+ * Fetch every stylesheet on a page and build a color/font inventory
+ * @param {string} targetUrl - Page to extract from
+ * @param {Object} [options]
+ * @param {string} [options.outputDir='orig'] - Where raw CSS files and the inventory are written
+ * @param {boolean} [options.save=true] - Write files to outputDir (false = return data only)
+ * @param {number} [options.requestDelay=500] - Pause between stylesheet requests (ms)
+ * @param {boolean} [options.browser=false] - Collect the stylesheets the rendered page applied (Puppeteer) instead of parsing raw HTML
+ * @param {Object} [options.session] - Shared session from createBrowserSession() (browser mode; default: launch a browser for this call)
+ * @param {Object} [options.archive] - createNetworkArchive() result: record or replay the downloads
+ * @param {boolean} [options.force=false] - Ignore cached data
+ * @param {boolean} [options.cache=true] - Use the analysis cache (cacheTtl, cacheDir, cacheMaxBytes: see utils/cache.mjs)
+ * @returns {Promise<Object>} Style inventory
+ */
+async function extractRawCSS(targetUrl, options = {}) {
+    const { outputDir = 'orig', save = true, requestDelay = 500, browser = false, archive = null } = options;
+    const fetchResource = archive ? archive.fetch : fetch;
+    
+    console.log(`🔍 Extracting CSS from ${targetUrl}${browser ? ' (rendered page)' : ''}`);
+    
+    if (save && !existsSync(outputDir)) {
+        mkdirSync(outputDir, { recursive: true });
+    }
     
     try {
-        // Fetch the main HTML page
-        const response = await fetch(targetUrl);
-        const html = await response.text();
-        const dom = new JSDOM(html);
-        const document = dom.window.document;
-        
-        // Find all CSS links
-        const cssLinks = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
-            .map(link => link.href)
-            .filter(href => href);
-        
-        // Find inline styles
-        const inlineStyles = Array.from(document.querySelectorAll('style'))
-            .map(style => style.textContent)
-            .filter(content => content && content.trim());
-        
-        console.log(`📋 Found ${cssLinks.length} linked stylesheets and ${inlineStyles.length} inline styles`);
+        // Raw stylesheet text is cached, so the files below can be rewritten without refetching
+        const { stylesheets, unreadable = [] } = await readThroughCache(
+            { tool: 'static-css', url: targetUrl, options: { browser }, schemaVersion: CACHE_SCHEMA_VERSION },
+            options,
+            () => browser
+                ? collectRenderedStylesheets(targetUrl, options.session, fetchResource)
+                : fetchStylesheets(targetUrl, requestDelay, fetchResource)
+        );
         
         // Initialize inventories
         const inventory = {
             url: targetUrl,
             extractedAt: new Date().toISOString(),
+            mode: browser ? 'browser' : 'static',
             cssFiles: [],
             colors: new Set(),
             fonts: new Set(),
+            colorOccurrences: [],
+            fontOccurrences: [],
+            customProperties: [],
+            parseErrors: [],
             summary: {}
         };
         
-        // Extract from linked CSS files
-        for (let i = 0; i < cssLinks.length; i++) {
-            const cssUrl = new URL(cssLinks[i], targetUrl).href;
-            console.log(`📥 Fetching CSS file ${i + 1}/${cssLinks.length}: ${cssUrl}`);
-            
-            try {
-                const cssResponse = await fetch(cssUrl);
-                const cssContent = await cssResponse.text();
-                
-                // Save raw CSS file
-                const filename = `stylesheet-${i + 1}.css`;
-                writeFileSync(`orig/${filename}`, cssContent);
-                
-                // Extract colors and fonts from this CSS
-                const fileInventory = extractCSSInventory(cssContent);
-                inventory.cssFiles.push({
-                    url: cssUrl,
-                    filename: filename,
-                    colors: fileInventory.colors.length,
-                    fonts: fileInventory.fonts.length
-                });
-                
-                // Add to global inventory
-                fileInventory.colors.forEach(color => inventory.colors.add(color));
-                fileInventory.fonts.forEach(font => inventory.fonts.add(font));
-                
-                // Add delay to be respectful
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-            } catch (error) {
-                console.error(`❌ Error fetching ${cssUrl}:`, error.message);
+        for (const stylesheet of stylesheets) {
+            // Save raw CSS file
+            if (save) {
+                writeFileSync(path.join(outputDir, stylesheet.filename), stylesheet.content);
             }
-        }
-        
-        // Extract from inline styles
-        if (inlineStyles.length > 0) {
-            const inlineCSS = inlineStyles.join('\n');
-            writeFileSync('orig/inline-styles.css', inlineCSS);
-            
-            const inlineInventory = extractCSSInventory(inlineCSS);
-            inlineInventory.colors.forEach(color => inventory.colors.add(color));
-            inlineInventory.fonts.forEach(font => inventory.fonts.add(font));
             
+            // Extract colors and fonts from this CSS
+            const fileInventory = extractCSSInventory(stylesheet.content, { file: stylesheet.filename });
             inventory.cssFiles.push({
-                url: 'inline',
-                filename: 'inline-styles.css',
-                colors: inlineInventory.colors.length,
-                fonts: inlineInventory.fonts.length
+                url: stylesheet.url,
+                filename: stylesheet.filename,
+                importedBy: stylesheet.importedBy,
+                origin: stylesheet.origin,
+                ...(stylesheet.scope && { scope: stylesheet.scope }),
+                ...(stylesheet.serialized && { serialized: true }),
+                colors: fileInventory.colors.length,
+                fonts: fileInventory.fonts.length,
+                customProperties: fileInventory.customProperties.length,
+                parseErrors: fileInventory.parseErrors.length
             });
+            
+            // Add to global inventory
+            fileInventory.colors.forEach(color => inventory.colors.add(color));
+            fileInventory.fonts.forEach(font => inventory.fonts.add(font));
+            inventory.colorOccurrences.push(...fileInventory.colorOccurrences);
+            inventory.fontOccurrences.push(...fileInventory.fontOccurrences);
+            inventory.customProperties.push(...fileInventory.customProperties);
+            inventory.parseErrors.push(...fileInventory.parseErrors);
         }
         
         // Convert Sets to Arrays and create summary
         inventory.colors = Array.from(inventory.colors).sort();
         inventory.fonts = Array.from(inventory.fonts).sort();
         
+        const byOrigin = {};
+        inventory.cssFiles.forEach(file => {
+            byOrigin[file.origin] = (byOrigin[file.origin] || 0) + 1;
+        });
+        if (unreadable.length > 0) {
+            inventory.unreadable = unreadable;
+        }
+        
         inventory.summary = {
             totalCssFiles: inventory.cssFiles.length,
+            byOrigin,
             totalColors: inventory.colors.length,
             totalFonts: inventory.fonts.length,
+            totalCustomProperties: new Set(inventory.customProperties.map(prop => prop.name)).size,
             colorsByType: categorizeColors(inventory.colors),
             commonFonts: inventory.fonts.slice(0, 10)
         };
         
-        // Save inventory
-        writeFileSync('orig/_style-inventory.json', JSON.stringify(inventory, null, 2));
-        
         console.log(`✅ Extraction complete!`);
         console.log(`📊 Summary:`);
-        console.log(`   • CSS Files: ${inventory.summary.totalCssFiles}`);
+        console.log(`   • CSS Files: ${inventory.summary.totalCssFiles} (${Object.entries(byOrigin).map(([origin, count]) => `${count} ${origin}`).join(', ') || 'none'})`);
         console.log(`   • Colors: ${inventory.summary.totalColors}`);
         console.log(`   • Fonts: ${inventory.summary.totalFonts}`);
-        console.log(`📄 Results saved to orig/_style-inventory.json`);
+        console.log(`   • Custom properties: ${inventory.summary.totalCustomProperties}`);
+        if (inventory.parseErrors.length > 0) {
+            console.warn(`⚠️  ${inventory.parseErrors.length} CSS parse error(s); see parseErrors in the inventory`);
+        }
+        
+        // Save inventory
+        if (save) {
+            const inventoryPath = path.join(outputDir, '_style-inventory.json');
+            writeFileSync(inventoryPath, JSON.stringify(inventory, null, 2));
+            console.log(`📄 Results saved to ${inventoryPath}`);
+        }
         
         return inventory;
         
@@ -131,98 +158,283 @@ async function extractRawCSS(targetUrl) {
     }
 }
 
-function extractCSSInventory(cssContent) {
-    const colors = new Set();
-    const fonts = new Set();
-    
-    // Color patterns
-    const colorPatterns = [
-        /#[0-9a-fA-F]{3,6}/g,                          // Hex colors
-        /rgb\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)/g,      // RGB
-        /rgba\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*[\d.]+\s*\)/g, // RGBA
-        /hsl\(\s*\d+\s*,\s*\d+%\s*,\s*\d+%\s*\)/g,    // HSL
-        /hsla\(\s*\d+\s*,\s*\d+%\s*,\s*\d+%\s*,\s*[\d.]+\s*\)/g, // HSLA
-    ];
-    
-    // Extract colors
-    colorPatterns.forEach(pattern => {
-        const matches = cssContent.match(pattern);
-        if (matches) {
-            matches.forEach(color => colors.add(color.toLowerCase()));
+/**
+ * Download the page HTML, then every linked stylesheet, and collect inline <style> blocks.
+ * @import rules are followed recursively; imported sheets come right after the sheet that imports them.
+ * @param {string} targetUrl
+ * @param {number} requestDelay - Pause between stylesheet requests (ms)
+ * @param {Function} fetchResource - fetch() implementation (node-fetch, or an archive's fetch)
+ * @returns {Promise<{stylesheets: Array<{url: string, filename: string, content: string, importedBy: string|null, origin: string}>}>}
+ */
+async function fetchStylesheets(targetUrl, requestDelay, fetchResource) {
+    // Fetch the main HTML page
+    const response = await fetchResource(targetUrl);
+    const html = await response.text();
+    const dom = new JSDOM(html, { url: targetUrl });
+    const document = dom.window.document;
+    
+    // Find all CSS links
+    const cssLinks = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+        .map(link => link.href)
+        .filter(href => href);
+    
+    // Find inline styles
+    const inlineStyles = Array.from(document.querySelectorAll('style'))
+        .map(style => style.textContent)
+        .filter(content => content && content.trim());
+    
+    console.log(`📋 Found ${cssLinks.length} linked stylesheets and ${inlineStyles.length} inline styles`);
+    
+    const stylesheets = [];
+    const seen = new Set();
+    
+    // Depth-first: a sheet, then everything it @imports
+    const addImports = async (stylesheet, baseUrl) => {
+        const imports = findImportRules(stylesheet.content).map(rule => rule.url);
+        const prefix = stylesheet.filename.replace(/\.css$/, '');
+        
+        for (let i = 0; i < imports.length; i++) {
+            const importUrl = new URL(imports[i], baseUrl).href;
+            if (seen.has(importUrl)) {
+                console.log(`↩️  Skipping repeated @import of ${importUrl}`);
+                continue;
+            }
+            seen.add(importUrl);
+            console.log(`📥 Fetching @import ${importUrl} (from ${stylesheet.filename})`);
+            
+            const imported = await fetchStylesheet(importUrl, `${prefix}-import-${i + 1}.css`, stylesheet.url, stylesheet.origin);
+            if (imported) {
+                stylesheets.push(imported);
+                await addImports(imported, importUrl);
+            }
         }
-    });
+    };
     
-    // Named colors (common ones)
-    const namedColors = [
-        'black', 'white', 'red', 'green', 'blue', 'yellow', 'cyan', 'magenta',
-        'gray', 'grey', 'darkgray', 'lightgray', 'transparent', 'inherit'
-    ];
+    const fetchStylesheet = async (cssUrl, filename, importedBy, origin) => {
+        try {
+            const cssResponse = await fetchResource(cssUrl);
+            // Error pages are HTML, not CSS: don't save or scan them
+            if (!cssResponse.ok) {
+                throw new Error(`HTTP ${cssResponse.status}`);
+            }
+            const content = await cssResponse.text();
+            
+            // Add delay to be respectful
+            await new Promise(resolve => setTimeout(resolve, requestDelay));
+            
+            return { url: cssUrl, filename, content, importedBy, origin };
+        } catch (error) {
+            console.error(`❌ Error fetching ${cssUrl}:`, error.message);
+            return null;
+        }
+    };
     
-    namedColors.forEach(namedColor => {
-        const regex = new RegExp(`\\b${namedColor}\\b`, 'gi');
-        if (regex.test(cssContent)) {
-            colors.add(namedColor);
+    for (let i = 0; i < cssLinks.length; i++) {
+        const cssUrl = new URL(cssLinks[i], targetUrl).href;
+        if (seen.has(cssUrl)) continue;
+        seen.add(cssUrl);
+        console.log(`📥 Fetching CSS file ${i + 1}/${cssLinks.length}: ${cssUrl}`);
+        
+        const stylesheet = await fetchStylesheet(cssUrl, `stylesheet-${i + 1}.css`, null, 'link');
+        if (stylesheet) {
+            stylesheets.push(stylesheet);
+            await addImports(stylesheet, cssUrl);
         }
-    });
+    }
     
-    // Extract font families
-    const fontPattern = /font-family\s*:\s*([^;]+)/gi;
-    const fontMatches = cssContent.match(fontPattern);
-    
-    if (fontMatches) {
-        fontMatches.forEach(match => {
-            const fontList = match.replace(/font-family\s*:\s*/i, '').trim();
-            // Split by comma and clean up each font
-            const fontFamilies = fontList.split(',').map(font => 
-                font.trim().replace(/['"]/g, '')
-            );
-            fontFamilies.forEach(font => {
-                if (font && font !== 'inherit' && font !== 'initial') {
-                    fonts.add(font);
-                }
-            });
-        });
+    if (inlineStyles.length > 0) {
+        const inline = {
+            url: 'inline',
+            filename: 'inline-styles.css',
+            content: inlineStyles.join('\n'),
+            importedBy: null,
+            origin: 'inline'
+        };
+        stylesheets.push(inline);
+        // Imports in <style> blocks resolve against the page
+        await addImports(inline, targetUrl);
     }
     
-    return {
-        colors: Array.from(colors),
-        fonts: Array.from(fonts)
-    };
+    return { stylesheets };
 }
 
-function categorizeColors(colors) {
-    const categories = {
-        hex: colors.filter(c => c.startsWith('#')),
-        rgb: colors.filter(c => c.startsWith('rgb(')),
-        rgba: colors.filter(c => c.startsWith('rgba(')),
-        hsl: colors.filter(c => c.startsWith('hsl(')),
-        hsla: colors.filter(c => c.startsWith('hsla(')),
-        named: colors.filter(c => !c.startsWith('#') && !c.startsWith('rgb') && !c.startsWith('hsl'))
-    };
+/**
+ * Load the page in a browser and take every stylesheet it applied (see collectAppliedStyleSheets)
+ * Files are named by origin: stylesheet-N.css (link), inline-N.css, injected-N.css and
+ * constructed-N.css, with imported sheets as <importer>-import-N.css.
+ * @param {string} targetUrl
+ * @param {Object} [sharedSession] - createBrowserSession() result (default: launch a browser for this call)
+ * @param {Function} fetchResource - fetch() for linked sheets CDP has no text for
+ * @returns {Promise<{stylesheets: Object[], unreadable: Object[]}>} Same stylesheet shape as fetchStylesheets(), plus scope/media/serialized
+ */
+async function collectRenderedStylesheets(targetUrl, sharedSession, fetchResource) {
+    const session = sharedSession ?? createBrowserSession();
+    let lease = null;
+    let served = null;
     
-    return Object.fromEntries(
-        Object.entries(categories).map(([key, values]) => [key, values.length])
-    );
+    try {
+        // Keep the HTML the server sent, to tell parser-inserted sheets from injected ones
+        lease = await session.acquirePage(targetUrl, {
+            beforeNavigate: (page) => {
+                page.on('response', response => {
+                    const request = response.request();
+                    const redirect = response.status() >= 300 && response.status() < 400;
+                    if (request.isNavigationRequest() && request.frame() === page.mainFrame() && !redirect) {
+                        served = response.text().catch(() => null);
+                    }
+                });
+            }
+        });
+        
+        const { sheets, unreadable } = await collectAppliedStyleSheets(lease.page, {
+            html: await served,
+            fetchResource
+        });
+        
+        const counters = {};
+        const filenames = [];
+        const stylesheets = [];
+        
+        sheets.forEach((sheet, index) => {
+            let filename;
+            if (sheet.importedBy !== null) {
+                const prefix = filenames[sheet.importedBy].replace(/\.css$/, '');
+                counters[prefix] = (counters[prefix] || 0) + 1;
+                filename = `${prefix}-import-${counters[prefix]}.css`;
+            } else {
+                counters[sheet.origin] = (counters[sheet.origin] || 0) + 1;
+                filename = `${sheet.origin === 'link' ? 'stylesheet' : sheet.origin}-${counters[sheet.origin]}.css`;
+            }
+            filenames[index] = filename;
+            
+            // Unreadable cross-origin sheets are reported, not inventoried
+            if (sheet.content === null) return;
+            
+            stylesheets.push({
+                url: sheet.href ?? sheet.origin,
+                filename,
+                content: sheet.content,
+                importedBy: sheet.importedBy === null ? null : (sheets[sheet.importedBy].href ?? sheets[sheet.importedBy].origin),
+                origin: sheet.origin,
+                scope: sheet.scope,
+                media: sheet.media,
+                serialized: sheet.serialized,
+                ...(sheet.adoptedBy && { adoptedBy: sheet.adoptedBy })
+            });
+        });
+        
+        const shadow = stylesheets.filter(stylesheet => stylesheet.scope !== 'document').length;
+        console.log(`📋 Found ${stylesheets.length} applied stylesheets${shadow > 0 ? ` (${shadow} in shadow roots)` : ''}`);
+        
+        return { stylesheets, unreadable };
+    } finally {
+        lease?.release();
+        if (!sharedSession) await session.close();
+    }
 }
 
-// Command line usage
-const url = process.argv[2];
-
-if (!url) {
-    console.error('❌ Usage: node scrape-styles.mjs <url>');
-    console.error('   Example: node scrape-styles.mjs https://example.com');
-    process.exit(1);
+/**
+ * Colors, font families and custom properties in one stylesheet, with where each one is used
+ * @param {string} cssContent
+ * @param {Object} [options]
+ * @param {string} [options.file=null] - File name recorded on each occurrence
+ * @returns {{colors: string[], fonts: string[], colorOccurrences: Object[], fontOccurrences: Object[], customProperties: Object[], parseErrors: Object[]}}
+ *   Occurrences are { value, selector, atRule, property, file, line, column }
+ */
+function extractCSSInventory(cssContent, options = {}) {
+    const { file = null } = options;
+    const colorOccurrences = [];
+    const fontOccurrences = [];
+    const customProperties = [];
+    const parseErrors = [];
+    
+    const onParseError = (error) => {
+        parseErrors.push({ file, line: error.line, column: error.column, message: error.formattedMessage?.split('\n')[0] || error.message });
+    };
+    
+    const ast = csstree.parse(cssContent, { positions: true, onParseError });
+    const source = (node) => cssContent.slice(node.loc.start.offset, node.loc.end.offset);
+    
+    // Custom property values and var() fallbacks stay unparsed (Raw); parse them in place so colors inside are found
+    const parseRaw = (node) => {
+        const { offset, line, column } = node.loc.start;
+        try {
+            return csstree.parse(node.value, { context: 'value', positions: true, offset, line, column, onParseError: () => {} });
+        } catch (error) {
+            return null;
+        }
+    };
+    
+    const recordColors = (valueNode, property, context) => {
+        const namedColorsAllowed = property.startsWith('--') || mayContainNamedColors(property);
+        
+        csstree.walk(valueNode, function (node) {
+            let value = null;
+            if (node.type === 'Raw') {
+                const parsed = parseRaw(node);
+                if (parsed) recordColors(parsed, property, context);
+                return;
+            } else if (node.type === 'Function' && isColorFunction(node.name)) {
+                value = source(node).replace(/\s+/g, ' ').toLowerCase();
+            } else if (node.type === 'Hash' && isHexColor(`#${node.value}`)) {
+                value = `#${node.value}`.toLowerCase();
+            } else if (node.type === 'Identifier' && namedColorsAllowed && isNamedColor(node.name)) {
+                value = node.name.toLowerCase();
+            }
+            
+            if (value) {
+                colorOccurrences.push({ value, ...context, line: node.loc.start.line, column: node.loc.start.column });
+                // rgb(), color-mix() etc. are one color; don't report their arguments separately
+                return node.type === 'Function' ? csstree.walk.skip : undefined;
+            }
+        });
+    };
+    
+    csstree.walk(ast, {
+        visit: 'Declaration',
+        enter(node) {
+            const property = node.property.startsWith('--') ? node.property : node.property.toLowerCase();
+            const context = {
+                selector: this.rule ? csstree.generate(this.rule.prelude) : null,
+                atRule: this.atrule ? `@${this.atrule.name}${this.atrule.prelude ? ` ${csstree.generate(this.atrule.prelude)}` : ''}` : null,
+                property,
+                file
+            };
+            
+            if (property.startsWith('--')) {
+                customProperties.push({ name: property, value: source(node.value).trim(), selector: context.selector, atRule: context.atRule, file, line: node.loc.start.line });
+            }
+            
+            recordColors(node.value, property, context);
+            
+            const valueText = source(node.value).replace(/\s+/g, ' ').trim();
+            const families = property === 'font-family' ? parseFontFamilyList(valueText)
+                : property === 'font' ? fontShorthandFamilies(valueText)
+                : [];
+            families.forEach(family => {
+                fontOccurrences.push({ value: family, ...context, line: node.loc.start.line, column: node.loc.start.column });
+            });
+        }
+    });
+    
+    return {
+        colors: [...new Set(colorOccurrences.map(occurrence => occurrence.value))],
+        fonts: [...new Set(fontOccurrences.map(occurrence => occurrence.value))],
+        colorOccurrences,
+        fontOccurrences,
+        customProperties,
+        parseErrors
+    };
 }
 
-// Validate URL
-try {
-    new URL(url);
-} catch (error) {
-    console.error('❌ Invalid URL provided');
-    process.exit(1);
+function categorizeColors(colors) {
+    // The classic buckets are always present; newer syntaxes (hwb, oklch, color-mix...) appear when used
+    const counts = { hex: 0, rgb: 0, rgba: 0, hsl: 0, hsla: 0, named: 0 };
+    colors.forEach(color => {
+        const category = colorCategory(color);
+        counts[category] = (counts[category] || 0) + 1;
+    });
+    return counts;
 }
 
-extractRawCSS(url).catch(error => {
-    console.error('❌ Failed to extract CSS:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+export { extractRawCSS, extractCSSInventory, categorizeColors };
@@ -0,0 +1,53 @@
+/**
+ * Web Analysis Toolkit
+ * Programmatic entry point - every extractor and analyzer as an importable async function
+ *
+ * Every tool takes `(url, options)` and resolves to the same structured data its
+ * CLI writes to disk. Importing this module has no side effects.
+ *
+ * Usage:
+ *   import { extractMediaQueries, analyzeResponsiveBehavior } from 'web-analysis-toolkit';
+ *
+ *   const mediaQueries = await extractMediaQueries('https://example.com', { property: 'margin-left' });
+ *   const responsive = await analyzeResponsiveBehavior('https://example.com', { save: false });
+ */
+
+// Extractors (get raw data)
+export { extractRawCSS, extractCSSInventory } from './extractors/static-css.mjs';
+export { auditComputedStyles } from './extractors/computed-styles.mjs';
+export { extractMediaQueries, calculateComplexity } from './extractors/media-queries.mjs';
+export { analyzeFontFiles } from './extractors/font-files.mjs';
+
+// Analyzers (interpret & compare)
+export { analyzeResponsiveBehavior, BREAKPOINTS } from './analyzers/responsive.mjs';
+export { discoverBreakpoints } from './analyzers/breakpoint-discovery.mjs';
+export { diffBreakpoints } from './analyzers/breakpoint-diff.mjs';
+export { analyzeBreakpointConflicts, findBreakpointConflicts } from './analyzers/breakpoint-conflicts.mjs';
+export { detectFrameworks } from './analyzers/frameworks.mjs';
+export { comprehensiveSiteAnalysis } from './analyzers/comprehensive.mjs';
+export { analyzeSpecificElements } from './analyzers/elements.mjs';
+export { analyzeMobileMenu } from './analyzers/mobile-menu.mjs';
+export { analyzeInteractiveStates } from './analyzers/interactive-states.mjs';
+export { analyzeRelativePositioning } from './analyzers/relative-positioning.mjs';
+export { runCompleteAnalysis } from './analyzers/complete.mjs';
+export { analyzeCssCoverage, trimStylesheet } from './analyzers/css-coverage.mjs';
+export { compareSites } from './analyzers/visual-compare.mjs';
+export { compareElements, diffElementAnalyses } from './analyzers/element-compare.mjs';
+
+// Exporters (turn results into reusable artifacts)
+export { exportDesignTokens } from './exporters/design-tokens.mjs';
+export { generateResponsiveCss, buildResponsiveCss } from './exporters/responsive-css.mjs';
+
+// Shared browser session (launch Chromium once for several tools)
+export { createBrowserSession, settlePage } from './utils/browser-session.mjs';
+
+// Record a run's network traffic to HAR and replay it offline: createBrowserSession({ archive })
+export { createNetworkArchive } from './utils/network-archive.mjs';
+
+// Font files: download every src of a list of @font-face rules, read names, license, coverage and axes
+export { downloadFontFiles, detectFontFormat } from './utils/font-download.mjs';
+export { parseFontFile } from './utils/font-parser.mjs';
+export { detectRenderedFonts } from './utils/rendered-fonts.mjs';
+
+// Analysis cache (used by every tool; manage entries from code)
+export { listCacheEntries, inspectCacheEntry, purgeCache, createCacheKey } from './utils/cache.mjs';
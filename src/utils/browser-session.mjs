@@ -0,0 +1,257 @@
+/**
+ * Browser Session
+ * Launches Chromium once and shares it - and already-loaded pages - across tools in one run
+ *
+ * Usage:
+ *   const session = createBrowserSession();
+ *   const results = await Promise.all([
+ *       auditComputedStyles(url, { session }),
+ *       comprehensiveSiteAnalysis(url, { session })
+ *   ]);
+ *   await session.close();
+ *
+ * Tools that only read the page share one loaded page per URL (access is serialized, and the
+ * viewport is resized in place). Tools that click, hover or restyle the page ask for a fresh one.
+ */
+
+import puppeteer from 'puppeteer';
+
+const LAUNCH_OPTIONS = {
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
+
+const DEFAULT_NAVIGATION = {
+    waitUntil: 'networkidle2',
+    timeout: 30000
+};
+
+/**
+ * Wait until the page stops changing instead of sleeping for a fixed time:
+ * fonts loaded, no DOM mutations for `quietPeriod`, finite animations finished, two frames painted.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {number} [options.quietPeriod=300] - How long the DOM must be idle (ms)
+ * @param {number} [options.timeout=5000] - Upper bound for each wait (ms)
+ */
+async function settlePage(page, options = {}) {
+    const { quietPeriod = 300, timeout = 5000 } = options;
+
+    await page.evaluate(async (quietPeriod, timeout) => {
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        if (document.fonts?.ready) {
+            await Promise.race([document.fonts.ready, sleep(timeout)]);
+        }
+
+        await new Promise(resolve => {
+            let quietTimer;
+            const finish = () => {
+                observer.disconnect();
+                clearTimeout(quietTimer);
+                clearTimeout(deadline);
+                resolve();
+            };
+            const observer = new MutationObserver(() => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(finish, quietPeriod);
+            });
+            const deadline = setTimeout(finish, timeout);
+            quietTimer = setTimeout(finish, quietPeriod);
+            observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                characterData: true
+            });
+        });
+
+        if (document.getAnimations) {
+            const finite = document.getAnimations()
+                .filter(animation => animation.effect?.getComputedTiming().iterations !== Infinity);
+            await Promise.race([
+                Promise.all(finite.map(animation => animation.finished.catch(() => {}))),
+                sleep(timeout)
+            ]);
+        }
+
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    }, quietPeriod, timeout);
+}
+
+function sameViewport(a, b) {
+    return Boolean(a && b) && a.width === b.width && a.height === b.height;
+}
+
+/**
+ * Create a browser session. Chromium is launched lazily on first use.
+ * @param {Object} [options]
+ * @param {Object} [options.launchOptions] - Extra puppeteer.launch() options
+ * @param {string} [options.waitUntil='networkidle2'] - Navigation wait condition
+ * @param {number} [options.navigationTimeout=30000] - Navigation timeout (ms)
+ * @param {Object} [options.archive] - createNetworkArchive() result: record or replay every page's traffic
+ * @returns {Object} Session with acquirePage(), getBrowser() and close()
+ */
+function createBrowserSession(options = {}) {
+    const {
+        launchOptions = {},
+        waitUntil = DEFAULT_NAVIGATION.waitUntil,
+        navigationTimeout = DEFAULT_NAVIGATION.timeout,
+        archive = null
+    } = options;
+
+    let browserPromise = null;
+    const sharedPages = new Map();
+    const responseLog = new WeakMap();
+
+    function getBrowser() {
+        if (!browserPromise) {
+            browserPromise = puppeteer.launch({ ...LAUNCH_OPTIONS, ...launchOptions });
+            browserPromise.catch(() => { browserPromise = null; });
+        }
+        return browserPromise;
+    }
+
+    async function openPage(url, { viewport, beforeNavigate } = {}) {
+        const browser = await getBrowser();
+        const page = await browser.newPage();
+
+        // Record every response so tools sharing this page can still see network activity
+        const responses = [];
+        responseLog.set(page, responses);
+        page.on('response', response => {
+            responses.push({
+                url: response.url(),
+                status: response.status(),
+                headers: response.headers(),
+                resourceType: response.request().resourceType()
+            });
+        });
+
+        try {
+            if (viewport) {
+                await page.setViewport(viewport);
+            }
+            if (archive) {
+                await archive.attach(page);
+            }
+            if (beforeNavigate) {
+                await beforeNavigate(page);
+            }
+            await page.goto(url, { waitUntil, timeout: navigationTimeout });
+            await settlePage(page);
+        } catch (error) {
+            await page.close().catch(() => {});
+            throw error;
+        }
+
+        return page;
+    }
+
+    async function acquireShared(url, viewport) {
+        let entry = sharedPages.get(url);
+        if (!entry) {
+            entry = { lock: Promise.resolve(), pagePromise: openPage(url, { viewport }), viewport };
+            sharedPages.set(url, entry);
+            entry.pagePromise.catch(() => sharedPages.delete(url));
+        }
+
+        // One tool at a time per shared page - they resize it and scroll it
+        const previous = entry.lock;
+        let unlock;
+        entry.lock = new Promise(resolve => { unlock = resolve; });
+        await previous;
+
+        try {
+            const page = await entry.pagePromise;
+            if (viewport && !sameViewport(viewport, entry.viewport)) {
+                await page.setViewport(viewport);
+                await settlePage(page);
+                entry.viewport = viewport;
+            }
+            return { page, responses: responseLog.get(page), release: unlock };
+        } catch (error) {
+            unlock();
+            throw error;
+        }
+    }
+
+    /**
+     * Get a loaded page for `url`
+     * @param {string} url
+     * @param {Object} [pageOptions]
+     * @param {{width: number, height: number}} [pageOptions.viewport]
+     * @param {boolean} [pageOptions.fresh=false] - Own page instead of the shared one (for tools that mutate the page)
+     * @param {Function} [pageOptions.beforeNavigate] - Called with the page before navigation (fresh pages only)
+     * @returns {Promise<{page: import('puppeteer').Page, responses: Object[], release: Function}>}
+     *   Call release() when done; fresh pages are closed, shared pages are unlocked.
+     */
+    async function acquirePage(url, pageOptions = {}) {
+        const { viewport, fresh = false, beforeNavigate } = pageOptions;
+
+        if (!fresh && !beforeNavigate) {
+            return acquireShared(url, viewport);
+        }
+
+        const page = await openPage(url, { viewport, beforeNavigate });
+        return {
+            page,
+            responses: responseLog.get(page),
+            release: () => page.close().catch(() => {})
+        };
+    }
+
+    async function close() {
+        const pending = browserPromise;
+        browserPromise = null;
+        sharedPages.clear();
+        if (pending) {
+            const browser = await pending.catch(() => null);
+            await browser?.close();
+        }
+    }
+
+    return { acquirePage, getBrowser, close };
+}
+
+/**
+ * Run `fn` with options.session, or with a temporary session that is closed afterwards
+ * @param {Object} options - Tool options (may contain `session`)
+ * @param {Function} fn - async (session) => result
+ */
+async function withBrowserSession(options, fn) {
+    if (options?.session) {
+        return fn(options.session);
+    }
+    const session = createBrowserSession();
+    try {
+        return await fn(session);
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Map over items with at most `concurrency` promises in flight, preserving order
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+export { createBrowserSession, withBrowserSession, settlePage, mapWithConcurrency };
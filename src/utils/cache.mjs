@@ -0,0 +1,299 @@
+/**
+ * Analysis Cache
+ * Content-addressed, TTL-based cache shared by every extractor and analyzer
+ *
+ * Entries live in .cache/<tool>/<key>.json. The key is a SHA-256 of the tool name, URL,
+ * the options that change the result, and the viewport. Each tool declares a schema
+ * version; bumping it invalidates entries written with the old data shape.
+ *
+ * Usage:
+ *   const data = await readThroughCache(
+ *       { tool: 'computed-styles', url, viewport, options: {}, schemaVersion: 1 },
+ *       options,                       // tool options: force, cache, cacheTtl, cacheDir, cacheMaxBytes
+ *       () => collectComputedStyles(url, ...)
+ *   );
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { usageError } from '../cli/exit-codes.mjs';
+
+const DEFAULT_CACHE_DIR = path.join(process.cwd(), '.cache');
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024; // 200 MB across all tools
+
+/**
+ * JSON.stringify with sorted object keys, so equal options always hash the same
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache key for a tool run
+ * @param {Object} descriptor
+ * @param {string} descriptor.tool - Tool name (also the cache subdirectory)
+ * @param {string} descriptor.url
+ * @param {Object} [descriptor.options] - Options that change the result
+ * @param {Object} [descriptor.viewport]
+ * @returns {string} Hex SHA-256
+ */
+function createCacheKey({ tool, url, options = {}, viewport = null }) {
+    return crypto
+        .createHash('sha256')
+        .update(stableStringify({ tool, url, options, viewport }))
+        .digest('hex');
+}
+
+function getEntryPath(cacheDir, tool, key) {
+    return path.join(cacheDir, tool, `${key}.json`);
+}
+
+function readEntry(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatAge(ms) {
+    const minutes = Math.round(ms / 1000 / 60);
+    if (minutes < 120) return `${minutes} minutes`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} hours`;
+    return `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Parse a TTL such as "30m", "12h", "7d" or a number of milliseconds
+ * @param {string|number} value
+ * @returns {number|null} Milliseconds, or null when unparseable
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i.exec(String(value).trim());
+    if (!match) return null;
+    const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return Math.round(parseFloat(match[1]) * units[(match[2] || 'ms').toLowerCase()]);
+}
+
+/**
+ * Every entry on disk, newest first
+ * @param {Object} [options]
+ * @param {string} [options.tool] - Only this tool's entries
+ * @param {string} [options.cacheDir]
+ * @returns {Object[]} Entry metadata (no data payload)
+ */
+function listCacheEntries(options = {}) {
+    const { tool = null, cacheDir = DEFAULT_CACHE_DIR } = options;
+    if (!fs.existsSync(cacheDir)) return [];
+
+    const tools = tool ? [tool] : fs.readdirSync(cacheDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+
+    const entries = [];
+    const now = Date.now();
+
+    for (const toolName of tools) {
+        const toolDir = path.join(cacheDir, toolName);
+        if (!fs.existsSync(toolDir)) continue;
+
+        for (const file of fs.readdirSync(toolDir)) {
+            if (!file.endsWith('.json')) continue;
+            const filePath = path.join(toolDir, file);
+            const stats = fs.statSync(filePath);
+            const entry = readEntry(filePath);
+            const createdAt = entry?.createdAt ? new Date(entry.createdAt).getTime() : stats.mtimeMs;
+            const ttl = entry?.ttl ?? DEFAULT_TTL;
+
+            entries.push({
+                key: entry?.key ?? path.basename(file, '.json'),
+                tool: toolName,
+                url: entry?.url ?? null,
+                options: entry?.options ?? null,
+                viewport: entry?.viewport ?? null,
+                schemaVersion: entry?.schemaVersion ?? null,
+                createdAt: new Date(createdAt).toISOString(),
+                lastUsedAt: stats.mtime.toISOString(),
+                ageMs: now - createdAt,
+                expired: !entry || now - createdAt > ttl,
+                size: stats.size,
+                path: filePath
+            });
+        }
+    }
+
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Full entry (metadata + data) for a key or unique key prefix
+ * @param {string} keyPrefix - Throws a usage error when it matches several entries
+ * @param {Object} [options]
+ * @param {string} [options.cacheDir]
+ * @returns {Object|null}
+ */
+function inspectCacheEntry(keyPrefix, options = {}) {
+    const matches = listCacheEntries(options).filter(entry => entry.key.startsWith(keyPrefix));
+    if (matches.length > 1) {
+        throw usageError(`Cache key prefix "${keyPrefix}" is ambiguous (${matches.length} entries) - use more of the key`);
+    }
+    if (matches.length === 0) return null;
+    return { ...matches[0], entry: readEntry(matches[0].path) };
+}
+
+/**
+ * Delete cache entries
+ * @param {Object} [options]
+ * @param {string} [options.tool] - Only this tool's entries
+ * @param {string} [options.key] - Only entries whose key starts with this
+ * @param {boolean} [options.expiredOnly=false] - Only expired entries
+ * @param {string} [options.cacheDir]
+ * @returns {{removed: number, freedBytes: number}}
+ */
+function purgeCache(options = {}) {
+    const { key = null, expiredOnly = false } = options;
+    let removed = 0;
+    let freedBytes = 0;
+
+    for (const entry of listCacheEntries(options)) {
+        if (key && !entry.key.startsWith(key)) continue;
+        if (expiredOnly && !entry.expired) continue;
+        fs.rmSync(entry.path, { force: true });
+        removed++;
+        freedBytes += entry.size;
+    }
+
+    return { removed, freedBytes };
+}
+
+/**
+ * Evict least recently used entries until the cache fits in maxBytes
+ * @param {number} maxBytes
+ * @param {string} cacheDir
+ * @param {string} keepPath - Entry that was just written; never evicted
+ */
+function enforceSizeLimit(maxBytes, cacheDir, keepPath) {
+    const entries = listCacheEntries({ cacheDir })
+        .sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+        if (total <= maxBytes) break;
+        if (entry.path === keepPath) continue;
+        fs.rmSync(entry.path, { force: true });
+        total -= entry.size;
+        console.log(`🧹 Evicted ${entry.tool} cache entry ${entry.key.slice(0, 12)} (size limit)`);
+    }
+}
+
+/**
+ * Return cached data for a tool run, or run `collect` and cache its result
+ * @param {Object} descriptor - { tool, url, options, viewport, schemaVersion }
+ * @param {Object} [settings] - Usually the tool's own options object
+ * @param {boolean} [settings.force=false] - Skip the cache read (still writes the fresh result)
+ * @param {boolean} [settings.cache=true] - false disables the cache entirely
+ * @param {number|string} [settings.cacheTtl] - Max age before an entry is stale (default 24h)
+ * @param {string} [settings.cacheDir] - Cache root (default ./.cache)
+ * @param {number} [settings.cacheMaxBytes] - Total cache size limit (default 200 MB)
+ * @param {Function} collect - async () => data
+ * @param {Function} [isValid] - (data) => boolean; false forces a fresh run (e.g. referenced files are gone)
+ * @returns {Promise<Object>} Data from the cache or from collect()
+ */
+async function readThroughCache(descriptor, settings, collect, isValid = () => true) {
+    const {
+        force = false,
+        cache = true,
+        cacheTtl = DEFAULT_TTL,
+        cacheDir = DEFAULT_CACHE_DIR,
+        cacheMaxBytes = DEFAULT_MAX_BYTES
+    } = settings ?? {};
+
+    if (!cache) {
+        return collect();
+    }
+
+    const { tool, url, options = {}, viewport = null, schemaVersion = 1 } = descriptor;
+    const ttl = parseDuration(cacheTtl) ?? DEFAULT_TTL;
+    const key = createCacheKey({ tool, url, options, viewport });
+    const entryPath = getEntryPath(cacheDir, tool, key);
+    const existing = fs.existsSync(entryPath) ? readEntry(entryPath) : null;
+    const usable = existing && existing.schemaVersion === schemaVersion && isValid(existing.data);
+
+    if (force) {
+        console.log('⚡ Force refresh enabled - skipping cache');
+    } else if (existing && existing.schemaVersion !== schemaVersion) {
+        console.log('🔄 Cache entry was written by an older version - fetching fresh data');
+    } else if (usable) {
+        const age = Date.now() - new Date(existing.createdAt).getTime();
+        if (age <= ttl) {
+            console.log(`✅ Loading from cache (${formatAge(age)} old)`);
+            const now = new Date();
+            fs.utimesSync(entryPath, now, now);
+            return existing.data;
+        }
+        console.log('⏰ Cache expired - fetching fresh data');
+    }
+
+    let data;
+    try {
+        data = await collect();
+    } catch (error) {
+        // Fall back to a stale entry rather than failing outright
+        if (usable && !force) {
+            console.warn(`⚠️  Fresh fetch failed (${error.message})`);
+            console.log('🔄 Using expired cache as fallback');
+            return existing.data;
+        }
+        throw error;
+    }
+
+    try {
+        const entry = {
+            key,
+            tool,
+            url,
+            options,
+            viewport,
+            schemaVersion,
+            createdAt: new Date().toISOString(),
+            ttl,
+            data
+        };
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+        fs.writeFileSync(entryPath, JSON.stringify(entry));
+        console.log('💾 Cached results for future use');
+        enforceSizeLimit(cacheMaxBytes, cacheDir, entryPath);
+    } catch (error) {
+        console.warn(`⚠️  Cache save error (non-fatal): ${error.message}`);
+    }
+
+    return data;
+}
+
+export {
+    DEFAULT_CACHE_DIR,
+    DEFAULT_TTL,
+    DEFAULT_MAX_BYTES,
+    createCacheKey,
+    parseDuration,
+    readThroughCache,
+    listCacheEntries,
+    inspectCacheEntry,
+    purgeCache
+};
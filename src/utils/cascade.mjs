@@ -0,0 +1,449 @@
+/**
+ * Cascade Provenance
+ * Which stylesheet rules set an element's styles, via the DevTools protocol's CSS domain
+ *
+ * For each element, every matched rule (user-agent, presentational attributes, author rules
+ * and the style attribute) is listed winner first - the order DevTools shows them - with its
+ * selector, source file and line, specificity, enclosing @media/@supports/@layer/@container,
+ * and which of its declarations lost to a later one.
+ *
+ * Usage:
+ *   const inspector = await createCascadeInspector(page);
+ *   const [first] = await inspector.inspectSelector('.hero', { properties: ['margin-left'] });
+ *   first.cascade.properties['margin-left']  // { value, selector, source, line, ... }
+ *   await inspector.dispose();
+ *
+ * Limitations: inherited values are not traced (only rules matching the element itself), and
+ * !important declarations inside @layer are ranked as if unlayered.
+ */
+
+import * as csstree from 'css-tree';
+
+const OBJECT_GROUP = 'cascade';
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const LOGICAL = ['block', 'inline'];
+const sides = (prefix, suffix = '') => SIDES.map(side => `${prefix}-${side}${suffix}`);
+const startEnd = (prefix, suffix = '') => [`${prefix}-start${suffix}`, `${prefix}-end${suffix}`];
+
+// Shorthand -> the properties it sets (some of them shorthands too, expanded by longhandsOf()).
+// Properties a shorthand only resets, like font-feature-settings under font, are left out.
+const SHORTHANDS = {
+    margin: sides('margin'),
+    padding: sides('padding'),
+    inset: SIDES,
+    'scroll-margin': sides('scroll-margin'),
+    'scroll-padding': sides('scroll-padding'),
+    border: ['border-top', 'border-right', 'border-bottom', 'border-left', 'border-width', 'border-style', 'border-color', 'border-image'],
+    'border-width': sides('border', '-width'),
+    'border-style': sides('border', '-style'),
+    'border-color': sides('border', '-color'),
+    'border-radius': ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius'],
+    'border-image': ['border-image-source', 'border-image-slice', 'border-image-width', 'border-image-outset', 'border-image-repeat'],
+    outline: ['outline-color', 'outline-style', 'outline-width'],
+    background: ['background-color', 'background-image', 'background-position', 'background-size', 'background-repeat',
+        'background-attachment', 'background-origin', 'background-clip'],
+    'background-position': ['background-position-x', 'background-position-y'],
+    font: ['font-style', 'font-variant', 'font-weight', 'font-stretch', 'font-size', 'line-height', 'font-family'],
+    'font-variant': ['font-variant-caps', 'font-variant-ligatures', 'font-variant-numeric', 'font-variant-east-asian',
+        'font-variant-alternates', 'font-variant-position', 'font-variant-emoji'],
+    'text-decoration': ['text-decoration-line', 'text-decoration-style', 'text-decoration-color', 'text-decoration-thickness'],
+    'text-emphasis': ['text-emphasis-style', 'text-emphasis-color'],
+    'list-style': ['list-style-type', 'list-style-position', 'list-style-image'],
+    flex: ['flex-grow', 'flex-shrink', 'flex-basis'],
+    'flex-flow': ['flex-direction', 'flex-wrap'],
+    grid: ['grid-template', 'grid-auto-rows', 'grid-auto-columns', 'grid-auto-flow'],
+    'grid-template': ['grid-template-rows', 'grid-template-columns', 'grid-template-areas'],
+    'grid-area': ['grid-row', 'grid-column'],
+    'grid-row': ['grid-row-start', 'grid-row-end'],
+    'grid-column': ['grid-column-start', 'grid-column-end'],
+    gap: ['row-gap', 'column-gap'],
+    'place-content': ['align-content', 'justify-content'],
+    'place-items': ['align-items', 'justify-items'],
+    'place-self': ['align-self', 'justify-self'],
+    columns: ['column-width', 'column-count'],
+    'column-rule': ['column-rule-width', 'column-rule-style', 'column-rule-color'],
+    overflow: ['overflow-x', 'overflow-y'],
+    'overscroll-behavior': ['overscroll-behavior-x', 'overscroll-behavior-y'],
+    transition: ['transition-property', 'transition-duration', 'transition-timing-function', 'transition-delay', 'transition-behavior'],
+    animation: ['animation-name', 'animation-duration', 'animation-timing-function', 'animation-delay', 'animation-iteration-count',
+        'animation-direction', 'animation-fill-mode', 'animation-play-state'],
+    container: ['container-name', 'container-type']
+};
+
+// Logical shorthands: margin-block -> margin-block-start/end, border-inline -> border-inline-start..., etc.
+LOGICAL.forEach(axis => {
+    ['margin', 'padding', 'inset', 'scroll-margin', 'scroll-padding'].forEach(property => {
+        SHORTHANDS[`${property}-${axis}`] = startEnd(`${property}-${axis}`);
+    });
+    SHORTHANDS[`border-${axis}`] = [...startEnd(`border-${axis}`), `border-${axis}-width`, `border-${axis}-style`, `border-${axis}-color`];
+    ['width', 'style', 'color'].forEach(part => {
+        SHORTHANDS[`border-${axis}-${part}`] = startEnd(`border-${axis}`, `-${part}`);
+    });
+    startEnd(`border-${axis}`).forEach(edge => {
+        SHORTHANDS[edge] = [`${edge}-width`, `${edge}-style`, `${edge}-color`];
+    });
+});
+SIDES.forEach(side => {
+    SHORTHANDS[`border-${side}`] = [`border-${side}-width`, `border-${side}-style`, `border-${side}-color`];
+});
+
+/**
+ * A property and everything it sets when used as a shorthand: 'border' -> border-top, border-top-width...
+ * @param {string} property
+ * @returns {string[]}
+ */
+function longhandsOf(property) {
+    return [property, ...(SHORTHANDS[property] ?? []).flatMap(longhandsOf)];
+}
+
+// Pseudo-classes whose specificity is that of their most specific argument
+const SELECTOR_LIST_PSEUDOS = new Set(['is', 'not', 'has', 'matches', '-webkit-any', '-moz-any']);
+// CSS2 pseudo-elements that may be written with one colon
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+function addSpecificity(x, y) {
+    return [x[0] + y[0], x[1] + y[1], x[2] + y[2]];
+}
+
+function compareSpecificity(x, y) {
+    return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+}
+
+function maxSpecificity(selectorList) {
+    let max = [0, 0, 0];
+    selectorList?.children?.forEach(selector => {
+        const value = selectorSpecificity(selector);
+        if (compareSpecificity(value, max) > 0) max = value;
+    });
+    return max;
+}
+
+function selectorSpecificity(selector) {
+    let result = [0, 0, 0];
+    selector.children?.forEach(node => {
+        switch (node.type) {
+            case 'IdSelector':
+                result = addSpecificity(result, [1, 0, 0]);
+                break;
+            case 'ClassSelector':
+            case 'AttributeSelector':
+                result = addSpecificity(result, [0, 1, 0]);
+                break;
+            case 'TypeSelector':
+                if (!node.name.endsWith('*')) result = addSpecificity(result, [0, 0, 1]);
+                break;
+            case 'PseudoElementSelector':
+                result = addSpecificity(result, [0, 0, 1]);
+                break;
+            case 'PseudoClassSelector': {
+                const name = node.name.toLowerCase();
+                const argument = node.children?.first;
+                if (name === 'where') break;
+                if (SELECTOR_LIST_PSEUDOS.has(name)) {
+                    result = addSpecificity(result, maxSpecificity(argument));
+                } else if ((name === 'nth-child' || name === 'nth-last-child') && argument?.selector) {
+                    // :nth-child(2n of .item) counts as a pseudo-class plus its selector
+                    result = addSpecificity(result, addSpecificity([0, 1, 0], maxSpecificity(argument.selector)));
+                } else if (LEGACY_PSEUDO_ELEMENTS.has(name)) {
+                    result = addSpecificity(result, [0, 0, 1]);
+                } else {
+                    result = addSpecificity(result, [0, 1, 0]);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+    return result;
+}
+
+/**
+ * Split a selector list at top-level commas (not inside :is(...) or [attr="a,b"])
+ * @param {string} selectorText - e.g. `h1, .title:is(.a, .b)`
+ * @returns {string[]} Trimmed complex selectors
+ */
+function splitSelectorList(selectorText) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const char of selectorText) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+}
+
+/**
+ * Specificity of one complex selector
+ * @param {string} selector - e.g. `nav ul > li.active:hover`
+ * @returns {number[]} [ids, classes/attributes/pseudo-classes, types/pseudo-elements]
+ */
+function calculateSpecificity(selector) {
+    try {
+        return selectorSpecificity(csstree.parse(selector, { context: 'selector' }));
+    } catch (error) {
+        return [0, 0, 0];
+    }
+}
+
+/**
+ * One matched rule (or inline/attribute style) as a cascade entry
+ */
+function describeRule(rule, matchingSelectors, sheets) {
+    const header = sheets.get(rule.styleSheetId);
+    const selectors = rule.selectorList.selectors;
+    const matched = (matchingSelectors?.length ? matchingSelectors : selectors.map((_, index) => index))
+        .map(index => selectors[index]);
+
+    // Of the selectors in a list that match, the most specific one counts
+    let best = null;
+    for (const selector of matched) {
+        const specificity = selector.specificity
+            ? [selector.specificity.a, selector.specificity.b, selector.specificity.c]
+            : calculateSpecificity(selector.text);
+        if (!best || compareSpecificity(specificity, best.specificity) > 0) {
+            best = { text: selector.text, specificity };
+        }
+    }
+
+    const range = rule.selectorList.range ?? rule.style.range;
+    // Ranges in inline <style> sheets are relative to the sheet, which starts at header.startLine
+    const lineOffset = header?.isInline ? header.startLine : 0;
+
+    return {
+        origin: rule.origin,
+        selector: best?.text ?? rule.selectorList.text,
+        selectorList: rule.selectorList.text,
+        specificity: best?.specificity ?? [0, 0, 0],
+        source: rule.origin === 'user-agent' ? 'user-agent' : (header?.sourceURL || null),
+        inlineSheet: Boolean(header?.isInline),
+        constructed: Boolean(header?.isConstructed),
+        line: range ? range.startLine + lineOffset + 1 : null,
+        column: range ? range.startColumn + 1 : null,
+        media: (rule.media || []).map(media => media.text),
+        supports: (rule.supports || []).map(supports => supports.text),
+        container: (rule.containerQueries || []).map(container => container.text),
+        layer: (rule.layers || []).map(layer => layer.text).filter(Boolean).join('.') || null,
+        declarations: describeDeclarations(rule.style)
+    };
+}
+
+function describeDeclarations(style) {
+    return (style?.cssProperties || [])
+        .filter(property => !property.disabled && property.parsedOk !== false && property.value !== '')
+        .map(property => ({
+            property: property.name,
+            value: property.value,
+            important: Boolean(property.important),
+            // Longhands the browser expanded from a shorthand have no source range
+            fromShorthand: !property.range && !property.name.startsWith('--')
+        }));
+}
+
+/**
+ * Build the cascade for one element from a CSS.getMatchedStylesForNode response
+ * @param {Object} matched - CDP response
+ * @param {Map} sheets - styleSheetId -> CSSStyleSheetHeader
+ * @param {string[]|null} properties - Only these properties and their longhands; null for all
+ * @returns {{rules: Object[], properties: Object}}
+ */
+function buildCascade(matched, sheets, properties) {
+    const rules = (matched.matchedCSSRules || [])
+        .map(({ rule, matchingSelectors }) => describeRule(rule, matchingSelectors, sheets));
+
+    // Lowest precedence first: user-agent, presentational attributes, author rules, style attribute
+    const ascending = [
+        ...rules.filter(rule => rule.origin === 'user-agent'),
+        ...(matched.attributesStyle ? [{
+            origin: 'attributes',
+            selector: '(presentational attributes)',
+            specificity: [0, 0, 0],
+            source: null,
+            line: null,
+            declarations: describeDeclarations(matched.attributesStyle)
+        }] : []),
+        ...rules.filter(rule => rule.origin !== 'user-agent'),
+        ...(matched.inlineStyle ? [{
+            origin: 'inline',
+            selector: '(style attribute)',
+            // Outranks every selector regardless of specificity
+            specificity: null,
+            source: null,
+            line: null,
+            declarations: describeDeclarations(matched.inlineStyle)
+        }] : [])
+    ];
+
+    // A shorthand selects its longhands too: 'margin' also traces margin-top, margin-left...
+    const wanted = properties ? new Set(properties.flatMap(property => longhandsOf(property.toLowerCase()))) : null;
+    const isWanted = (name) => !wanted || wanted.has(name);
+    const winners = {};
+
+    ascending.forEach(rule => {
+        rule.declarations = rule.declarations.filter(declaration => isWanted(declaration.property));
+        rule.declarations.forEach(declaration => {
+            const current = winners[declaration.property];
+            // Later wins within the same importance; !important beats any normal declaration
+            if (!current || declaration.important || !current.declaration.important) {
+                if (current) current.declaration.overridden = true;
+                declaration.overridden = false;
+                winners[declaration.property] = { declaration, rule };
+            } else {
+                declaration.overridden = true;
+            }
+        });
+    });
+
+    const descending = ascending.filter(rule => rule.declarations.length > 0 || !wanted).reverse();
+
+    return {
+        rules: descending,
+        properties: Object.fromEntries(Object.entries(winners)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([property, { declaration, rule }]) => [property, {
+                value: declaration.value,
+                important: declaration.important,
+                origin: rule.origin,
+                selector: rule.selector,
+                source: rule.source,
+                line: rule.line,
+                media: rule.media?.length ? rule.media : undefined,
+                layer: rule.layer ?? undefined
+            }]))
+    };
+}
+
+/**
+ * Open a DevTools session on the page for cascade lookups
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Object>} Inspector with inspectSelector(), inspectNodes(), evaluateNodes() and dispose()
+ */
+async function createCascadeInspector(page) {
+    const client = await page.createCDPSession();
+    const sheets = new Map();
+
+    client.on('CSS.styleSheetAdded', ({ header }) => sheets.set(header.styleSheetId, header));
+    await client.send('DOM.enable');
+    // Enabling the CSS agent reports every stylesheet already in the document
+    await client.send('CSS.enable');
+
+    /**
+     * Node ids of the elements matching a selector, in document order (same as querySelectorAll)
+     * @param {string} selector
+     * @returns {Promise<number[]>}
+     */
+    async function querySelectorAll(selector) {
+        const { root } = await client.send('DOM.getDocument', { depth: 0 });
+        const { nodeIds } = await client.send('DOM.querySelectorAll', { nodeId: root.nodeId, selector });
+        return nodeIds;
+    }
+
+    /**
+     * Run a function in the page on this session and resolve the elements it returns to node ids
+     * by reference, not by position, so DOM changes in between don't mix elements up
+     * @param {Function} pageFunction - Returns (or resolves to) { elements: Element[], data }
+     * @param {...*} args - JSON-serializable arguments for pageFunction
+     * @returns {Promise<{data: *, nodeIds: Array<number|null>}>} nodeIds[i] is elements[i] (null when it has gone away)
+     */
+    async function evaluateNodes(pageFunction, ...args) {
+        // requestNode only resolves nodes once the document has been requested
+        await client.send('DOM.getDocument', { depth: 0 });
+        try {
+            const { result, exceptionDetails } = await client.send('Runtime.evaluate', {
+                expression: `(${pageFunction})(${args.map(arg => JSON.stringify(arg)).join(', ')})`,
+                awaitPromise: true,
+                objectGroup: OBJECT_GROUP
+            });
+            if (exceptionDetails) {
+                throw new Error(exceptionDetails.exception?.description ?? exceptionDetails.text);
+            }
+            const { result: { value: { data, count } } } = await client.send('Runtime.callFunctionOn', {
+                objectId: result.objectId,
+                functionDeclaration: 'function () { return { data: this.data, count: this.elements.length }; }',
+                returnByValue: true
+            });
+
+            const nodeIds = [];
+            for (let index = 0; index < count; index++) {
+                try {
+                    const { result: element } = await client.send('Runtime.callFunctionOn', {
+                        objectId: result.objectId,
+                        functionDeclaration: 'function (index) { return this.elements[index]; }',
+                        arguments: [{ value: index }],
+                        objectGroup: OBJECT_GROUP
+                    });
+                    const { nodeId } = await client.send('DOM.requestNode', { objectId: element.objectId });
+                    nodeIds.push(nodeId);
+                } catch (error) {
+                    nodeIds.push(null);
+                }
+            }
+            return { data, nodeIds };
+        } finally {
+            await client.send('Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP }).catch(() => {});
+        }
+    }
+
+    /**
+     * Cascade for each node id
+     * @param {Array<number|null>} nodeIds
+     * @param {Object} [options]
+     * @param {string[]} [options.properties] - Only trace these properties (default: all)
+     * @returns {Promise<Object[]>} One { rules, properties } per node (null when the node has gone away)
+     */
+    async function inspectNodes(nodeIds, options = {}) {
+        const { properties = null } = options;
+        const results = [];
+        for (const nodeId of nodeIds) {
+            if (!nodeId) {
+                results.push(null);
+                continue;
+            }
+            try {
+                const matched = await client.send('CSS.getMatchedStylesForNode', { nodeId });
+                results.push(buildCascade(matched, sheets, properties));
+            } catch (error) {
+                results.push(null);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Cascade for every element matching a selector
+     * @param {string} selector
+     * @param {Object} [options] - See inspectNodes()
+     * @returns {Promise<Array<{nodeId: number, cascade: Object}>>}
+     */
+    async function inspectSelector(selector, options = {}) {
+        const nodeIds = await querySelectorAll(selector);
+        const cascades = await inspectNodes(nodeIds, options);
+        return nodeIds.map((nodeId, index) => ({ nodeId, cascade: cascades[index] }));
+    }
+
+    async function dispose() {
+        await client.send('CSS.disable').catch(() => {});
+        await client.send('DOM.disable').catch(() => {});
+        await client.detach().catch(() => {});
+    }
+
+    return { querySelectorAll, evaluateNodes, inspectNodes, inspectSelector, dispose };
+}
+
+export { createCascadeInspector, buildCascade, calculateSpecificity, splitSelectorList };
@@ -0,0 +1,330 @@
+/**
+ * CSS Value Helpers
+ * Color and font-family recognition shared by the static CSS extractor and token exporters
+ */
+
+// Every CSS Color Level 4 named color and its sRGB value
+const NAMED_COLOR_VALUES = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+    azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+    blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+    burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+    coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+    darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+    darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+    darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+    darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1',
+    darkviolet: '#9400d3', deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969',
+    dimgrey: '#696969', dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0',
+    forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff',
+    gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+    greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4',
+    indianred: '#cd5c5c', indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c',
+    lavender: '#e6e6fa', lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd',
+    lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+    lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90',
+    lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a', lightseagreen: '#20b2aa',
+    lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+    linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+    mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db',
+    mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a',
+    mediumturquoise: '#48d1cc', mediumvioletred: '#c71585', midnightblue: '#191970',
+    mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5', navajowhite: '#ffdead',
+    navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23', orange: '#ffa500',
+    orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+    paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9',
+    peru: '#cd853f', pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080',
+    rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1',
+    saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+    seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb',
+    slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+    springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080',
+    thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee',
+    wheat: '#f5deb3', white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00',
+    yellowgreen: '#9acd32'
+};
+
+// Named colors plus the two color keywords (which have no fixed value)
+const NAMED_COLORS = new Set([...Object.keys(NAMED_COLOR_VALUES), 'transparent', 'currentcolor']);
+
+// Functions whose result is a color
+const COLOR_FUNCTIONS = new Set([
+    'rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color', 'color-mix', 'light-dark'
+]);
+
+// Properties whose identifiers are names, not colors (`animation-name: orange`, `grid-area: red`)
+const NON_COLOR_PROPERTIES = /^(font|font-family|animation|animation-name|grid|grid-area|grid-template|grid-template-areas|grid-row|grid-row-start|grid-row-end|grid-column|grid-column-start|grid-column-end|transition|transition-property|counter-reset|counter-increment|counter-set|will-change|content|quotes|list-style-type|container|container-name|view-transition-name|anchor-name|position-anchor)$/i;
+
+const GENERIC_FAMILIES = new Set([
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif',
+    'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong'
+]);
+
+const CSS_WIDE_KEYWORDS = new Set(['inherit', 'initial', 'unset', 'revert', 'revert-layer']);
+
+const FONT_SIZE_KEYWORDS = /^(xx-small|x-small|small|medium|large|x-large|xx-large|xxx-large|smaller|larger)$/i;
+// Sizes need a unit: a bare number before the size is a font-weight (`700 16px/1.2 Arial`)
+const FONT_SIZE = /^[+-]?(\d*\.)?\d+(px|em|rem|%|pt|pc|cm|mm|in|q|ex|ch|vw|vh|vmin|vmax|lh|rlh|cqw|cqh)(\/\S+)?$/i;
+const BARE_NUMBER = /^[+-]?(\d*\.)?\d+$/;
+
+/**
+ * Is this a valid hex color (3, 4, 6 or 8 digits, with the #)?
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHexColor(value) {
+    return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value);
+}
+
+/**
+ * @param {string} name - Identifier
+ * @returns {boolean}
+ */
+function isNamedColor(name) {
+    return NAMED_COLORS.has(name.toLowerCase());
+}
+
+/**
+ * @param {string} name - Function name
+ * @returns {boolean}
+ */
+function isColorFunction(name) {
+    return COLOR_FUNCTIONS.has(name.toLowerCase());
+}
+
+/**
+ * Whether identifiers in this property's value can be named colors
+ * @param {string} property
+ * @returns {boolean}
+ */
+function mayContainNamedColors(property) {
+    return !NON_COLOR_PROPERTIES.test(property);
+}
+
+/**
+ * Syntax family of a color value: hex, named, or the function name (rgb, oklch, color-mix...)
+ * @param {string} color
+ * @returns {string}
+ */
+function colorCategory(color) {
+    if (color.startsWith('#')) return 'hex';
+    const fn = /^([a-z-]+)\(/i.exec(color);
+    return fn ? fn[1].toLowerCase() : 'named';
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// "50%" -> 0.5 * percentScale, "128" -> 128
+function parseComponent(text, percentScale) {
+    const number = parseFloat(text);
+    if (Number.isNaN(number)) return null;
+    return text.trim().endsWith('%') ? number / 100 * percentScale : number;
+}
+
+function parseHue(text) {
+    const number = parseFloat(text);
+    if (Number.isNaN(number)) return null;
+    if (/turn$/i.test(text)) return number * 360;
+    if (/grad$/i.test(text)) return number * 0.9;
+    if (/rad$/i.test(text)) return number * 180 / Math.PI;
+    return number;
+}
+
+function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360;
+    const f = (n) => {
+        const k = (n + hue / 30) % 12;
+        return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+}
+
+/**
+ * sRGB value of a hex, named, rgb(), hsl() or hwb() color (legacy comma or modern space syntax)
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} Channels 0-255, alpha 0-1;
+ *   null for colors without a fixed sRGB value here (currentcolor, var(), oklch(), color-mix()...)
+ */
+function parseColor(value) {
+    const color = String(value).trim().toLowerCase();
+
+    if (color === 'transparent') return { r: 0, g: 0, b: 0, alpha: 0 };
+    const hex = NAMED_COLOR_VALUES[color] ?? (isHexColor(color) ? color : null);
+    if (hex) {
+        let digits = hex.slice(1);
+        if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('');
+        const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+        return { r: channels[0], g: channels[1], b: channels[2], alpha: channels.length === 4 ? channels[3] / 255 : 1 };
+    }
+
+    const fn = /^(rgba?|hsla?|hwb)\((.*)\)$/.exec(color);
+    if (!fn) return null;
+
+    // "0, 0, 0, .5" and "0 0 0 / 50%" both become ['0', '0', '0', '.5'|'50%']
+    const [channelText, alphaText] = fn[2].includes('/') ? fn[2].split('/') : [fn[2], null];
+    const parts = channelText.split(/[\s,]+/).filter(Boolean);
+    if (alphaText !== null) parts.push(alphaText.trim());
+    if (parts.length < 3 || parts.some(part => part === 'none' || part.includes('('))) return null;
+
+    const alpha = parts[3] === undefined ? 1 : parseComponent(parts[3], 1);
+    let rgb;
+    if (fn[1].startsWith('rgb')) {
+        const [r, g, b] = parts.slice(0, 3).map(part => parseComponent(part, 255));
+        rgb = { r, g, b };
+    } else if (fn[1].startsWith('hsl')) {
+        rgb = hslToRgb(parseHue(parts[0]), parseComponent(parts[1], 100) / 100, parseComponent(parts[2], 100) / 100);
+    } else {
+        // hwb: mix the pure hue with white and black
+        let white = parseComponent(parts[1], 100) / 100;
+        let black = parseComponent(parts[2], 100) / 100;
+        if (white + black > 1) {
+            const sum = white + black;
+            white /= sum;
+            black /= sum;
+        }
+        const pure = hslToRgb(parseHue(parts[0]), 1, 0.5);
+        const mix = (channel) => (channel / 255 * (1 - white - black) + white) * 255;
+        rgb = { r: mix(pure.r), g: mix(pure.g), b: mix(pure.b) };
+    }
+
+    if ([rgb.r, rgb.g, rgb.b, alpha].some(channel => channel === null || Number.isNaN(channel))) return null;
+    return {
+        r: clamp(rgb.r, 0, 255),
+        g: clamp(rgb.g, 0, 255),
+        b: clamp(rgb.b, 0, 255),
+        alpha: clamp(alpha, 0, 1)
+    };
+}
+
+/**
+ * #rrggbb, or #rrggbbaa when the color is translucent
+ * @param {{r: number, g: number, b: number, alpha?: number}} color
+ * @returns {string}
+ */
+function toHex({ r, g, b, alpha = 1 }) {
+    const pair = (channel) => Math.round(clamp(channel, 0, 255)).toString(16).padStart(2, '0');
+    return `#${pair(r)}${pair(g)}${pair(b)}${alpha < 1 ? pair(alpha * 255) : ''}`;
+}
+
+/**
+ * sRGB -> CIE Lab (D65), for perceptual color distance
+ * @param {{r: number, g: number, b: number}} color - Channels 0-255
+ * @returns {{l: number, a: number, b: number}}
+ */
+function toLab({ r, g, b }) {
+    const linear = (channel) => {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+    const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    return { l: 116 * f(y) - 16, a: 500 * (f(x) - f(y)), b: 200 * (f(y) - f(z)) };
+}
+
+/**
+ * CIE76 color difference; around 2.3 is the smallest difference most people notice
+ * @param {{l: number, a: number, b: number}} lab1
+ * @param {{l: number, a: number, b: number}} lab2
+ * @returns {number}
+ */
+function deltaE(lab1, lab2) {
+    return Math.hypot(lab1.l - lab2.l, lab1.a - lab2.a, lab1.b - lab2.b);
+}
+
+/**
+ * Split on commas that are not inside quotes or parentheses
+ * @param {string} text - e.g. a font-family list or a multi-layer box-shadow
+ * @returns {string[]}
+ */
+function splitCommaList(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Family names from a font-family value, without quotes, CSS-wide keywords or var() references
+ * @param {string} value - e.g. `"Open Sans", Arial, sans-serif`
+ * @returns {string[]}
+ */
+function parseFontFamilyList(value) {
+    return splitCommaList(value)
+        .map(family => family.trim().replace(/^(['"])(.*)\1$/, '$2').replace(/\s+/g, ' '))
+        .filter(family => family && !CSS_WIDE_KEYWORDS.has(family.toLowerCase()) && !/^var\(/i.test(family));
+}
+
+/**
+ * Family names from a `font` shorthand (everything after the size and optional /line-height)
+ * @param {string} value - e.g. `italic bold 12px/30px Georgia, serif`
+ * @returns {string[]}
+ */
+function fontShorthandFamilies(value) {
+    const tokens = value.match(/"[^"]*"|'[^']*'|[^\s"']+/g) || [];
+    // Style, variant, weight and stretch come first; a bare number is only the size when it is 0
+    // or carries a /line-height (quirks-mode `16/1.2`), otherwise it is a weight like 700
+    const sizeIndex = tokens.findIndex((token, index) => {
+        const [size] = token.split('/');
+        if (FONT_SIZE.test(token) || FONT_SIZE_KEYWORDS.test(size)) return true;
+        if (!BARE_NUMBER.test(size)) return false;
+        return Number(size) === 0 || token.includes('/') || Boolean(tokens[index + 1]?.startsWith('/'));
+    });
+    if (sizeIndex === -1) return [];
+
+    let rest = tokens.slice(sizeIndex + 1);
+    // `12px / 30px` with spaces around the slash
+    if (rest[0] === '/') rest = rest.slice(2);
+    else if (rest[0]?.startsWith('/')) rest = rest.slice(1);
+
+    return parseFontFamilyList(rest.join(' '));
+}
+
+/**
+ * @param {string} family
+ * @returns {boolean} True for serif, sans-serif, system-ui and the other generic families
+ */
+function isGenericFamily(family) {
+    return GENERIC_FAMILIES.has(family.toLowerCase());
+}
+
+export {
+    NAMED_COLORS,
+    NAMED_COLOR_VALUES,
+    COLOR_FUNCTIONS,
+    isHexColor,
+    isNamedColor,
+    isColorFunction,
+    mayContainNamedColors,
+    colorCategory,
+    parseColor,
+    toHex,
+    toLab,
+    deltaE,
+    splitCommaList,
+    parseFontFamilyList,
+    fontShorthandFamilies,
+    isGenericFamily
+};
@@ -0,0 +1,210 @@
+/**
+ * Font Download
+ * Downloads every src of every @font-face rule, checks that each file really is a font, and
+ * writes a manifest mapping the files back to their rules
+ *
+ * - URLs resolve against the stylesheet that declared the rule (CDN sheets are not the page)
+ * - Redirects are followed (font CDNs often redirect to a versioned URL)
+ * - Files are hashed: the same bytes behind two URLs or two rules are stored once
+ * - The first bytes must be a WOFF2, WOFF, TrueType, OpenType, collection or EOT signature;
+ *   HTML error pages served with a 200 are rejected instead of saved as .woff2
+ * - unicode-range subsets of one face get their own files (<family>-<weight>-<style>-u<start>.<ext>)
+ *
+ * Usage:
+ *   const { files, failed, duplicates } = await downloadFontFiles(fontFaces, { pageUrl, outputDir: 'orig/fonts' });
+ */
+
+import fetch from 'node-fetch';
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+
+const MAX_REDIRECTS = 10;
+
+// Signatures at the start of the file; EOT keeps its magic number at byte 34
+const FONT_SIGNATURES = [
+    { format: 'woff2', extension: 'woff2', bytes: [0x77, 0x4F, 0x46, 0x32] },        // wOF2
+    { format: 'woff', extension: 'woff', bytes: [0x77, 0x4F, 0x46, 0x46] },          // wOFF
+    { format: 'truetype', extension: 'ttf', bytes: [0x00, 0x01, 0x00, 0x00] },
+    { format: 'truetype', extension: 'ttf', bytes: [0x74, 0x72, 0x75, 0x65] },       // true (Apple)
+    { format: 'opentype', extension: 'otf', bytes: [0x4F, 0x54, 0x54, 0x4F] },       // OTTO
+    { format: 'collection', extension: 'ttc', bytes: [0x74, 0x74, 0x63, 0x66] }      // ttcf
+];
+
+/**
+ * Font format of a file from its magic bytes
+ * @param {Buffer} buffer
+ * @returns {{format: string, extension: string}|null} null when the bytes are not a font
+ */
+function detectFontFormat(buffer) {
+    for (const signature of FONT_SIGNATURES) {
+        if (signature.bytes.every((byte, index) => buffer[index] === byte)) {
+            return { format: signature.format, extension: signature.extension };
+        }
+    }
+    if (buffer.length > 36 && buffer[34] === 0x4C && buffer[35] === 0x50) {
+        return { format: 'embedded-opentype', extension: 'eot' };
+    }
+    return null;
+}
+
+/**
+ * GET a URL, following redirects one hop at a time so the chain can be reported
+ * @param {string} url
+ * @param {Function} fetchResource - fetch() implementation (node-fetch, or an archive's fetch)
+ * @returns {Promise<{response: Object, finalUrl: string, redirects: string[]}>}
+ */
+async function fetchFollowingRedirects(url, fetchResource) {
+    const redirects = [];
+    let currentUrl = url;
+
+    for (;;) {
+        const response = await fetchResource(currentUrl, { redirect: 'manual' });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return { response, finalUrl: currentUrl, redirects };
+        }
+        if (redirects.length >= MAX_REDIRECTS) {
+            throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+        }
+        redirects.push(currentUrl);
+        currentUrl = new URL(location, currentUrl).href;
+    }
+}
+
+// 'Open Sans' 400 italic -> OpenSans-400-italic; variable ranges like "100 900" -> 100-900
+function baseFilename(fontFace) {
+    const family = fontFace.fontFamily?.replace(/[^a-z0-9]/gi, '') || 'Unknown';
+    const weight = String(fontFace.fontWeight || 'normal').trim().replace(/\s+/g, '-');
+    const style = String(fontFace.fontStyle || 'normal').trim().replace(/\s+/g, '-').replace(/[^a-z0-9-]/gi, '');
+    return `${family}-${weight}-${style}`;
+}
+
+// First code point of the unicode-range, which tells subsets of one face apart (u0000 latin, u0100 latin-ext...)
+function subsetSuffix(unicodeRange) {
+    const match = /U\+([0-9a-f?]+)/i.exec(unicodeRange || '');
+    return match ? `-u${match[1].replace(/\?/g, '0').toLowerCase().padStart(4, '0')}` : '';
+}
+
+/**
+ * Download the files behind a list of @font-face rules
+ * @param {Object[]} fontFaces - analyzeFontFiles() fontFaces ({fontFamily, fontWeight, fontStyle, unicodeRange, sheetHref, ruleIndex, src[]})
+ * @param {Object} options
+ * @param {string} options.pageUrl - Page the rules came from; base URL for rules without a stylesheet URL
+ * @param {string} options.outputDir - Directory for the font files and manifest.json
+ * @param {Function} [options.fetchResource] - fetch() implementation (default node-fetch; pass archive.fetch to record/replay)
+ * @returns {Promise<{files: Object[], failed: Object[], duplicates: number, manifestPath: string}>}
+ *   files = [{file, path, sha256, bytes, format, rules: [...]}], one per distinct file; every @font-face
+ *   src that resolved to it is listed in `rules` (with formatMismatch when its format() said otherwise)
+ */
+async function downloadFontFiles(fontFaces, options) {
+    const { pageUrl, outputDir, fetchResource = fetch } = options;
+
+    if (!existsSync(outputDir)) {
+        mkdirSync(outputDir, { recursive: true });
+    }
+
+    const files = [];
+    const byHash = new Map();
+    const usedNames = new Set();
+    const failed = [];
+
+    for (const [faceIndex, fontFace] of fontFaces.entries()) {
+        for (const [srcIndex, src] of fontFace.src.entries()) {
+            const rule = {
+                fontFamily: fontFace.fontFamily,
+                fontWeight: fontFace.fontWeight || 'normal',
+                fontStyle: fontFace.fontStyle || 'normal',
+                unicodeRange: fontFace.unicodeRange || null,
+                stylesheet: fontFace.sheetHref || 'inline',
+                ruleIndex: fontFace.ruleIndex,
+                fontFaceIndex: faceIndex,
+                srcIndex
+            };
+
+            let url = null;
+            try {
+                let body;
+                let finalUrl = null;
+                let redirects = [];
+                if (src.isDataUri) {
+                    const match = /^data:[^,]*?(;base64)?,(.*)$/s.exec(src.url);
+                    if (!match) throw new Error('Malformed data URI');
+                    body = match[1] ? Buffer.from(match[2], 'base64') : Buffer.from(decodeURIComponent(match[2]), 'latin1');
+                    url = 'data:';
+                } else {
+                    // Relative URLs belong to the stylesheet that declared the rule
+                    url = new URL(src.url, fontFace.sheetHref || pageUrl).href;
+                    let response;
+                    ({ response, finalUrl, redirects } = await fetchFollowingRedirects(url, fetchResource));
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    body = Buffer.from(await response.arrayBuffer());
+                }
+
+                const detected = detectFontFormat(body);
+                if (!detected) {
+                    throw new Error(`Not a font file (starts with ${JSON.stringify(body.subarray(0, 8).toString('latin1'))})`);
+                }
+
+                // format('woff2-variations') declares the same file type as format('woff2')
+                const declared = src.format.replace(/-variations$/, '');
+                const source = {
+                    ...rule,
+                    url,
+                    ...(finalUrl && finalUrl !== url && { finalUrl, redirects }),
+                    declaredFormat: src.format,
+                    ...(declared !== 'unknown' && declared !== detected.format && { formatMismatch: true })
+                };
+
+                const sha256 = createHash('sha256').update(body).digest('hex');
+                const existing = byHash.get(sha256);
+                if (existing) {
+                    existing.rules.push(source);
+                    continue;
+                }
+
+                let file = `${baseFilename(fontFace)}${subsetSuffix(fontFace.unicodeRange)}.${detected.extension}`;
+                if (usedNames.has(file)) {
+                    // Same face and subset but different bytes (another version or CDN build)
+                    file = file.replace(/\.(\w+)$/, `-${sha256.slice(0, 8)}.$1`);
+                }
+                usedNames.add(file);
+
+                const filePath = path.join(outputDir, file);
+                writeFileSync(filePath, body);
+                console.log(`  ✅ ${file} (${detected.format}, ${(body.length / 1024).toFixed(1)} KB)`);
+
+                const entry = {
+                    file,
+                    path: filePath,
+                    sha256,
+                    bytes: body.length,
+                    format: detected.format,
+                    rules: [source]
+                };
+                files.push(entry);
+                byHash.set(sha256, entry);
+            } catch (error) {
+                console.warn(`  ⚠️  Failed to download ${url ?? src.url}: ${error.message}`);
+                failed.push({ ...rule, url: url ?? src.url, error: error.message });
+            }
+        }
+    }
+
+    const duplicates = files.reduce((sum, entry) => sum + entry.rules.length - 1, 0);
+    const manifestPath = path.join(outputDir, 'manifest.json');
+    writeFileSync(manifestPath, JSON.stringify({
+        url: pageUrl,
+        downloadedAt: new Date().toISOString(),
+        summary: { files: files.length, duplicates, failed: failed.length },
+        files,
+        failed
+    }, null, 2));
+    console.log(`📄 Manifest: ${manifestPath}`);
+
+    return { files, failed, duplicates, manifestPath };
+}
+
+export { downloadFontFiles, detectFontFormat };
@@ -0,0 +1,502 @@
+/**
+ * Font Parser
+ * Reads the metadata of a font file: names, license and vendor strings, glyph and Unicode
+ * coverage, and variable-font axes
+ *
+ * Handles TrueType/OpenType (.ttf, .otf), collections (.ttc, first font in detail), WOFF (zlib)
+ * and WOFF2 (Brotli, via Node's zlib). Only the tables read here are needed, and WOFF2 never
+ * transforms them (only glyf, loca and hmtx), so no glyph data is reconstructed.
+ *
+ * Tables used: name, OS/2 (vendor ID, weight, embedding permissions), head, maxp (glyph count),
+ * cmap (Unicode coverage), fvar (axes and named instances). WOFF/WOFF2 extended metadata
+ * (vendor, license) is read too when present.
+ *
+ * Usage:
+ *   const info = parseFontFile(readFileSync('Inter.woff2'));
+ *   info.fullName, info.license.reuse, info.unicode.blocks, info.variable?.axes
+ */
+
+import { inflateSync, brotliDecompressSync } from 'zlib';
+
+// Table tags by their index in a WOFF2 table directory entry
+const WOFF2_KNOWN_TAGS = [
+    'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT',
+    'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH',
+    'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar',
+    'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+// name table IDs reported by key
+const NAME_IDS = {
+    0: 'copyright',
+    1: 'family',
+    2: 'subfamily',
+    3: 'uniqueId',
+    4: 'fullName',
+    5: 'version',
+    6: 'postScriptName',
+    7: 'trademark',
+    8: 'manufacturer',
+    9: 'designer',
+    10: 'description',
+    11: 'vendorUrl',
+    12: 'designerUrl',
+    13: 'license',
+    14: 'licenseUrl',
+    16: 'typographicFamily',
+    17: 'typographicSubfamily'
+};
+
+// Unicode blocks worth reporting coverage for (start, end inclusive)
+const UNICODE_BLOCKS = [
+    ['Basic Latin', 0x0020, 0x007E],
+    ['Latin-1 Supplement', 0x00A0, 0x00FF],
+    ['Latin Extended-A', 0x0100, 0x017F],
+    ['Latin Extended-B', 0x0180, 0x024F],
+    ['IPA Extensions', 0x0250, 0x02AF],
+    ['Combining Diacritical Marks', 0x0300, 0x036F],
+    ['Greek and Coptic', 0x0370, 0x03FF],
+    ['Cyrillic', 0x0400, 0x04FF],
+    ['Armenian', 0x0530, 0x058F],
+    ['Hebrew', 0x0590, 0x05FF],
+    ['Arabic', 0x0600, 0x06FF],
+    ['Devanagari', 0x0900, 0x097F],
+    ['Thai', 0x0E00, 0x0E7F],
+    ['Georgian', 0x10A0, 0x10FF],
+    ['Latin Extended Additional', 0x1E00, 0x1EFF],
+    ['Greek Extended', 0x1F00, 0x1FFF],
+    ['General Punctuation', 0x2000, 0x206F],
+    ['Currency Symbols', 0x20A0, 0x20CF],
+    ['Letterlike Symbols', 0x2100, 0x214F],
+    ['Number Forms', 0x2150, 0x218F],
+    ['Arrows', 0x2190, 0x21FF],
+    ['Mathematical Operators', 0x2200, 0x22FF],
+    ['Box Drawing', 0x2500, 0x257F],
+    ['Geometric Shapes', 0x25A0, 0x25FF],
+    ['Miscellaneous Symbols', 0x2600, 0x26FF],
+    ['Dingbats', 0x2700, 0x27BF],
+    ['Hiragana', 0x3040, 0x309F],
+    ['Katakana', 0x30A0, 0x30FF],
+    ['CJK Unified Ideographs', 0x4E00, 0x9FFF],
+    ['Hangul Syllables', 0xAC00, 0xD7AF],
+    ['Private Use Area', 0xE000, 0xF8FF],
+    ['Emoji', 0x1F300, 0x1FAFF]
+];
+
+// Ranges kept in the result; CJK fonts can have thousands
+const MAX_RANGES = 200;
+
+// License texts and URLs recognized as open licenses that allow reuse and redistribution
+const OPEN_LICENSES = [
+    { id: 'OFL-1.1', pattern: /SIL Open Font License|openfontlicense\.org|scripts\.sil\.org\/OFL|\bOFL\b/i },
+    { id: 'Apache-2.0', pattern: /Apache License|apache\.org\/licenses/i },
+    { id: 'UFL-1.0', pattern: /Ubuntu Font Licen[cs]e/i },
+    { id: 'MIT', pattern: /\bMIT License\b|opensource\.org\/licenses\/MIT/i },
+    { id: 'CC-BY', pattern: /Creative Commons Attribution|creativecommons\.org\/licenses\/by\//i },
+    { id: 'CC0', pattern: /CC0|creativecommons\.org\/publicdomain/i }
+];
+
+/**
+ * The tables of a font file as buffers, whatever the container
+ * @param {Buffer} buffer
+ * @returns {{container: string, tables: Map<string, Buffer>, metadata: string|null, collectionFonts?: Map<string, Buffer>[]}}
+ */
+function readTables(buffer) {
+    const signature = buffer.toString('latin1', 0, 4);
+
+    if (signature === 'wOF2') return readWoff2(buffer);
+    if (signature === 'wOFF') return readWoff(buffer);
+    if (signature === 'ttcf') {
+        const count = buffer.readUInt32BE(8);
+        const fonts = [];
+        for (let i = 0; i < count; i++) {
+            fonts.push(readSfnt(buffer, buffer.readUInt32BE(12 + i * 4)));
+        }
+        return { container: 'collection', tables: fonts[0], metadata: null, collectionFonts: fonts };
+    }
+    if (signature === 'OTTO' || signature === 'true' || buffer.readUInt32BE(0) === 0x00010000) {
+        return { container: 'sfnt', tables: readSfnt(buffer, 0), metadata: null };
+    }
+    throw new Error('Unsupported font format (expected TrueType, OpenType, WOFF or WOFF2)');
+}
+
+function readSfnt(buffer, offset) {
+    const tables = new Map();
+    const numTables = buffer.readUInt16BE(offset + 4);
+    for (let i = 0; i < numTables; i++) {
+        const record = offset + 12 + i * 16;
+        const tag = buffer.toString('latin1', record, record + 4);
+        const tableOffset = buffer.readUInt32BE(record + 8);
+        const length = buffer.readUInt32BE(record + 12);
+        tables.set(tag, buffer.subarray(tableOffset, tableOffset + length));
+    }
+    return tables;
+}
+
+function readWoff(buffer) {
+    const tables = new Map();
+    const numTables = buffer.readUInt16BE(12);
+    for (let i = 0; i < numTables; i++) {
+        const record = 44 + i * 20;
+        const tag = buffer.toString('latin1', record, record + 4);
+        const offset = buffer.readUInt32BE(record + 4);
+        const compLength = buffer.readUInt32BE(record + 8);
+        const origLength = buffer.readUInt32BE(record + 12);
+        const data = buffer.subarray(offset, offset + compLength);
+        tables.set(tag, compLength < origLength ? inflateSync(data) : data);
+    }
+
+    const metaOffset = buffer.readUInt32BE(24);
+    const metaLength = buffer.readUInt32BE(28);
+    const metadata = metaOffset && metaLength
+        ? inflateSync(buffer.subarray(metaOffset, metaOffset + metaLength)).toString('utf8')
+        : null;
+
+    return { container: 'woff', tables, metadata };
+}
+
+function readWoff2(buffer) {
+    if (buffer.toString('latin1', 4, 8) === 'ttcf') {
+        throw new Error('WOFF2 font collections are not supported');
+    }
+
+    const numTables = buffer.readUInt16BE(12);
+    const totalCompressedSize = buffer.readUInt32BE(20);
+    let position = 48;
+
+    const readBase128 = () => {
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+            const byte = buffer[position++];
+            value = value * 128 + (byte & 0x7F);
+            if (!(byte & 0x80)) return value;
+        }
+        throw new Error('Invalid UIntBase128 in WOFF2 table directory');
+    };
+
+    const directory = [];
+    for (let i = 0; i < numTables; i++) {
+        const flags = buffer[position++];
+        let tag = WOFF2_KNOWN_TAGS[flags & 0x3F];
+        if ((flags & 0x3F) === 63) {
+            tag = buffer.toString('latin1', position, position + 4);
+            position += 4;
+        }
+        const transformVersion = flags >> 6;
+        const origLength = readBase128();
+        // glyf and loca are transformed unless version 3; every other table only for versions other than 0
+        const transformed = (tag === 'glyf' || tag === 'loca') ? transformVersion !== 3 : transformVersion !== 0;
+        const length = transformed ? readBase128() : origLength;
+        directory.push({ tag, length });
+    }
+
+    const stream = brotliDecompressSync(buffer.subarray(position, position + totalCompressedSize));
+    const tables = new Map();
+    let offset = 0;
+    for (const { tag, length } of directory) {
+        tables.set(tag, stream.subarray(offset, offset + length));
+        offset += length;
+    }
+
+    const metaOffset = buffer.readUInt32BE(28);
+    const metaLength = buffer.readUInt32BE(32);
+    const metadata = metaOffset && metaLength
+        ? brotliDecompressSync(buffer.subarray(metaOffset, metaOffset + metaLength)).toString('utf8')
+        : null;
+
+    return { container: 'woff2', tables, metadata };
+}
+
+/**
+ * name table records, preferring Windows English, then any Unicode or Mac Roman string
+ * @returns {Map<number, string>} nameID -> string
+ */
+function readNames(table) {
+    const names = new Map();
+    if (!table) return names;
+
+    const count = table.readUInt16BE(2);
+    const storage = table.readUInt16BE(4);
+    const candidates = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const platformId = table.readUInt16BE(record);
+        const encodingId = table.readUInt16BE(record + 2);
+        const languageId = table.readUInt16BE(record + 4);
+        const nameId = table.readUInt16BE(record + 6);
+        const length = table.readUInt16BE(record + 8);
+        const offset = storage + table.readUInt16BE(record + 10);
+        const raw = table.subarray(offset, offset + length);
+
+        let value;
+        let rank;
+        if (platformId === 3 || platformId === 0) {
+            // UTF-16BE
+            value = Buffer.from(raw).swap16().toString('utf16le');
+            rank = platformId === 3 && languageId === 0x409 ? 0 : 1;
+        } else if (platformId === 1 && encodingId === 0) {
+            value = raw.toString('latin1');
+            rank = 2;
+        } else {
+            continue;
+        }
+
+        const current = candidates.get(nameId);
+        if (!current || rank < current.rank) {
+            candidates.set(nameId, { value: value.trim(), rank });
+        }
+    }
+
+    candidates.forEach(({ value }, nameId) => names.set(nameId, value));
+    return names;
+}
+
+// fsType precedence: the least restrictive bit set wins
+function readEmbedding(fsType) {
+    let permission = 'installable';
+    if (fsType & 0x0008) permission = 'editable';
+    else if (fsType & 0x0004) permission = 'preview-and-print';
+    else if (fsType & 0x0002) permission = 'restricted';
+    return {
+        fsType,
+        permission,
+        noSubsetting: Boolean(fsType & 0x0100),
+        bitmapOnly: Boolean(fsType & 0x0200)
+    };
+}
+
+/**
+ * Code point ranges mapped to a real glyph, from the best Unicode cmap subtable
+ * @returns {Array<[number, number]>} Sorted, merged [start, end] pairs
+ */
+function readCmapRanges(table) {
+    if (!table) return [];
+
+    const numTables = table.readUInt16BE(2);
+    const subtables = [];
+    for (let i = 0; i < numTables; i++) {
+        const record = 4 + i * 8;
+        const platformId = table.readUInt16BE(record);
+        const encodingId = table.readUInt16BE(record + 2);
+        const offset = table.readUInt32BE(record + 4);
+        const unicode = platformId === 0 || (platformId === 3 && (encodingId === 1 || encodingId === 10 || encodingId === 0));
+        if (unicode) {
+            subtables.push({ offset, format: table.readUInt16BE(offset) });
+        }
+    }
+
+    const points = [];
+    const full = subtables.find(subtable => subtable.format === 12);
+    const bmp = subtables.find(subtable => subtable.format === 4);
+
+    if (full) {
+        const numGroups = table.readUInt32BE(full.offset + 12);
+        for (let i = 0; i < numGroups; i++) {
+            const group = full.offset + 16 + i * 12;
+            const start = table.readUInt32BE(group);
+            const end = table.readUInt32BE(group + 4);
+            const startGlyph = table.readUInt32BE(group + 8);
+            // A group starting at glyph 0 maps its first code point to .notdef
+            points.push([startGlyph === 0 ? start + 1 : start, end]);
+        }
+    } else if (bmp) {
+        const base = bmp.offset;
+        const segCount = table.readUInt16BE(base + 6) / 2;
+        const endCodes = base + 14;
+        const startCodes = endCodes + segCount * 2 + 2;
+        const idDeltas = startCodes + segCount * 2;
+        const idRangeOffsets = idDeltas + segCount * 2;
+
+        for (let segment = 0; segment < segCount; segment++) {
+            const end = table.readUInt16BE(endCodes + segment * 2);
+            const start = table.readUInt16BE(startCodes + segment * 2);
+            const delta = table.readUInt16BE(idDeltas + segment * 2);
+            const rangeOffsetPosition = idRangeOffsets + segment * 2;
+            const rangeOffset = table.readUInt16BE(rangeOffsetPosition);
+            if (start === 0xFFFF) continue;
+
+            for (let code = start; code <= end; code++) {
+                let glyph;
+                if (rangeOffset === 0) {
+                    glyph = (code + delta) & 0xFFFF;
+                } else {
+                    const glyphPosition = rangeOffsetPosition + rangeOffset + (code - start) * 2;
+                    if (glyphPosition + 2 > table.length) continue;
+                    glyph = table.readUInt16BE(glyphPosition);
+                    if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+                }
+                if (glyph !== 0) points.push([code, code]);
+            }
+        }
+    }
+
+    points.sort((a, b) => a[0] - b[0]);
+    const ranges = [];
+    for (const [start, end] of points) {
+        if (start > end) continue;
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last[1] + 1) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            ranges.push([start, end]);
+        }
+    }
+    return ranges;
+}
+
+function formatCodePoint(code) {
+    return `U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function summarizeUnicode(ranges) {
+    const codePoints = ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0);
+    const blocks = UNICODE_BLOCKS.map(([name, blockStart, blockEnd]) => {
+        let covered = 0;
+        for (const [start, end] of ranges) {
+            const overlap = Math.min(end, blockEnd) - Math.max(start, blockStart) + 1;
+            if (overlap > 0) covered += overlap;
+        }
+        const size = blockEnd - blockStart + 1;
+        return { name, range: `${formatCodePoint(blockStart)}-${formatCodePoint(blockEnd).slice(2)}`, covered, size, percent: Math.round((covered / size) * 1000) / 10 };
+    }).filter(block => block.covered > 0);
+
+    return {
+        codePoints,
+        ranges: ranges.slice(0, MAX_RANGES).map(([start, end]) => start === end ? formatCodePoint(start) : `${formatCodePoint(start)}-${formatCodePoint(end).slice(2)}`),
+        ...(ranges.length > MAX_RANGES && { rangesTruncated: ranges.length }),
+        blocks
+    };
+}
+
+/**
+ * Variable font axes and named instances from the fvar table
+ * @returns {{axes: Object[], instances: Object[]}|null}
+ */
+function readVariations(table, names) {
+    if (!table) return null;
+
+    const fixed = (offset) => Math.round((table.readInt32BE(offset) / 65536) * 1000) / 1000;
+    const axesOffset = table.readUInt16BE(4);
+    const axisCount = table.readUInt16BE(8);
+    const axisSize = table.readUInt16BE(10);
+    const instanceCount = table.readUInt16BE(12);
+    const instanceSize = table.readUInt16BE(14);
+
+    const axes = [];
+    for (let i = 0; i < axisCount; i++) {
+        const record = axesOffset + i * axisSize;
+        const nameId = table.readUInt16BE(record + 18);
+        axes.push({
+            tag: table.toString('latin1', record, record + 4),
+            name: names.get(nameId) ?? null,
+            min: fixed(record + 4),
+            default: fixed(record + 8),
+            max: fixed(record + 12),
+            ...(table.readUInt16BE(record + 16) & 0x0001 && { hidden: true })
+        });
+    }
+
+    const instances = [];
+    const instancesOffset = axesOffset + axisCount * axisSize;
+    for (let i = 0; i < instanceCount; i++) {
+        const record = instancesOffset + i * instanceSize;
+        const coordinates = {};
+        axes.forEach((axis, index) => {
+            coordinates[axis.tag] = fixed(record + 4 + index * 4);
+        });
+        instances.push({ name: names.get(table.readUInt16BE(record)) ?? null, coordinates });
+    }
+
+    return { axes, instances };
+}
+
+// Vendor and license from WOFF extended metadata (XML)
+function readMetadata(xml) {
+    if (!xml) return null;
+    const attribute = (element, name) => new RegExp(`<${element}\\b[^>]*\\b${name}="([^"]*)"`, 'i').exec(xml)?.[1] ?? null;
+    const licenseText = /<license\b[^>]*>[\s\S]*?<text\b[^>]*>([\s\S]*?)<\/text>/i.exec(xml)?.[1]?.trim() ?? null;
+    return {
+        vendor: attribute('vendor', 'name'),
+        vendorUrl: attribute('vendor', 'url'),
+        licenseUrl: attribute('license', 'url'),
+        licenseText
+    };
+}
+
+/**
+ * Metadata of a font file
+ * @param {Buffer} buffer - Contents of a .woff2, .woff, .ttf, .otf or .ttc file
+ * @returns {Object} { container, outlines, family, subfamily, fullName, postScriptName, version, names,
+ *   vendor: {id, name, url}, license: {text, url, copyright, trademark, knownLicense, embedding, reuse},
+ *   weightClass, widthClass, unitsPerEm, glyphCount, unicode: {codePoints, ranges, blocks}, variable: {axes, instances}|null,
+ *   collection?: {fonts, fullNames} }
+ *   license.reuse is a hint, not legal advice: 'open-license', 'restricted-embedding' or 'check-license'
+ */
+function parseFontFile(buffer) {
+    const { container, tables, metadata, collectionFonts } = readTables(buffer);
+
+    const nameIds = readNames(tables.get('name'));
+    const names = {};
+    Object.entries(NAME_IDS).forEach(([id, key]) => {
+        if (nameIds.has(Number(id))) names[key] = nameIds.get(Number(id));
+    });
+
+    const os2 = tables.get('OS/2');
+    const head = tables.get('head');
+    const maxp = tables.get('maxp');
+    const woffMetadata = readMetadata(metadata);
+
+    const embedding = os2 && os2.length >= 10 ? readEmbedding(os2.readUInt16BE(8)) : null;
+    const vendorId = os2 && os2.length >= 62 ? os2.toString('latin1', 58, 62).replace(/[\0 ]+$/, '') : null;
+
+    const licenseText = names.license ?? woffMetadata?.licenseText ?? null;
+    const licenseUrl = names.licenseUrl ?? woffMetadata?.licenseUrl ?? null;
+    const licenseSource = [licenseText, licenseUrl, names.copyright].filter(Boolean).join('\n');
+    const knownLicense = OPEN_LICENSES.find(({ pattern }) => pattern.test(licenseSource))?.id ?? null;
+
+    let reuse = 'check-license';
+    if (knownLicense) reuse = 'open-license';
+    else if (embedding?.permission === 'restricted') reuse = 'restricted-embedding';
+
+    const variable = readVariations(tables.get('fvar'), nameIds);
+
+    return {
+        container,
+        outlines: tables.has('CFF2') || tables.has('CFF ') ? 'cff' : (tables.has('glyf') ? 'truetype' : 'other'),
+        family: names.typographicFamily ?? names.family ?? null,
+        subfamily: names.typographicSubfamily ?? names.subfamily ?? null,
+        fullName: names.fullName ?? null,
+        postScriptName: names.postScriptName ?? null,
+        version: names.version ?? null,
+        names,
+        vendor: {
+            id: vendorId || null,
+            name: names.manufacturer ?? woffMetadata?.vendor ?? null,
+            url: names.vendorUrl ?? woffMetadata?.vendorUrl ?? null
+        },
+        license: {
+            text: licenseText,
+            url: licenseUrl,
+            copyright: names.copyright ?? null,
+            trademark: names.trademark ?? null,
+            knownLicense,
+            embedding,
+            reuse
+        },
+        weightClass: os2 && os2.length >= 6 ? os2.readUInt16BE(4) : null,
+        widthClass: os2 && os2.length >= 8 ? os2.readUInt16BE(6) : null,
+        unitsPerEm: head && head.length >= 20 ? head.readUInt16BE(18) : null,
+        glyphCount: maxp && maxp.length >= 6 ? maxp.readUInt16BE(4) : null,
+        unicode: summarizeUnicode(readCmapRanges(tables.get('cmap'))),
+        variable,
+        ...(collectionFonts && {
+            collection: {
+                fonts: collectionFonts.length,
+                fullNames: collectionFonts.map(fontTables => readNames(fontTables.get('name')).get(4) ?? null)
+            }
+        })
+    };
+}
+
+export { parseFontFile };
@@ -0,0 +1,262 @@
+/**
+ * Layout Snapshot
+ * A per-element record of how the page is laid out at one viewport size, keyed by a stable
+ * DOM path so the same element can be matched up across widths
+ *
+ * Each element records its box plus a discrete layout state: visibility, display, position,
+ * float, flex direction/wrap, grid column count, and whether it sits beside or below its
+ * previous visible sibling. Only the state goes into the fingerprint - boxes of fluid layouts
+ * change at every pixel, the state only changes where the layout actually switches.
+ * Optionally, computed style values are recorded too, for a full before/after comparison.
+ *
+ * Usage:
+ *   const snapshot = await page.evaluate(captureLayoutSnapshot, 2000);
+ *   if (fingerprintLayout(a) !== fingerprintLayout(b)) diffLayoutSnapshots(a, b);
+ *
+ *   const detailed = await page.evaluate(captureLayoutSnapshot, 2000, ['fontSize', 'gap']);
+ *   diffLayoutSnapshots(a, b, { moveThreshold: 2 });  // also style changes, moves and resizes
+ */
+
+/**
+ * Runs in the page (pass to page.evaluate). Must stay self-contained.
+ * @param {number} maxElements - Stop after this many elements (document order)
+ * @param {string[]} [styleProperties=[]] - Computed style properties to record (camelCase, e.g. 'fontSize')
+ * @returns {{width: number, height: number, scrollWidth: number, scrollHeight: number, elements: Object}}
+ *   elements = { [path]: { label, parent, box: {x, y, width, height}, state, styles? } } in document order
+ */
+function captureLayoutSnapshot(maxElements, styleProperties = []) {
+    const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE', 'BR', 'WBR']);
+    const paths = new Map([[document.body, 'body']]);
+    const rects = new Map();
+    const elements = {};
+    let count = 0;
+
+    // #id when the id is unique, else the parent's path plus tag and :nth-of-type when needed
+    const pathOf = (element) => {
+        if (paths.has(element)) return paths.get(element);
+        let path;
+        if (element.id && document.getElementById(element.id) === element && !/\s/.test(element.id)) {
+            path = `#${element.id}`;
+        } else {
+            const tag = element.tagName.toLowerCase();
+            const parent = element.parentElement;
+            const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === element.tagName) : [];
+            const position = sameTag.length > 1 ? `:nth-of-type(${sameTag.indexOf(element) + 1})` : '';
+            path = `${parent ? pathOf(parent) : ''} > ${tag}${position}`;
+        }
+        paths.set(element, path);
+        return path;
+    };
+
+    const labelOf = (element) => {
+        const tag = element.tagName.toLowerCase();
+        if (element.id) return `${tag}#${element.id}`;
+        const classes = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+        return classes.length ? `${tag}.${classes.slice(0, 2).join('.')}` : tag;
+    };
+
+    // Tracks in a computed grid-template-columns value ("200px 200px [end] 200px" -> 3)
+    const countTracks = (value) => {
+        if (!value || value === 'none') return 0;
+        return value.replace(/\[[^\]]*\]/g, ' ').replace(/\([^)]*\)/g, '()').trim().split(/\s+/).filter(Boolean).length;
+    };
+
+    const all = document.body ? document.body.querySelectorAll('*') : [];
+    for (const element of all) {
+        if (count >= maxElements) break;
+        if (SKIPPED_TAGS.has(element.tagName)) continue;
+        // Shapes inside an <svg> follow the svg element itself
+        if (element.ownerSVGElement) continue;
+        count++;
+
+        const style = window.getComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        const visible = style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+
+        const state = {
+            visible,
+            display: style.display,
+            position: style.position,
+            float: style.float
+        };
+        if (style.display.includes('flex')) {
+            state.flexDirection = style.flexDirection;
+            state.flexWrap = style.flexWrap;
+        }
+        if (style.display.includes('grid')) {
+            state.gridColumns = countTracks(style.gridTemplateColumns);
+        }
+
+        if (visible) {
+            let previous = element.previousElementSibling;
+            while (previous && !rects.has(previous)) {
+                previous = previous.previousElementSibling;
+            }
+            if (previous) {
+                const previousRect = rects.get(previous);
+                state.flow = rect.top >= previousRect.bottom - 1 ? 'below' : 'beside';
+            }
+            rects.set(element, rect);
+        }
+
+        const entry = {
+            label: labelOf(element),
+            parent: element.parentElement ? pathOf(element.parentElement) : null,
+            box: {
+                x: Math.round(rect.left + window.scrollX),
+                y: Math.round(rect.top + window.scrollY),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            },
+            state
+        };
+        if (styleProperties.length > 0) {
+            entry.styles = Object.fromEntries(styleProperties.map(name => [name, style[name]]));
+        }
+        elements[pathOf(element)] = entry;
+    }
+
+    return {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        scrollWidth: document.documentElement.scrollWidth,
+        scrollHeight: document.documentElement.scrollHeight,
+        elements
+    };
+}
+
+/**
+ * One string that changes only when some element's layout state changes
+ * @param {Object} snapshot - captureLayoutSnapshot() result
+ * @returns {string}
+ */
+function fingerprintLayout(snapshot) {
+    return Object.entries(snapshot.elements)
+        .map(([path, { state }]) => `${path}=${JSON.stringify(state)}`)
+        .join('\n');
+}
+
+/**
+ * Whether two computed values are the same up to `tolerance` px in each number
+ * ("300px 300px" vs "299.5px 299.5px" is the same at tolerance 1: fluid scaling, not a change)
+ */
+function sameValue(a, b, tolerance) {
+    if (a === b) return true;
+    if (!tolerance || typeof a !== 'string' || typeof b !== 'string') return false;
+
+    const NUMBER = /-?\d*\.?\d+(?:e-?\d+)?/gi;
+    if (a.replace(NUMBER, '#') !== b.replace(NUMBER, '#')) return false;
+    const numbersA = a.match(NUMBER) || [];
+    const numbersB = b.match(NUMBER) || [];
+    return numbersA.every((number, index) => Math.abs(Number(number) - Number(numbersB[index])) <= tolerance);
+}
+
+// Box relative to the parent's box, so elements that only move along with their parent are not reported
+function relativeBox(snapshot, entry) {
+    const parentBox = snapshot.elements[entry.parent]?.box ?? { x: 0, y: 0 };
+    return { x: entry.box.x - parentBox.x, y: entry.box.y - parentBox.y, width: entry.box.width, height: entry.box.height };
+}
+
+/**
+ * Elements whose layout differs between two snapshots. An element that only appears or
+ * disappears because an ancestor did is left out, so a collapsing menu is one change, not fifty.
+ * @param {Object} before - Snapshot at the smaller width
+ * @param {Object} after - Snapshot at the larger width
+ * @param {Object} [options]
+ * @param {number} [options.moveThreshold] - Also report elements that moved (relative to their parent) or
+ *   were resized by more than this many px (default: boxes are not compared)
+ * @param {number} [options.tolerance=1] - Numeric differences up to this many px in recorded styles are ignored
+ * @returns {Array<{element: string, label: string, change: string, properties: Object}>}
+ *   change is 'appeared', 'disappeared', 'added', 'removed' (not in the DOM at the other width), 'changed',
+ *   'moved' or 'resized'; properties = { [name]: { from, to } }; moved/resized entries (and changed
+ *   elements that also moved) carry `moved: {from, to}` / `resized: {from, to}`
+ */
+function diffLayoutSnapshots(before, after, options = {}) {
+    const { moveThreshold = null, tolerance = 1 } = options;
+    const changes = [];
+    const toggled = new Set();
+    const paths = new Set([...Object.keys(before.elements), ...Object.keys(after.elements)]);
+
+    for (const path of paths) {
+        const old = before.elements[path];
+        const current = after.elements[path];
+
+        if (!old || !current) {
+            const entry = old ?? current;
+            toggled.add(path);
+            if (!toggled.has(entry.parent)) {
+                changes.push({ element: path, label: entry.label, change: old ? 'removed' : 'added', properties: {} });
+            }
+            continue;
+        }
+
+        const properties = {};
+        for (const name of new Set([...Object.keys(old.state), ...Object.keys(current.state)])) {
+            if (old.state[name] !== current.state[name]) {
+                properties[name] = { from: old.state[name] ?? null, to: current.state[name] ?? null };
+            }
+        }
+        for (const name of Object.keys(current.styles || {})) {
+            if (!(name in properties) && !sameValue(old.styles?.[name], current.styles[name], tolerance)) {
+                properties[name] = { from: old.styles?.[name] ?? null, to: current.styles[name] };
+            }
+        }
+
+        const geometry = {};
+        if (moveThreshold !== null && old.state.visible && current.state.visible) {
+            const from = relativeBox(before, old);
+            const to = relativeBox(after, current);
+            if (Math.abs(from.x - to.x) > moveThreshold || Math.abs(from.y - to.y) > moveThreshold) {
+                geometry.moved = { from: { x: from.x, y: from.y }, to: { x: to.x, y: to.y } };
+            }
+            if (Math.abs(from.width - to.width) > moveThreshold || Math.abs(from.height - to.height) > moveThreshold) {
+                geometry.resized = { from: { width: from.width, height: from.height }, to: { width: to.width, height: to.height } };
+            }
+        }
+
+        if (Object.keys(properties).length === 0) {
+            if (geometry.moved || geometry.resized) {
+                changes.push({ element: path, label: current.label, change: geometry.moved ? 'moved' : 'resized', properties, ...geometry });
+            }
+            continue;
+        }
+
+        if (properties.visible) {
+            toggled.add(path);
+            // Descendants of an element that was hidden or shown are hidden or shown with it
+            if (toggled.has(current.parent)) continue;
+        }
+
+        changes.push({
+            element: path,
+            label: current.label,
+            change: properties.visible ? (current.state.visible ? 'appeared' : 'disappeared') : 'changed',
+            properties,
+            ...geometry
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * One-line description of a layout change, e.g. "nav.menu: flexDirection row → column"
+ * @param {Object} change - diffLayoutSnapshots() entry
+ * @returns {string}
+ */
+function describeLayoutChange(change) {
+    if (change.change === 'moved' || change.change === 'resized') {
+        const { from, to } = change.moved ?? change.resized;
+        const [a, b] = change.moved ? ['x', 'y'] : ['width', 'height'];
+        return `${change.label}: ${change.change} ${from[a]},${from[b]} → ${to[a]},${to[b]}`;
+    }
+    if (change.change !== 'changed') {
+        return `${change.label}: ${change.change}`;
+    }
+    const details = Object.entries(change.properties)
+        .map(([name, { from, to }]) => `${name} ${from ?? '-'} → ${to ?? '-'}`)
+        .join(', ');
+    return `${change.label}: ${details}`;
+}
+
+export { captureLayoutSnapshot, fingerprintLayout, diffLayoutSnapshots, describeLayoutChange };
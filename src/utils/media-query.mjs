@@ -0,0 +1,457 @@
+/**
+ * Media Query Parser
+ * Turns a media query list into the viewport widths and heights it matches, plus the
+ * non-size features it depends on
+ *
+ * Built on css-tree's media query AST, so `em`/`rem`, the range syntax
+ * `(768px <= width < 1024px)`, `and`/`or`/`not` and comma-separated lists are all handled.
+ * Each query list becomes a set of clauses (one per alternative): a width interval and a
+ * height interval in px, the media type, and feature conditions such as
+ * `prefers-color-scheme: dark` or `hover: hover`, classified by category.
+ *
+ * Usage:
+ *   const query = parseMediaQuery('screen and (min-width: 48em) and (max-width: 1023.98px)');
+ *   query.width        // { min: 768, max: 1023.98, minInclusive: true, maxInclusive: true }
+ *   query.kind         // 'dimension'
+ *   formatInterval(query.width)  // '768px ≤ width ≤ 1023.98px'
+ *   switchWidths(query.width)    // [768, 1024]
+ *
+ *   parseContainerQuery('sidebar (inline-size > 30em)')  // { name: 'sidebar', width: { min: 480, ... }, ... }
+ */
+
+import * as csstree from 'css-tree';
+
+// CSS px per unit. em and rem in media queries are relative to the initial font size (16px),
+// not to the page's root font size
+const LENGTH_UNITS = {
+    px: 1,
+    em: 16,
+    rem: 16,
+    in: 96,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    q: 96 / 101.6,
+    pt: 96 / 72,
+    pc: 16
+};
+
+// inline-size/block-size only occur in container queries (horizontal writing mode assumed)
+const SIZE_FEATURES = {
+    'width': 'width',
+    'device-width': 'width',
+    'inline-size': 'width',
+    'height': 'height',
+    'device-height': 'height',
+    'block-size': 'height'
+};
+
+const FEATURE_CATEGORIES = {
+    'orientation': 'shape',
+    'aspect-ratio': 'shape',
+    'device-aspect-ratio': 'shape',
+    'resolution': 'resolution',
+    'device-pixel-ratio': 'resolution',
+    'hover': 'input',
+    'any-hover': 'input',
+    'pointer': 'input',
+    'any-pointer': 'input',
+    'prefers-color-scheme': 'preference',
+    'prefers-reduced-motion': 'preference',
+    'prefers-contrast': 'preference',
+    'prefers-reduced-transparency': 'preference',
+    'prefers-reduced-data': 'preference',
+    'forced-colors': 'preference',
+    'inverted-colors': 'preference',
+    'color': 'display',
+    'color-index': 'display',
+    'color-gamut': 'display',
+    'monochrome': 'display',
+    'dynamic-range': 'display',
+    'display-mode': 'display',
+    'update': 'display',
+    'scan': 'display',
+    'grid': 'display',
+    'overflow-block': 'display',
+    'overflow-inline': 'display',
+    'scripting': 'other',
+    'style': 'style'
+};
+
+const FLIPPED_COMPARISONS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' };
+
+// Keeps `not` over long `or` chains from producing an unbounded number of clauses
+const MAX_CLAUSES = 64;
+
+const UNBOUNDED = { min: null, max: null, minInclusive: true, maxInclusive: true };
+
+/**
+ * A length in px (px, em, rem, absolute units, and calc() sums of those)
+ * @returns {number|null} null when it depends on something else (vw, env(), ...)
+ */
+function toPx(node) {
+    if (!node) return null;
+    if (node.type === 'Dimension') {
+        const factor = LENGTH_UNITS[node.unit.toLowerCase()];
+        return factor ? round(Number(node.value) * factor) : null;
+    }
+    if (node.type === 'Number') {
+        return Number(node.value) === 0 ? 0 : null;
+    }
+    if (node.type === 'Function' && node.name.toLowerCase() === 'calc') {
+        let total = 0;
+        let sign = 1;
+        for (const child of node.children) {
+            if (child.type === 'Operator') {
+                const operator = child.value.trim();
+                if (operator !== '+' && operator !== '-') return null;
+                sign = operator === '-' ? -1 : 1;
+                continue;
+            }
+            const value = toPx(child);
+            if (value === null) return null;
+            total += sign * value;
+        }
+        return round(total);
+    }
+    return null;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/** Feature name without vendor prefix and min-/max- (`-webkit-min-device-pixel-ratio` -> `device-pixel-ratio`) */
+function baseFeatureName(name) {
+    return name.toLowerCase().replace(/^-[a-z]+-/, '').replace(/^(min|max)-/, '');
+}
+
+function categorize(name) {
+    const base = baseFeatureName(name);
+    return SIZE_FEATURES[base] ?? FEATURE_CATEGORIES[base] ?? 'other';
+}
+
+function intersectIntervals(a, b) {
+    const result = { ...a };
+    if (b.min !== null && (result.min === null || b.min > result.min || (b.min === result.min && !b.minInclusive))) {
+        result.min = b.min;
+        result.minInclusive = b.minInclusive;
+    }
+    if (b.max !== null && (result.max === null || b.max < result.max || (b.max === result.max && !b.maxInclusive))) {
+        result.max = b.max;
+        result.maxInclusive = b.maxInclusive;
+    }
+    return result;
+}
+
+function isEmptyInterval(interval) {
+    if (interval.min === null || interval.max === null) return false;
+    return interval.min > interval.max || (interval.min === interval.max && !(interval.minInclusive && interval.maxInclusive));
+}
+
+// Widths outside the interval: up to two intervals (none when it is unbounded)
+function complementInterval(interval) {
+    const parts = [];
+    if (interval.min !== null) {
+        parts.push({ ...UNBOUNDED, max: interval.min, maxInclusive: !interval.minInclusive });
+    }
+    if (interval.max !== null) {
+        parts.push({ ...UNBOUNDED, min: interval.max, minInclusive: !interval.maxInclusive });
+    }
+    return parts;
+}
+
+function rangeInterval(comparison, value) {
+    switch (comparison) {
+        case '>': return { ...UNBOUNDED, min: value, minInclusive: false };
+        case '>=': return { ...UNBOUNDED, min: value };
+        case '<': return { ...UNBOUNDED, max: value, maxInclusive: false };
+        case '<=': return { ...UNBOUNDED, max: value };
+        default: return { ...UNBOUNDED, min: value, max: value };
+    }
+}
+
+/**
+ * Atoms are the leaves of a condition: { kind: 'width'|'height', interval },
+ * { kind: 'feature', name, value, negated } or { kind: 'type', name, negated }
+ */
+function featureAtom(node) {
+    const name = node.name.toLowerCase();
+    const prefix = name.match(/^(min|max)-/)?.[1] ?? null;
+    const dimension = SIZE_FEATURES[name.replace(/^(min|max)-/, '')];
+
+    if (dimension) {
+        // (width) on its own is true for any non-zero width
+        if (!node.value) return { kind: dimension, interval: { ...UNBOUNDED, min: 0, minInclusive: false } };
+        const px = toPx(node.value);
+        if (px !== null) {
+            const comparison = prefix === 'min' ? '>=' : prefix === 'max' ? '<=' : '=';
+            return { kind: dimension, interval: rangeInterval(comparison, px) };
+        }
+    }
+
+    return {
+        kind: 'feature',
+        name,
+        value: node.value ? csstree.generate(node.value) : null,
+        negated: false
+    };
+}
+
+function featureRangeAtoms(node) {
+    // `width >= 600px`, `600px < width` or `400px <= width < 800px`
+    const featureOnLeft = node.left.type === 'Identifier';
+    const name = (featureOnLeft ? node.left : node.middle).name.toLowerCase();
+    const dimension = SIZE_FEATURES[name];
+
+    const constraints = featureOnLeft
+        ? [[node.leftComparison, node.middle]]
+        : [[FLIPPED_COMPARISONS[node.leftComparison], node.left], ...(node.right ? [[node.rightComparison, node.right]] : [])];
+
+    if (dimension) {
+        const values = constraints.map(([comparison, value]) => [comparison, toPx(value)]);
+        if (values.every(([, px]) => px !== null)) {
+            return values.map(([comparison, px]) => ({ kind: dimension, interval: rangeInterval(comparison, px) }));
+        }
+    }
+
+    return [{ kind: 'feature', name, value: csstree.generate(node), negated: false }];
+}
+
+// Disjunctive normal form: an array of clauses (OR), each an array of atoms (AND)
+function andDnf(a, b) {
+    const result = [];
+    for (const left of a) {
+        for (const right of b) {
+            result.push([...left, ...right]);
+            if (result.length >= MAX_CLAUSES) return result;
+        }
+    }
+    return result;
+}
+
+function negateAtom(atom) {
+    if (atom.kind === 'width' || atom.kind === 'height') {
+        return complementInterval(atom.interval).map(interval => [{ kind: atom.kind, interval }]);
+    }
+    return [[{ ...atom, negated: !atom.negated }]];
+}
+
+// not (C1 or C2) = not C1 and not C2; not (a and b) = not a or not b
+function negateDnf(dnf) {
+    return dnf.reduce((result, clause) => andDnf(result, clause.flatMap(negateAtom)), [[]]);
+}
+
+function conditionToDnf(node) {
+    switch (node.type) {
+        case 'Feature':
+            return [[featureAtom(node)]];
+        case 'FeatureRange':
+            return [featureRangeAtoms(node)];
+        case 'FeatureFunction':
+            // Container style queries: style(--compact: true)
+            return [[{ kind: 'feature', name: node.feature.toLowerCase(), value: csstree.generate(node.value), negated: false }]];
+        case 'Condition': {
+            const children = node.children.toArray();
+            if (children[0]?.type === 'Identifier' && children[0].name.toLowerCase() === 'not') {
+                return negateDnf(conditionToDnf(children[1]));
+            }
+            const terms = children.filter(child => child.type !== 'Identifier').map(conditionToDnf);
+            const isOr = children.some(child => child.type === 'Identifier' && child.name.toLowerCase() === 'or');
+            return isOr
+                ? terms.flat().slice(0, MAX_CLAUSES)
+                : terms.reduce(andDnf, [[]]);
+        }
+        default:
+            // GeneralEnclosed: syntax this parser (or the browser) does not understand
+            return [[{ kind: 'feature', name: csstree.generate(node), value: null, negated: false }]];
+    }
+}
+
+function mediaQueryToDnf(node) {
+    const type = node.mediaType?.toLowerCase();
+    const typeDnf = type && type !== 'all' ? [[{ kind: 'type', name: type, negated: false }]] : [[]];
+    const dnf = andDnf(typeDnf, node.condition ? conditionToDnf(node.condition) : [[]]);
+    return node.modifier === 'not' ? negateDnf(dnf) : dnf;
+}
+
+/**
+ * Collapse a clause's atoms into intervals and feature lists
+ * @returns {Object|null} null when the clause can never match
+ */
+function simplifyClause(atoms) {
+    const clause = { mediaType: null, width: null, height: null, features: [] };
+    const excludedTypes = new Set();
+
+    for (const atom of atoms) {
+        if (atom.kind === 'width' || atom.kind === 'height') {
+            clause[atom.kind] = intersectIntervals(clause[atom.kind] ?? UNBOUNDED, atom.interval);
+            if (isEmptyInterval(clause[atom.kind])) return null;
+        } else if (atom.kind === 'type') {
+            if (atom.negated) {
+                excludedTypes.add(atom.name);
+            } else if (clause.mediaType && clause.mediaType !== atom.name) {
+                return null;
+            } else {
+                clause.mediaType = atom.name;
+            }
+        } else if (!clause.features.some(feature => feature.name === atom.name && feature.value === atom.value && Boolean(feature.negated) === atom.negated)) {
+            clause.features.push({
+                name: atom.name,
+                value: atom.value,
+                category: categorize(atom.name),
+                ...(atom.negated && { negated: true })
+            });
+        }
+    }
+
+    if (clause.mediaType && excludedTypes.has(clause.mediaType)) return null;
+    if (excludedTypes.size > 0 && !clause.mediaType) {
+        clause.excludedMediaTypes = [...excludedTypes];
+    }
+    return clause;
+}
+
+// Smallest interval containing every clause's interval (null when some clause leaves it unconstrained)
+function hullOf(clauses, dimension) {
+    if (clauses.length === 0 || clauses.some(clause => !clause[dimension])) return null;
+    return clauses.map(clause => clause[dimension]).reduce((hull, interval) => ({
+        min: hull.min === null || interval.min === null ? null : Math.min(hull.min, interval.min),
+        max: hull.max === null || interval.max === null ? null : Math.max(hull.max, interval.max),
+        minInclusive: hull.min === interval.min ? hull.minInclusive || interval.minInclusive : (interval.min < hull.min ? interval.minInclusive : hull.minInclusive),
+        maxInclusive: hull.max === interval.max ? hull.maxInclusive || interval.maxInclusive : (interval.max > hull.max ? interval.maxInclusive : hull.maxInclusive)
+    }));
+}
+
+function classify(clauses, categories) {
+    if (clauses.length === 0) return 'never';
+    const sizes = categories.filter(category => category === 'width' || category === 'height');
+    if (sizes.length === categories.length) {
+        if (sizes.length > 0) return 'dimension';
+        return clauses.some(clause => clause.mediaType || clause.excludedMediaTypes) ? 'media-type' : 'always';
+    }
+    return sizes.length > 0 ? 'mixed' : 'feature';
+}
+
+// Parse errors are reported for alternatives the parser backtracks from too, so validity is
+// judged by what is left in the tree
+function isValidTree(ast) {
+    let valid = true;
+    csstree.walk(ast, node => {
+        if (node.type === 'GeneralEnclosed') valid = false;
+    });
+    return valid;
+}
+
+function mediaQueryListToDnf(text) {
+    try {
+        const ast = csstree.parse(text || 'all', { context: 'mediaQueryList' });
+        return { dnf: ast.children.toArray().flatMap(mediaQueryToDnf), valid: isValidTree(ast) };
+    } catch (error) {
+        return { dnf: [[{ kind: 'feature', name: text, value: null, negated: false }]], valid: false };
+    }
+}
+
+function describeDnf(text, dnf, valid) {
+    const clauses = dnf.map(simplifyClause).filter(Boolean);
+
+    const features = [];
+    clauses.forEach(clause => clause.features.forEach(feature => {
+        if (!features.some(known => known.name === feature.name && known.value === feature.value && known.negated === feature.negated)) {
+            features.push(feature);
+        }
+    }));
+
+    const categories = [...new Set([
+        ...(clauses.some(clause => clause.width) ? ['width'] : []),
+        ...(clauses.some(clause => clause.height) ? ['height'] : []),
+        ...features.map(feature => feature.category)
+    ])];
+
+    return {
+        text,
+        valid,
+        clauses,
+        width: hullOf(clauses, 'width'),
+        height: hullOf(clauses, 'height'),
+        features,
+        categories,
+        kind: classify(clauses, categories)
+    };
+}
+
+/**
+ * Parse a media query list (the text after `@media`)
+ * @param {string|string[]} text - e.g. `screen and (min-width: 48em)`, `(768px <= width < 1024px)`, `print, (hover: none)`;
+ *   an array for nested @media blocks, which all have to match (outermost first)
+ * @returns {Object} {
+ *   text, valid,
+ *   clauses: [{ mediaType, excludedMediaTypes?, width, height, features: [{ name, value, category, negated? }] }],
+ *   width, height - intervals { min, max, minInclusive, maxInclusive } in px covering every clause, or null when unconstrained,
+ *   features - feature conditions of all clauses,
+ *   categories - 'width', 'height' and the feature categories ('preference', 'input', 'shape', 'resolution', 'display', 'other'),
+ *   kind - 'dimension' (width/height only), 'feature' (no width/height), 'mixed', 'media-type', 'always' or 'never'
+ * }
+ */
+function parseMediaQuery(text) {
+    const texts = Array.isArray(text) ? text : [text];
+    const parsed = texts.map(mediaQueryListToDnf);
+    const dnf = parsed.map(part => part.dnf).reduce(andDnf, [[]]);
+    return describeDnf(text, dnf, parsed.every(part => part.valid));
+}
+
+/**
+ * Parse a container query (the text after `@container`)
+ * Sizes in em/rem are converted at 16px; in a container query em really follows the container's font size.
+ * @param {string} text - e.g. `sidebar (min-width: 400px)`, `(inline-size > 30em) and style(--compact: true)`
+ * @returns {Object} { name, ...parseMediaQuery() fields } - width/height are the container's size, not the viewport's
+ */
+function parseContainerQuery(text) {
+    try {
+        const ast = csstree.parse(text, { context: 'atrulePrelude', atrule: 'container' });
+        const children = ast.children.toArray();
+        const name = children.find(child => child.type === 'Identifier')?.name ?? null;
+        const condition = children.find(child => child.type === 'Condition');
+        const dnf = condition ? conditionToDnf(condition) : [[]];
+        return { name, ...describeDnf(text, dnf, isValidTree(ast)) };
+    } catch (error) {
+        return { name: null, ...describeDnf(text, [[{ kind: 'feature', name: text, value: null, negated: false }]], false) };
+    }
+}
+
+/**
+ * Human-readable interval, e.g. "768px ≤ width < 1024px" or "width ≥ 40px"
+ * @param {Object} interval - { min, max, minInclusive, maxInclusive }
+ * @param {string} [name='width']
+ * @returns {string}
+ */
+function formatInterval(interval, name = 'width') {
+    if (!interval) return `any ${name}`;
+    const { min, max, minInclusive, maxInclusive } = interval;
+    if (min !== null && min === max) return `${name} = ${min}px`;
+    if (min !== null && max !== null) {
+        return `${min}px ${minInclusive ? '≤' : '<'} ${name} ${maxInclusive ? '≤' : '<'} ${max}px`;
+    }
+    if (min !== null) return `${name} ${minInclusive ? '≥' : '>'} ${min}px`;
+    if (max !== null) return `${name} ${maxInclusive ? '≤' : '<'} ${max}px`;
+    return `any ${name}`;
+}
+
+/**
+ * Whole-pixel viewport sizes where an interval starts or stops matching: the first size inside
+ * it and the first size above it. `(max-width: 767.98px)` -> [768], `(min-width: 48em)` -> [768]
+ * @param {Object|null} interval
+ * @returns {number[]}
+ */
+function switchWidths(interval) {
+    if (!interval) return [];
+    const widths = [];
+    if (interval.min !== null && interval.min > 0) {
+        widths.push(interval.minInclusive ? Math.ceil(interval.min) : Math.floor(interval.min) + 1);
+    }
+    if (interval.max !== null) {
+        widths.push(interval.maxInclusive ? Math.floor(interval.max) + 1 : Math.ceil(interval.max));
+    }
+    return widths;
+}
+
+export { parseMediaQuery, parseContainerQuery, formatInterval, switchWidths, intersectIntervals, isEmptyInterval };
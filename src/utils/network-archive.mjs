@@ -0,0 +1,354 @@
+/**
+ * Network Archive
+ * Records every response of a page load to a HAR file, and replays it later without the network
+ *
+ * Usage:
+ *   // Record
+ *   const archive = createNetworkArchive({ record: 'snapshots/example.har' });
+ *   const session = createBrowserSession({ archive });
+ *   await analyzeResponsiveBehavior(url, { session, archive, cache: false });
+ *   await archive.save();
+ *   await session.close();
+ *
+ *   // Replay (no network access needed)
+ *   const archive = createNetworkArchive({ replay: 'snapshots/example.har' });
+ *   const session = createBrowserSession({ archive });
+ *
+ * The browser side uses Puppeteer request interception; `archive.fetch()` does the same for
+ * tools that download resources from Node (static CSS extraction, font downloads).
+ * Only the first response for each method + URL is kept, so repeated loads replay identically.
+ * Redirects are archived as their own 3xx entries: `fetch(url, { redirect: 'manual' })` gets each
+ * hop back, the default follows the chain through the archive like node-fetch does.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import nodeFetch, { Response, FetchError } from 'node-fetch';
+
+const HAR_VERSION = '1.2';
+
+// Same limit as node-fetch's `follow` default
+const MAX_REDIRECTS = 20;
+
+// Stored as readable text in the HAR; everything else is base64
+const TEXT_MIME = /^text\/|json|javascript|ecmascript|xml|css|svg/i;
+
+// Headers that describe the transfer, not the (already decoded) body we replay
+const TRANSFER_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+
+function entryKey(method, url) {
+    return `${method.toUpperCase()} ${url.split('#')[0]}`;
+}
+
+function toHarHeaders(headers) {
+    // Puppeteer joins repeated headers with newlines
+    return Object.entries(headers || {}).flatMap(([name, value]) =>
+        String(value).split('\n').map(line => ({ name, value: line })));
+}
+
+function fromHarHeaders(headers) {
+    const result = {};
+    for (const { name, value } of headers || []) {
+        const key = name.toLowerCase();
+        if (TRANSFER_HEADERS.has(key)) continue;
+        // Repeated headers (set-cookie, link) become arrays, which request.respond() sends separately
+        result[key] = result[key] === undefined ? value : [].concat(result[key], value);
+    }
+    return result;
+}
+
+function getHeader(headers, name) {
+    return headers?.find(header => header.name.toLowerCase() === name)?.value;
+}
+
+function toHarContent(body, mimeType) {
+    if (!body) {
+        return { size: 0, mimeType };
+    }
+    if (TEXT_MIME.test(mimeType)) {
+        return { size: body.length, mimeType, text: body.toString('utf8') };
+    }
+    return { size: body.length, mimeType, text: body.toString('base64'), encoding: 'base64' };
+}
+
+function getBody(entry) {
+    const { text, encoding } = entry.response.content || {};
+    if (!text) return Buffer.alloc(0);
+    return Buffer.from(text, encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * Build one HAR entry
+ * @returns {Object} HAR 1.2 entry
+ */
+function createHarEntry({ method, url, requestHeaders, postData, status, statusText, responseHeaders, body, startedAt }) {
+    const mimeType = responseHeaders['content-type'] || 'application/octet-stream';
+    const headers = toHarHeaders(responseHeaders);
+    const query = new URL(url).searchParams;
+
+    return {
+        startedDateTime: new Date(startedAt).toISOString(),
+        time: Date.now() - startedAt,
+        request: {
+            method,
+            url,
+            httpVersion: 'HTTP/1.1',
+            headers: toHarHeaders(requestHeaders),
+            queryString: Array.from(query, ([name, value]) => ({ name, value })),
+            cookies: [],
+            headersSize: -1,
+            bodySize: postData ? Buffer.byteLength(postData) : 0,
+            ...(postData ? { postData: { mimeType: requestHeaders['content-type'] || '', text: postData } } : {})
+        },
+        response: {
+            status,
+            statusText: statusText || '',
+            httpVersion: 'HTTP/1.1',
+            headers,
+            cookies: [],
+            content: toHarContent(body, mimeType),
+            redirectURL: getHeader(headers, 'location') || '',
+            headersSize: -1,
+            bodySize: body ? body.length : 0
+        },
+        cache: {},
+        timings: { send: 0, wait: Date.now() - startedAt, receive: 0 }
+    };
+}
+
+/**
+ * Read a HAR file
+ * @param {string} filePath
+ * @returns {Object[]} HAR entries
+ */
+function loadHar(filePath) {
+    const har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(har?.log?.entries)) {
+        throw new Error(`${filePath} is not a HAR archive (missing log.entries)`);
+    }
+    return har.log.entries;
+}
+
+/**
+ * Create an archive in record or replay mode
+ * @param {Object} options
+ * @param {string} [options.record] - HAR file to write (call save() when done)
+ * @param {string} [options.replay] - HAR file to serve responses from
+ * @returns {Object} Archive with mode, attach(page), fetch(url), save(), stats()
+ */
+function createNetworkArchive(options = {}) {
+    const { record = null, replay = null } = options;
+
+    if (Boolean(record) === Boolean(replay)) {
+        throw new Error('createNetworkArchive needs exactly one of `record` or `replay`');
+    }
+
+    const mode = record ? 'record' : 'replay';
+    const entries = new Map();
+    const misses = new Set();
+    const pending = new Set();
+
+    if (replay) {
+        for (const entry of loadHar(replay)) {
+            const key = entryKey(entry.request.method, entry.request.url);
+            if (!entries.has(key)) {
+                entries.set(key, entry);
+            }
+        }
+        console.log(`📼 Replaying ${entries.size} responses from ${replay}`);
+    }
+
+    function addEntry(entry) {
+        const key = entryKey(entry.request.method, entry.request.url);
+        if (!entries.has(key)) {
+            entries.set(key, entry);
+        }
+    }
+
+    function lookup(method, url) {
+        const entry = entries.get(entryKey(method, url));
+        if (!entry && !misses.has(url)) {
+            misses.add(url);
+            console.warn(`⚠️  Not in archive: ${method} ${url}`);
+        }
+        return entry;
+    }
+
+    async function recordResponse(response, startedAt) {
+        const request = response.request();
+
+        // Redirects and aborted loads have no body
+        let body = null;
+        try {
+            body = await response.buffer();
+        } catch (error) {
+            body = null;
+        }
+
+        addEntry(createHarEntry({
+            method: request.method(),
+            url: response.url(),
+            requestHeaders: request.headers(),
+            postData: request.postData(),
+            status: response.status(),
+            statusText: response.statusText(),
+            responseHeaders: response.headers(),
+            body,
+            startedAt
+        }));
+    }
+
+    async function recordPage(page) {
+        const startTimes = new WeakMap();
+        page.on('request', request => startTimes.set(request, Date.now()));
+        page.on('response', response => {
+            const url = response.url();
+            if (url.startsWith('data:') || entries.has(entryKey(response.request().method(), url))) return;
+
+            // Bodies are read asynchronously; save() waits for them
+            const task = recordResponse(response, startTimes.get(response.request()) ?? Date.now())
+                .finally(() => pending.delete(task));
+            pending.add(task);
+        });
+    }
+
+    async function replayPage(page) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            // Already handled, e.g. by another interception listener
+            if (request.isInterceptResolutionHandled()) return;
+
+            const url = request.url();
+            if (url.startsWith('data:') || url.startsWith('blob:')) {
+                request.continue();
+                return;
+            }
+
+            const entry = lookup(request.method(), url);
+            if (!entry) {
+                request.abort('internetdisconnected');
+                return;
+            }
+
+            request.respond({
+                status: entry.response.status,
+                headers: fromHarHeaders(entry.response.headers),
+                body: getBody(entry)
+            });
+        });
+    }
+
+    /**
+     * Record or replay a page's traffic. Call before navigation.
+     * @param {import('puppeteer').Page} page
+     */
+    async function attach(page) {
+        if (mode === 'record') {
+            await recordPage(page);
+        } else {
+            await replayPage(page);
+        }
+    }
+
+    // Archived response for a GET, following archived redirects unless `redirect` is 'manual'
+    function replayFetch(url, redirect) {
+        let currentUrl = url;
+        for (let hops = 0; ; hops++) {
+            const entry = lookup('GET', currentUrl);
+            if (!entry) {
+                throw new FetchError(`Not in archive: ${currentUrl}`, 'system');
+            }
+            const { status } = entry.response;
+            const location = entry.response.redirectURL || getHeader(entry.response.headers, 'location');
+            if (redirect !== 'manual' && status >= 300 && status < 400 && location) {
+                if (redirect === 'error') {
+                    throw new FetchError(`Redirect from ${currentUrl} with redirect: 'error'`, 'no-redirect');
+                }
+                if (hops >= MAX_REDIRECTS) {
+                    throw new FetchError(`Maximum redirect reached at ${currentUrl}`, 'max-redirect');
+                }
+                currentUrl = new URL(location, currentUrl).href;
+                continue;
+            }
+            return new Response(getBody(entry), {
+                status,
+                statusText: entry.response.statusText,
+                headers: fromHarHeaders(entry.response.headers),
+                url: currentUrl
+            });
+        }
+    }
+
+    /**
+     * fetch() for Node-side downloads: served from the archive in replay mode,
+     * fetched and added to the archive in record mode
+     * @param {string} url
+     * @param {Object} [init]
+     * @param {string} [init.redirect='follow'] - 'manual' returns (and records) each 3xx hop instead of following it
+     * @returns {Promise<Response>} node-fetch Response
+     */
+    async function fetch(url, { redirect = 'follow' } = {}) {
+        if (mode === 'replay') {
+            return replayFetch(url, redirect);
+        }
+
+        const startedAt = Date.now();
+        const response = await nodeFetch(url, { redirect });
+        const body = Buffer.from(await response.arrayBuffer());
+        const responseHeaders = Object.fromEntries(response.headers.entries());
+
+        addEntry(createHarEntry({
+            method: 'GET',
+            url,
+            requestHeaders: {},
+            status: response.status,
+            statusText: response.statusText,
+            responseHeaders,
+            body,
+            startedAt
+        }));
+
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: fromHarHeaders(toHarHeaders(responseHeaders)),
+            url
+        });
+    }
+
+    /**
+     * Write the recorded responses to the HAR file (record mode only)
+     * @returns {Promise<string|null>} Path written
+     */
+    async function save() {
+        if (mode !== 'record') return null;
+
+        await Promise.allSettled(Array.from(pending));
+
+        const har = {
+            log: {
+                version: HAR_VERSION,
+                creator: { name: 'web-analysis-toolkit', version: '1' },
+                pages: [],
+                entries: Array.from(entries.values())
+                    .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime))
+            }
+        };
+
+        const dir = path.dirname(record);
+        if (dir && !fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(record, JSON.stringify(har, null, 2));
+        console.log(`📼 Recorded ${entries.size} responses to ${record}`);
+        return record;
+    }
+
+    function stats() {
+        return { mode, responses: entries.size, misses: Array.from(misses) };
+    }
+
+    return { mode, path: record || replay, attach, fetch, save, stats };
+}
+
+export { createNetworkArchive, loadHar };
@@ -0,0 +1,242 @@
+/**
+ * Rendered Fonts
+ * Which font actually drew the text of each element, as reported by the browser
+ * (CSS.getPlatformFontsForNode), compared against the font-family stack the CSS asked for
+ *
+ * Each sampled element gets a status:
+ *   primary        - the first family of its stack rendered all of its text
+ *   generic        - the stack starts with a generic family (sans-serif, system-ui...): a system font is expected
+ *   fallback       - the first family rendered nothing; `reason` says why:
+ *                      web-font-failed     the @font-face files failed to load (document.fonts status "error")
+ *                      web-font-not-loaded the web font was still loading, or never requested
+ *                      web-font-not-used   the web font loaded but the browser drew with another face
+ *                      not-installed       a local family name (e.g. "Helvetica Neue") missing on this machine
+ *   missing-glyphs - the first family rendered some of the text; characters it lacks came from `fallbackFonts`
+ *
+ * Web fonts are matched by the isCustomFont flag as well as by name, since a file's internal family
+ * name often differs from the @font-face alias (font-family: "Brand" loading "Inter Variable").
+ *
+ * Usage:
+ *   const renderedFonts = await detectRenderedFonts(page, { webFamilies: ['Inter'] });
+ */
+
+import { parseFontFamilyList, isGenericFamily } from './css-values.mjs';
+
+const MAX_TEXT_ELEMENTS = 300;
+const FONTS_READY_TIMEOUT = 5000;
+const OBJECT_GROUP = 'rendered-fonts';
+
+// FontFace.status values, weakest first: one loaded face makes the family usable
+const LOAD_STATUS_RANK = ['unloaded', 'loading', 'error', 'loaded'];
+
+// System font keywords that behave like generic families
+const SYSTEM_FONT_KEYWORDS = new Set(['-apple-system', 'blinkmacsystemfont']);
+
+const normalize = (name) => String(name || '').toLowerCase().replace(/[\s_-]+/g, '');
+
+function isGenericOrSystem(family) {
+    return isGenericFamily(family) || SYSTEM_FONT_KEYWORDS.has(family.toLowerCase());
+}
+
+// "Open Sans" matches familyName "Open Sans" and postScriptName "OpenSans-Bold"
+function fontMatchesFamily(font, family) {
+    const wanted = normalize(family);
+    return normalize(font.familyName) === wanted || normalize(font.postScriptName).startsWith(wanted);
+}
+
+/**
+ * Compare what an element asked for with the fonts that drew it
+ * @returns {{status: string, reason?: string, fallbackFonts?: Object[]}}
+ */
+function classifyElement(stack, fonts, webFamilyStatus) {
+    const [primary] = stack;
+    if (!primary || isGenericOrSystem(primary)) {
+        return { status: 'generic' };
+    }
+
+    const isWebFont = webFamilyStatus.has(primary.toLowerCase());
+    const laterFamilies = stack.slice(1);
+    const drewPrimary = fonts.filter(font => fontMatchesFamily(font, primary)
+        // Aliased web font: custom, and not recognisably one of the later families in the stack
+        || (isWebFont && font.isCustomFont && !laterFamilies.some(family => fontMatchesFamily(font, family))));
+
+    if (drewPrimary.length === 0) {
+        if (!isWebFont) {
+            return { status: 'fallback', reason: 'not-installed' };
+        }
+        const loadStatus = webFamilyStatus.get(primary.toLowerCase());
+        const reason = loadStatus === 'error' ? 'web-font-failed'
+            : loadStatus === 'loaded' ? 'web-font-not-used'
+            : 'web-font-not-loaded';
+        return { status: 'fallback', reason };
+    }
+
+    const fallbackFonts = fonts.filter(font => !drewPrimary.includes(font));
+    if (fallbackFonts.length > 0) {
+        return { status: 'missing-glyphs', fallbackFonts };
+    }
+    return { status: 'primary' };
+}
+
+/**
+ * Runs in the page: visible elements with their own text, in document order
+ * @returns {Promise<{elements: Element[], data: Object}>} elements[i] is the element data.candidates[i] describes
+ */
+async function sampleTextElements(maxElements, timeout) {
+    await Promise.race([document.fonts.ready, new Promise(resolve => setTimeout(resolve, timeout))]);
+
+    const describe = (element) => {
+        const id = element.id ? `#${element.id}` : '';
+        const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+        return `${element.tagName.toLowerCase()}${id}${classes}`;
+    };
+
+    const elements = [];
+    const candidates = [];
+    let textElements = 0;
+    document.querySelectorAll('body *').forEach(element => {
+        if (element.closest('script, style, noscript, template, svg')) return;
+        const text = Array.from(element.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (!text) return;
+
+        const style = window.getComputedStyle(element);
+        if (style.visibility === 'hidden' || element.getClientRects().length === 0) return;
+
+        textElements++;
+        if (candidates.length >= maxElements) return;
+        elements.push(element);
+        candidates.push({
+            element: describe(element),
+            text: text.substring(0, 60),
+            fontFamily: style.fontFamily,
+            fontWeight: style.fontWeight,
+            fontStyle: style.fontStyle,
+            fontSize: style.fontSize
+        });
+    });
+
+    const webFonts = Array.from(document.fonts).map(face => ({
+        family: face.family.replace(/^(['"])(.*)\1$/, '$2'),
+        weight: face.weight,
+        style: face.style,
+        status: face.status
+    }));
+
+    return { elements, data: { candidates, textElements, webFonts } };
+}
+
+/**
+ * Platform fonts used to render the text of visible elements
+ * @param {import('puppeteer').Page} page - Loaded page (not modified)
+ * @param {Object} [options]
+ * @param {string[]} [options.webFamilies=[]] - Families declared with @font-face (document.fonts is added to these)
+ * @param {number} [options.maxElements=300] - Elements with their own text to inspect, in document order
+ * @returns {Promise<Object>} { elements, faces, webFonts, summary }
+ *   elements = [{element, text, fontFamily, fontWeight, fontStyle, fontSize, fonts: [{familyName, postScriptName, isCustomFont, glyphCount}], status, reason?, fallbackFonts?}]
+ */
+async function detectRenderedFonts(page, options = {}) {
+    const { webFamilies = [], maxElements = MAX_TEXT_ELEMENTS } = options;
+
+    // Sampled on our own DevTools session so the element references stay valid for DOM.requestNode:
+    // each element is looked up itself, so nodes added or removed meanwhile (ads, carousels) don't matter
+    const client = await page.createCDPSession();
+    const elements = [];
+    const webFamilyStatus = new Map();
+    const familyNames = new Map();
+    let sampled;
+    try {
+        await client.send('DOM.enable');
+        await client.send('CSS.enable');
+        // requestNode only resolves nodes once the document has been requested
+        await client.send('DOM.getDocument', { depth: 0 });
+
+        const { result, exceptionDetails } = await client.send('Runtime.evaluate', {
+            expression: `(${sampleTextElements})(${maxElements}, ${FONTS_READY_TIMEOUT})`,
+            awaitPromise: true,
+            objectGroup: OBJECT_GROUP
+        });
+        if (exceptionDetails) {
+            throw new Error(exceptionDetails.exception?.description ?? exceptionDetails.text);
+        }
+        ({ result: { value: sampled } } = await client.send('Runtime.callFunctionOn', {
+            objectId: result.objectId,
+            functionDeclaration: 'function () { return this.data; }',
+            returnByValue: true
+        }));
+
+        // Load state per family: loaded if any face loaded, otherwise error if any failed
+        [...webFamilies.map(family => ({ family, status: 'unloaded' })), ...sampled.webFonts].forEach(({ family, status }) => {
+            const key = family.toLowerCase();
+            const current = webFamilyStatus.get(key) ?? 'unloaded';
+            webFamilyStatus.set(key, LOAD_STATUS_RANK.indexOf(status) > LOAD_STATUS_RANK.indexOf(current) ? status : current);
+            if (!familyNames.has(key)) familyNames.set(key, family);
+        });
+
+        for (const [index, candidate] of sampled.candidates.entries()) {
+            let fonts;
+            try {
+                const { result: element } = await client.send('Runtime.callFunctionOn', {
+                    objectId: result.objectId,
+                    functionDeclaration: 'function (index) { return this.elements[index]; }',
+                    arguments: [{ value: index }],
+                    objectGroup: OBJECT_GROUP
+                });
+                const { nodeId } = await client.send('DOM.requestNode', { objectId: element.objectId });
+                ({ fonts } = await client.send('CSS.getPlatformFontsForNode', { nodeId }));
+            } catch (error) {
+                // Removed from the document since it was sampled
+                continue;
+            }
+            fonts = fonts
+                .map(({ familyName, postScriptName, isCustomFont, glyphCount }) => ({
+                    familyName,
+                    postScriptName: postScriptName || null,
+                    isCustomFont: Boolean(isCustomFont),
+                    glyphCount
+                }))
+                .sort((a, b) => b.glyphCount - a.glyphCount);
+            const stack = parseFontFamilyList(candidate.fontFamily);
+            elements.push({ ...candidate, fonts, ...classifyElement(stack, fonts, webFamilyStatus) });
+        }
+    } finally {
+        await client.send('Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP }).catch(() => {});
+        await client.send('CSS.disable').catch(() => {});
+        await client.send('DOM.disable').catch(() => {});
+        await client.detach().catch(() => {});
+    }
+
+    // Totals per platform font across the sampled elements
+    const faces = new Map();
+    elements.forEach(({ fonts }) => {
+        fonts.forEach(font => {
+            const key = `${font.familyName}|${font.postScriptName}|${font.isCustomFont}`;
+            const face = faces.get(key) ?? { ...font, glyphCount: 0, elements: 0 };
+            face.glyphCount += font.glyphCount;
+            face.elements++;
+            faces.set(key, face);
+        });
+    });
+
+    const countStatus = (status) => elements.filter(element => element.status === status).length;
+    return {
+        elements,
+        faces: [...faces.values()].sort((a, b) => b.glyphCount - a.glyphCount),
+        webFonts: [...webFamilyStatus].map(([key, status]) => ({ family: familyNames.get(key), status })),
+        summary: {
+            textElements: sampled.textElements,
+            inspected: elements.length,
+            truncated: sampled.textElements > sampled.candidates.length,
+            primary: countStatus('primary'),
+            generic: countStatus('generic'),
+            fallback: countStatus('fallback'),
+            missingGlyphs: countStatus('missing-glyphs')
+        }
+    };
+}
+
+export { detectRenderedFonts };
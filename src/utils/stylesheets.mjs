@@ -0,0 +1,519 @@
+/**
+ * Stylesheet Access
+ * Every stylesheet on a page as parsed CSSOM, including cross-origin (CDN) sheets
+ *
+ * document.styleSheets refuses cssRules for sheets served from another origin without CORS
+ * headers. For those we read the source text through the DevTools protocol (or, failing that,
+ * download it), parse it into a constructed CSSStyleSheet and hand it to page code alongside
+ * the readable ones. Constructed sheets are never adopted, so the page itself is unchanged.
+ *
+ * Page code receives `{ sheet, href }` pairs; `href` is the sheet's own URL (null for inline
+ * <style>), so relative url() values can be resolved against it. A constructed sheet drops
+ * @import rules, so the sheets a cross-origin sheet imports are read the same way and listed
+ * after it; each keeps its <link media> or @import media in `sheet.media`.
+ *
+ * Usage:
+ *   const { sheets, report } = await collectStyleSheets(page);
+ *   const rules = await page.evaluate((sheets) => sheets.flatMap(({ sheet }) => [...sheet.cssRules]).length, sheets);
+ *   await sheets.dispose();
+ */
+
+import fetch from 'node-fetch';
+import * as csstree from 'css-tree';
+
+/**
+ * List every stylesheet (including @import'ed ones) and keep handles to the readable ones
+ * @returns {Promise<{list: Object[], handle: import('puppeteer').JSHandle}>}
+ */
+async function listPageSheets(page) {
+    const handle = await page.evaluateHandle(() => {
+        const list = [];
+        const readable = [];
+
+        const visit = (sheet, importedBy) => {
+            const entry = {
+                href: sheet.href,
+                importedBy,
+                media: sheet.media?.mediaText || '',
+                readable: false
+            };
+            list.push(entry);
+
+            let rules;
+            try {
+                rules = sheet.cssRules;
+                entry.readable = true;
+                readable.push({ sheet, href: sheet.href });
+            } catch (error) {
+                entry.error = error.message;
+                return;
+            }
+
+            for (const rule of rules) {
+                if (rule instanceof CSSImportRule && rule.styleSheet) {
+                    visit(rule.styleSheet, sheet.href || 'inline');
+                }
+            }
+        };
+
+        for (const sheet of document.styleSheets) {
+            visit(sheet, null);
+        }
+        return { list, readable };
+    });
+
+    const list = await handle.evaluate(result => result.list);
+    const readable = await handle.evaluateHandle(result => result.readable);
+    await handle.dispose();
+    return { list, handle: readable };
+}
+
+/**
+ * Source text of every regular stylesheet the browser loaded, keyed by URL, via CDP
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getSheetTextsViaCdp(page, urls) {
+    const texts = new Map();
+    const client = await page.createCDPSession();
+
+    try {
+        const headers = [];
+        client.on('CSS.styleSheetAdded', ({ header }) => headers.push(header));
+        await client.send('DOM.enable');
+        // Enabling the CSS agent reports every stylesheet already in the document
+        await client.send('CSS.enable');
+
+        for (const header of headers) {
+            if (!urls.has(header.sourceURL) || texts.has(header.sourceURL)) continue;
+            try {
+                const { text } = await client.send('CSS.getStyleSheetText', { styleSheetId: header.styleSheetId });
+                texts.set(header.sourceURL, text);
+            } catch (error) {
+                // Left for the download fallback
+            }
+        }
+    } finally {
+        await client.detach().catch(() => {});
+    }
+
+    return texts;
+}
+
+/**
+ * Source text (comments included) of every stylesheet in the page, via CDP
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=Infinity] - Keep only the start of each sheet (e.g. for license banners)
+ * @returns {Promise<Array<{href: string|null, inline: boolean, text: string}>>}
+ */
+async function getStyleSheetSources(page, options = {}) {
+    const { maxLength = Infinity } = options;
+    const sources = [];
+    const client = await page.createCDPSession();
+
+    try {
+        const headers = [];
+        client.on('CSS.styleSheetAdded', ({ header }) => headers.push(header));
+        await client.send('DOM.enable');
+        await client.send('CSS.enable');
+
+        for (const header of headers) {
+            try {
+                const { text } = await client.send('CSS.getStyleSheetText', { styleSheetId: header.styleSheetId });
+                sources.push({
+                    href: header.sourceURL || null,
+                    inline: Boolean(header.isInline),
+                    text: text.slice(0, maxLength)
+                });
+            } catch (error) {
+                // Sheets removed since they were reported have no text
+            }
+        }
+    } finally {
+        await client.detach().catch(() => {});
+    }
+
+    return sources;
+}
+
+/**
+ * Every stylesheet the running page applies, with its CSS text and where it came from
+ *
+ * Covers <link> and <style> sheets in the document and in open shadow roots, sheets added by
+ * scripts (CSS-in-JS), @import'ed sheets and constructed sheets in adoptedStyleSheets. Closed
+ * shadow roots can't be reached from page code. Each sheet is tagged with an `origin`:
+ *   link        - <link rel="stylesheet"> present in the server's HTML
+ *   inline      - <style> present in the server's HTML, with no rules added since
+ *   injected    - <link> or <style> added by script, or a <style> whose rules were inserted via CSSOM
+ *   constructed - new CSSStyleSheet() in a document's or shadow root's adoptedStyleSheets
+ * Imported sheets take the origin of the sheet that imports them.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {string} [options.html] - HTML the server sent for the page (without it, only CSSOM-inserted rules mark a sheet as injected)
+ * @param {Function} [options.fetchResource] - fetch() used when CDP has no text for a linked sheet (default node-fetch)
+ * @returns {Promise<{sheets: Object[], unreadable: Object[]}>}
+ *   sheets = [{href, origin, scope, importedBy, media, content, serialized, adoptedBy?}] in document order;
+ *   `importedBy` is the index of the importing sheet, `serialized` means `content` was rebuilt from the CSSOM
+ */
+async function collectAppliedStyleSheets(page, options = {}) {
+    const { html = null, fetchResource = fetch } = options;
+
+    const entries = await page.evaluate((html) => {
+        // What the parser saw: linked URLs and <style> text, including declarative shadow roots
+        let markup = null;
+        if (html !== null) {
+            const parsed = new DOMParser().parseFromString(html, 'text/html');
+            const base = parsed.querySelector('base[href]');
+            const baseUrl = base ? new URL(base.getAttribute('href'), location.href).href : location.href;
+            markup = { links: new Set(), styles: new Set() };
+            const scan = (root) => {
+                root.querySelectorAll('link[rel~="stylesheet" i][href]').forEach(link => {
+                    try {
+                        markup.links.add(new URL(link.getAttribute('href'), baseUrl).href);
+                    } catch (error) {
+                        // Unresolvable href, never loaded
+                    }
+                });
+                root.querySelectorAll('style').forEach(style => markup.styles.add(style.textContent.trim()));
+                root.querySelectorAll('template').forEach(template => scan(template.content));
+            };
+            scan(parsed);
+        }
+
+        const entries = [];
+        const constructed = new Map();
+
+        const serialize = (sheet) => Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+
+        // <style> text is kept when it still accounts for every rule, so line numbers stay meaningful
+        const styleText = (sheet) => {
+            const text = sheet.ownerNode.textContent;
+            try {
+                const probe = new CSSStyleSheet();
+                probe.replaceSync(text);
+                if (probe.cssRules.length === sheet.cssRules.length) {
+                    return { content: text, serialized: false };
+                }
+            } catch (error) {
+                // Fall through to the CSSOM
+            }
+            return { content: serialize(sheet), serialized: true };
+        };
+
+        const visit = (sheet, origin, scope, importedBy, text = null) => {
+            const index = entries.length;
+            const entry = { href: sheet.href, origin, scope, importedBy, media: sheet.media?.mediaText || '', content: null, serialized: false };
+            entries.push(entry);
+
+            let rules;
+            try {
+                rules = sheet.cssRules;
+            } catch (error) {
+                // Cross-origin; the text is read from outside the page
+                return entry;
+            }
+            if (!sheet.href) {
+                Object.assign(entry, text ?? (sheet.ownerNode?.localName === 'style' ? styleText(sheet) : { content: serialize(sheet), serialized: true }));
+            }
+
+            for (const rule of rules) {
+                if (rule instanceof CSSImportRule && rule.styleSheet) {
+                    visit(rule.styleSheet, origin, scope, index);
+                }
+            }
+            return entry;
+        };
+
+        const visitRoot = (root, scope) => {
+            for (const sheet of root.styleSheets) {
+                if (sheet.disabled) continue;
+                const node = sheet.ownerNode;
+                if (node?.localName === 'style') {
+                    const text = styleText(sheet);
+                    const parsed = !text.serialized && (!markup || markup.styles.has(node.textContent.trim()));
+                    visit(sheet, parsed ? 'inline' : 'injected', scope, null, text);
+                } else {
+                    visit(sheet, !markup || markup.links.has(sheet.href) ? 'link' : 'injected', scope, null);
+                }
+            }
+
+            // One constructed sheet is often shared by every instance of a component
+            for (const sheet of root.adoptedStyleSheets || []) {
+                if (constructed.has(sheet)) {
+                    constructed.get(sheet).adoptedBy++;
+                    continue;
+                }
+                const entry = visit(sheet, 'constructed', scope, null);
+                entry.adoptedBy = 1;
+                constructed.set(sheet, entry);
+            }
+        };
+
+        const describeHost = (host) => `${host.localName}${host.id ? `#${host.id}` : ''}`;
+
+        const walkShadowRoots = (root) => {
+            for (const element of root.querySelectorAll('*')) {
+                if (element.shadowRoot) {
+                    visitRoot(element.shadowRoot, `${describeHost(element)} (shadow root)`);
+                    walkShadowRoots(element.shadowRoot);
+                }
+            }
+        };
+
+        visitRoot(document, 'document');
+        walkShadowRoots(document);
+        return entries;
+    }, html);
+
+    // Linked sheets: the source text as served (comments, hacks and line numbers intact)
+    const hrefs = new Set(entries.filter(entry => entry.href).map(entry => entry.href));
+    const cdpTexts = hrefs.size > 0
+        ? await getSheetTextsViaCdp(page, hrefs).catch(() => new Map())
+        : new Map();
+    const unreadable = [];
+
+    for (const entry of entries.filter(entry => entry.href)) {
+        if (cdpTexts.has(entry.href)) {
+            entry.content = cdpTexts.get(entry.href);
+            continue;
+        }
+        try {
+            const response = await fetchResource(entry.href);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            entry.content = await response.text();
+        } catch (error) {
+            unreadable.push({ href: entry.href, origin: getOrigin(entry.href), error: error.message });
+        }
+    }
+
+    if (unreadable.length > 0) {
+        console.warn(`⚠️  ${unreadable.length} stylesheet(s) could not be read: ${unreadable.map(sheet => sheet.href).join(', ')}`);
+    }
+
+    return { sheets: entries, unreadable };
+}
+
+/**
+ * The @import rules of a stylesheet, in source order
+ * @param {string} cssText
+ * @returns {Array<{url: string, media: string}>} media is '' when the import has no media list
+ */
+function findImportRules(cssText) {
+    const imports = [];
+    const ast = csstree.parse(cssText, {
+        parseRulePrelude: false,
+        parseValue: false,
+        positions: true,
+        onParseError: () => {}
+    });
+
+    csstree.walk(ast, {
+        visit: 'Atrule',
+        enter(node) {
+            if (node.name.toLowerCase() !== 'import' || !node.prelude?.children) return;
+            const [target, ...rest] = node.prelude.children.toArray();
+            if (!target || (target.type !== 'Url' && target.type !== 'String')) return;
+            // layer() and supports() come before the media list
+            const media = rest.find(child => child.type === 'MediaQueryList');
+            imports.push({ url: target.value, media: media ? cssText.slice(media.loc.start.offset, media.loc.end.offset).trim() : '' });
+        }
+    });
+
+    return imports;
+}
+
+function getOrigin(href) {
+    if (!href) return 'inline';
+    try {
+        return new URL(href).origin;
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+/**
+ * Parsed stylesheets for page code, plus a report of where each sheet came from
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {Function} [options.fetchResource] - fetch() used when CDP has no text for a sheet (default node-fetch)
+ * @returns {Promise<{sheets: import('puppeteer').JSHandle, report: Object}>}
+ *   `sheets` is a handle to a {sheet, href}[] to pass into page.evaluate(); dispose() it when done.
+ *   `report` = { total, byOrigin, sheets: [{href, origin, crossOrigin, importedBy, media, source}], unreadable: [{href, origin, error}] }
+ */
+async function collectStyleSheets(page, options = {}) {
+    const { fetchResource = fetch } = options;
+    const pageOrigin = new URL(page.url()).origin;
+    const { list, handle } = await listPageSheets(page);
+
+    const blocked = list.filter(entry => !entry.readable && entry.href);
+    const recovered = [];
+    const unreadable = [];
+
+    if (blocked.length > 0) {
+        console.log(`🌐 Reading ${blocked.length} cross-origin stylesheet(s)...`);
+        const seen = new Set(list.map(entry => entry.href).filter(Boolean));
+        let pending = blocked;
+
+        // One round per @import depth: the browser can't tell us what an unreadable sheet imports
+        while (pending.length > 0) {
+            const cdpTexts = await getSheetTextsViaCdp(page, new Set(pending.map(entry => entry.href)))
+                .catch(() => new Map());
+            const imported = [];
+
+            for (const entry of pending) {
+                let text = cdpTexts.get(entry.href);
+                let source = 'cdp';
+                if (text === undefined) {
+                    try {
+                        const response = await fetchResource(entry.href);
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}`);
+                        }
+                        text = await response.text();
+                        source = 'fetch';
+                    } catch (error) {
+                        unreadable.push({ href: entry.href, origin: getOrigin(entry.href), error: error.message });
+                        continue;
+                    }
+                }
+                recovered.push({ entry, text, source });
+
+                // Listed right after the sheet that imports them, like the browser's own @import entries
+                let position = list.indexOf(entry);
+                for (const rule of findImportRules(text)) {
+                    let href;
+                    try {
+                        href = new URL(rule.url, entry.href).href;
+                    } catch (error) {
+                        continue;
+                    }
+                    if (seen.has(href)) continue;
+                    seen.add(href);
+                    // An import without its own media list applies wherever the importing sheet does
+                    const child = { href, importedBy: entry.href, media: rule.media || entry.media, readable: false };
+                    list.splice(++position, 0, child);
+                    imported.push(child);
+                }
+            }
+            pending = imported;
+        }
+
+        // Parse the recovered text in the page so tools see the same CSSOM objects as for readable
+        // sheets, in document order: a CDN sheet between two local ones stays between them, so
+        // source-order cascades (later rule wins) see the sheets as the browser does
+        const textByEntry = new Map(recovered.map(({ entry, text }) => [entry, text]));
+        const sources = list
+            .filter(entry => entry.readable || textByEntry.has(entry))
+            .map(entry => entry.readable ? { readable: true } : { href: entry.href, media: entry.media, text: textByEntry.get(entry) });
+        const failed = await handle.evaluate((readable, sources) => {
+            const errors = [];
+            const ordered = [];
+            let next = 0;
+            for (const source of sources) {
+                if (source.readable) {
+                    ordered.push(readable[next++]);
+                    continue;
+                }
+                const { href, media, text } = source;
+                try {
+                    // baseURL keeps relative url() values (fonts, images) pointing at the CDN;
+                    // media carries over <link media="print"> and @import ... screen
+                    const sheet = new CSSStyleSheet({ baseURL: href, media });
+                    sheet.replaceSync(text);
+                    ordered.push({ sheet, href });
+                } catch (error) {
+                    errors.push({ href, error: error.message });
+                }
+            }
+            readable.splice(0, readable.length, ...ordered);
+            return errors;
+        }, sources);
+
+        for (const { href, error } of failed) {
+            unreadable.push({ href, origin: getOrigin(href), error });
+            recovered.splice(recovered.findIndex(item => item.entry.href === href), 1);
+        }
+    }
+
+    const sourceByHref = new Map(recovered.map(({ entry, source }) => [entry.href, source]));
+    const sheets = list.map(entry => {
+        const origin = getOrigin(entry.href);
+        return {
+            href: entry.href || null,
+            origin,
+            crossOrigin: Boolean(entry.href) && origin !== pageOrigin,
+            importedBy: entry.importedBy,
+            media: entry.media || null,
+            source: entry.readable ? 'cssom' : (sourceByHref.get(entry.href) ?? null)
+        };
+    });
+
+    const byOrigin = {};
+    for (const sheet of sheets) {
+        byOrigin[sheet.origin] = (byOrigin[sheet.origin] || 0) + 1;
+    }
+
+    if (unreadable.length > 0) {
+        console.warn(`⚠️  ${unreadable.length} stylesheet(s) could not be read: ${unreadable.map(sheet => sheet.href).join(', ')}`);
+    }
+
+    return {
+        sheets: handle,
+        report: { total: sheets.length, byOrigin, sheets, unreadable }
+    };
+}
+
+/**
+ * Markdown section for a collectStyleSheets() report
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatStyleSheetReport(report) {
+    if (!report) return '';
+
+    let markdown = `## Stylesheets\n\n`;
+    markdown += `| Origin | Sheets |\n|--------|--------|\n`;
+    Object.entries(report.byOrigin).forEach(([origin, count]) => {
+        markdown += `| ${origin} | ${count} |\n`;
+    });
+    markdown += `\n`;
+
+    const recovered = report.sheets.filter(sheet => sheet.source === 'cdp' || sheet.source === 'fetch');
+    if (recovered.length > 0) {
+        markdown += `**Cross-origin sheets read via ${[...new Set(recovered.map(sheet => sheet.source))].join('/')}:** ${recovered.length}\n\n`;
+    }
+
+    const imported = report.sheets.filter(sheet => sheet.importedBy);
+    if (imported.length > 0) {
+        markdown += `**Imported with @import:**\n`;
+        imported.forEach(sheet => {
+            markdown += `- ${sheet.href} (from ${sheet.importedBy})\n`;
+        });
+        markdown += `\n`;
+    }
+
+    // Sheets for print or a viewport range only: their rules don't apply everywhere
+    const conditional = report.sheets.filter(sheet => sheet.media && sheet.media.toLowerCase() !== 'all');
+    if (conditional.length > 0) {
+        markdown += `**Media-specific sheets:**\n`;
+        conditional.forEach(sheet => {
+            markdown += `- ${sheet.href ?? 'inline'}: \`${sheet.media}\`\n`;
+        });
+        markdown += `\n`;
+    }
+
+    if (report.unreadable.length > 0) {
+        markdown += `**Could not be read** (their rules are missing from this report):\n`;
+        report.unreadable.forEach(sheet => {
+            markdown += `- ${sheet.href} (${sheet.error})\n`;
+        });
+        markdown += `\n`;
+    }
+
+    return markdown;
+}
+
+export { collectStyleSheets, collectAppliedStyleSheets, getStyleSheetSources, formatStyleSheetReport, findImportRules };